@@ -1,6 +1,13 @@
 import { readImage } from '@itk-wasm/image-io'
-import { writeImageAsDicomSeriesWithDcmjs } from './src/write-dicom-dcmjs.js'
+import { streamImageAsDicomSeriesWithDcmjs } from './src/write-dicom-dcmjs.js'
 import { downloadFilesAsZip } from './src/write-image-series.js'
+import { setCodecWasmUrl } from './src/codecs.js'
+import charlsWasmUrl from '@cornerstonejs/codec-charls/wasm?url'
+import openjpegWasmUrl from '@cornerstonejs/codec-openjpeg/wasm?url'
+
+// Vite serves the JPEG-LS and JPEG 2000 codecs' WebAssembly as assets
+setCodecWasmUrl('charls', charlsWasmUrl)
+setCodecWasmUrl('openjpeg', openjpegWasmUrl)
 
 let selectedFile = null
 let loadedImage = null
@@ -37,12 +44,13 @@ fileInput.addEventListener('change', async (event) => {
 
     updateProgress(100, 'Image loaded successfully!')
 
-    if (image.imageType.dimension !== 3) {
-      throw new Error(`Image must be 3D. Got ${image.imageType.dimension}D image.`)
+    const { dimension } = image.imageType
+    if (dimension !== 3 && dimension !== 4) {
+      throw new Error(`Image must be 3D or 4D. Got ${dimension}D image.`)
     }
 
     const dims = image.size
-    showSuccess(`Loaded 3D image: ${dims[0]} × ${dims[1]} × ${dims[2]} (${image.imageType.componentType})`)
+    showSuccess(`Loaded ${dimension}D image: ${dims.join(' × ')} (${image.imageType.componentType})`)
 
     convertButton.disabled = false
     progressContainer.style.display = 'none'
@@ -74,19 +82,32 @@ convertButton.addEventListener('click', async () => {
       seriesNumber: parseInt(document.getElementById('seriesNumber').value, 10),
       modality: document.getElementById('modality').value,
       instanceNumberStart: parseInt(document.getElementById('instanceStart').value, 10),
-      useCompression: false
+      sliceAxis: document.getElementById('sliceAxis').value || undefined,
+      transferSyntax: document.getElementById('transferSyntax').value,
+      workers: true
     }
 
     updateProgress(0, 'Converting to DICOM series...')
 
-    const files = await writeImageAsDicomSeriesWithDcmjs(loadedImage, options)
-
-    updateProgress(90, 'Creating ZIP archive...')
+    // Slices go into the ZIP as they are written, without keeping a copy of the series
+    let converted = 0
+    async function * withProgress (files) {
+      for await (const file of files) {
+        converted++
+        statusText.textContent = `Converted ${converted} slices...`
+        yield file
+      }
+      updateProgress(90, 'Creating ZIP archive...')
+    }
 
-    await downloadFilesAsZip(files, 'dicom-series.zip')
+    await downloadFilesAsZip(
+      withProgress(streamImageAsDicomSeriesWithDcmjs(loadedImage, options)),
+      'dicom-series.zip',
+      { media: document.getElementById('zipLayout').value === 'media' }
+    )
 
     updateProgress(100, 'Complete!')
-    showSuccess(`Successfully converted ${files.length} slices and downloaded as dicom-series.zip`)
+    showSuccess(`Successfully converted ${converted} slices and downloaded as dicom-series.zip`)
 
     setTimeout(() => {
       progressContainer.style.display = 'none'
@@ -0,0 +1,409 @@
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { readImageNode } from "@itk-wasm/image-io";
+import { streamDicomSeries } from "./write-image-series.js";
+import { TRANSFER_SYNTAX_UIDS } from "./file-meta.js";
+import { createUIDGenerator } from "./uid.js";
+import { createDicomMedia } from "./dicomdir.js";
+import { SOP_CLASS_UIDS } from "./sop-classes.js";
+
+/**
+ * Exit codes: conversion failures (unreadable input, invalid metadata, write
+ * errors) and mistakes on the command line are told apart for scripts
+ */
+export const EXIT_CODES = { SUCCESS: 0, FAILURE: 1, USAGE: 2 };
+
+const USAGE = `Usage: write-dicom <input> --output <directory|file.zip> [options]
+
+Writes a volume (NRRD, NIfTI, MetaImage, VTK, ...) as a DICOM series.
+
+Output:
+  -o, --output <path>             Directory to write into, or a .zip file
+  -b, --backend <name>            dcmjs (default) or gdcm, uncompressed only
+      --file-name-pattern <text>  File name of each slice (default: slice_%04d.dcm)
+      --media                     Lay out as DICOM media: DICOM/PAT0001/STU0001/SER0001/IMG0001
+                                  files indexed by a DICOMDIR, for CDs and import stations
+  -q, --quiet                     Only report errors
+
+Metadata:
+  -m, --metadata <file.json>      Writer options as JSON: modality, patient, study, series,
+                                  equipment, windows, compression, ... Flags take precedence
+      --modality <code>           CT, MR, PT, ... (default: OT)
+      --series-description <text>
+      --series-number <n>
+      --instance-number-start <n>
+      --series-instance-uid <uid>
+      --body-part-examined <text>
+      --protocol-name <text>
+      --patient-name <name>       DICOM person name, e.g. Doe^Jane
+      --patient-id <id>
+      --patient-birth-date <date> YYYYMMDD or YYYY-MM-DD
+      --patient-sex <M|F|O>
+      --study-instance-uid <uid>  Append to an existing study
+      --study-id <id>
+      --study-description <text>
+      --study-date <date>
+      --study-time <time>         HHMMSS or HH:MM:SS
+      --accession-number <text>
+      --referring-physician-name <name>
+      --manufacturer <text>
+      --institution-name <text>
+      --station-name <text>
+      --reference-series <dir>    DICOM series the volume was derived from
+      --frame-of-reference-uid <uid>
+      --uid-root <uid>            Organisation root for generated UIDs
+      --seed <text>               Reproducible UIDs, for test data only
+
+Pixels:
+      --transfer-syntax <name>    ${Object.keys(TRANSFER_SYNTAX_UIDS)
+        .map(toFlagValue)
+        .join(", ")}
+                                  or a Transfer Syntax UID (default: explicit-vr-little-endian)
+      --near-lossless <n>         Maximum error of JPEG-LS Near-Lossless
+      --compression-ratio <n>     Target ratio of lossy JPEG 2000
+      --windows <list>            Comma separated AUTO, CT_BRAIN, CT_LUNG, CT_BONE, or none
+      --slice-axis <axis>         0, 1, 2, axial, sagittal or coronal
+      --time-series <mode>        single or split, for 4D images
+      --time-unit <unit>          s or ms, for 4D images
+      --split-components          One series per component
+      --alpha <mode>              reject, drop or premultiply, for RGBA images
+      --parametric-map            Keep float values in one Parametric Map instead of a
+                                  quantized series, realWorldValueMapping from --metadata
+      --workers <n|auto>          Encode slices in parallel
+
+  -h, --help                      Show this help
+  -v, --version                   Show the version
+
+Exit codes: 0 written, 1 conversion failed, 2 invalid command line`;
+
+const FLAGS = {
+  output: { type: "string", short: "o" },
+  backend: { type: "string", short: "b" },
+  "file-name-pattern": { type: "string" },
+  media: { type: "boolean" },
+  quiet: { type: "boolean", short: "q" },
+  metadata: { type: "string", short: "m" },
+  modality: { type: "string" },
+  "series-description": { type: "string" },
+  "series-number": { type: "string" },
+  "instance-number-start": { type: "string" },
+  "series-instance-uid": { type: "string" },
+  "body-part-examined": { type: "string" },
+  "protocol-name": { type: "string" },
+  "patient-name": { type: "string" },
+  "patient-id": { type: "string" },
+  "patient-birth-date": { type: "string" },
+  "patient-sex": { type: "string" },
+  "study-instance-uid": { type: "string" },
+  "study-id": { type: "string" },
+  "study-description": { type: "string" },
+  "study-date": { type: "string" },
+  "study-time": { type: "string" },
+  "accession-number": { type: "string" },
+  "referring-physician-name": { type: "string" },
+  manufacturer: { type: "string" },
+  "institution-name": { type: "string" },
+  "station-name": { type: "string" },
+  "reference-series": { type: "string" },
+  "frame-of-reference-uid": { type: "string" },
+  "uid-root": { type: "string" },
+  seed: { type: "string" },
+  "transfer-syntax": { type: "string" },
+  "near-lossless": { type: "string" },
+  "compression-ratio": { type: "string" },
+  windows: { type: "string" },
+  "slice-axis": { type: "string" },
+  "time-series": { type: "string" },
+  "time-unit": { type: "string" },
+  "split-components": { type: "boolean" },
+  alpha: { type: "string" },
+  "parametric-map": { type: "boolean" },
+  workers: { type: "string" },
+  help: { type: "boolean", short: "h" },
+  version: { type: "boolean", short: "v" },
+};
+
+/**
+ * Flags that set a field of the patient, study, series or equipment option
+ */
+const MODULE_FLAGS = {
+  patient: {
+    "patient-name": "name",
+    "patient-id": "id",
+    "patient-birth-date": "birthDate",
+    "patient-sex": "sex",
+  },
+  study: {
+    "study-instance-uid": "instanceUID",
+    "study-id": "id",
+    "study-description": "description",
+    "study-date": "date",
+    "study-time": "time",
+    "accession-number": "accessionNumber",
+    "referring-physician-name": "referringPhysicianName",
+  },
+  series: {
+    "series-instance-uid": "instanceUID",
+    "body-part-examined": "bodyPartExamined",
+    "protocol-name": "protocolName",
+  },
+  equipment: {
+    manufacturer: "manufacturer",
+    "institution-name": "institutionName",
+    "station-name": "stationName",
+  },
+};
+
+function toFlagValue(name) {
+  return name.toLowerCase().replace(/_/g, "-");
+}
+
+function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT_CODES.USAGE;
+  return error;
+}
+
+function toNumber(value, flag) {
+  const number = Number(value);
+  if (value === "" || !Number.isFinite(number)) {
+    throw usageError(`--${flag} expects a number, got ${value}`);
+  }
+  return number;
+}
+
+function toTransferSyntax(value) {
+  const byName = Object.entries(TRANSFER_SYNTAX_UIDS).find(
+    ([name]) => toFlagValue(name) === value.toLowerCase(),
+  );
+  if (byName) return byName[1];
+  if (Object.values(TRANSFER_SYNTAX_UIDS).includes(value)) return value;
+  throw usageError(`Unknown transfer syntax: ${value}`);
+}
+
+function readMetadataFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    throw new Error(`Cannot read metadata file ${file}: ${error.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON in metadata file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Turns the command line into the input path, output path, backend and
+ * writer options. Options from the metadata file are overridden by flags
+ * @param {Array<string>} args - Command line arguments, without node and the script
+ * @returns {{help?: boolean, version?: boolean, input: string, output: string, backend: string,
+ *   media: boolean, quiet: boolean, options: Object}} The parsed command
+ */
+export function parseCliArguments(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: FLAGS, allowPositionals: true });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+  if (values.version) return { version: true };
+
+  if (positionals.length !== 1) {
+    throw usageError(
+      positionals.length === 0
+        ? "Missing input image"
+        : `Expected one input image, got ${positionals.join(" ")}`,
+    );
+  }
+  if (!values.output) throw usageError("Missing --output");
+
+  const metadata = values.metadata ? readMetadataFile(values.metadata) : {};
+  const { backend: metadataBackend, ...options } = metadata;
+
+  // The backend can come from the metadata file too, so its default is applied last
+  const backend = values.backend ?? metadataBackend ?? "dcmjs";
+  if (!["dcmjs", "gdcm"].includes(backend)) {
+    throw usageError(`Unknown backend: ${backend} (expected dcmjs or gdcm)`);
+  }
+
+  for (const [module, flags] of Object.entries(MODULE_FLAGS)) {
+    for (const [flag, field] of Object.entries(flags)) {
+      if (values[flag] !== undefined) {
+        options[module] = { ...options[module], [field]: values[flag] };
+      }
+    }
+  }
+
+  const strings = {
+    "file-name-pattern": "fileNamePattern",
+    modality: "modality",
+    "series-description": "seriesDescription",
+    "frame-of-reference-uid": "frameOfReferenceUID",
+    "time-series": "timeSeries",
+    "time-unit": "timeUnit",
+    alpha: "alpha",
+  };
+  for (const [flag, option] of Object.entries(strings)) {
+    if (values[flag] !== undefined) options[option] = values[flag];
+  }
+
+  const numbers = {
+    "series-number": "seriesNumber",
+    "instance-number-start": "instanceNumberStart",
+  };
+  for (const [flag, option] of Object.entries(numbers)) {
+    if (values[flag] !== undefined) {
+      options[option] = toNumber(values[flag], flag);
+    }
+  }
+
+  if (values["transfer-syntax"] !== undefined) {
+    options.transferSyntax = toTransferSyntax(values["transfer-syntax"]);
+  }
+  if (values["near-lossless"] !== undefined) {
+    options.compression = {
+      ...options.compression,
+      nearLossless: toNumber(values["near-lossless"], "near-lossless"),
+    };
+  }
+  if (values["compression-ratio"] !== undefined) {
+    options.compression = {
+      ...options.compression,
+      compressionRatio: toNumber(
+        values["compression-ratio"],
+        "compression-ratio",
+      ),
+    };
+  }
+  if (values.windows !== undefined) {
+    options.windows =
+      values.windows === "none" ? false : values.windows.split(",");
+  }
+  if (values["slice-axis"] !== undefined) {
+    const axis = values["slice-axis"];
+    options.sliceAxis = /^\d+$/.test(axis) ? Number(axis) : axis;
+  }
+  if (values["split-components"]) options.splitComponents = true;
+  if (values["parametric-map"]) options.sopClassUID = SOP_CLASS_UIDS.PMAP;
+  if (values.workers !== undefined) {
+    options.workers =
+      values.workers === "auto" ? true : toNumber(values.workers, "workers");
+  }
+
+  if (values["uid-root"] !== undefined || values.seed !== undefined) {
+    options.uidGenerator = createUIDGenerator({
+      root: values["uid-root"],
+      seed: values.seed,
+    });
+  }
+
+  // A reference series directory becomes the list of its files
+  const referenceDir = values["reference-series"] ?? metadata.referenceSeries;
+  if (typeof referenceDir === "string") {
+    options.referenceSeries = fs
+      .readdirSync(referenceDir)
+      .sort()
+      .map((file) => path.join(referenceDir, file))
+      .filter((file) => fs.statSync(file).isFile());
+  }
+
+  return {
+    input: positionals[0],
+    output: values.output,
+    backend,
+    media: Boolean(values.media),
+    quiet: Boolean(values.quiet),
+    options,
+  };
+}
+
+/**
+ * Saves the files into a directory, or a ZIP archive when the output ends in
+ * .zip, optionally laid out as DICOM media
+ */
+async function saveFiles(files, output, media) {
+  if (media) files = await createDicomMedia(files);
+
+  if (output.toLowerCase().endsWith(".zip")) {
+    const JSZip = (await import("jszip")).default;
+    const zip = new JSZip();
+    let fileCount = 0;
+    for await (const file of files) {
+      zip.file(file.filename, file.data);
+      fileCount++;
+    }
+    fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+    fs.writeFileSync(output, await zip.generateAsync({ type: "nodebuffer" }));
+    return fileCount;
+  }
+
+  fs.mkdirSync(output, { recursive: true });
+  let fileCount = 0;
+  for await (const file of files) {
+    const filePath = path.join(output, ...file.filename.split("/"));
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, file.data);
+    fileCount++;
+  }
+  return fileCount;
+}
+
+/**
+ * Runs the write-dicom command
+ * @param {Array<string>} args - Command line arguments, without node and the script
+ * @returns {Promise<number>} The exit code, see EXIT_CODES
+ */
+export async function runCli(args) {
+  let command;
+  try {
+    command = parseCliArguments(args);
+  } catch (error) {
+    console.error(`write-dicom: ${error.message}`);
+    if (error.exitCode === EXIT_CODES.USAGE) {
+      console.error("Run write-dicom --help for usage");
+    }
+    return error.exitCode ?? EXIT_CODES.FAILURE;
+  }
+
+  if (command.help) {
+    console.log(USAGE);
+    return EXIT_CODES.SUCCESS;
+  }
+  if (command.version) {
+    const packageJson = JSON.parse(
+      fs.readFileSync(new URL("../package.json", import.meta.url), "utf8"),
+    );
+    console.log(packageJson.version);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const { input, output, backend, media, quiet, options } = command;
+  // Quiet keeps the writer's warnings and errors, not its progress
+  const logger = quiet
+    ? { log: () => {}, warn: console.warn, error: console.error }
+    : console;
+
+  try {
+    if (!fs.existsSync(input)) {
+      throw new Error(`Input image not found: ${input}`);
+    }
+    const image = await readImageNode(input);
+    const fileCount = await saveFiles(
+      streamDicomSeries(image, { ...options, backend, logger }),
+      output,
+      media,
+    );
+    logger.log(`Wrote ${fileCount} DICOM files to ${output}`);
+    return EXIT_CODES.SUCCESS;
+  } catch (error) {
+    // WebAssembly exceptions can be bare numbers
+    console.error(`write-dicom: ${error?.message ?? error}`);
+    return EXIT_CODES.FAILURE;
+  }
+}
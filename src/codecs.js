@@ -0,0 +1,250 @@
+import { TRANSFER_SYNTAX_UIDS } from "./file-meta.js";
+import { encodeRleFrame } from "./rle.js";
+
+/**
+ * WebAssembly codecs, loaded on first use
+ */
+const CODECS = {
+  charls: () => import("@cornerstonejs/codec-charls/wasmjs"),
+  openjpeg: () => import("@cornerstonejs/codec-openjpeg/wasmjs"),
+};
+
+/**
+ * Lossy Image Compression Method (0028,2114) of each codec
+ */
+const LOSSY_METHODS = {
+  charls: "ISO_14495_1",
+  openjpeg: "ISO_15444_1",
+};
+
+const wasmUrls = {};
+const modules = {};
+
+/**
+ * Sets where a codec's .wasm file is served from. Node finds it next to the
+ * codec's script; bundled browser builds need its URL, e.g. with Vite:
+ * `setCodecWasmUrl("charls", (await import("@cornerstonejs/codec-charls/wasm?url")).default)`
+ * @param {string} codec - charls (JPEG-LS) or openjpeg (JPEG 2000)
+ * @param {string} url - URL of the codec's .wasm file
+ */
+export function setCodecWasmUrl(codec, url) {
+  if (!CODECS[codec]) {
+    throw new Error(
+      `Unknown codec: ${codec} (expected ${Object.keys(CODECS).join(", ")})`,
+    );
+  }
+  wasmUrls[codec] = url;
+  delete modules[codec];
+}
+
+/**
+ * The .wasm URLs set with setCodecWasmUrl, e.g. to pass on to workers
+ * @returns {Object<string, string>} URL by codec
+ */
+export function getCodecWasmUrls() {
+  return { ...wasmUrls };
+}
+
+function loadCodec(codec) {
+  modules[codec] ??= CODECS[codec]().then(({ default: createModule }) =>
+    createModule(
+      wasmUrls[codec] && {
+        locateFile: (path, prefix) =>
+          path.endsWith(".wasm") ? wasmUrls[codec] : prefix + path,
+      },
+    ),
+  );
+  return modules[codec];
+}
+
+function frameBytes(data) {
+  return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
+function checkBitsAllocated(name, bitsAllocated) {
+  if (bitsAllocated > 16) {
+    throw new Error(
+      `${name} encodes at most 16 bits per sample, got ${bitsAllocated}`,
+    );
+  }
+}
+
+/**
+ * Encodes a frame with CharLS. Signed samples are stored as their two's
+ * complement bit pattern, as DICOM expects
+ */
+function encodeJpegLs(charls, data, layout, nearLossless) {
+  const { rows, columns, samplesPerPixel, bitsAllocated } = layout;
+  checkBitsAllocated("JPEG-LS", bitsAllocated);
+
+  const encoder = new charls.JpegLSEncoder();
+  try {
+    encoder
+      .getDecodedBuffer({
+        width: columns,
+        height: rows,
+        bitsPerSample: bitsAllocated,
+        componentCount: samplesPerPixel,
+      })
+      .set(frameBytes(data));
+    // Sample interleaved, matching Planar Configuration 0
+    if (samplesPerPixel > 1) encoder.setInterleaveMode(2);
+    encoder.setNearLossless(nearLossless);
+    encoder.encode();
+    return encoder.getEncodedBuffer().slice();
+  } finally {
+    encoder.delete();
+  }
+}
+
+/**
+ * Encodes a frame as a JPEG 2000 codestream with OpenJPEG. Color stays RGB:
+ * no multiple component transform, so Photometric Interpretation is unchanged
+ */
+function encodeJpeg2000(openjpeg, data, layout, compressionRatio) {
+  const { rows, columns, samplesPerPixel, bitsAllocated, signed } = layout;
+  checkBitsAllocated("JPEG 2000", bitsAllocated);
+
+  const encoder = new openjpeg.J2KEncoder();
+  try {
+    encoder
+      .getDecodedBuffer({
+        width: columns,
+        height: rows,
+        bitsPerSample: bitsAllocated,
+        componentCount: samplesPerPixel,
+        isSigned: signed,
+        isUsingColorSpace: false,
+      })
+      .set(frameBytes(data));
+    // Each decomposition halves the image, small frames allow fewer than the default 5
+    encoder.setDecompositions(
+      Math.min(5, Math.floor(Math.log2(Math.min(rows, columns)))),
+    );
+    if (compressionRatio === undefined) {
+      encoder.setQuality(true, 0);
+    } else {
+      // One quality layer at the requested ratio, irreversible wavelet
+      encoder.setQuality(false, 1);
+      encoder.setCompressionRatio(0, compressionRatio);
+    }
+    encoder.encode();
+    return encoder.getEncodedBuffer().slice();
+  } finally {
+    encoder.delete();
+  }
+}
+
+/**
+ * Loads the frame encoder of a compressed transfer syntax.
+ *
+ * RLE Lossless is plain JavaScript, JPEG-LS uses CharLS and JPEG 2000 uses
+ * OpenJPEG, both compiled to WebAssembly. JPEG-LS Near-Lossless with a
+ * nearLossless error bound and JPEG 2000 with a compressionRatio are lossy;
+ * without them both transfer syntaxes are still encoded losslessly.
+ * @param {string} transferSyntax - Transfer Syntax UID, see TRANSFER_SYNTAX_UIDS
+ * @param {Object} [compression] - Lossy compression settings
+ * @param {number} [compression.nearLossless] - Largest error per sample, JPEG-LS Near-Lossless only (default: 0)
+ * @param {number} [compression.compressionRatio] - Target compression ratio, JPEG 2000 only (default: lossless)
+ * @returns {Promise<{encode: function(TypedArray, Object): Uint8Array, lossy: boolean, method?: string}|undefined>}
+ *   Encoder of one frame (layout: rows, columns, samplesPerPixel, bitsAllocated, signed), whether it
+ *   loses information and the Lossy Image Compression Method; undefined for uncompressed transfer syntaxes
+ */
+export async function loadFrameEncoder(transferSyntax, compression = {}) {
+  const { nearLossless = 0, compressionRatio } = compression;
+  const isNearLossless =
+    transferSyntax === TRANSFER_SYNTAX_UIDS.JPEG_LS_NEAR_LOSSLESS;
+  const isLossyJpeg2000 = transferSyntax === TRANSFER_SYNTAX_UIDS.JPEG_2000;
+
+  if (nearLossless !== 0 && !isNearLossless) {
+    throw new Error(
+      "nearLossless needs the JPEG-LS Near-Lossless transfer syntax (1.2.840.10008.1.2.4.81)",
+    );
+  }
+  if (!Number.isInteger(nearLossless) || nearLossless < 0) {
+    throw new Error(
+      `nearLossless must be a non-negative integer, got ${nearLossless}`,
+    );
+  }
+  if (compressionRatio !== undefined && !isLossyJpeg2000) {
+    throw new Error(
+      "compressionRatio needs the JPEG 2000 transfer syntax (1.2.840.10008.1.2.4.91)",
+    );
+  }
+  if (compressionRatio !== undefined && !(compressionRatio > 1)) {
+    throw new Error(
+      `compressionRatio must be greater than 1, got ${compressionRatio}`,
+    );
+  }
+
+  switch (transferSyntax) {
+    case TRANSFER_SYNTAX_UIDS.RLE_LOSSLESS:
+      return { encode: encodeRleFrame, lossy: false };
+
+    case TRANSFER_SYNTAX_UIDS.JPEG_LS_LOSSLESS:
+    case TRANSFER_SYNTAX_UIDS.JPEG_LS_NEAR_LOSSLESS: {
+      const charls = await loadCodec("charls");
+      return {
+        encode: (data, layout) =>
+          encodeJpegLs(charls, data, layout, nearLossless),
+        lossy: nearLossless > 0,
+        method: LOSSY_METHODS.charls,
+      };
+    }
+
+    case TRANSFER_SYNTAX_UIDS.JPEG_2000_LOSSLESS:
+    case TRANSFER_SYNTAX_UIDS.JPEG_2000: {
+      const openjpeg = await loadCodec("openjpeg");
+      return {
+        encode: (data, layout) =>
+          encodeJpeg2000(openjpeg, data, layout, compressionRatio),
+        lossy: compressionRatio !== undefined,
+        method: LOSSY_METHODS.openjpeg,
+      };
+    }
+
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Creates the Lossy Image Compression attributes of a compressed frame
+ * @param {Object} frameEncoder - The encoder from loadFrameEncoder
+ * @param {Object} frame - Sizes of the frame
+ * @param {number} frame.originalLength - Uncompressed length in bytes
+ * @param {number} frame.encodedLength - Compressed length in bytes
+ * @returns {Object} DICOM dataset entries keyed by tag
+ */
+export function createLossyCompressionModule(
+  { lossy, method },
+  { originalLength, encodedLength },
+) {
+  if (!lossy) {
+    return {
+      "00282110": {
+        // LossyImageCompression
+        vr: "CS",
+        Value: ["00"],
+      },
+    };
+  }
+
+  return {
+    "00282110": {
+      // LossyImageCompression
+      vr: "CS",
+      Value: ["01"],
+    },
+    "00282112": {
+      // LossyImageCompressionRatio, the ratio actually achieved
+      vr: "DS",
+      Value: [Math.round((originalLength / encodedLength) * 100) / 100],
+    },
+    "00282114": {
+      // LossyImageCompressionMethod
+      vr: "CS",
+      Value: [method],
+    },
+  };
+}
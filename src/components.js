@@ -0,0 +1,80 @@
+/**
+ * Ways to turn an RGBA image into RGB before writing
+ */
+const ALPHA_MODES = ["reject", "drop", "premultiply"];
+
+/**
+ * Copies one component of a multi-component image into a scalar image
+ * @param {Image} image - Image with interleaved components
+ * @param {number} component - Index of the component to extract
+ * @returns {Image} Scalar image with the same geometry and metadata
+ */
+export function extractComponent(image, component) {
+  const { components } = image.imageType;
+  const data = new image.data.constructor(image.data.length / components);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = image.data[i * components + component];
+  }
+
+  return {
+    ...image,
+    imageType: { ...image.imageType, components: 1, pixelType: "Scalar" },
+    data,
+  };
+}
+
+/**
+ * Converts an RGBA image to RGB, or rejects it
+ * @param {Image} image - 8-bit RGBA image
+ * @param {string} alpha - reject (throw), drop (ignore alpha) or premultiply (blend onto black)
+ * @returns {Image} 8-bit RGB image
+ */
+export function convertRgbaToRgb(image, alpha = "reject") {
+  if (!ALPHA_MODES.includes(alpha)) {
+    throw new Error(
+      `Unknown alpha mode: ${alpha} (expected ${ALPHA_MODES.join(", ")})`,
+    );
+  }
+  if (alpha === "reject") {
+    throw new Error(
+      'DICOM has no RGBA photometric interpretation: pass alpha: "drop" or "premultiply" to convert to RGB, ' +
+        "or splitComponents: true to write one series per component",
+    );
+  }
+
+  const pixelCount = image.data.length / 4;
+  const data = new Uint8Array(pixelCount * 3);
+  for (let i = 0; i < pixelCount; i++) {
+    const a = alpha === "premultiply" ? image.data[i * 4 + 3] / 255 : 1;
+    for (let c = 0; c < 3; c++) {
+      data[i * 3 + c] = Math.round(image.data[i * 4 + c] * a);
+    }
+  }
+
+  return {
+    ...image,
+    imageType: { ...image.imageType, components: 3, pixelType: "RGB" },
+    data,
+  };
+}
+
+/**
+ * Decides how an image's components can be written: as is (single component
+ * or 8-bit RGB), converted from RGBA, or only split into one series each
+ * @param {Object} imageType - ITK-Wasm image type
+ * @returns {string} scalar, rgb, rgba or vector
+ */
+export function classifyComponents(imageType) {
+  const { components, pixelType, componentType } = imageType;
+  if (components === 1) return "scalar";
+
+  if (pixelType !== "RGB" && pixelType !== "RGBA") return "vector";
+
+  if (componentType !== "uint8") {
+    throw new Error(
+      `DICOM color images are 8-bit: ${pixelType} pixels must be uint8, not ${componentType}. ` +
+        "Pass splitComponents: true to write one series per component",
+    );
+  }
+  return components === 3 ? "rgb" : "rgba";
+}
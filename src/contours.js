@@ -0,0 +1,95 @@
+/**
+ * Traces the closed contours of a binary mask with marching squares.
+ *
+ * Contour points lie halfway between inside and outside pixel centers, in
+ * continuous pixel index coordinates. Every island and every hole gives its
+ * own closed contour: outer boundaries run clockwise and holes
+ * counterclockwise (in index space, y down), so the even-odd rule recovers the
+ * mask. Diagonally touching pixels are treated as connected.
+ * @param {Uint8Array} mask - Row-major mask, non-zero is inside
+ * @param {number} width - Number of columns
+ * @param {number} height - Number of rows
+ * @returns {Array<Array<number[]>>} Closed contours as lists of [x, y] points
+ */
+export function traceContours(mask, width, height) {
+  const inside = (x, y) =>
+    x >= 0 && y >= 0 && x < width && y < height && mask[y * width + x] !== 0;
+
+  // Edge crossings are stored in doubled coordinates so they stay integers:
+  // the crossing between pixels (x, y) and (x + 1, y) is (2x + 1, 2y)
+  const keyWidth = 2 * width + 4;
+  const toKey = (u, v) => u + 2 + (v + 2) * keyWidth;
+
+  // Directed segments keyed by their start crossing
+  const next = new Map();
+
+  // Cells span pixel centers (x, y) to (x + 1, y + 1), including a ring of
+  // outside cells so contours on the image border are closed
+  for (let y = -1; y < height; y++) {
+    for (let x = -1; x < width; x++) {
+      // Cell corners clockwise: top-left, top-right, bottom-right, bottom-left
+      const corners = [
+        inside(x, y),
+        inside(x + 1, y),
+        inside(x + 1, y + 1),
+        inside(x, y + 1),
+      ];
+      if (corners.every((c) => c === corners[0])) continue;
+
+      // Crossing on the cell edge from corner i to corner i + 1
+      const crossings = [
+        [2 * x + 1, 2 * y],
+        [2 * x + 2, 2 * y + 1],
+        [2 * x + 1, 2 * y + 2],
+        [2 * x, 2 * y + 1],
+      ];
+
+      // Each contour segment leaves the cell where the boundary goes from an
+      // inside to an outside corner and re-enters at the next outside to
+      // inside transition, cutting off the outside corners between them
+      for (let i = 0; i < 4; i++) {
+        if (!corners[i] || corners[(i + 1) % 4]) continue;
+        let j = (i + 1) % 4;
+        while (corners[j] || !corners[(j + 1) % 4]) j = (j + 1) % 4;
+        const [startU, startV] = crossings[i];
+        const [endU, endV] = crossings[j];
+        next.set(toKey(startU, startV), [startU, startV, endU, endV]);
+      }
+    }
+  }
+
+  // Link the segments into closed loops
+  const contours = [];
+  const visited = new Set();
+  for (const [startKey, segment] of next) {
+    if (visited.has(startKey)) continue;
+
+    const points = [];
+    let key = startKey;
+    let current = segment;
+    while (!visited.has(key)) {
+      visited.add(key);
+      points.push([current[0] / 2, current[1] / 2]);
+      key = toKey(current[2], current[3]);
+      current = next.get(key);
+    }
+    contours.push(removeCollinearPoints(points));
+  }
+
+  return contours;
+}
+
+/**
+ * Drops points in the middle of straight runs
+ */
+function removeCollinearPoints(points) {
+  const n = points.length;
+  return points.filter((point, i) => {
+    const previous = points[(i + n - 1) % n];
+    const following = points[(i + 1) % n];
+    const cross =
+      (point[0] - previous[0]) * (following[1] - point[1]) -
+      (point[1] - previous[1]) * (following[0] - point[0]);
+    return cross !== 0;
+  });
+}
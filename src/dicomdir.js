@@ -0,0 +1,392 @@
+import dcmjs from "dcmjs";
+import { createFileMetaInformation } from "./file-meta.js";
+import { SOP_CLASS_UIDS } from "./sop-classes.js";
+import { generateUID } from "./uid.js";
+
+const { DicomDict, DicomMessage } = dcmjs.data;
+
+/**
+ * Media Storage Directory Storage, the SOP Class of a DICOMDIR
+ */
+export const MEDIA_STORAGE_DIRECTORY_SOP_CLASS_UID = "1.2.840.10008.1.3.10";
+
+/**
+ * Directory Record Type of each SOP Class (PS3.3 F.5), IMAGE for the other
+ * image SOP Classes. Segmentations and Parametric Maps are multi-frame
+ * images, so they get IMAGE records too
+ */
+const RECORD_TYPES = {
+  [SOP_CLASS_UIDS.SEG]: "IMAGE",
+  [SOP_CLASS_UIDS.PMAP]: "IMAGE",
+  [SOP_CLASS_UIDS.RTSTRUCT]: "RT STRUCTURE SET",
+};
+
+/**
+ * Item tag (FFFE,E000) as written in Little Endian
+ */
+const ITEM_TAG = [0xfe, 0xff, 0x00, 0xe0];
+
+/**
+ * Directory Record Sequence (0004,1220) with its SQ VR
+ */
+const SEQUENCE_TAG = [0x04, 0x00, 0x20, 0x12, 0x53, 0x51];
+
+function firstValue(dict, tag) {
+  return dict[tag]?.Value?.[0];
+}
+
+/**
+ * Copies the listed attributes that are present into a directory record
+ */
+function keys(dict, tags) {
+  const record = {};
+  for (const tag of tags) {
+    if (dict[tag]?.Value?.length) record[tag] = dict[tag];
+  }
+  return record;
+}
+
+/**
+ * Type 2 keys of a record: present, and empty when the file has no value
+ */
+function emptyKeys(dict, tags) {
+  const record = {};
+  for (const [tag, vr] of Object.entries(tags)) {
+    record[tag] = dict[tag]?.Value?.length ? dict[tag] : { vr, Value: [] };
+  }
+  return record;
+}
+
+/**
+ * Names a directory or file of the media layout: a prefix and a number,
+ * at most 8 characters of A-Z and 0-9 (PS3.10 8.2)
+ */
+function fileId(prefix, index) {
+  const id = `${prefix}${String(index + 1).padStart(4, "0")}`;
+  if (id.length > 8) {
+    throw new Error(
+      `Too many entries for the media layout: ${id} is over 8 characters`,
+    );
+  }
+  return id;
+}
+
+/**
+ * Groups files into patients, studies and series and gives each file its
+ * path in the media layout
+ */
+function organize(files) {
+  const patients = new Map();
+  for (const file of files) {
+    const buffer = file.data.buffer.slice(
+      file.data.byteOffset,
+      file.data.byteOffset + file.data.byteLength,
+    );
+    // Pixel data is not needed, stop reading before it
+    const { meta, dict } = DicomMessage.readFile(buffer, {
+      untilTag: "7FE00010",
+    });
+
+    const patientID = firstValue(dict, "00100020") ?? "";
+    if (!patients.has(patientID)) {
+      patients.set(patientID, { dict, studies: new Map() });
+    }
+    const { studies } = patients.get(patientID);
+
+    const studyUID = firstValue(dict, "0020000D");
+    if (!studies.has(studyUID)) {
+      studies.set(studyUID, { dict, series: new Map() });
+    }
+    const { series } = studies.get(studyUID);
+
+    const seriesUID = firstValue(dict, "0020000E");
+    if (!series.has(seriesUID)) {
+      series.set(seriesUID, { dict, instances: [] });
+    }
+    series.get(seriesUID).instances.push({ file, meta, dict });
+  }
+
+  // Directories and files are numbered in order, instances by Instance Number
+  return [...patients.values()].map((patient, p) => {
+    const patientPath = ["DICOM", fileId("PAT", p)];
+    return {
+      ...patient,
+      studies: [...patient.studies.values()].map((study, s) => {
+        const studyPath = [...patientPath, fileId("STU", s)];
+        return {
+          ...study,
+          series: [...study.series.values()].map((series, r) => {
+            const seriesPath = [...studyPath, fileId("SER", r)];
+            const instances = [...series.instances].sort(
+              (a, b) =>
+                (firstValue(a.dict, "00200013") ?? 0) -
+                (firstValue(b.dict, "00200013") ?? 0),
+            );
+            return {
+              ...series,
+              instances: instances.map((instance, i) => ({
+                ...instance,
+                path: [...seriesPath, fileId("IMG", i)],
+              })),
+            };
+          }),
+        };
+      }),
+    };
+  });
+}
+
+/**
+ * Creates a Directory Record with its links left at 0 until the offsets are known
+ */
+function directoryRecord(type, attributes) {
+  return {
+    "00041400": {
+      // OffsetOfTheNextDirectoryRecord
+      vr: "UL",
+      Value: [0],
+    },
+    "00041410": {
+      // RecordInUseFlag
+      vr: "US",
+      Value: [0xffff],
+    },
+    "00041420": {
+      // OffsetOfReferencedLowerLevelDirectoryEntity
+      vr: "UL",
+      Value: [0],
+    },
+    "00041430": {
+      // DirectoryRecordType
+      vr: "CS",
+      Value: [type],
+    },
+    ...attributes,
+  };
+}
+
+/**
+ * Lists the directory records depth first: each patient is followed by its
+ * studies, each study by its series, each series by its instances.
+ * Every record remembers its next sibling and first child by index
+ */
+function createRecords(patients) {
+  const records = [];
+  const add = (record, siblings) => {
+    siblings.push(records.length);
+    records.push({ record, children: [] });
+    return records[records.length - 1];
+  };
+
+  const roots = [];
+  for (const patient of patients) {
+    const patientEntry = add(
+      directoryRecord("PATIENT", {
+        ...keys(patient.dict, ["00080005", "00100020", "00100030", "00100040"]),
+        ...emptyKeys(patient.dict, { "00100010": "PN" }),
+      }),
+      roots,
+    );
+    for (const study of patient.studies) {
+      const studyEntry = add(
+        directoryRecord("STUDY", {
+          ...keys(study.dict, ["00080005", "00080020", "00080030", "0020000D"]),
+          ...emptyKeys(study.dict, {
+            "00080050": "SH", // AccessionNumber
+            "00081030": "LO", // StudyDescription
+            "00200010": "SH", // StudyID
+          }),
+        }),
+        patientEntry.children,
+      );
+      for (const series of study.series) {
+        const seriesEntry = add(
+          directoryRecord(
+            "SERIES",
+            keys(series.dict, [
+              "00080005",
+              "00080060",
+              "0008103E",
+              "0020000E",
+              "00200011",
+            ]),
+          ),
+          studyEntry.children,
+        );
+        for (const { dict, meta, path } of series.instances) {
+          const sopClassUID = firstValue(meta, "00020002");
+          add(
+            directoryRecord(RECORD_TYPES[sopClassUID] ?? "IMAGE", {
+              "00041500": {
+                // ReferencedFileID
+                vr: "CS",
+                Value: path,
+              },
+              "00041510": {
+                // ReferencedSOPClassUIDInFile
+                vr: "UI",
+                Value: [sopClassUID],
+              },
+              "00041511": {
+                // ReferencedSOPInstanceUIDInFile
+                vr: "UI",
+                Value: [firstValue(meta, "00020003")],
+              },
+              "00041512": {
+                // ReferencedTransferSyntaxUIDInFile
+                vr: "UI",
+                Value: [firstValue(meta, "00020010")],
+              },
+              ...keys(dict, [
+                "00080005",
+                "00200013",
+                "30060002", // StructureSetLabel
+                "30060008", // StructureSetDate
+                "30060009", // StructureSetTime
+              ]),
+            }),
+            seriesEntry.children,
+          );
+        }
+      }
+    }
+  }
+
+  return { records, roots };
+}
+
+/**
+ * Finds where each directory record starts in a written DICOMDIR. Records
+ * hold no sequences, so every item tag after the Directory Record Sequence
+ * starts a record
+ */
+function findRecordOffsets(bytes, count) {
+  const start = bytes.findIndex(
+    (byte, i) =>
+      byte === 0x04 && SEQUENCE_TAG.every((value, k) => bytes[i + k] === value),
+  );
+  const offsets = [];
+  for (let i = start; i + 4 <= bytes.length && offsets.length < count; i++) {
+    if (ITEM_TAG.every((byte, k) => bytes[i + k] === byte)) offsets.push(i);
+  }
+  if (offsets.length !== count) {
+    throw new Error(
+      `Found ${offsets.length} of ${count} directory records in the DICOMDIR`,
+    );
+  }
+  return offsets;
+}
+
+function writeDicomDir(records, roots, offsets, { fileSetID, sopInstanceUID }) {
+  const entries = records.map(({ record }) => record);
+  if (offsets) {
+    const link = (siblings) => {
+      siblings.forEach((index, i) => {
+        const { record, children } = records[index];
+        record["00041400"].Value = [
+          i + 1 < siblings.length ? offsets[siblings[i + 1]] : 0,
+        ];
+        record["00041420"].Value = [children.length ? offsets[children[0]] : 0];
+        link(children);
+      });
+    };
+    link(roots);
+  }
+
+  const dicomDict = new DicomDict(
+    createFileMetaInformation({
+      sopClassUID: MEDIA_STORAGE_DIRECTORY_SOP_CLASS_UID,
+      sopInstanceUID,
+    }),
+  );
+  dicomDict.dict = {
+    "00041130": {
+      // FileSetID
+      vr: "CS",
+      Value: [fileSetID],
+    },
+    "00041200": {
+      // OffsetOfTheFirstDirectoryRecordOfTheRootDirectoryEntity
+      vr: "UL",
+      Value: [offsets ? offsets[roots[0]] : 0],
+    },
+    "00041202": {
+      // OffsetOfTheLastDirectoryRecordOfTheRootDirectoryEntity
+      vr: "UL",
+      Value: [offsets ? offsets[roots[roots.length - 1]] : 0],
+    },
+    "00041212": {
+      // FileSetConsistencyFlag
+      vr: "US",
+      Value: [0],
+    },
+    "00041220": {
+      // DirectoryRecordSequence
+      vr: "SQ",
+      Value: entries,
+    },
+  };
+  return new Uint8Array(dicomDict.write());
+}
+
+/**
+ * Lays files out as DICOM media (PS3.10, IHE Portable Data for Imaging):
+ * files in DICOM/PAT0001/STU0001/SER0001/IMG0001 folders by patient, study
+ * and series, a DICOMDIR at the root indexing them with Patient, Study,
+ * Series and Image records, and a README.TXT.
+ *
+ * The DICOMDIR is written twice: the first pass finds where each record
+ * starts, the second fills in the offsets linking them.
+ * @param {Array<{data: Uint8Array}>|AsyncIterable} files - The DICOM files, e.g. from writeImageAsDicomSeriesWithDcmjs
+ * @param {Object} options - Media options
+ * @param {string} options.fileSetID - File-set ID, up to 16 characters (default: WRITE_DICOM)
+ * @param {string} options.readme - Text of README.TXT (default: a short description of the media)
+ * @param {function(): string} options.uidGenerator - Generates the DICOMDIR SOP Instance UID (default: generateUID)
+ * @returns {Promise<Array<{filename: string, data: Uint8Array}>>} DICOMDIR, README.TXT and the DICOM files,
+ *   with filenames as paths in the media layout
+ */
+export async function createDicomMedia(files, options = {}) {
+  const {
+    fileSetID = "WRITE_DICOM",
+    readme = "This media holds DICOM images. The DICOMDIR file indexes the files in the DICOM folder.\r\n" +
+      "Open it with a DICOM viewer or import it into a PACS.\r\n",
+    uidGenerator = generateUID,
+  } = options;
+  if (!/^[A-Z0-9_ ]{1,16}$/.test(fileSetID)) {
+    throw new Error(
+      `Invalid File-set ID: ${fileSetID} (expected up to 16 characters of A-Z, 0-9, space and _)`,
+    );
+  }
+
+  const collected = [];
+  for await (const file of files) collected.push(file);
+  if (collected.length === 0) {
+    throw new Error("DICOM media needs at least one file");
+  }
+
+  const patients = organize(collected);
+  const { records, roots } = createRecords(patients);
+  const settings = { fileSetID, sopInstanceUID: uidGenerator() };
+  const offsets = findRecordOffsets(
+    writeDicomDir(records, roots, undefined, settings),
+    records.length,
+  );
+
+  const mediaFiles = [
+    {
+      filename: "DICOMDIR",
+      data: writeDicomDir(records, roots, offsets, settings),
+    },
+    { filename: "README.TXT", data: new TextEncoder().encode(readme) },
+  ];
+  for (const patient of patients) {
+    for (const study of patient.studies) {
+      for (const series of study.series) {
+        for (const { file, path } of series.instances) {
+          mediaFiles.push({ filename: path.join("/"), data: file.data });
+        }
+      }
+    }
+  }
+  return mediaFiles;
+}
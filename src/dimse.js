@@ -0,0 +1,625 @@
+import net from "net";
+import {
+  IMPLEMENTATION_CLASS_UID,
+  IMPLEMENTATION_VERSION_NAME,
+  TRANSFER_SYNTAX_UIDS,
+} from "./file-meta.js";
+
+/**
+ * Upper Layer PDU types (PS3.8 9.3)
+ */
+const PDU = {
+  ASSOCIATE_RQ: 0x01,
+  ASSOCIATE_AC: 0x02,
+  ASSOCIATE_RJ: 0x03,
+  DATA_TF: 0x04,
+  RELEASE_RQ: 0x05,
+  RELEASE_RP: 0x06,
+  ABORT: 0x07,
+};
+
+const APPLICATION_CONTEXT_NAME = "1.2.840.10008.3.1.1.1";
+const VERIFICATION_SOP_CLASS_UID = "1.2.840.10008.1.1";
+
+/**
+ * DIMSE command fields (PS3.7 E.1)
+ */
+const COMMAND = {
+  C_STORE_RQ: 0x0001,
+  C_STORE_RSP: 0x8001,
+  C_ECHO_RQ: 0x0030,
+  C_ECHO_RSP: 0x8030,
+};
+const NO_DATA_SET = 0x0101;
+
+/**
+ * Value representations of the command elements (group 0000) used here
+ */
+const COMMAND_VRS = {
+  0x0000: "UL", // CommandGroupLength
+  0x0002: "UI", // AffectedSOPClassUID
+  0x0100: "US", // CommandField
+  0x0110: "US", // MessageID
+  0x0120: "US", // MessageIDBeingRespondedTo
+  0x0700: "US", // Priority
+  0x0800: "US", // CommandDataSetType
+  0x0900: "US", // Status
+  0x0902: "LO", // ErrorComment
+  0x1000: "UI", // AffectedSOPInstanceUID
+};
+
+/**
+ * C-STORE statuses that still store the instance (PS3.4 B.2.3)
+ */
+const WARNING_STATUSES = [0xb000, 0xb006, 0xb007];
+
+/**
+ * Largest P-DATA-TF PDU we accept from the peer
+ */
+const MAX_PDU_LENGTH = 65536;
+
+const PRESENTATION_CONTEXT_RESULTS = [
+  "acceptance",
+  "user-rejection",
+  "no-reason",
+  "abstract-syntax-not-supported",
+  "transfer-syntaxes-not-supported",
+];
+
+function toHex(status) {
+  return `0x${status.toString(16).toUpperCase().padStart(4, "0")}`;
+}
+
+function aeTitleBytes(title, name) {
+  if (!title || title.length > 16 || !/^[\x20-\x7e]+$/.test(title)) {
+    throw new Error(
+      `Invalid ${name}: ${title} (expected 1 to 16 ASCII characters)`,
+    );
+  }
+  return Buffer.from(title.padEnd(16, " "), "ascii");
+}
+
+/**
+ * Encodes an item or sub-item of an association PDU: type, reserved byte,
+ * 16-bit length and value
+ */
+function encodeItem(type, value) {
+  const header = Buffer.alloc(4);
+  header[0] = type;
+  header.writeUInt16BE(value.length, 2);
+  return Buffer.concat([header, value]);
+}
+
+function encodePdu(type, body) {
+  const header = Buffer.alloc(6);
+  header[0] = type;
+  header.writeUInt32BE(body.length, 2);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Encodes an A-ASSOCIATE-RQ PDU (PS3.8 9.3.2) proposing one presentation
+ * context per abstract syntax, with odd IDs
+ */
+function encodeAssociateRequest({ callingAETitle, calledAETitle }, contexts) {
+  const fixed = Buffer.alloc(68);
+  fixed.writeUInt16BE(1, 0); // Protocol version
+  aeTitleBytes(calledAETitle, "called AE title").copy(fixed, 4);
+  aeTitleBytes(callingAETitle, "calling AE title").copy(fixed, 20);
+
+  const items = [encodeItem(0x10, Buffer.from(APPLICATION_CONTEXT_NAME))];
+  for (const { id, abstractSyntax, transferSyntaxes } of contexts) {
+    items.push(
+      encodeItem(
+        0x20,
+        Buffer.concat([
+          Buffer.from([id, 0, 0, 0]),
+          encodeItem(0x30, Buffer.from(abstractSyntax)),
+          ...transferSyntaxes.map((uid) => encodeItem(0x40, Buffer.from(uid))),
+        ]),
+      ),
+    );
+  }
+
+  const maxLength = Buffer.alloc(4);
+  maxLength.writeUInt32BE(MAX_PDU_LENGTH);
+  items.push(
+    encodeItem(
+      0x50,
+      Buffer.concat([
+        encodeItem(0x51, maxLength),
+        encodeItem(0x52, Buffer.from(IMPLEMENTATION_CLASS_UID)),
+        encodeItem(0x55, Buffer.from(IMPLEMENTATION_VERSION_NAME)),
+      ]),
+    ),
+  );
+
+  return encodePdu(PDU.ASSOCIATE_RQ, Buffer.concat([fixed, ...items]));
+}
+
+function readItems(buffer, offset, end, onItem) {
+  while (offset + 4 <= end) {
+    const type = buffer[offset];
+    const length = buffer.readUInt16BE(offset + 2);
+    onItem(type, buffer.subarray(offset + 4, offset + 4 + length));
+    offset += 4 + length;
+  }
+}
+
+function toUID(bytes) {
+  return bytes.toString("ascii").replace(/[\0 ]+$/, "");
+}
+
+/**
+ * Decodes an A-ASSOCIATE-AC PDU into the result of each presentation context
+ * and the largest PDU the peer accepts (0 for no limit)
+ */
+function decodeAssociateAccept(body) {
+  const results = new Map();
+  let maxPduLength = 0;
+  readItems(body, 68, body.length, (type, value) => {
+    if (type === 0x21) {
+      let transferSyntax;
+      readItems(value, 4, value.length, (subType, subValue) => {
+        if (subType === 0x40) transferSyntax = toUID(subValue);
+      });
+      results.set(value[0], { result: value[2], transferSyntax });
+    } else if (type === 0x50) {
+      readItems(value, 0, value.length, (subType, subValue) => {
+        if (subType === 0x51) maxPduLength = subValue.readUInt32BE(0);
+      });
+    }
+  });
+  return { results, maxPduLength };
+}
+
+/**
+ * Encodes a command set in Implicit VR Little Endian, with its group length
+ * @param {Array<[number, *]>} elements - Element numbers of group 0000 and their values
+ */
+function encodeCommand(elements) {
+  const encoded = elements
+    .sort(([a], [b]) => a - b)
+    .map(([element, value]) => {
+      let bytes;
+      if (COMMAND_VRS[element] === "US") {
+        bytes = Buffer.alloc(2);
+        bytes.writeUInt16LE(value);
+      } else {
+        bytes = Buffer.from(value.length % 2 ? `${value}\0` : value, "ascii");
+      }
+      const header = Buffer.alloc(8);
+      header.writeUInt16LE(element, 2);
+      header.writeUInt32LE(bytes.length, 4);
+      return Buffer.concat([header, bytes]);
+    });
+
+  const body = Buffer.concat(encoded);
+  const groupLength = Buffer.alloc(12);
+  groupLength.writeUInt32LE(4, 4);
+  groupLength.writeUInt32LE(body.length, 8);
+  return Buffer.concat([groupLength, body]);
+}
+
+/**
+ * Decodes an Implicit VR Little Endian command set into values keyed by element number
+ */
+function decodeCommand(bytes) {
+  const command = {};
+  let offset = 0;
+  while (offset + 8 <= bytes.length) {
+    const element = bytes.readUInt16LE(offset + 2);
+    const length = bytes.readUInt32LE(offset + 4);
+    const value = bytes.subarray(offset + 8, offset + 8 + length);
+    const vr = COMMAND_VRS[element];
+    if (vr === "US") command[element] = value.readUInt16LE(0);
+    else if (vr === "UL") command[element] = value.readUInt32LE(0);
+    else command[element] = toUID(value);
+    offset += 8 + length;
+  }
+  return command;
+}
+
+/**
+ * Reads the SOP Class, SOP Instance and Transfer Syntax UIDs from the File
+ * Meta Information of a Part 10 file, and where its data set starts
+ */
+function readFileMeta(data) {
+  const bytes = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  if (bytes.toString("ascii", 128, 132) !== "DICM") {
+    throw new Error("Not a DICOM Part 10 file: missing DICM prefix");
+  }
+
+  const meta = {};
+  let offset = 132;
+  // File Meta Information is Explicit VR Little Endian
+  while (offset + 8 <= bytes.length && bytes.readUInt16LE(offset) === 0x0002) {
+    const element = bytes.readUInt16LE(offset + 2);
+    const vr = bytes.toString("ascii", offset + 4, offset + 6);
+    const longLength = ["OB", "OW", "SQ", "UN", "UT", "UR", "UC"].includes(vr);
+    const length = longLength
+      ? bytes.readUInt32LE(offset + 8)
+      : bytes.readUInt16LE(offset + 6);
+    const valueOffset = offset + (longLength ? 12 : 8);
+    meta[element] = toUID(bytes.subarray(valueOffset, valueOffset + length));
+    offset = valueOffset + length;
+  }
+
+  return {
+    sopClassUID: meta[0x0002],
+    sopInstanceUID: meta[0x0003],
+    transferSyntax: meta[0x0010],
+    dataSet: bytes.subarray(offset),
+  };
+}
+
+/**
+ * Splits incoming bytes into PDUs and hands them out one at a time
+ */
+function createPduReader(socket) {
+  let buffer = Buffer.alloc(0);
+  const received = [];
+  let waiting = null;
+  let failure = null;
+
+  const settle = () => {
+    if (!waiting) return;
+    if (received.length > 0) waiting.resolve(received.shift());
+    else if (failure) waiting.reject(failure);
+    else return;
+    waiting = null;
+  };
+
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 6 && buffer.length >= 6 + buffer.readUInt32BE(2)) {
+      const length = buffer.readUInt32BE(2);
+      received.push({ type: buffer[0], body: buffer.subarray(6, 6 + length) });
+      buffer = buffer.subarray(6 + length);
+    }
+    settle();
+  });
+  socket.on("error", (error) => {
+    failure = error;
+    settle();
+  });
+  socket.on("close", () => {
+    failure ??= new Error("Connection closed by the peer");
+    settle();
+  });
+
+  return (timeout, what) =>
+    new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        waiting = null;
+        reject(new Error(`Timed out waiting for ${what}`));
+      }, timeout);
+      waiting = {
+        resolve: (pdu) => {
+          clearTimeout(timer);
+          resolve(pdu);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      };
+      settle();
+    });
+}
+
+/**
+ * Opens an association with the SCP and negotiates the presentation contexts
+ * @param {Object} options - Connection options, see cStore
+ * @param {Array<{abstractSyntax: string, transferSyntaxes: Array<string>}>} proposed - Contexts to propose
+ * @returns {Promise<Object>} The association: its accepted contexts and functions to exchange
+ *   messages, release and abort
+ */
+async function openAssociation(options, proposed) {
+  const { host, port, timeout } = options;
+  const contexts = proposed.map((context, index) => ({
+    ...context,
+    id: index * 2 + 1,
+  }));
+  const request = encodeAssociateRequest(options, contexts);
+
+  const socket = net.connect({ host, port });
+  socket.setNoDelay(true);
+  const nextPdu = createPduReader(socket);
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error(`Timed out connecting to ${host}:${port}`));
+    }, timeout);
+    socket.once("connect", () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    socket.once("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+
+  let answer;
+  try {
+    socket.write(request);
+    answer = await nextPdu(timeout, "A-ASSOCIATE-AC");
+  } catch (error) {
+    socket.destroy();
+    throw error;
+  }
+
+  if (answer.type === PDU.ASSOCIATE_RJ) {
+    socket.destroy();
+    const [result, source, reason] = answer.body.subarray(1, 4);
+    throw new Error(
+      `Association rejected by ${options.calledAETitle} (result ${result}, source ${source}, reason ${reason})`,
+    );
+  }
+  if (answer.type !== PDU.ASSOCIATE_AC) {
+    socket.destroy();
+    throw new Error(
+      `Association ${answer.type === PDU.ABORT ? "aborted" : "failed"} by ${options.calledAETitle}`,
+    );
+  }
+
+  const { results, maxPduLength } = decodeAssociateAccept(answer.body);
+  const accepted = [];
+  const refused = [];
+  for (const context of contexts) {
+    const { result, transferSyntax } = results.get(context.id) ?? {
+      result: 2,
+    };
+    if (result === 0) {
+      accepted.push({
+        id: context.id,
+        abstractSyntax: context.abstractSyntax,
+        transferSyntax,
+      });
+    } else {
+      refused.push({
+        abstractSyntax: context.abstractSyntax,
+        reason: PRESENTATION_CONTEXT_RESULTS[result] ?? `result ${result}`,
+      });
+    }
+  }
+
+  // Each P-DATA-TF carries one PDV: 4 length bytes, context ID and control header
+  const maxFragment = (maxPduLength || MAX_PDU_LENGTH) - 6;
+
+  const sendPdvs = (contextId, bytes, isCommand) => {
+    let offset = 0;
+    do {
+      const fragment = bytes.subarray(offset, offset + maxFragment);
+      offset += fragment.length;
+      const last = offset >= bytes.length;
+      const header = Buffer.alloc(6);
+      header.writeUInt32BE(fragment.length + 2, 0);
+      header[4] = contextId;
+      header[5] = (isCommand ? 0x01 : 0) | (last ? 0x02 : 0);
+      socket.write(encodePdu(PDU.DATA_TF, Buffer.concat([header, fragment])));
+    } while (offset < bytes.length);
+  };
+
+  return {
+    accepted,
+    refused,
+
+    /**
+     * Sends a command and, if any, its data set over a presentation context
+     */
+    send(contextId, command, dataSet) {
+      sendPdvs(contextId, encodeCommand(command), true);
+      if (dataSet) sendPdvs(contextId, dataSet, false);
+    },
+
+    /**
+     * Waits for the next complete command from the SCP
+     */
+    async receive(what) {
+      const fragments = [];
+      for (;;) {
+        const pdu = await nextPdu(timeout, what);
+        if (pdu.type === PDU.ABORT) {
+          throw new Error(`Association aborted by ${options.calledAETitle}`);
+        }
+        if (pdu.type !== PDU.DATA_TF) {
+          throw new Error(
+            `Unexpected PDU type ${pdu.type} waiting for ${what}`,
+          );
+        }
+        let offset = 0;
+        while (offset + 6 <= pdu.body.length) {
+          const length = pdu.body.readUInt32BE(offset);
+          const control = pdu.body[offset + 5];
+          if (control & 0x01) {
+            fragments.push(pdu.body.subarray(offset + 6, offset + 4 + length));
+            if (control & 0x02) return decodeCommand(Buffer.concat(fragments));
+          }
+          offset += 4 + length;
+        }
+      }
+    },
+
+    /**
+     * Releases the association and closes the connection
+     */
+    async release() {
+      try {
+        socket.write(encodePdu(PDU.RELEASE_RQ, Buffer.alloc(4)));
+        await nextPdu(timeout, "A-RELEASE-RP");
+      } finally {
+        socket.destroy();
+      }
+    },
+
+    /**
+     * Aborts the association, e.g. after an error
+     */
+    abort() {
+      if (!socket.destroyed) {
+        socket.end(encodePdu(PDU.ABORT, Buffer.alloc(4)));
+        socket.destroy();
+      }
+    },
+  };
+}
+
+function withDefaults(options) {
+  const {
+    host = "localhost",
+    port,
+    callingAETitle = "WRITE_DICOM",
+    calledAETitle = "ANY-SCP",
+    timeout = 30000,
+  } = options;
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`Invalid port: ${port}`);
+  }
+  return { host, port, callingAETitle, calledAETitle, timeout };
+}
+
+/**
+ * Checks that a DICOM node answers, with a C-ECHO over the Verification SOP Class
+ * @param {Object} options - Connection options, see cStore
+ * @returns {Promise<void>} Resolves when the SCP answered with Success
+ */
+export async function cEcho(options = {}) {
+  const settings = withDefaults(options);
+  const association = await openAssociation(settings, [
+    {
+      abstractSyntax: VERIFICATION_SOP_CLASS_UID,
+      transferSyntaxes: [TRANSFER_SYNTAX_UIDS.IMPLICIT_VR_LITTLE_ENDIAN],
+    },
+  ]);
+
+  try {
+    if (association.accepted.length === 0) {
+      throw new Error(
+        `${settings.calledAETitle} does not accept the Verification SOP Class`,
+      );
+    }
+    association.send(association.accepted[0].id, [
+      [0x0002, VERIFICATION_SOP_CLASS_UID],
+      [0x0100, COMMAND.C_ECHO_RQ],
+      [0x0110, 1],
+      [0x0800, NO_DATA_SET],
+    ]);
+    const response = await association.receive("C-ECHO-RSP");
+    if (response[0x0100] !== COMMAND.C_ECHO_RSP || response[0x0900] !== 0) {
+      throw new Error(
+        `C-ECHO failed with status ${toHex(response[0x0900] ?? 0xffff)}`,
+      );
+    }
+  } catch (error) {
+    association.abort();
+    throw error;
+  }
+  await association.release();
+}
+
+/**
+ * Sends DICOM files to a PACS or other Storage SCP with C-STORE (PS3.4 Annex B).
+ *
+ * Each file is sent in the SOP Class and Transfer Syntax it was written with,
+ * so an association is negotiated for that pair and reused while it fits;
+ * a file that needs another pair opens a new association. Files whose pair
+ * the SCP refuses fail without being sent.
+ * @param {Array<{filename: string, data: Uint8Array}>|AsyncIterable} files - Files to send, the output of
+ *   writeImageAsDicomSeriesWithDcmjs or the stream of streamImageAsDicomSeriesWithDcmjs
+ * @param {Object} options - Connection options
+ * @param {string} options.host - Host of the SCP (default: localhost)
+ * @param {number} options.port - Port of the SCP
+ * @param {string} options.calledAETitle - AE title of the SCP (default: ANY-SCP)
+ * @param {string} options.callingAETitle - Our AE title (default: WRITE_DICOM)
+ * @param {number} options.timeout - Milliseconds to wait for the SCP before giving up (default: 30000)
+ * @param {{log: function}} options.logger - Receives the progress of the transfer (default: console)
+ * @returns {Promise<{stored: Array<{filename: string, sopInstanceUID: string, status: number}>,
+ *   failed: Array<{filename: string, sopInstanceUID: string, status?: number, error: string}>}>} The outcome
+ *   of every instance. Stored instances with a warning status, such as coercion of data elements, keep it
+ */
+export async function cStore(files, options = {}) {
+  const settings = withDefaults(options);
+  const { logger = console } = options;
+  const report = { stored: [], failed: [] };
+  let association;
+  let negotiated;
+  let messageId = 0;
+
+  try {
+    for await (const file of files) {
+      const { sopClassUID, sopInstanceUID, transferSyntax, dataSet } =
+        readFileMeta(file.data);
+      const pair = `${sopClassUID}|${transferSyntax}`;
+
+      if (pair !== negotiated) {
+        await association?.release();
+        association = await openAssociation(settings, [
+          { abstractSyntax: sopClassUID, transferSyntaxes: [transferSyntax] },
+        ]);
+        negotiated = pair;
+      }
+
+      const [context] = association.accepted;
+      if (!context) {
+        report.failed.push({
+          filename: file.filename,
+          sopInstanceUID,
+          error: `Presentation context refused (${association.refused[0].reason}) for SOP Class ${sopClassUID} in ${transferSyntax}`,
+        });
+        continue;
+      }
+
+      messageId = (messageId % 0xffff) + 1;
+      association.send(
+        context.id,
+        [
+          [0x0002, sopClassUID],
+          [0x0100, COMMAND.C_STORE_RQ],
+          [0x0110, messageId],
+          [0x0700, 0], // Medium priority
+          [0x0800, 0],
+          [0x1000, sopInstanceUID],
+        ],
+        dataSet,
+      );
+
+      const response = await association.receive("C-STORE-RSP");
+      const status = response[0x0900];
+      if (
+        response[0x0100] !== COMMAND.C_STORE_RSP ||
+        response[0x0120] !== messageId
+      ) {
+        throw new Error(`Unexpected response to C-STORE of ${sopInstanceUID}`);
+      }
+
+      if (status === 0 || WARNING_STATUSES.includes(status)) {
+        report.stored.push({ filename: file.filename, sopInstanceUID, status });
+      } else {
+        report.failed.push({
+          filename: file.filename,
+          sopInstanceUID,
+          status,
+          error:
+            `C-STORE failed with status ${toHex(status)}` +
+            (response[0x0902] ? `: ${response[0x0902]}` : ""),
+        });
+      }
+
+      const done = report.stored.length + report.failed.length;
+      if (done % 10 === 0) {
+        logger.log(`Sent ${done} instances, ${report.failed.length} failed`);
+      }
+    }
+  } catch (error) {
+    association?.abort();
+    throw error;
+  }
+
+  await association?.release();
+  logger.log(
+    `Stored ${report.stored.length}, failed ${report.failed.length} instances`,
+  );
+  return report;
+}
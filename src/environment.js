@@ -0,0 +1,8 @@
+/**
+ * Whether the code runs in Node.js. A browser Web Worker has no window
+ * either, so this checks for the Node.js runtime itself
+ * @returns {boolean} True in Node.js
+ */
+export function isNode() {
+  return typeof process !== "undefined" && Boolean(process.versions?.node);
+}
@@ -0,0 +1,87 @@
+import { validateUID } from "./uid.js";
+
+/**
+ * Transfer Syntaxes the dcmjs writer can encode
+ */
+export const TRANSFER_SYNTAX_UIDS = {
+  IMPLICIT_VR_LITTLE_ENDIAN: "1.2.840.10008.1.2",
+  EXPLICIT_VR_LITTLE_ENDIAN: "1.2.840.10008.1.2.1",
+  RLE_LOSSLESS: "1.2.840.10008.1.2.5",
+  JPEG_LS_LOSSLESS: "1.2.840.10008.1.2.4.80",
+  JPEG_LS_NEAR_LOSSLESS: "1.2.840.10008.1.2.4.81",
+  JPEG_2000_LOSSLESS: "1.2.840.10008.1.2.4.90",
+  JPEG_2000: "1.2.840.10008.1.2.4.91",
+};
+
+/**
+ * Version of this writer, written as Software Versions where it is the equipment
+ */
+export const SOFTWARE_VERSION = "0.1.0";
+
+/**
+ * Identifies this writer in the File Meta Information of every file
+ */
+export const IMPLEMENTATION_CLASS_UID =
+  "2.25.239856678265613083544010464517194089404";
+export const IMPLEMENTATION_VERSION_NAME = "WRITE_DICOM_0_1";
+
+/**
+ * Creates the DICOM Part 10 File Meta Information (group 0002)
+ * @param {Object} options - File Meta Information values
+ * @param {string} options.sopClassUID - SOP Class UID of the dataset
+ * @param {string} options.sopInstanceUID - SOP Instance UID of the dataset
+ * @param {string} options.transferSyntax - Transfer Syntax UID of the dataset (default: Explicit VR Little Endian)
+ * @param {string} options.implementationClassUID - Implementation Class UID (default: this writer)
+ * @param {string} options.implementationVersionName - Implementation Version Name, up to 16 characters
+ * @returns {Object} DICOM meta entries keyed by tag, as expected by DicomDict
+ */
+export function createFileMetaInformation({
+  sopClassUID,
+  sopInstanceUID,
+  transferSyntax = TRANSFER_SYNTAX_UIDS.EXPLICIT_VR_LITTLE_ENDIAN,
+  implementationClassUID = IMPLEMENTATION_CLASS_UID,
+  implementationVersionName = IMPLEMENTATION_VERSION_NAME,
+}) {
+  if (!Object.values(TRANSFER_SYNTAX_UIDS).includes(transferSyntax)) {
+    throw new Error(`Unsupported transfer syntax: ${transferSyntax}`);
+  }
+  validateUID(implementationClassUID, "Implementation Class UID");
+  if (implementationVersionName.length > 16) {
+    throw new Error(
+      `Implementation Version Name must be at most 16 characters: ${implementationVersionName}`,
+    );
+  }
+
+  return {
+    "00020001": {
+      // FileMetaInformationVersion
+      vr: "OB",
+      Value: [new Uint8Array([0x00, 0x01]).buffer],
+    },
+    "00020002": {
+      // MediaStorageSOPClassUID
+      vr: "UI",
+      Value: [sopClassUID],
+    },
+    "00020003": {
+      // MediaStorageSOPInstanceUID
+      vr: "UI",
+      Value: [sopInstanceUID],
+    },
+    "00020010": {
+      // TransferSyntaxUID
+      vr: "UI",
+      Value: [transferSyntax],
+    },
+    "00020012": {
+      // ImplementationClassUID
+      vr: "UI",
+      Value: [implementationClassUID],
+    },
+    "00020013": {
+      // ImplementationVersionName
+      vr: "SH",
+      Value: [implementationVersionName],
+    },
+  };
+}
@@ -0,0 +1,284 @@
+import { SOFTWARE_VERSION } from "./file-meta.js";
+
+/**
+ * Formats a Date or DICOM date string as a DICOM DA value (YYYYMMDD)
+ * @param {Date|string} value - Date object, "YYYYMMDD" or "YYYY-MM-DD"
+ * @returns {string} The DA value
+ */
+export function toDicomDate(value) {
+  if (value instanceof Date) {
+    const year = String(value.getFullYear()).padStart(4, "0");
+    const month = String(value.getMonth() + 1).padStart(2, "0");
+    const day = String(value.getDate()).padStart(2, "0");
+    return `${year}${month}${day}`;
+  }
+  const date = String(value).replace(/-/g, "");
+  if (!/^\d{8}$/.test(date)) {
+    throw new Error(`Invalid DICOM date (expected YYYYMMDD): ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Formats a Date or DICOM time string as a DICOM TM value (HHMMSS[.FFFFFF])
+ * @param {Date|string} value - Date object, "HHMMSS[.FFFFFF]" or "HH:MM:SS"
+ * @returns {string} The TM value
+ */
+export function toDicomTime(value) {
+  if (value instanceof Date) {
+    return [value.getHours(), value.getMinutes(), value.getSeconds()]
+      .map((part) => String(part).padStart(2, "0"))
+      .join("");
+  }
+  const time = String(value).replace(/:/g, "");
+  if (!/^\d{2}(\d{2}(\d{2}(\.\d{1,6})?)?)?$/.test(time)) {
+    throw new Error(`Invalid DICOM time (expected HHMMSS): ${value}`);
+  }
+  return time;
+}
+
+/**
+ * Adds an optional (Type 3) attribute only when it has a value
+ */
+function optional(tag, vr, value) {
+  if (value === undefined || value === null || value === "") return {};
+  return { [tag]: { vr, Value: [value] } };
+}
+
+/**
+ * Creates the Patient Module
+ * @param {Object} patient - Patient information
+ * @param {string} patient.name - Patient's Name (default: Anonymous)
+ * @param {string} patient.id - Patient ID (default: ANON123)
+ * @param {Date|string} patient.birthDate - Patient's Birth Date
+ * @param {string} patient.sex - Patient's Sex (M, F or O)
+ * @returns {Object} DICOM dataset entries keyed by tag
+ */
+export function createPatientModule(patient = {}) {
+  const { name = "Anonymous", id = "ANON123", birthDate, sex } = patient;
+
+  if (sex && !["M", "F", "O"].includes(sex)) {
+    throw new Error(`Invalid Patient's Sex (expected M, F or O): ${sex}`);
+  }
+
+  return {
+    "00100010": {
+      // Patient Name
+      vr: "PN",
+      Value: [{ Alphabetic: name }],
+    },
+    "00100020": {
+      // Patient ID
+      vr: "LO",
+      Value: [id],
+    },
+    "00100030": {
+      // Patient's Birth Date
+      vr: "DA",
+      Value: birthDate ? [toDicomDate(birthDate)] : [],
+    },
+    "00100040": {
+      // Patient's Sex
+      vr: "CS",
+      Value: sex ? [sex] : [],
+    },
+  };
+}
+
+/**
+ * Creates the General Study Module
+ * @param {Object} study - Study information
+ * @param {string} study.instanceUID - Study Instance UID
+ * @param {string} study.date - Study Date (DA)
+ * @param {string} study.time - Study Time (TM)
+ * @param {string} study.id - Study ID
+ * @param {string} study.description - Study Description
+ * @param {string} study.accessionNumber - Accession Number
+ * @param {string} study.referringPhysicianName - Referring Physician's Name
+ * @returns {Object} DICOM dataset entries keyed by tag
+ */
+export function createGeneralStudyModule(study) {
+  const {
+    instanceUID,
+    date,
+    time,
+    id,
+    description,
+    accessionNumber,
+    referringPhysicianName,
+  } = study;
+
+  return {
+    "0020000D": {
+      // StudyInstanceUID
+      vr: "UI",
+      Value: [instanceUID],
+    },
+    "00080020": {
+      // StudyDate
+      vr: "DA",
+      Value: [date],
+    },
+    "00080030": {
+      // StudyTime
+      vr: "TM",
+      Value: [time],
+    },
+    "00200010": {
+      // StudyID
+      vr: "SH",
+      Value: id ? [id] : [],
+    },
+    "00080050": {
+      // AccessionNumber
+      vr: "SH",
+      Value: accessionNumber ? [accessionNumber] : [],
+    },
+    "00080090": {
+      // ReferringPhysicianName
+      vr: "PN",
+      Value: referringPhysicianName
+        ? [{ Alphabetic: referringPhysicianName }]
+        : [],
+    },
+    ...optional("00081030", "LO", description), // StudyDescription
+  };
+}
+
+/**
+ * Creates the General Equipment Module
+ * @param {Object} equipment - Equipment information
+ * @param {string} equipment.manufacturer - Manufacturer
+ * @param {string} equipment.institutionName - Institution Name
+ * @param {string} equipment.stationName - Station Name
+ * @param {string} equipment.modelName - Manufacturer's Model Name
+ * @param {string} equipment.deviceSerialNumber - Device Serial Number
+ * @param {string} equipment.softwareVersions - Software Versions
+ * @returns {Object} DICOM dataset entries keyed by tag
+ */
+export function createGeneralEquipmentModule(equipment = {}) {
+  const {
+    manufacturer,
+    institutionName,
+    stationName,
+    modelName,
+    deviceSerialNumber,
+    softwareVersions,
+  } = equipment;
+
+  return {
+    "00080070": {
+      // Manufacturer
+      vr: "LO",
+      Value: manufacturer ? [manufacturer] : [],
+    },
+    ...optional("00080080", "LO", institutionName), // InstitutionName
+    ...optional("00081010", "SH", stationName), // StationName
+    ...optional("00081090", "LO", modelName), // ManufacturerModelName
+    ...optional("00181000", "LO", deviceSerialNumber), // DeviceSerialNumber
+    ...optional("00181020", "LO", softwareVersions), // SoftwareVersions
+  };
+}
+
+/**
+ * Creates the Patient, General Study, Enhanced General Equipment, General
+ * Series and Frame of Reference Modules of a multi-frame object derived from
+ * an image series, such as a Segmentation or a Parametric Map. Options take
+ * precedence over what the reference series provides.
+ * @param {Object} header - Header information
+ * @param {Object} header.reference - Reference series context from readReferenceSeries
+ * @param {Object} header.patient - Patient Module, see createPatientModule
+ * @param {Object} header.study - General Study Module, see createGeneralStudyModule
+ * @param {Object} header.equipment - Enhanced General Equipment Module (default: this writer)
+ * @param {string} header.modality - Modality
+ * @param {string} header.seriesInstanceUID - Series Instance UID
+ * @param {string} header.seriesDescription - Series Description
+ * @param {number} header.seriesNumber - Series Number
+ * @param {string} header.frameOfReferenceUID - Frame of Reference UID
+ * @param {Date} header.now - Time the object is created
+ * @param {function(): string} header.uidGenerator - Generates the Study Instance UID of a new study
+ * @returns {Object} DICOM dataset entries keyed by tag
+ */
+export function createMultiFrameHeader({
+  reference,
+  patient = {},
+  study = {},
+  equipment = {},
+  modality,
+  seriesInstanceUID,
+  seriesDescription,
+  seriesNumber,
+  frameOfReferenceUID,
+  now,
+  uidGenerator,
+}) {
+  const studyInfo = { ...reference?.study, ...study };
+  // The indicator describes the reference Frame of Reference, so it only applies when it is kept
+  const positionReferenceIndicator =
+    frameOfReferenceUID === reference?.frameOfReferenceUID &&
+    reference.attributes["00201040"]?.Value;
+
+  return {
+    ...createPatientModule({ ...reference?.patient, ...patient }),
+    ...createGeneralStudyModule({
+      ...studyInfo,
+      instanceUID: studyInfo.instanceUID || uidGenerator(),
+      date: toDicomDate(studyInfo.date || now),
+      time: toDicomTime(studyInfo.time || now),
+    }),
+
+    // Enhanced General Equipment Module - all Type 1
+    ...createGeneralEquipmentModule({
+      manufacturer: "write-dicom",
+      modelName: "write-dicom",
+      deviceSerialNumber: "0",
+      softwareVersions: SOFTWARE_VERSION,
+      ...reference?.equipment,
+      ...equipment,
+    }),
+
+    // General Series Module
+    "0020000E": {
+      // SeriesInstanceUID
+      vr: "UI",
+      Value: [seriesInstanceUID],
+    },
+    "00080060": {
+      // Modality
+      vr: "CS",
+      Value: [modality],
+    },
+    "0008103E": {
+      // SeriesDescription
+      vr: "LO",
+      Value: [seriesDescription],
+    },
+    "00200011": {
+      // SeriesNumber
+      vr: "IS",
+      Value: [seriesNumber],
+    },
+    "00080021": {
+      // SeriesDate
+      vr: "DA",
+      Value: [toDicomDate(now)],
+    },
+    "00080031": {
+      // SeriesTime
+      vr: "TM",
+      Value: [toDicomTime(now)],
+    },
+
+    // Frame of Reference Module
+    "00200052": {
+      // FrameOfReferenceUID
+      vr: "UI",
+      Value: [frameOfReferenceUID],
+    },
+    "00201040": {
+      // PositionReferenceIndicator
+      vr: "LO",
+      Value: positionReferenceIndicator || [],
+    },
+  };
+}
@@ -0,0 +1,188 @@
+/**
+ * Component types that DICOM integer pixel data cannot hold directly
+ */
+const QUANTIZED_COMPONENT_TYPES = ["float32", "float64", "int64", "uint64"];
+
+const TARGET_TYPES = {
+  int16: { min: -32768, max: 32767, TypedArray: Int16Array },
+  uint16: { min: 0, max: 65535, TypedArray: Uint16Array },
+};
+
+/**
+ * Whether an image must be quantized before it can be written as integer pixel data
+ * @param {string} componentType - ITK-Wasm component type
+ * @returns {boolean}
+ */
+export function needsQuantization(componentType) {
+  return QUANTIZED_COMPONENT_TYPES.includes(componentType);
+}
+
+/**
+ * Rounds a value to what survives a Decimal String (DS, 16 characters),
+ * so quantization uses the exact slope and intercept written to the file
+ */
+export function toDecimalStringPrecision(value) {
+  for (let digits = 15; digits > 1; digits--) {
+    const rounded = Number(value.toPrecision(digits));
+    if (String(rounded).length <= 16) return rounded;
+  }
+  return Number(value.toPrecision(1));
+}
+
+/**
+ * Quantizes a float or 64-bit image to 16-bit integers with a Rescale Slope/Intercept
+ * so that value = stored * slope + intercept
+ * @param {Image} image - The ITK-Wasm image to quantize
+ * @param {Object} options - Quantization options
+ * @param {string} options.componentType - Target integer type, int16 or uint16 (default: int16)
+ * @param {string} options.strategy - fullRange maps [min, max] onto the whole target range,
+ *   fixedSlope uses the given slope and intercept and clips what does not fit (default: fullRange)
+ * @param {number} options.slope - Rescale Slope for the fixedSlope strategy (default: 1)
+ * @param {number} options.intercept - Rescale Intercept for the fixedSlope strategy (default: 0)
+ * @param {string} options.rescaleType - Rescale Type (0028,1054) of the values (default: US, unspecified)
+ * @returns {{image: Image, rescaleSlope: number, rescaleIntercept: number, rescaleType: string,
+ *   maxError: number, rmsError: number, clippedCount: number}} The quantized image and error report
+ */
+export function quantizeImage(image, options = {}) {
+  const {
+    componentType = "int16",
+    strategy = "fullRange",
+    slope = 1,
+    intercept = 0,
+    rescaleType = "US",
+  } = options;
+
+  const target = TARGET_TYPES[componentType];
+  if (!target) {
+    throw new Error(
+      `Unsupported quantization component type: ${componentType} (expected int16 or uint16)`,
+    );
+  }
+
+  const { data } = image;
+  const isBigInt =
+    data instanceof BigInt64Array || data instanceof BigUint64Array;
+  const valueAt = isBigInt ? (i) => Number(data[i]) : (i) => data[i];
+
+  let rescaleSlope;
+  let rescaleIntercept;
+
+  if (strategy === "fullRange") {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < data.length; i++) {
+      const value = valueAt(i);
+      if (!Number.isFinite(value)) continue;
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+    if (min > max) {
+      // No finite values at all
+      min = 0;
+      max = 0;
+    }
+
+    if (max === min) {
+      rescaleSlope = 1;
+      rescaleIntercept = toDecimalStringPrecision(min);
+    } else {
+      rescaleSlope = toDecimalStringPrecision(
+        (max - min) / (target.max - target.min),
+      );
+      rescaleIntercept = toDecimalStringPrecision(
+        min - target.min * rescaleSlope,
+      );
+    }
+  } else if (strategy === "fixedSlope") {
+    if (!(slope > 0)) {
+      throw new Error(`Quantization slope must be positive, got ${slope}`);
+    }
+    rescaleSlope = toDecimalStringPrecision(slope);
+    rescaleIntercept = toDecimalStringPrecision(intercept);
+  } else {
+    throw new Error(
+      `Unknown quantization strategy: ${strategy} (expected fullRange or fixedSlope)`,
+    );
+  }
+
+  const quantized = new target.TypedArray(data.length);
+  let maxError = 0;
+  let sumSquaredError = 0;
+  let finiteCount = 0;
+  let clippedCount = 0;
+
+  for (let i = 0; i < data.length; i++) {
+    const value = valueAt(i);
+    // NaN is stored as the value closest to zero
+    const finiteValue = Number.isNaN(value) ? 0 : value;
+    let stored = Math.round((finiteValue - rescaleIntercept) / rescaleSlope);
+    if (stored < target.min || stored > target.max) {
+      stored = Math.min(target.max, Math.max(target.min, stored));
+      if (Number.isFinite(value)) clippedCount++;
+    }
+    quantized[i] = stored;
+
+    if (Number.isFinite(value)) {
+      const error = Math.abs(stored * rescaleSlope + rescaleIntercept - value);
+      if (error > maxError) maxError = error;
+      sumSquaredError += error * error;
+      finiteCount++;
+    }
+  }
+
+  return {
+    image: {
+      ...image,
+      imageType: { ...image.imageType, componentType },
+      data: quantized,
+    },
+    rescaleSlope,
+    rescaleIntercept,
+    rescaleType,
+    maxError,
+    rmsError: finiteCount ? Math.sqrt(sumSquaredError / finiteCount) : 0,
+    clippedCount,
+  };
+}
+
+/**
+ * Converts integer pixels to 16 bits, for IODs that require BitsAllocated 16.
+ * 8-bit values are widened, 32-bit values are cast when they fit int16 or
+ * uint16 and quantized otherwise.
+ * @param {Image} image - The ITK-Wasm image with integer pixels
+ * @param {Object} options - Quantization options for values that do not fit, see quantizeImage
+ * @returns {{image: Image, quantization?: Object}} The 16-bit image, with the quantization report
+ *   when the values had to be quantized
+ */
+export function convertToSixteenBits(image, options = {}) {
+  const { componentType } = image.imageType;
+  if (componentType === "int16" || componentType === "uint16") {
+    return { image };
+  }
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of image.data) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  // Keep the signedness of the source when the values allow it
+  const candidates = componentType.startsWith("uint")
+    ? ["uint16", "int16"]
+    : ["int16", "uint16"];
+  const fits = candidates.find(
+    (type) => min >= TARGET_TYPES[type].min && max <= TARGET_TYPES[type].max,
+  );
+  if (!fits) {
+    const { image: quantized, ...quantization } = quantizeImage(image, options);
+    return { image: quantized, quantization };
+  }
+
+  return {
+    image: {
+      ...image,
+      imageType: { ...image.imageType, componentType: fits },
+      data: TARGET_TYPES[fits].TypedArray.from(image.data),
+    },
+  };
+}
@@ -0,0 +1,275 @@
+import dcmjs from "dcmjs";
+
+const { DicomMessage } = dcmjs.data;
+
+/**
+ * Attributes copied from the reference series so derived images land in the
+ * same patient, study, Frame of Reference and equipment context
+ */
+const INHERITED_TAGS = [
+  // Patient Module
+  "00100010", // PatientName
+  "00100020", // PatientID
+  "00100021", // IssuerOfPatientID
+  "00100030", // PatientBirthDate
+  "00100040", // PatientSex
+  "00101000", // OtherPatientIDs
+  "00104000", // PatientComments
+
+  // Patient Study Module
+  "00101010", // PatientAge
+  "00101020", // PatientSize
+  "00101030", // PatientWeight
+
+  // General Study Module
+  "0020000D", // StudyInstanceUID
+  "00080020", // StudyDate
+  "00080030", // StudyTime
+  "00080050", // AccessionNumber
+  "00080090", // ReferringPhysicianName
+  "00200010", // StudyID
+  "00081030", // StudyDescription
+
+  // Frame of Reference Module
+  "00200052", // FrameOfReferenceUID
+  "00201040", // PositionReferenceIndicator
+
+  // General Equipment Module
+  "00080070", // Manufacturer
+  "00080080", // InstitutionName
+  "00080081", // InstitutionAddress
+  "00081010", // StationName
+  "00081040", // InstitutionalDepartmentName
+  "00081090", // ManufacturerModelName
+  "00181000", // DeviceSerialNumber
+  "00181020", // SoftwareVersions
+];
+
+/**
+ * Reads one reference file into an ArrayBuffer
+ * @param {File|Blob|ArrayBuffer|Uint8Array|string} input - File, buffer or (Node.js) file path
+ */
+async function toArrayBuffer(input) {
+  if (input instanceof ArrayBuffer) return input;
+  if (ArrayBuffer.isView(input)) {
+    return input.buffer.slice(
+      input.byteOffset,
+      input.byteOffset + input.byteLength,
+    );
+  }
+  if (typeof input === "string") {
+    const fs = (await import("fs")).default;
+    return toArrayBuffer(fs.readFileSync(input));
+  }
+  if (input && typeof input.arrayBuffer === "function") {
+    return input.arrayBuffer();
+  }
+  throw new Error("Reference series entries must be files, buffers or paths");
+}
+
+function firstValue(dict, tag) {
+  const value = dict[tag]?.Value?.[0];
+  return value === "" ? undefined : value;
+}
+
+function personName(dict, tag) {
+  const value = firstValue(dict, tag);
+  return typeof value === "object" ? value.Alphabetic : value;
+}
+
+/**
+ * Drops missing values so they do not override defaults when spread
+ */
+function definedValues(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined),
+  );
+}
+
+/**
+ * Reads a reference DICOM series and collects the context inherited by derived images
+ * @param {Array<File|Blob|ArrayBuffer|Uint8Array|string>} files - The reference series files
+ * @returns {Promise<{attributes: Object, patient: Object, study: Object, equipment: Object,
+ *   modality: string, frameOfReferenceUID: string, instances: Array<{seriesInstanceUID: string, sopClassUID: string,
+ *   sopInstanceUID: string, imagePosition: number[]}>}>} The inherited context
+ */
+export async function readReferenceSeries(files) {
+  if (!files || files.length === 0) {
+    throw new Error("Reference series is empty");
+  }
+
+  const instances = [];
+  let first = null;
+
+  for (const file of files) {
+    const buffer = await toArrayBuffer(file);
+    // Pixel data is not needed, stop reading before it
+    const { dict } = DicomMessage.readFile(buffer, { untilTag: "7FE00010" });
+
+    if (!first) {
+      first = dict;
+    } else if (firstValue(dict, "0020000D") !== firstValue(first, "0020000D")) {
+      throw new Error("Reference series files belong to different studies");
+    }
+
+    instances.push({
+      seriesInstanceUID: firstValue(dict, "0020000E"),
+      sopClassUID: firstValue(dict, "00080016"),
+      sopInstanceUID: firstValue(dict, "00080018"),
+      imagePosition: dict["00200032"]?.Value,
+    });
+  }
+
+  const attributes = {};
+  for (const tag of INHERITED_TAGS) {
+    if (first[tag]) {
+      attributes[tag] = { vr: first[tag].vr, Value: first[tag].Value };
+    }
+  }
+
+  return {
+    attributes,
+    patient: definedValues({
+      name: personName(first, "00100010"),
+      id: firstValue(first, "00100020"),
+      birthDate: firstValue(first, "00100030"),
+      sex: firstValue(first, "00100040"),
+    }),
+    study: definedValues({
+      instanceUID: firstValue(first, "0020000D"),
+      date: firstValue(first, "00080020"),
+      time: firstValue(first, "00080030"),
+      id: firstValue(first, "00200010"),
+      description: firstValue(first, "00081030"),
+      accessionNumber: firstValue(first, "00080050"),
+      referringPhysicianName: personName(first, "00080090"),
+    }),
+    equipment: definedValues({
+      manufacturer: firstValue(first, "00080070"),
+      institutionName: firstValue(first, "00080080"),
+      stationName: firstValue(first, "00081010"),
+      modelName: firstValue(first, "00081090"),
+      deviceSerialNumber: firstValue(first, "00181000"),
+      softwareVersions: firstValue(first, "00181020"),
+    }),
+    modality: firstValue(first, "00080060"),
+    frameOfReferenceUID: firstValue(first, "00200052"),
+    instances,
+  };
+}
+
+/**
+ * Picks the reference instance closest to an output slice, by position along
+ * the slice normal when the reference has geometry, by index otherwise
+ * @param {Array<Object>} instances - Instances returned by readReferenceSeries
+ * @param {Image} slice2D - Output slice from extractSlice
+ * @param {number} sliceIndex - Index of the output slice
+ * @returns {Object} The closest reference instance
+ */
+export function findSourceInstance(instances, slice2D, sliceIndex) {
+  const [rx, ry, rz, cx, cy, cz] = slice2D.imageOrientation;
+  const normal = [ry * cz - rz * cy, rz * cx - rx * cz, rx * cy - ry * cx];
+  const normalLength = Math.hypot(...normal) || 1;
+
+  let closest = null;
+  let closestDistance = Infinity;
+  for (const instance of instances) {
+    if (!instance.imagePosition) continue;
+    const location =
+      instance.imagePosition.reduce(
+        (sum, value, i) => sum + value * normal[i],
+        0,
+      ) / normalLength;
+    const distance = Math.abs(location - slice2D.sliceLocation);
+    if (distance < closestDistance) {
+      closest = instance;
+      closestDistance = distance;
+    }
+  }
+
+  return closest || instances[Math.min(sliceIndex, instances.length - 1)];
+}
+
+/**
+ * Creates the Source Image Sequence referencing the image a slice was derived from
+ * @param {Object} sourceInstance - Instance returned by findSourceInstance
+ * @returns {Object} DICOM dataset entries keyed by tag
+ */
+export function createSourceImageSequence(sourceInstance) {
+  return {
+    "00082112": {
+      // SourceImageSequence
+      vr: "SQ",
+      Value: [
+        {
+          "00081150": {
+            // ReferencedSOPClassUID
+            vr: "UI",
+            Value: [sourceInstance.sopClassUID],
+          },
+          "00081155": {
+            // ReferencedSOPInstanceUID
+            vr: "UI",
+            Value: [sourceInstance.sopInstanceUID],
+          },
+          "0040A170": {
+            // PurposeOfReferenceCodeSequence
+            vr: "SQ",
+            Value: [
+              {
+                "00080100": { vr: "SH", Value: ["121322"] }, // CodeValue
+                "00080102": { vr: "SH", Value: ["DCM"] }, // CodingSchemeDesignator
+                "00080104": {
+                  // CodeMeaning
+                  vr: "LO",
+                  Value: ["Source image for image processing operation"],
+                },
+              },
+            ],
+          },
+        },
+      ],
+    },
+  };
+}
+
+/**
+ * Creates the Referenced Series Sequence of the Common Instance Reference Module
+ * @param {Array<Object>} instances - Instances returned by readReferenceSeries
+ * @returns {Object} DICOM dataset entries keyed by tag
+ */
+export function createReferencedSeriesSequence(instances) {
+  const seriesUIDs = [...new Set(instances.map((i) => i.seriesInstanceUID))];
+
+  return {
+    "00081115": {
+      // ReferencedSeriesSequence
+      vr: "SQ",
+      Value: seriesUIDs.map((seriesInstanceUID) => ({
+        "0020000E": {
+          // SeriesInstanceUID
+          vr: "UI",
+          Value: [seriesInstanceUID],
+        },
+        "0008114A": {
+          // ReferencedInstanceSequence
+          vr: "SQ",
+          Value: instances
+            .filter((i) => i.seriesInstanceUID === seriesInstanceUID)
+            .map((instance) => ({
+              "00081150": {
+                // ReferencedSOPClassUID
+                vr: "UI",
+                Value: [instance.sopClassUID],
+              },
+              "00081155": {
+                // ReferencedSOPInstanceUID
+                vr: "UI",
+                Value: [instance.sopInstanceUID],
+              },
+            })),
+        },
+      })),
+    },
+  };
+}
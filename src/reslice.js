@@ -0,0 +1,151 @@
+/**
+ * Canonical display of each patient plane in LPS: the patient axis the
+ * slices are stacked along (in ascending order), and where rows and columns point
+ * (axial: left and posterior, sagittal: posterior and inferior,
+ * coronal: left and inferior)
+ */
+const PATIENT_PLANES = {
+  axial: { normal: 2, row: { axis: 0, sign: 1 }, column: { axis: 1, sign: 1 } },
+  sagittal: {
+    normal: 0,
+    row: { axis: 1, sign: 1 },
+    column: { axis: 2, sign: -1 },
+  },
+  coronal: {
+    normal: 1,
+    row: { axis: 0, sign: 1 },
+    column: { axis: 2, sign: -1 },
+  },
+};
+
+/**
+ * Direction of an index axis in patient coordinates, a column of the
+ * row-major direction matrix
+ */
+function axisDirection(image, axis) {
+  const { dimension } = image.imageType;
+  return [0, 1, 2].map((row) => image.direction[row * dimension + axis]);
+}
+
+/**
+ * Picks the index axes, and their flips, that display a patient plane
+ */
+function planeAxes(image, plane) {
+  const { normal, row, column } = PATIENT_PLANES[plane];
+  const directions = [0, 1, 2].map((axis) => axisDirection(image, axis));
+  const alignment = (axis, patientAxis) =>
+    Math.abs(directions[axis][patientAxis]);
+
+  const sliceAxis = [0, 1, 2].reduce((best, axis) =>
+    alignment(axis, normal) > alignment(best, normal) ? axis : best,
+  );
+  const [first, second] = [0, 1, 2].filter((axis) => axis !== sliceAxis);
+  const [rowAxis, columnAxis] =
+    alignment(first, row.axis) >= alignment(second, row.axis)
+      ? [first, second]
+      : [second, first];
+  const flip = (axis, { axis: patientAxis, sign }) =>
+    Math.sign(directions[axis][patientAxis]) === -sign;
+
+  return [
+    { axis: rowAxis, flip: flip(rowAxis, row) },
+    { axis: columnAxis, flip: flip(columnAxis, column) },
+    { axis: sliceAxis, flip: directions[sliceAxis][normal] < 0 },
+  ];
+}
+
+/**
+ * Reorders a 3D (or 4D) image so that its slices, cut along the third index
+ * axis, lie along another index axis or in a patient plane. The pixel data is
+ * copied in the new order and spacing, origin and direction are recomputed,
+ * so every voxel keeps its position in patient coordinates.
+ *
+ * An index axis keeps the other two in order. A patient plane picks the index
+ * axis closest to its normal, stacks the slices along increasing patient
+ * coordinates and orders and flips the other two for the conventional
+ * display, e.g. sagittal rows running posterior and columns inferior.
+ * @param {Image} image - 3D image, or 4D image with time as the fourth axis
+ * @param {number|string} sliceAxis - Index axis (0, 1 or 2) or patient plane
+ *   (axial, sagittal or coronal) to slice along (default: 2, unchanged)
+ * @returns {Image} The resliced image, or the image itself when nothing changes
+ */
+export function resliceImage(image, sliceAxis = 2) {
+  let axes;
+  if (PATIENT_PLANES[sliceAxis]) {
+    axes = planeAxes(image, sliceAxis);
+  } else if ([0, 1, 2].includes(sliceAxis)) {
+    axes = [0, 1, 2]
+      .filter((axis) => axis !== sliceAxis)
+      .concat(sliceAxis)
+      .map((axis) => ({ axis, flip: false }));
+  } else {
+    throw new Error(
+      `Unknown slice axis: ${sliceAxis} (expected 0, 1, 2, ${Object.keys(PATIENT_PLANES).join(", ")})`,
+    );
+  }
+  if (axes.every(({ axis, flip }, i) => axis === i && !flip)) {
+    return image;
+  }
+
+  const { size, spacing, origin, direction, imageType, data } = image;
+  const { dimension, components } = imageType;
+
+  // Steps through the source data along each new axis, backwards when flipped
+  const strides = [
+    components,
+    components * size[0],
+    components * size[0] * size[1],
+  ];
+  let start = 0;
+  const steps = axes.map(({ axis, flip }) => {
+    if (flip) start += (size[axis] - 1) * strides[axis];
+    return flip ? -strides[axis] : strides[axis];
+  });
+
+  const newSize = axes.map(({ axis }) => size[axis]);
+  const volumeLength = strides[2] * size[2];
+  const volumes = dimension === 4 ? size[3] : 1;
+  const resliced = new data.constructor(data.length);
+  let target = 0;
+  for (let volume = 0; volume < volumes; volume++) {
+    for (let k = 0; k < newSize[2]; k++) {
+      for (let j = 0; j < newSize[1]; j++) {
+        let source =
+          volume * volumeLength + start + j * steps[1] + k * steps[2];
+        for (let i = 0; i < newSize[0]; i++) {
+          for (let c = 0; c < components; c++) {
+            resliced[target++] = data[source + c];
+          }
+          source += steps[0];
+        }
+      }
+    }
+  }
+
+  // A flipped axis starts at what was its last voxel
+  const newOrigin = Array.from(origin);
+  const newDirection = Float64Array.from(direction);
+  axes.forEach(({ axis, flip }, i) => {
+    const sign = flip ? -1 : 1;
+    for (let row = 0; row < 3; row++) {
+      newDirection[row * dimension + i] =
+        sign * direction[row * dimension + axis];
+      if (flip) {
+        newOrigin[row] +=
+          (size[axis] - 1) * spacing[axis] * direction[row * dimension + axis];
+      }
+    }
+  });
+
+  return {
+    ...image,
+    size: [...newSize, ...Array.from(size).slice(3)],
+    spacing: [
+      ...axes.map(({ axis }) => spacing[axis]),
+      ...Array.from(spacing).slice(3),
+    ],
+    origin: newOrigin,
+    direction: newDirection,
+    data: resliced,
+  };
+}
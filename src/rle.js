@@ -0,0 +1,161 @@
+/**
+ * An RLE frame has a 64 byte header with room for 15 segment offsets
+ */
+const RLE_HEADER_LENGTH = 64;
+const RLE_MAX_SEGMENTS = 15;
+
+/**
+ * PackBits encodes one row of a segment (PS3.5 G.3.1)
+ */
+function encodeRow(bytes, start, end, out, position) {
+  let i = start;
+  while (i < end) {
+    // Replicate run: two or more equal bytes
+    let run = 1;
+    while (i + run < end && run < 128 && bytes[i + run] === bytes[i]) run++;
+    if (run > 1) {
+      out[position++] = 257 - run;
+      out[position++] = bytes[i];
+      i += run;
+      continue;
+    }
+
+    // Literal run: up to the next pair of equal bytes
+    let literal = 1;
+    while (
+      i + literal < end &&
+      literal < 128 &&
+      !(i + literal + 1 < end && bytes[i + literal] === bytes[i + literal + 1])
+    ) {
+      literal++;
+    }
+    out[position++] = literal - 1;
+    for (let k = 0; k < literal; k++) out[position++] = bytes[i + k];
+    i += literal;
+  }
+  return position;
+}
+
+/**
+ * Encodes one frame with DICOM RLE Lossless (PS3.5 Annex G).
+ *
+ * Each byte plane of each sample becomes one segment, most significant byte
+ * first, so 8-bit grayscale has one segment, 16-bit grayscale two and 8-bit
+ * RGB three. Rows are encoded separately and segments are padded to even length.
+ * @param {TypedArray} data - Frame pixels, interleaved samples, little endian
+ * @param {Object} frame - Frame layout
+ * @param {number} frame.rows - Number of rows
+ * @param {number} frame.columns - Number of columns
+ * @param {number} frame.samplesPerPixel - Samples per pixel (1 or 3)
+ * @param {number} frame.bitsAllocated - Bits allocated per sample (8, 16 or 32)
+ * @returns {Uint8Array} The encoded frame, one fragment of encapsulated Pixel Data
+ */
+export function encodeRleFrame(
+  data,
+  { rows, columns, samplesPerPixel, bitsAllocated },
+) {
+  const bytesPerSample = bitsAllocated / 8;
+  const segmentCount = samplesPerPixel * bytesPerSample;
+  if (!Number.isInteger(bytesPerSample) || segmentCount > RLE_MAX_SEGMENTS) {
+    throw new Error(
+      `RLE Lossless cannot encode ${samplesPerPixel} samples of ${bitsAllocated} bits`,
+    );
+  }
+
+  const bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  const pixelCount = rows * columns;
+  const stride = samplesPerPixel * bytesPerSample;
+
+  // Worst case: a literal header for every 128 bytes of each row, plus padding
+  const maxSegmentLength = rows * (columns + Math.ceil(columns / 128)) + 1;
+  const out = new Uint8Array(
+    RLE_HEADER_LENGTH + segmentCount * maxSegmentLength,
+  );
+  const header = new DataView(out.buffer);
+  header.setUint32(0, segmentCount, true);
+
+  const plane = new Uint8Array(pixelCount);
+  let position = RLE_HEADER_LENGTH;
+  for (let sample = 0; sample < samplesPerPixel; sample++) {
+    for (let byte = 0; byte < bytesPerSample; byte++) {
+      const segment = sample * bytesPerSample + byte;
+      header.setUint32(4 + segment * 4, position, true);
+
+      // Most significant byte first, from little endian samples
+      const offset = sample * bytesPerSample + (bytesPerSample - 1 - byte);
+      for (let i = 0; i < pixelCount; i++) {
+        plane[i] = bytes[i * stride + offset];
+      }
+
+      for (let row = 0; row < rows; row++) {
+        position = encodeRow(
+          plane,
+          row * columns,
+          (row + 1) * columns,
+          out,
+          position,
+        );
+      }
+      if (position & 1) out[position++] = 0;
+    }
+  }
+
+  return out.slice(0, position);
+}
+
+/**
+ * Decodes one DICOM RLE Lossless frame, the inverse of encodeRleFrame
+ * @param {Uint8Array} encoded - The encoded frame
+ * @param {Object} frame - Frame layout, see encodeRleFrame
+ * @returns {Uint8Array} Frame bytes, interleaved samples, little endian
+ */
+export function decodeRleFrame(
+  encoded,
+  { rows, columns, samplesPerPixel, bitsAllocated },
+) {
+  const bytesPerSample = bitsAllocated / 8;
+  const pixelCount = rows * columns;
+  const stride = samplesPerPixel * bytesPerSample;
+  const header = new DataView(
+    encoded.buffer,
+    encoded.byteOffset,
+    RLE_HEADER_LENGTH,
+  );
+  const segmentCount = header.getUint32(0, true);
+  if (segmentCount !== samplesPerPixel * bytesPerSample) {
+    throw new Error(
+      `RLE frame has ${segmentCount} segments, expected ${samplesPerPixel * bytesPerSample}`,
+    );
+  }
+
+  const out = new Uint8Array(pixelCount * stride);
+  for (let segment = 0; segment < segmentCount; segment++) {
+    const start = header.getUint32(4 + segment * 4, true);
+    const end =
+      segment + 1 < segmentCount
+        ? header.getUint32(8 + segment * 4, true)
+        : encoded.length;
+    const sample = Math.floor(segment / bytesPerSample);
+    const offset =
+      sample * bytesPerSample +
+      (bytesPerSample - 1 - (segment % bytesPerSample));
+
+    let i = start;
+    let pixel = 0;
+    while (i < end && pixel < pixelCount) {
+      const n = encoded[i++];
+      if (n < 128) {
+        for (let k = 0; k <= n && pixel < pixelCount; k++) {
+          out[pixel++ * stride + offset] = encoded[i++];
+        }
+      } else if (n > 128) {
+        const value = encoded[i++];
+        for (let k = 0; k < 257 - n && pixel < pixelCount; k++) {
+          out[pixel++ * stride + offset] = value;
+        }
+      }
+    }
+  }
+
+  return out;
+}
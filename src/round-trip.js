@@ -0,0 +1,271 @@
+import dcmjs from "dcmjs";
+import { isNode } from "./environment.js";
+import { resliceImage } from "./reslice.js";
+
+const { DicomMessage } = dcmjs.data;
+
+/**
+ * Largest differences accepted by default: DS values keep 16 characters,
+ * so positions and spacings come back rounded, and direction cosines are
+ * recomputed from Image Orientation (Patient)
+ */
+const DEFAULT_TOLERANCES = {
+  spacing: 1e-4,
+  origin: 1e-4,
+  direction: 1e-5,
+  pixels: 0,
+};
+
+function compareVectors(expected, actual, tolerance) {
+  const expectedValues = Array.from(expected);
+  const actualValues = Array.from(actual);
+  const maxDifference =
+    expectedValues.length === actualValues.length
+      ? Math.max(
+          0,
+          ...expectedValues.map((value, i) =>
+            Math.abs(value - actualValues[i]),
+          ),
+        )
+      : Infinity;
+  return {
+    expected: expectedValues,
+    actual: actualValues,
+    maxDifference,
+    match: maxDifference <= tolerance,
+  };
+}
+
+/**
+ * Compares the pixel values of two images of the same size, value by value
+ */
+function comparePixels(expected, actual, tolerance) {
+  const { components } = expected.imageType;
+  const [columns, rows] = expected.size;
+  let maxDifference = 0;
+  let sum = 0;
+  let mismatched = 0;
+  let firstMismatch;
+
+  for (let i = 0; i < expected.data.length; i++) {
+    const expectedValue = Number(expected.data[i]);
+    const actualValue = Number(actual.data[i]);
+    const difference = Math.abs(expectedValue - actualValue);
+    sum += difference;
+    if (difference > maxDifference) maxDifference = difference;
+    if (difference > tolerance) {
+      mismatched++;
+      if (!firstMismatch) {
+        const pixel = Math.floor(i / components);
+        firstMismatch = {
+          index: [
+            pixel % columns,
+            Math.floor(pixel / columns) % rows,
+            Math.floor(pixel / (columns * rows)),
+          ],
+          component: i % components,
+          expected: expectedValue,
+          actual: actualValue,
+        };
+      }
+    }
+  }
+
+  return {
+    tolerance,
+    compared: expected.data.length,
+    mismatched,
+    maxDifference,
+    meanDifference: sum / (expected.data.length || 1),
+    ...(firstMismatch && { firstMismatch }),
+    match: mismatched === 0,
+  };
+}
+
+/**
+ * Compares the geometry and pixel values of two ITK-Wasm images
+ * @param {Image} expected - The source image
+ * @param {Image} actual - The image read back
+ * @param {Object} tolerances - Largest accepted absolute differences: spacing and origin in mm,
+ *   direction cosines, pixels in (rescaled) pixel values (default: 1e-4, 1e-4, 1e-5 and 0)
+ * @returns {{match: boolean, differences: Array<string>, size: Object, components: Object,
+ *   spacing: Object, origin: Object, direction: Object, pixels?: Object}} The diff report: expected and
+ *   actual values with the largest difference of each property, and the pixel statistics when the
+ *   sizes agree
+ */
+export function compareImages(expected, actual, tolerances = {}) {
+  const limits = { ...DEFAULT_TOLERANCES, ...tolerances };
+  const size = compareVectors(expected.size, actual.size, 0);
+  const components = {
+    expected: expected.imageType.components,
+    actual: actual.imageType.components,
+    match: expected.imageType.components === actual.imageType.components,
+  };
+
+  // A single slice has no distance to the next one to read back
+  const dimensions = expected.size[2] > 1 ? 3 : 2;
+  const report = {
+    size,
+    components,
+    spacing: compareVectors(
+      Array.from(expected.spacing).slice(0, dimensions),
+      Array.from(actual.spacing).slice(0, dimensions),
+      limits.spacing,
+    ),
+    origin: compareVectors(expected.origin, actual.origin, limits.origin),
+    direction: compareVectors(
+      expected.direction,
+      actual.direction,
+      limits.direction,
+    ),
+  };
+  if (size.match && components.match) {
+    report.pixels = comparePixels(expected, actual, limits.pixels);
+  }
+
+  const differences = [];
+  if (!size.match) {
+    differences.push(
+      `Size is ${size.actual.join("x")}, expected ${size.expected.join("x")}`,
+    );
+  }
+  if (!components.match) {
+    differences.push(
+      `${components.actual} components per pixel, expected ${components.expected}`,
+    );
+  }
+  for (const property of ["spacing", "origin", "direction"]) {
+    const {
+      expected: want,
+      actual: got,
+      maxDifference,
+      match,
+    } = report[property];
+    if (!match) {
+      differences.push(
+        `${property[0].toUpperCase()}${property.slice(1)} is [${got.join(", ")}], expected ` +
+          `[${want.join(", ")}]: off by ${maxDifference} (tolerance ${limits[property]})`,
+      );
+    }
+  }
+  if (report.pixels && !report.pixels.match) {
+    const { mismatched, compared, maxDifference, firstMismatch } =
+      report.pixels;
+    differences.push(
+      `${mismatched} of ${compared} pixel values differ by more than ${limits.pixels}, at most by ` +
+        `${maxDifference}; the first at [${firstMismatch.index.join(", ")}] is ${firstMismatch.actual}, ` +
+        `expected ${firstMismatch.expected}`,
+    );
+  }
+
+  return { match: differences.length === 0, differences, ...report };
+}
+
+/**
+ * Reads the Series Instance UID of a DICOM file with Pixel Data, stopping at
+ * the Pixel Data element. Other files give undefined
+ */
+function readImageSeriesUID(data) {
+  const isDicom =
+    data.length > 132 &&
+    String.fromCharCode(...data.subarray(128, 132)) === "DICM";
+  if (!isDicom) return undefined;
+  const { dict } = DicomMessage.readFile(
+    data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength),
+    { untilTag: "7FE00010" },
+  );
+  return "7FE00010" in dict ? dict["0020000E"]?.Value?.[0] : undefined;
+}
+
+/**
+ * Keeps the images of the series: createDicomMedia output also holds the
+ * DICOMDIR and README.TXT, and a folder may hold derived objects of other
+ * series, which GDCM would otherwise try to read as slices
+ */
+function selectSeriesImages(files) {
+  const images = files
+    .map((file) => ({ file, seriesUID: readImageSeriesUID(file.data) }))
+    .filter(({ seriesUID }) => seriesUID);
+  return images
+    .filter(({ seriesUID }) => seriesUID === images[0]?.seriesUID)
+    .map(({ file }) => file);
+}
+
+/**
+ * Reads a written series back with ITK-Wasm (GDCM), from temp files in Node
+ * and from memory in the browser
+ */
+async function readSeries(files) {
+  const inputs = files.map(({ data }, i) => ({
+    // Media layout paths have folders, give every file a flat name
+    path: `${String(i).padStart(6, "0")}.dcm`,
+    data,
+  }));
+
+  if (isNode()) {
+    const { readImageDicomFileSeriesNode } = await import("@itk-wasm/dicom");
+    const fs = (await import("fs")).default;
+    const os = (await import("os")).default;
+    const path = (await import("path")).default;
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "dicom-verify-"));
+    try {
+      const paths = inputs.map(({ path: name, data }) => {
+        const fullPath = path.join(tempDir, name);
+        fs.writeFileSync(fullPath, data);
+        return fullPath;
+      });
+      const { outputImage } = await readImageDicomFileSeriesNode({
+        inputImages: paths,
+      });
+      return outputImage;
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  const { readImageDicomFileSeries } = await import("@itk-wasm/dicom");
+  const { outputImage, webWorkerPool } = await readImageDicomFileSeries({
+    inputImages: inputs,
+  });
+  webWorkerPool?.terminateWorkers();
+  return outputImage;
+}
+
+/**
+ * Reads a written series back with @itk-wasm/dicom and compares it with the
+ * image it was written from: size, spacing, origin, direction and every
+ * pixel value. Files of a quantized image carry the quantization report,
+ * whose maximum error becomes the default pixel tolerance.
+ * @param {Image} image3D - The source 3D image
+ * @param {Array<{data: Uint8Array, quantization?: Object}>|AsyncIterable} files - The written series,
+ *   e.g. from writeImageAsDicomSeriesWithDcmjs or createDicomMedia. Only the images of the first series
+ *   with Pixel Data are read, the DICOMDIR, README.TXT and other objects are skipped
+ * @param {Object} options - Verification options
+ * @param {number|string} options.sliceAxis - The sliceAxis the series was written with, the source is
+ *   resliced the same way before comparing (default: index axis 2)
+ * @param {Object} options.tolerances - Largest accepted differences, see compareImages
+ * @returns {Promise<Object>} The diff report of compareImages, with the image read back as image
+ */
+export async function verifySeriesRoundTrip(image3D, files, options = {}) {
+  const { sliceAxis, tolerances = {} } = options;
+  if (image3D.imageType.dimension !== 3) {
+    throw new Error(
+      `Round-trip verification compares 3D images, got ${image3D.imageType.dimension}D`,
+    );
+  }
+
+  const collected = [];
+  for await (const file of files) collected.push(file);
+  const images = selectSeriesImages(collected);
+  if (images.length === 0) {
+    throw new Error("Round-trip verification needs at least one image file");
+  }
+
+  const image = await readSeries(images);
+  const quantization = images.find((file) => file.quantization)?.quantization;
+  const report = compareImages(resliceImage(image3D, sliceAxis), image, {
+    ...(quantization && { pixels: quantization.maxError }),
+    ...tolerances,
+  });
+  return { ...report, image };
+}
@@ -0,0 +1,52 @@
+import { writeDicomSlice } from "./write-dicom-dcmjs.js";
+import { loadFrameEncoder, setCodecWasmUrl } from "./codecs.js";
+
+let codecsConfigured = false;
+
+/**
+ * Encodes one slice. The frame encoder holds WebAssembly functions that
+ * cannot be posted, so each worker loads its own from the transfer syntax
+ */
+async function encodeSlice({ slice2D, metadata, compression, codecWasmUrls }) {
+  if (!codecsConfigured) {
+    for (const [codec, url] of Object.entries(codecWasmUrls)) {
+      setCodecWasmUrl(codec, url);
+    }
+    codecsConfigured = true;
+  }
+  const frameEncoder = await loadFrameEncoder(
+    metadata.transferSyntax,
+    compression,
+  );
+  return writeDicomSlice(slice2D, { ...metadata, frameEncoder });
+}
+
+/**
+ * Answers each task with the encoded file, transferred back, or the error message
+ */
+function createHandler(post) {
+  return async (message) => {
+    try {
+      const result = await encodeSlice(message);
+      post({ id: message.id, result }, [result]);
+    } catch (error) {
+      post({ id: message.id, error: error.message });
+    }
+  };
+}
+
+if (typeof WorkerGlobalScope !== "undefined") {
+  const handle = createHandler((message, transfer) =>
+    self.postMessage(message, transfer),
+  );
+  self.addEventListener("message", (event) => handle(event.data));
+} else {
+  import("worker_threads").then(({ parentPort }) => {
+    parentPort.on(
+      "message",
+      createHandler((message, transfer) =>
+        parentPort.postMessage(message, transfer),
+      ),
+    );
+  });
+}
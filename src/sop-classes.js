@@ -0,0 +1,309 @@
+/**
+ * Storage SOP Classes supported by the dcmjs writers
+ */
+export const SOP_CLASS_UIDS = {
+  CT: "1.2.840.10008.5.1.4.1.1.2", // CT Image Storage
+  MR: "1.2.840.10008.5.1.4.1.1.4", // MR Image Storage
+  PT: "1.2.840.10008.5.1.4.1.1.128", // Positron Emission Tomography Image Storage
+  SC: "1.2.840.10008.5.1.4.1.1.7", // Secondary Capture Image Storage
+  SEG: "1.2.840.10008.5.1.4.1.1.66.4", // Segmentation Storage
+  RTSTRUCT: "1.2.840.10008.5.1.4.1.1.481.3", // RT Structure Set Storage
+  PMAP: "1.2.840.10008.5.1.4.1.1.30", // Parametric Map Storage
+};
+
+/**
+ * Modalities with a dedicated image Storage SOP Class, others use Secondary Capture
+ */
+const IMAGE_MODALITIES = ["CT", "MR", "PT"];
+
+/**
+ * SOP Classes whose IODs require 16-bit grayscale pixels: BitsAllocated 16
+ * for CT and PET Image, BitsStored 12 to 16 for CT
+ */
+const SIXTEEN_BIT_SOP_CLASSES = [SOP_CLASS_UIDS.CT, SOP_CLASS_UIDS.PT];
+
+/**
+ * Whether a SOP Class only accepts 16-bit grayscale pixels
+ * @param {string} sopClassUID - The SOP Class UID
+ * @returns {boolean}
+ */
+export function requiresSixteenBits(sopClassUID) {
+  return SIXTEEN_BIT_SOP_CLASSES.includes(sopClassUID);
+}
+
+/**
+ * Picks the Storage SOP Class UID for a modality
+ * @param {string} modality - DICOM Modality (CT, MR, PT, OT, ...)
+ * @param {string} [sopClassUID] - Explicit override, returned unchanged when given
+ * @returns {string} The SOP Class UID
+ */
+export function getSopClassUID(modality, sopClassUID) {
+  if (sopClassUID) return sopClassUID;
+  return IMAGE_MODALITIES.includes(modality)
+    ? SOP_CLASS_UIDS[modality]
+    : SOP_CLASS_UIDS.SC;
+}
+
+/**
+ * Creates the Modality LUT attributes mapping stored values to output units
+ * @param {Object} rescale - Rescale parameters
+ * @param {number} [rescale.rescaleSlope] - Rescale Slope (default: 1)
+ * @param {number} [rescale.rescaleIntercept] - Rescale Intercept (default: 0)
+ * @param {string} [rescale.rescaleType] - Rescale Type, omitted when not given
+ * @returns {Object} DICOM dataset entries keyed by tag
+ */
+export function createRescaleModule({
+  rescaleSlope = 1,
+  rescaleIntercept = 0,
+  rescaleType,
+}) {
+  const rescale = {
+    "00281052": {
+      // RescaleIntercept
+      vr: "DS",
+      Value: [rescaleIntercept],
+    },
+    "00281053": {
+      // RescaleSlope
+      vr: "DS",
+      Value: [rescaleSlope],
+    },
+  };
+  if (rescaleType) {
+    rescale["00281054"] = {
+      // RescaleType
+      vr: "LO",
+      Value: [rescaleType],
+    };
+  }
+  return rescale;
+}
+
+/**
+ * Creates the IOD specific modules for a SOP Class.
+ * Type 2 attributes without a known value are written empty.
+ * @param {string} sopClassUID - The SOP Class UID of the instance
+ * @param {Object} metadata - Slice metadata
+ * @param {number} metadata.imageIndex - One-based position of the slice in the series
+ * @param {number} metadata.numberOfSlices - Number of slices in the series
+ * @param {number} [metadata.rescaleSlope] - Rescale Slope (default: 1)
+ * @param {number} [metadata.rescaleIntercept] - Rescale Intercept (default: 0)
+ * @param {string} [metadata.rescaleType] - Rescale Type (default: HU for CT)
+ * @param {Object} [metadata.temporal] - Position in time of a 4D image, see createTemporalModule;
+ *   PET series of a 4D image are DYNAMIC, unless temporal.split writes each time point as a STATIC series
+ * @returns {Object} DICOM dataset entries keyed by tag
+ */
+export function createModalityModules(sopClassUID, metadata) {
+  const {
+    imageIndex,
+    numberOfSlices,
+    rescaleSlope,
+    rescaleIntercept,
+    temporal,
+  } = metadata;
+  // A series holding every time point of a 4D image
+  const dynamic = temporal && !temporal.split;
+
+  switch (sopClassUID) {
+    case SOP_CLASS_UIDS.CT:
+      // CT Image Module
+      return {
+        "00080008": {
+          // ImageType
+          vr: "CS",
+          Value: ["ORIGINAL", "PRIMARY", "AXIAL"],
+        },
+        ...createRescaleModule({
+          rescaleSlope,
+          rescaleIntercept,
+          rescaleType: metadata.rescaleType || "HU",
+        }),
+        "00180060": {
+          // KVP
+          vr: "DS",
+          Value: [],
+        },
+        "00200012": {
+          // AcquisitionNumber
+          vr: "IS",
+          Value: [],
+        },
+        "00185100": {
+          // PatientPosition - General Series, Type 2C for CT and MR
+          vr: "CS",
+          Value: [],
+        },
+      };
+
+    case SOP_CLASS_UIDS.MR:
+      // MR Image Module
+      return {
+        "00080008": {
+          // ImageType
+          vr: "CS",
+          Value: ["ORIGINAL", "PRIMARY", "OTHER"],
+        },
+        "00180020": {
+          // ScanningSequence - Research Mode
+          vr: "CS",
+          Value: ["RM"],
+        },
+        "00180021": {
+          // SequenceVariant
+          vr: "CS",
+          Value: ["NONE"],
+        },
+        "00180022": {
+          // ScanOptions
+          vr: "CS",
+          Value: [],
+        },
+        "00180023": {
+          // MRAcquisitionType
+          vr: "CS",
+          Value: [],
+        },
+        "00180080": {
+          // RepetitionTime
+          vr: "DS",
+          Value: [],
+        },
+        "00180081": {
+          // EchoTime
+          vr: "DS",
+          Value: [],
+        },
+        "00180091": {
+          // EchoTrainLength
+          vr: "IS",
+          Value: [],
+        },
+        "00185100": {
+          // PatientPosition - General Series, Type 2C for CT and MR
+          vr: "CS",
+          Value: [],
+        },
+      };
+
+    case SOP_CLASS_UIDS.PT:
+      // PET Series, PET Isotope, NM/PET Patient Orientation and PET Image Modules
+      return {
+        "00080008": {
+          // ImageType
+          vr: "CS",
+          Value: ["ORIGINAL", "PRIMARY"],
+        },
+        "00541000": {
+          // SeriesType
+          vr: "CS",
+          Value: [dynamic ? "DYNAMIC" : "STATIC", "IMAGE"],
+        },
+        ...(dynamic && {
+          "00540101": {
+            // NumberOfTimeSlices - Type 1C for DYNAMIC series
+            vr: "US",
+            Value: [temporal.numberOfPositions],
+          },
+        }),
+        "00541001": {
+          // Units
+          vr: "CS",
+          Value: ["CNTS"],
+        },
+        "00541002": {
+          // CountsSource
+          vr: "CS",
+          Value: ["EMISSION"],
+        },
+        "00541102": {
+          // DecayCorrection
+          vr: "CS",
+          Value: ["NONE"],
+        },
+        "00280051": {
+          // CorrectedImage
+          vr: "CS",
+          Value: [],
+        },
+        "00540081": {
+          // NumberOfSlices
+          vr: "US",
+          Value: [numberOfSlices],
+        },
+        "00181181": {
+          // CollimatorType
+          vr: "CS",
+          Value: [],
+        },
+        "00540016": {
+          // RadiopharmaceuticalInformationSequence
+          vr: "SQ",
+          Value: [],
+        },
+        // NM/PET Patient Orientation Module
+        "00540410": {
+          // PatientOrientationCodeSequence
+          vr: "SQ",
+          Value: [],
+        },
+        "00540414": {
+          // PatientGantryRelationshipCodeSequence
+          vr: "SQ",
+          Value: [],
+        },
+        ...createRescaleModule({
+          rescaleSlope,
+          rescaleIntercept,
+          rescaleType: metadata.rescaleType,
+        }),
+        "00080022": {
+          // AcquisitionDate
+          vr: "DA",
+          Value: [],
+        },
+        "00080032": {
+          // AcquisitionTime
+          vr: "TM",
+          Value: [],
+        },
+        "00181242": {
+          // ActualFrameDuration, in ms
+          vr: "IS",
+          Value: [temporal ? Math.round(temporal.resolution) : 0],
+        },
+        "00541300": {
+          // FrameReferenceTime, in ms from the first time point
+          vr: "DS",
+          Value: [temporal ? (temporal.position - 1) * temporal.resolution : 0],
+        },
+        "00541330": {
+          // ImageIndex
+          vr: "US",
+          Value: [imageIndex],
+        },
+      };
+
+    case SOP_CLASS_UIDS.SC:
+      // SC Equipment and General Image Modules
+      return {
+        "00080008": {
+          // ImageType
+          vr: "CS",
+          Value: ["DERIVED", "SECONDARY"],
+        },
+        "00080064": {
+          // ConversionType - Workstation
+          vr: "CS",
+          Value: ["WSD"],
+        },
+        "00200020": {
+          // PatientOrientation - Type 2C without an Image Plane Module
+          vr: "CS",
+          Value: [],
+        },
+      };
+
+    default:
+      return {};
+  }
+}
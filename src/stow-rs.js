@@ -0,0 +1,242 @@
+import dcmjs from "dcmjs";
+
+const { DicomMessage } = dcmjs.data;
+
+/**
+ * Status codes worth another try: the request may succeed once the server
+ * or the network recovers. Other client errors fail the batch at once
+ */
+const RETRY_STATUS = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Store Instances Response Module attributes (PS3.18 10.5.3)
+ */
+const FAILED_SOP_SEQUENCE = "00081198";
+const REFERENCED_SOP_SEQUENCE = "00081199";
+const REFERENCED_SOP_INSTANCE_UID = "00081155";
+const FAILURE_REASON = "00081197";
+const WARNING_REASON = "00081196";
+const RETRIEVE_URL = "00081190";
+
+function firstValue(dataset, tag) {
+  return dataset?.[tag]?.Value?.[0];
+}
+
+/**
+ * Reads the SOP Instance UID of a written file, stopping before the pixels
+ */
+function readSopInstanceUID(data) {
+  const buffer = data.buffer.slice(
+    data.byteOffset,
+    data.byteOffset + data.byteLength,
+  );
+  const { dict } = DicomMessage.readFile(buffer, { untilTag: "7FE00010" });
+  return firstValue(dict, "00080018");
+}
+
+/**
+ * Builds a multipart/related body with one application/dicom part per file
+ * @param {Array<{data: Uint8Array}>} files - The files of one request
+ * @returns {{body: Blob, contentType: string}} The body and its Content-Type header
+ */
+export function createMultipartBody(files) {
+  const boundary = `write-dicom-${globalThis.crypto.randomUUID()}`;
+  const parts = [];
+  for (const file of files) {
+    parts.push(
+      `--${boundary}\r\nContent-Type: application/dicom\r\n\r\n`,
+      file.data,
+      "\r\n",
+    );
+  }
+  parts.push(`--${boundary}--\r\n`);
+
+  return {
+    body: new Blob(parts),
+    contentType: `multipart/related; type="application/dicom"; boundary=${boundary}`,
+  };
+}
+
+/**
+ * Parses a STOW-RS response into the outcome of each instance it lists
+ * @param {Object|Array|undefined} response - The application/dicom+json body, if any
+ * @returns {Map<string, {stored: boolean, retrieveURL?: string, warningReason?: number,
+ *   failureReason?: number}>} Outcomes keyed by SOP Instance UID
+ */
+export function parseStoreResponse(response) {
+  // DICOM JSON is an array with one dataset
+  const dataset = Array.isArray(response) ? response[0] : response;
+  const outcomes = new Map();
+
+  for (const item of dataset?.[REFERENCED_SOP_SEQUENCE]?.Value ?? []) {
+    outcomes.set(firstValue(item, REFERENCED_SOP_INSTANCE_UID), {
+      stored: true,
+      retrieveURL: firstValue(item, RETRIEVE_URL),
+      warningReason: firstValue(item, WARNING_REASON),
+    });
+  }
+  for (const item of dataset?.[FAILED_SOP_SEQUENCE]?.Value ?? []) {
+    outcomes.set(firstValue(item, REFERENCED_SOP_INSTANCE_UID), {
+      stored: false,
+      failureReason: firstValue(item, FAILURE_REASON),
+    });
+  }
+
+  return outcomes;
+}
+
+function delay(milliseconds) {
+  return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * Posts one batch, retrying network errors and retryable statuses with
+ * exponential backoff
+ */
+async function postBatch(batch, endpoint, settings) {
+  const { headers, retries, retryDelay, fetch, logger } = settings;
+  const { body, contentType } = createMultipartBody(batch);
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          Accept: "application/dicom+json",
+          ...headers,
+          "Content-Type": contentType,
+        },
+        body,
+      });
+    } catch (error) {
+      if (attempt >= retries) {
+        return { status: 0, error: error.message };
+      }
+      logger.warn(`STOW-RS request failed (${error.message}), retrying...`);
+      await delay(retryDelay * 2 ** attempt);
+      continue;
+    }
+
+    if (RETRY_STATUS.includes(response.status) && attempt < retries) {
+      logger.warn(`STOW-RS returned ${response.status}, retrying...`);
+      await delay(retryDelay * 2 ** attempt);
+      continue;
+    }
+
+    const text = await response.text();
+    let json;
+    try {
+      json = text ? JSON.parse(text) : undefined;
+    } catch {
+      // Not DICOM JSON, e.g. an HTML error page
+    }
+    return {
+      status: response.status,
+      json,
+      error: response.ok ? undefined : `HTTP ${response.status}`,
+    };
+  }
+}
+
+/**
+ * Uploads DICOM files to a DICOMweb server with STOW-RS (PS3.18 10.5).
+ *
+ * Files are sent in batches, each a multipart/related request of
+ * application/dicom parts. Network errors and 408, 429 and 5xx responses
+ * are retried; the Store Instances Response of each batch tells which
+ * instances were stored and which failed.
+ * @param {Array<{filename: string, data: Uint8Array}>|AsyncIterable} files - Files to upload, the output of
+ *   writeImageAsDicomSeriesWithDcmjs or the stream of streamImageAsDicomSeriesWithDcmjs
+ * @param {Object} options - Upload options
+ * @param {string} options.url - Base URL of the DICOMweb service, e.g. https://pacs.example.com/dicom-web
+ * @param {string} options.studyInstanceUID - Post to /studies/{uid}, so the server rejects other studies
+ *   (default: post to /studies)
+ * @param {Object} options.headers - Extra request headers, e.g. { Authorization: "Bearer ..." }
+ * @param {number} options.batchSize - Files per request (default: 20)
+ * @param {number} options.retries - Retries of a failed request (default: 3)
+ * @param {number} options.retryDelay - Milliseconds before the first retry, doubled for each further one
+ *   (default: 1000)
+ * @param {function} options.fetch - fetch implementation (default: globalThis.fetch)
+ * @param {{log: function, warn: function}} options.logger - Receives the retries and the progress of each batch
+ *   (default: console)
+ * @returns {Promise<{stored: Array<{filename: string, sopInstanceUID: string, retrieveURL?: string,
+ *   warningReason?: number}>, failed: Array<{filename: string, sopInstanceUID: string, status: number,
+ *   failureReason?: number, error?: string}>}>} The outcome of every instance
+ */
+export async function storeInstances(files, options = {}) {
+  const {
+    url,
+    studyInstanceUID,
+    headers = {},
+    batchSize = 20,
+    retries = 3,
+    retryDelay = 1000,
+    fetch = globalThis.fetch,
+    logger = console,
+  } = options;
+
+  if (!url) {
+    throw new Error("STOW-RS needs the url of the DICOMweb service");
+  }
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`Batch size must be a positive integer, got ${batchSize}`);
+  }
+
+  const endpoint =
+    url.replace(/\/+$/, "") +
+    "/studies" +
+    (studyInstanceUID ? `/${studyInstanceUID}` : "");
+  const settings = { headers, retries, retryDelay, fetch, logger };
+  const report = { stored: [], failed: [] };
+
+  const upload = async (batch) => {
+    const { status, json, error } = await postBatch(batch, endpoint, settings);
+    const outcomes = parseStoreResponse(json);
+
+    for (const file of batch) {
+      const outcome = outcomes.get(file.sopInstanceUID);
+      // A 200 stores every instance, whether or not the response lists it
+      if (outcome?.stored || (!outcome && status === 200)) {
+        report.stored.push({
+          filename: file.filename,
+          sopInstanceUID: file.sopInstanceUID,
+          ...(outcome?.retrieveURL && { retrieveURL: outcome.retrieveURL }),
+          ...(outcome?.warningReason !== undefined && {
+            warningReason: outcome.warningReason,
+          }),
+        });
+      } else {
+        report.failed.push({
+          filename: file.filename,
+          sopInstanceUID: file.sopInstanceUID,
+          status,
+          ...(outcome?.failureReason !== undefined && {
+            failureReason: outcome.failureReason,
+          }),
+          ...(!outcome && { error: error ?? "Missing from the response" }),
+        });
+      }
+    }
+
+    logger.log(
+      `Stored ${report.stored.length}, failed ${report.failed.length} instances`,
+    );
+  };
+
+  let batch = [];
+  for await (const file of files) {
+    batch.push({
+      filename: file.filename,
+      data: file.data,
+      sopInstanceUID: readSopInstanceUID(file.data),
+    });
+    if (batch.length === batchSize) {
+      await upload(batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) await upload(batch);
+
+  return report;
+}
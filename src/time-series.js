@@ -0,0 +1,132 @@
+/**
+ * Milliseconds per unit of the time spacing, spacing[3] of a 4D image
+ */
+const MILLISECONDS_PER_UNIT = { s: 1000, ms: 1 };
+
+/**
+ * Converts the time spacing of a 4D image to milliseconds, the unit of
+ * Temporal Resolution and Trigger Time
+ * @param {number} timeSpacing - spacing[3] of the 4D image
+ * @param {string} timeUnit - Unit of the time spacing: s or ms
+ * @returns {number} The time between time points in milliseconds
+ */
+export function toMilliseconds(timeSpacing, timeUnit = "s") {
+  const factor = MILLISECONDS_PER_UNIT[timeUnit];
+  if (factor === undefined) {
+    throw new Error(`Unknown time unit: ${timeUnit} (expected s or ms)`);
+  }
+  return timeSpacing * factor;
+}
+
+/**
+ * Copies one time point of a 4D image into a 3D volume
+ * @param {Image} image4D - 4D image, time is the slowest varying axis
+ * @param {number} timePoint - Index along the fourth axis
+ * @returns {Image} The 3D volume at that time point
+ */
+export function extractTimePoint(image4D, timePoint) {
+  const { size, spacing, origin, direction, imageType, data } = image4D;
+  const volumeLength = size[0] * size[1] * size[2] * imageType.components;
+  const offset = timePoint * volumeLength;
+
+  // The spatial part of the row-major 4x4 direction matrix
+  const direction3D = new Float64Array(9);
+  for (let row = 0; row < 3; row++) {
+    for (let column = 0; column < 3; column++) {
+      direction3D[row * 3 + column] = direction[row * 4 + column];
+    }
+  }
+
+  return {
+    ...image4D,
+    imageType: { ...imageType, dimension: 3 },
+    name: `time_point_${timePoint}`,
+    size: size.slice(0, 3),
+    spacing: Array.from(spacing).slice(0, 3),
+    origin: Array.from(origin).slice(0, 3),
+    direction: direction3D,
+    data: data.slice(offset, offset + volumeLength),
+  };
+}
+
+/**
+ * Adds milliseconds to a DICOM time, wrapping at midnight
+ * @param {string} time - DICOM TM value (HHMMSS[.FFFFFF])
+ * @param {number} milliseconds - Offset to add
+ * @returns {string} The TM value, with fractional seconds when needed
+ */
+export function offsetDicomTime(time, milliseconds) {
+  const hours = Number(time.slice(0, 2));
+  const minutes = Number(time.slice(2, 4) || 0);
+  const seconds = Number(time.slice(4) || 0);
+  const dayMs = 24 * 3600 * 1000;
+  const startMs = ((hours * 60 + minutes) * 60 + seconds) * 1000;
+  const totalMs =
+    ((Math.round(startMs + milliseconds) % dayMs) + dayMs) % dayMs;
+
+  const wholeSeconds = Math.floor(totalMs / 1000);
+  const fraction = totalMs % 1000;
+  const formatted = [
+    Math.floor(wholeSeconds / 3600),
+    Math.floor(wholeSeconds / 60) % 60,
+    wholeSeconds % 60,
+  ]
+    .map((part) => String(part).padStart(2, "0"))
+    .join("");
+  return fraction
+    ? `${formatted}.${String(fraction).padStart(3, "0")}`
+    : formatted;
+}
+
+/**
+ * Creates the temporal attributes of one frame of a time series
+ * @param {Object} temporal - Position of the frame in time
+ * @param {number} temporal.position - Temporal Position Identifier, starting at 1
+ * @param {number} temporal.numberOfPositions - Number of Temporal Positions
+ * @param {number} temporal.resolution - Temporal Resolution in milliseconds
+ * @param {string} temporal.acquisitionDate - Acquisition Date of the series
+ * @param {string} temporal.startTime - Time of the first time point, offset by the trigger time
+ * @returns {Object} DICOM dataset entries keyed by tag
+ */
+export function createTemporalModule({
+  position,
+  numberOfPositions,
+  resolution,
+  acquisitionDate,
+  startTime,
+}) {
+  const triggerTime = (position - 1) * resolution;
+
+  return {
+    "00200100": {
+      // TemporalPositionIdentifier
+      vr: "IS",
+      Value: [position],
+    },
+    "00200105": {
+      // NumberOfTemporalPositions
+      vr: "IS",
+      Value: [numberOfPositions],
+    },
+    "00200110": {
+      // TemporalResolution
+      vr: "DS",
+      Value: [resolution],
+    },
+    "00181060": {
+      // TriggerTime
+      vr: "DS",
+      Value: [triggerTime],
+    },
+    "00080022": {
+      // AcquisitionDate
+      vr: "DA",
+      Value: [acquisitionDate],
+    },
+    "00080032": {
+      // AcquisitionTime
+      vr: "TM",
+      Value: [offsetDicomTime(startTime, triggerTime)],
+    },
+  };
+}
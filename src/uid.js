@@ -0,0 +1,153 @@
+/**
+ * Root of UIDs derived from a UUID (ISO/IEC 9834-8, DICOM PS3.5 B.2)
+ */
+export const UUID_UID_ROOT = "2.25";
+
+const MAX_UID_LENGTH = 64;
+
+/**
+ * Fewest random digits under an organisation root; fewer make collisions likely
+ */
+const MIN_SUFFIX_DIGITS = 20;
+
+/**
+ * Checks the DICOM UID rules: at most 64 characters, dot separated numeric
+ * components and no leading zeros in a component
+ * @param {string} uid - The UID to check
+ * @param {string} [name] - What the UID is, for the error message
+ * @returns {string} The UID
+ */
+export function validateUID(uid, name = "UID") {
+  if (typeof uid !== "string" || uid.length === 0) {
+    throw new Error(`Invalid ${name}: expected a string, got ${uid}`);
+  }
+  if (uid.length > MAX_UID_LENGTH) {
+    throw new Error(
+      `Invalid ${name}: ${uid} is longer than ${MAX_UID_LENGTH} characters`,
+    );
+  }
+  for (const component of uid.split(".")) {
+    if (!/^(0|[1-9][0-9]*)$/.test(component)) {
+      throw new Error(
+        `Invalid ${name}: ${uid} has a component "${component}" that is not a number without leading zeros`,
+      );
+    }
+  }
+  return uid;
+}
+
+/**
+ * Converts a UUID to its 2.25 UID
+ * @param {string} uuid - UUID such as "f81d4fae-7dec-11d0-a765-00a0c91e6bf6"
+ * @returns {string} The UID, e.g. 2.25.329800735698586629295641978511506172918
+ */
+export function uuidToUID(uuid) {
+  const hex = uuid.replace(/-/g, "");
+  if (!/^[0-9a-fA-F]{32}$/.test(hex)) {
+    throw new Error(`Invalid UUID: ${uuid}`);
+  }
+  return `${UUID_UID_ROOT}.${BigInt(`0x${hex}`)}`;
+}
+
+/**
+ * Hashes a seed into four 32-bit words (cyrb128)
+ */
+function hashSeed(seed) {
+  const text = String(seed);
+  let h1 = 1779033703;
+  let h2 = 3144134277;
+  let h3 = 1013904242;
+  let h4 = 2773480762;
+  for (let i = 0; i < text.length; i++) {
+    const k = text.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  return [
+    (h1 ^ h2 ^ h3 ^ h4) >>> 0,
+    (h2 ^ h1) >>> 0,
+    (h3 ^ h1) >>> 0,
+    (h4 ^ h1) >>> 0,
+  ];
+}
+
+/**
+ * Creates a source of 16 random bytes, reproducible (sfc32) when seeded,
+ * otherwise from the platform's cryptographic random number generator
+ */
+function createRandomBytes(seed) {
+  if (seed === undefined) {
+    return () => globalThis.crypto.getRandomValues(new Uint8Array(16));
+  }
+
+  let [a, b, c, d] = hashSeed(seed);
+  const next = () => {
+    const t = (((a + b) >>> 0) + d) >>> 0;
+    d = (d + 1) >>> 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) >>> 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) >>> 0;
+    return t;
+  };
+
+  return () => {
+    const bytes = new Uint8Array(16);
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i < 16; i += 4) view.setUint32(i, next());
+    return bytes;
+  };
+}
+
+function toBigInt(bytes) {
+  return bytes.reduce((value, byte) => (value << 8n) | BigInt(byte), 0n);
+}
+
+/**
+ * Creates a UID generator.
+ *
+ * Without a root, UIDs are 2.25 UIDs derived from random (version 4) UUIDs.
+ * With an organisation root, UIDs are the root followed by 128 random bits in
+ * decimal, cut to fit 64 characters. A seed makes the sequence of UIDs
+ * reproducible, e.g. for test output, and must not be reused for real data.
+ * @param {Object} [options] - Generator options
+ * @param {string} [options.root] - Organisation UID root, e.g. your registered root
+ * @param {string|number} [options.seed] - Seed for a deterministic sequence of UIDs
+ * @returns {function(): string} Function returning a new UID on every call
+ */
+export function createUIDGenerator({ root, seed } = {}) {
+  const randomBytes = createRandomBytes(seed);
+
+  if (root === undefined) {
+    return () => {
+      const bytes = randomBytes();
+      // RFC 4122 version 4 and variant bits
+      bytes[6] = (bytes[6] & 0x0f) | 0x40;
+      bytes[8] = (bytes[8] & 0x3f) | 0x80;
+      return `${UUID_UID_ROOT}.${toBigInt(bytes)}`;
+    };
+  }
+
+  validateUID(root, "UID root");
+  const suffixDigits = MAX_UID_LENGTH - root.length - 1;
+  if (suffixDigits < MIN_SUFFIX_DIGITS) {
+    throw new Error(
+      `UID root ${root} leaves ${suffixDigits} digits, at least ${MIN_SUFFIX_DIGITS} are needed for unique UIDs`,
+    );
+  }
+  const modulus = 10n ** BigInt(suffixDigits);
+
+  return () => `${root}.${toBigInt(randomBytes()) % modulus}`;
+}
+
+/**
+ * Generates a unique 2.25 UID from a random UUID
+ * @returns {string} A new UID
+ */
+export const generateUID = createUIDGenerator();
@@ -0,0 +1,621 @@
+import dcmjs from "dcmjs";
+import { SOP_CLASS_UIDS } from "./sop-classes.js";
+import { validateUID } from "./uid.js";
+
+const { DicomMessage, DicomMetaDictionary } = dcmjs.data;
+
+/**
+ * Values of an element, leaving out the empty strings, names and buffers
+ * dcmjs reads for zero length values
+ */
+function values(element) {
+  return (element?.Value ?? []).filter((value) => {
+    if (value === "" || value === null || value === undefined) return false;
+    if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+      return value.byteLength > 0;
+    }
+    // Person names are objects of component groups
+    return typeof value !== "object" || Object.values(value).some(Boolean);
+  });
+}
+
+function firstValue(dict, tag) {
+  return values(dict[tag])[0];
+}
+
+function isEmpty(element) {
+  return values(element).length === 0;
+}
+
+/**
+ * Conditions of Type 1C and 2C attributes, called with the dataset
+ */
+const sopClassIn =
+  (...sopClassUIDs) =>
+  (dict) =>
+    sopClassUIDs.includes(firstValue(dict, "00080016"));
+const hasIntegerPixels = (dict) => !dict["7FE00008"] && !dict["7FE00009"];
+const isFractional = (dict) => firstValue(dict, "00620001") === "FRACTIONAL";
+
+/**
+ * Modules of the IODs, each attribute as [tag, keyword, type, options].
+ * options.when is the condition of a Type 1C/2C attribute, options.values
+ * its Enumerated Values. Type 3 attributes are not listed (PS3.3)
+ */
+const MODULES = {
+  "File Meta Information": [
+    ["00020002", "MediaStorageSOPClassUID", "1"],
+    ["00020003", "MediaStorageSOPInstanceUID", "1"],
+    ["00020010", "TransferSyntaxUID", "1"],
+    ["00020012", "ImplementationClassUID", "1"],
+  ],
+  "SOP Common": [
+    ["00080016", "SOPClassUID", "1"],
+    ["00080018", "SOPInstanceUID", "1"],
+  ],
+  Patient: [
+    ["00100010", "PatientName", "2"],
+    ["00100020", "PatientID", "2"],
+    ["00100030", "PatientBirthDate", "2"],
+    ["00100040", "PatientSex", "2", { values: ["M", "F", "O"] }],
+  ],
+  "General Study": [
+    ["0020000D", "StudyInstanceUID", "1"],
+    ["00080020", "StudyDate", "2"],
+    ["00080030", "StudyTime", "2"],
+    ["00080090", "ReferringPhysicianName", "2"],
+    ["00200010", "StudyID", "2"],
+    ["00080050", "AccessionNumber", "2"],
+  ],
+  "General Series": [
+    ["00080060", "Modality", "1"],
+    ["0020000E", "SeriesInstanceUID", "1"],
+    ["00200011", "SeriesNumber", "2"],
+    [
+      "00185100",
+      "PatientPosition",
+      "2C",
+      { when: sopClassIn(SOP_CLASS_UIDS.CT, SOP_CLASS_UIDS.MR) },
+    ],
+  ],
+  "Frame of Reference": [
+    ["00200052", "FrameOfReferenceUID", "1"],
+    ["00201040", "PositionReferenceIndicator", "2"],
+  ],
+  "General Equipment": [["00080070", "Manufacturer", "2"]],
+  "Enhanced General Equipment": [
+    ["00080070", "Manufacturer", "1"],
+    ["00081090", "ManufacturerModelName", "1"],
+    ["00181000", "DeviceSerialNumber", "1"],
+    ["00181020", "SoftwareVersions", "1"],
+  ],
+  "General Image": [
+    ["00200013", "InstanceNumber", "2"],
+    // Images without an Image Plane Module are oriented by Patient Orientation
+    [
+      "00200020",
+      "PatientOrientation",
+      "2C",
+      { when: sopClassIn(SOP_CLASS_UIDS.SC) },
+    ],
+  ],
+  "Image Plane": [
+    ["00280030", "PixelSpacing", "1"],
+    ["00200037", "ImageOrientationPatient", "1"],
+    ["00200032", "ImagePositionPatient", "1"],
+    ["00180050", "SliceThickness", "2"],
+  ],
+  "Image Pixel": [
+    ["00280002", "SamplesPerPixel", "1"],
+    ["00280004", "PhotometricInterpretation", "1"],
+    ["00280010", "Rows", "1"],
+    ["00280011", "Columns", "1"],
+    ["00280100", "BitsAllocated", "1"],
+    // Float pixels (Floating Point Image Pixel Module) have no stored bits
+    ["00280101", "BitsStored", "1C", { when: hasIntegerPixels }],
+    ["00280102", "HighBit", "1C", { when: hasIntegerPixels }],
+    ["00280103", "PixelRepresentation", "1C", { when: hasIntegerPixels }],
+    [
+      "00280006",
+      "PlanarConfiguration",
+      "1C",
+      { when: (dict) => firstValue(dict, "00280002") > 1 },
+    ],
+    ["7FE00010", "PixelData", "1C", { when: hasIntegerPixels }],
+  ],
+  "CT Image": [
+    ["00080008", "ImageType", "1"],
+    ["00281052", "RescaleIntercept", "1"],
+    ["00281053", "RescaleSlope", "1"],
+    ["00180060", "KVP", "2"],
+    ["00200012", "AcquisitionNumber", "2"],
+  ],
+  "MR Image": [
+    ["00080008", "ImageType", "1"],
+    ["00180020", "ScanningSequence", "1"],
+    ["00180021", "SequenceVariant", "1"],
+    ["00180022", "ScanOptions", "2"],
+    ["00180023", "MRAcquisitionType", "2"],
+    [
+      "00180080",
+      "RepetitionTime",
+      "2C",
+      {
+        when: (dict) =>
+          !values(dict["00180020"]).includes("EP") ||
+          values(dict["00180021"]).includes("SK"),
+      },
+    ],
+    ["00180081", "EchoTime", "2"],
+    ["00180091", "EchoTrainLength", "2"],
+    [
+      "00180082",
+      "InversionTime",
+      "2C",
+      { when: (dict) => values(dict["00180020"]).includes("IR") },
+    ],
+  ],
+  "PET Series": [
+    ["00080021", "SeriesDate", "1"],
+    ["00080031", "SeriesTime", "1"],
+    ["00541001", "Units", "1"],
+    ["00541002", "CountsSource", "1", { values: ["EMISSION", "TRANSMISSION"] }],
+    ["00541000", "SeriesType", "1"],
+    ["00280051", "CorrectedImage", "2"],
+    [
+      "00541102",
+      "DecayCorrection",
+      "1",
+      { values: ["NONE", "START", "ADMIN"] },
+    ],
+    ["00181181", "CollimatorType", "2"],
+    ["00540081", "NumberOfSlices", "1"],
+    [
+      "00540101",
+      "NumberOfTimeSlices",
+      "1C",
+      { when: (dict) => firstValue(dict, "00541000") === "DYNAMIC" },
+    ],
+  ],
+  "PET Isotope": [["00540016", "RadiopharmaceuticalInformationSequence", "2"]],
+  "NM/PET Patient Orientation": [
+    ["00540410", "PatientOrientationCodeSequence", "2"],
+    ["00540414", "PatientGantryRelationshipCodeSequence", "2"],
+  ],
+  "PET Image": [
+    ["00080008", "ImageType", "1"],
+    ["00281052", "RescaleIntercept", "1"],
+    ["00281053", "RescaleSlope", "1"],
+    ["00541300", "FrameReferenceTime", "1"],
+    ["00541330", "ImageIndex", "1"],
+    ["00080022", "AcquisitionDate", "2"],
+    ["00080032", "AcquisitionTime", "2"],
+    ["00181242", "ActualFrameDuration", "2"],
+    [
+      "00541321",
+      "DecayFactor",
+      "1C",
+      { when: (dict) => firstValue(dict, "00541102") !== "NONE" },
+    ],
+  ],
+  "SC Equipment": [["00080064", "ConversionType", "1"]],
+  "Segmentation Series": [
+    ["00080060", "Modality", "1", { values: ["SEG"] }],
+    ["00200011", "SeriesNumber", "1"],
+  ],
+  "Segmentation Image": [
+    ["00080008", "ImageType", "1"],
+    ["00700080", "ContentLabel", "1"],
+    ["00700081", "ContentDescription", "2"],
+    ["00700084", "ContentCreatorName", "2"],
+    [
+      "00620001",
+      "SegmentationType",
+      "1",
+      { values: ["BINARY", "FRACTIONAL", "LABELMAP"] },
+    ],
+    ["00620010", "SegmentationFractionalType", "1C", { when: isFractional }],
+    ["00620011", "MaximumFractionalValue", "1C", { when: isFractional }],
+    ["00620002", "SegmentSequence", "1"],
+  ],
+  "Parametric Map Series": [["00080060", "Modality", "1"]],
+  "Parametric Map Image": [
+    ["00080008", "ImageType", "1"],
+    ["00700080", "ContentLabel", "1"],
+    ["00700081", "ContentDescription", "2"],
+    ["00700084", "ContentCreatorName", "2"],
+    ["20500020", "PresentationLUTShape", "1C", { when: hasIntegerPixels }],
+  ],
+  "Multi-frame Functional Groups": [
+    ["52009229", "SharedFunctionalGroupsSequence", "2"],
+    ["52009230", "PerFrameFunctionalGroupsSequence", "1"],
+    ["00200013", "InstanceNumber", "1"],
+    ["00080023", "ContentDate", "1"],
+    ["00080033", "ContentTime", "1"],
+    ["00280008", "NumberOfFrames", "1"],
+  ],
+  "Multi-frame Dimension": [
+    ["00209221", "DimensionOrganizationSequence", "1"],
+    ["00209222", "DimensionIndexSequence", "1"],
+  ],
+  "RT Series": [
+    ["00080060", "Modality", "1", { values: ["RTSTRUCT"] }],
+    ["0020000E", "SeriesInstanceUID", "1"],
+    ["00200011", "SeriesNumber", "2"],
+    ["00081070", "OperatorsName", "2"],
+  ],
+  "Structure Set": [
+    ["30060002", "StructureSetLabel", "1"],
+    ["30060008", "StructureSetDate", "2"],
+    ["30060009", "StructureSetTime", "2"],
+    ["30060020", "StructureSetROISequence", "1"],
+  ],
+  "ROI Contour": [["30060039", "ROIContourSequence", "1"]],
+  "RT ROI Observations": [["30060080", "RTROIObservationsSequence", "1"]],
+};
+
+const IMAGE_MODULES = [
+  "Patient",
+  "General Study",
+  "General Series",
+  "Frame of Reference",
+  "General Equipment",
+  "General Image",
+  "Image Pixel",
+  "SOP Common",
+];
+
+const ENHANCED_MODULES = [
+  ...IMAGE_MODULES,
+  "Enhanced General Equipment",
+  "Multi-frame Functional Groups",
+  "Multi-frame Dimension",
+];
+
+/**
+ * Mandatory modules of the IOD of each SOP Class written here
+ */
+const IOD_MODULES = {
+  [SOP_CLASS_UIDS.CT]: [...IMAGE_MODULES, "Image Plane", "CT Image"],
+  [SOP_CLASS_UIDS.MR]: [...IMAGE_MODULES, "Image Plane", "MR Image"],
+  [SOP_CLASS_UIDS.PT]: [
+    ...IMAGE_MODULES,
+    "Image Plane",
+    "PET Series",
+    "PET Isotope",
+    "NM/PET Patient Orientation",
+    "PET Image",
+  ],
+  [SOP_CLASS_UIDS.SC]: [...IMAGE_MODULES, "SC Equipment"],
+  [SOP_CLASS_UIDS.SEG]: [
+    ...ENHANCED_MODULES,
+    "Segmentation Series",
+    "Segmentation Image",
+  ],
+  [SOP_CLASS_UIDS.PMAP]: [
+    ...ENHANCED_MODULES,
+    "Parametric Map Series",
+    "Parametric Map Image",
+  ],
+  [SOP_CLASS_UIDS.RTSTRUCT]: [
+    "Patient",
+    "General Study",
+    "RT Series",
+    "General Equipment",
+    "Structure Set",
+    "ROI Contour",
+    "RT ROI Observations",
+    "SOP Common",
+  ],
+};
+
+/**
+ * Longest value of each string VR, in characters (PS3.5 6.2)
+ */
+const MAX_LENGTHS = {
+  AE: 16,
+  AS: 4,
+  CS: 16,
+  DA: 8,
+  DS: 16,
+  DT: 26,
+  IS: 12,
+  LO: 64,
+  LT: 10240,
+  PN: 64,
+  SH: 16,
+  ST: 1024,
+  TM: 14,
+  UI: 64,
+};
+
+/**
+ * VRs the dictionary leaves open: either of the listed VRs is allowed
+ */
+const VR_CHOICES = {
+  ox: ["OB", "OW"],
+  xs: ["US", "SS"],
+  lt: ["US", "SS", "OW"],
+  up: ["UL"],
+};
+
+/**
+ * VRs whose value is a single byte stream, with no Value Multiplicity
+ */
+const BINARY_VRS = ["OB", "OD", "OF", "OL", "OV", "OW", "UN", "SQ"];
+
+function formatTag(tag) {
+  return `(${tag.slice(0, 4)},${tag.slice(4)})`;
+}
+
+function dictionaryEntry(tag) {
+  return DicomMetaDictionary.dictionary[formatTag(tag)];
+}
+
+function isValidDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return (
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day
+  );
+}
+
+/**
+ * Checks the format of one value of a string VR, returning what is wrong
+ */
+function checkValueFormat(vr, value) {
+  const maxLength = MAX_LENGTHS[vr];
+  if (vr === "PN") {
+    // The limit applies to each component group (alphabetic=ideographic=phonetic)
+    if (value.split("=").some((group) => group.length > maxLength)) {
+      return `is longer than ${maxLength} characters per component group`;
+    }
+    return undefined;
+  }
+  if (maxLength && value.length > maxLength) {
+    return `is longer than ${maxLength} characters`;
+  }
+
+  switch (vr) {
+    case "AS":
+      return /^\d{3}[DWMY]$/.test(value)
+        ? undefined
+        : "is not nnnD, nnnW, nnnM or nnnY";
+    case "CS":
+      return /^[A-Z0-9 _]*$/.test(value)
+        ? undefined
+        : "has characters other than A-Z, 0-9, space and _";
+    case "DA": {
+      const match = /^(\d{4})(\d{2})(\d{2})$/.exec(value);
+      if (!match) return "is not YYYYMMDD";
+      const [year, month, day] = match.slice(1).map(Number);
+      return isValidDate(year, month, day) ? undefined : "is not a valid date";
+    }
+    case "TM": {
+      const match = /^(\d{2})(?:(\d{2})(?:(\d{2})(?:\.\d{1,6})?)?)?$/.exec(
+        value,
+      );
+      if (!match) return "is not HHMMSS.FFFFFF";
+      const [hours, minutes = 0, seconds = 0] = match
+        .slice(1)
+        .filter(Boolean)
+        .map(Number);
+      // Seconds go up to 60 for leap seconds
+      return hours < 24 && minutes < 60 && seconds <= 60
+        ? undefined
+        : "is not a valid time";
+    }
+    case "DT":
+      return /^\d{4}(\d{2}(\d{2}(\d{2}(\d{2}(\d{2}(\.\d{1,6})?)?)?)?)?)?([+-]\d{4})?$/.test(
+        value,
+      )
+        ? undefined
+        : "is not YYYYMMDDHHMMSS.FFFFFF&ZZXX";
+    case "DS":
+      return /^ *[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)? *$/.test(value)
+        ? undefined
+        : "is not a decimal number";
+    case "IS": {
+      if (!/^ *[+-]?\d+ *$/.test(value)) return "is not an integer";
+      const number = Number(value);
+      return number >= -(2 ** 31) && number < 2 ** 31
+        ? undefined
+        : "is out of the 32-bit integer range";
+    }
+    case "UI":
+      try {
+        validateUID(value);
+        return undefined;
+      } catch (error) {
+        return error.message.replace(/^Invalid UID: \S+ /, "");
+      }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Checks whether a value count fits a Value Multiplicity such as 1, 1-3, 2-n or 3-3n
+ */
+function fitsMultiplicity(count, vm) {
+  const match = /^(\d+)(?:-(\d+)?(n)?)?$/.exec(vm);
+  if (!match) return true;
+  const [, min, max, unbounded] = match;
+  if (count < Number(min)) return false;
+  if (unbounded) return !max || count % Number(max) === 0;
+  return count <= Number(max ?? min);
+}
+
+/**
+ * Raw strings of a string element, before dcmjs converts numbers and names
+ */
+function rawStrings(element) {
+  const raw = element._rawValue ?? element.Value;
+  const strings = Array.isArray(raw) ? raw : String(raw).split("\\");
+  return strings
+    .filter((value) => typeof value === "string")
+    .map((value) => value.replace(/[\0 ]+$/, ""));
+}
+
+/**
+ * Checks the VR, Value Multiplicity and value formats of every element,
+ * including those nested in sequences
+ */
+function checkElements(dict, issues, path = "") {
+  for (const [tag, element] of Object.entries(dict)) {
+    const entry = dictionaryEntry(tag);
+    // Private and unknown attributes have no rules to check
+    if (!entry) continue;
+    const name = `${path}${entry.name}`;
+    const report = (message) =>
+      issues.errors.push({
+        tag,
+        name,
+        message: `${name} ${formatTag(tag)} ${message}`,
+      });
+
+    const allowed = VR_CHOICES[entry.vr] ?? [entry.vr];
+    if (entry.vr !== "na" && !allowed.includes(element.vr)) {
+      report(`has VR ${element.vr}, expected ${allowed.join(" or ")}`);
+    }
+
+    if (element.vr === "SQ") {
+      (element.Value ?? []).forEach((item, index) =>
+        checkElements(item, issues, `${name}[${index}].`),
+      );
+      continue;
+    }
+    if (BINARY_VRS.includes(element.vr) || isEmpty(element)) continue;
+
+    const count = element.Value.length;
+    if (entry.vm && !fitsMultiplicity(count, entry.vm)) {
+      report(
+        `has ${count} value${count === 1 ? "" : "s"}, expected VM ${entry.vm}`,
+      );
+    }
+    if (element.vr in MAX_LENGTHS) {
+      for (const value of rawStrings(element)) {
+        if (value === "") continue;
+        const problem = checkValueFormat(element.vr, value);
+        if (problem) report(`value "${value}" ${problem}`);
+      }
+    }
+  }
+}
+
+/**
+ * Checks that the attributes each module requires are present (Type 1 and 2)
+ * and have a value (Type 1), and hold one of their Enumerated Values
+ */
+function checkModules(dict, moduleNames, issues) {
+  for (const module of moduleNames) {
+    for (const [tag, name, type, { when, values: enumerated } = {}] of MODULES[
+      module
+    ]) {
+      if (when && !when(dict)) continue;
+      const element = dict[tag];
+      const label = `${name} ${formatTag(tag)}`;
+      const issue = { tag, name, module };
+
+      if (!element) {
+        issues.errors.push({
+          ...issue,
+          message: `${label} is missing: Type ${type} in the ${module} Module`,
+        });
+      } else if (isEmpty(element) && type.startsWith("1")) {
+        issues.errors.push({
+          ...issue,
+          message: `${label} is empty: Type ${type} in the ${module} Module needs a value`,
+        });
+      } else if (
+        enumerated &&
+        values(element).some((value) => !enumerated.includes(value))
+      ) {
+        issues.errors.push({
+          ...issue,
+          message: `${label} is ${values(element).join("\\")}, expected one of ${enumerated.join(", ")}`,
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Checks a written DICOM file against the IOD of its SOP Class (PS3.3):
+ * the File Meta Information, the presence of the Type 1 and Type 2
+ * attributes of each mandatory module, Type 1C and 2C attributes whose
+ * condition holds, Enumerated Values, and for every element its VR,
+ * Value Multiplicity and value format (DA, TM, UI, DS, IS, ... lengths
+ * and syntax, PS3.5 6.2).
+ *
+ * CT, MR, PET, Secondary Capture, Segmentation, Parametric Map and RT
+ * Structure Set IODs are known; files of other SOP Classes only get the
+ * element checks and a warning.
+ * @param {Uint8Array|ArrayBuffer} data - The DICOM Part 10 file
+ * @returns {{valid: boolean, sopClassUID: string, sopInstanceUID: string,
+ *   errors: Array<{tag: string, name: string, module?: string, message: string}>,
+ *   warnings: Array<{tag?: string, name?: string, module?: string, message: string}>}}
+ *   The report, valid when there are no errors
+ */
+export function validateDicom(data) {
+  const buffer =
+    data instanceof ArrayBuffer
+      ? data
+      : data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  const { meta, dict } = DicomMessage.readFile(buffer);
+  const issues = { errors: [], warnings: [] };
+
+  const sopClassUID = firstValue(dict, "00080016");
+  const sopInstanceUID = firstValue(dict, "00080018");
+
+  // File Meta Information (PS3.10 7.1)
+  checkModules(meta, ["File Meta Information"], issues);
+  for (const [tag, name, value] of [
+    ["00020002", "MediaStorageSOPClassUID", sopClassUID],
+    ["00020003", "MediaStorageSOPInstanceUID", sopInstanceUID],
+  ]) {
+    if (meta[tag] && firstValue(meta, tag) !== value) {
+      issues.errors.push({
+        tag,
+        name,
+        message: `${name} ${formatTag(tag)} is ${firstValue(meta, tag)}, expected ${value} as in the dataset`,
+      });
+    }
+  }
+  checkElements(meta, issues);
+
+  const moduleNames = IOD_MODULES[sopClassUID];
+  if (moduleNames) {
+    checkModules(dict, moduleNames, issues);
+  } else {
+    issues.warnings.push({
+      tag: "00080016",
+      name: "SOPClassUID",
+      message: `No IOD is known for SOP Class ${sopClassUID}, only the element values were checked`,
+    });
+  }
+  checkElements(dict, issues);
+
+  // Type 2 allows these empty, but archives match patients on them
+  for (const [tag, name] of [
+    ["00100010", "PatientName"],
+    ["00100020", "PatientID"],
+  ]) {
+    if (dict[tag] && isEmpty(dict[tag])) {
+      issues.warnings.push({
+        tag,
+        name,
+        module: "Patient",
+        message: `${name} ${formatTag(tag)} is empty: archives may merge or reject the patient`,
+      });
+    }
+  }
+
+  return {
+    valid: issues.errors.length === 0,
+    sopClassUID,
+    sopInstanceUID,
+    ...issues,
+  };
+}
@@ -0,0 +1,178 @@
+import { toDecimalStringPrecision } from "./quantize.js";
+
+/**
+ * Window presets for CT, in Hounsfield units
+ */
+export const WINDOW_PRESETS = {
+  CT_BRAIN: { center: 40, width: 80, explanation: "BRAIN" },
+  CT_LUNG: { center: -600, width: 1500, explanation: "LUNG" },
+  CT_BONE: { center: 400, width: 1800, explanation: "BONE" },
+};
+
+/**
+ * Percentile window used by the AUTO entry and as the writer's default
+ */
+const AUTO_WINDOW = { percentiles: [1, 99], explanation: "AUTO" };
+
+/**
+ * Integer images with a range up to this many values get one bin per value
+ */
+const HISTOGRAM_BINS = 65536;
+
+function valueRange(data) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] < min) min = data[i];
+    if (data[i] > max) max = data[i];
+  }
+  return { min, max };
+}
+
+/**
+ * Builds the histogram of all pixel values of a volume
+ * @param {TypedArray} data - Pixel values
+ * @returns {{min: number, max: number, binWidth: number, counts: Float64Array, total: number}} The histogram
+ */
+export function computeHistogram(data) {
+  const { min, max } = valueRange(data);
+
+  const binCount = Math.min(HISTOGRAM_BINS, Math.floor(max - min) + 1);
+  const binWidth = (max - min + 1) / binCount;
+  const counts = new Float64Array(binCount);
+  for (let i = 0; i < data.length; i++) {
+    counts[Math.min(binCount - 1, Math.floor((data[i] - min) / binWidth))]++;
+  }
+
+  return { min, max, binWidth, counts, total: data.length };
+}
+
+/**
+ * Looks up a percentile in a histogram
+ * @param {Object} histogram - The histogram from computeHistogram
+ * @param {number} percentile - Percentile between 0 and 100
+ * @returns {number} The lowest value of the bin holding the percentile
+ */
+export function histogramPercentile(histogram, percentile) {
+  const { min, max, binWidth, counts, total } = histogram;
+  const rank = (percentile / 100) * (total - 1);
+  let cumulative = 0;
+  for (let bin = 0; bin < counts.length; bin++) {
+    cumulative += counts[bin];
+    if (cumulative > rank) return min + bin * binWidth;
+  }
+  return max;
+}
+
+function checkPercentiles([lower, upper]) {
+  if (!(lower >= 0 && lower < upper && upper <= 100)) {
+    throw new Error(
+      `Invalid window percentiles [${lower}, ${upper}]: expected 0 <= lower < upper <= 100`,
+    );
+  }
+}
+
+/**
+ * Resolves the windows to write for a volume. The histogram is computed once,
+ * from all slices, so every slice of the series opens with the same contrast.
+ * @param {Array<string|Object>} windows - Window entries, each a preset name
+ *   (AUTO, CT_BRAIN, CT_LUNG, CT_BONE), {center, width, explanation} or
+ *   {percentiles: [lower, upper], explanation}
+ * @param {TypedArray} data - Stored pixel values of the whole volume
+ * @param {Object} [rescale] - Modality LUT mapping stored values to the units of the windows
+ * @param {number} [rescale.rescaleSlope] - Rescale Slope (default: 1)
+ * @param {number} [rescale.rescaleIntercept] - Rescale Intercept (default: 0)
+ * @returns {Array<{center: number, width: number, explanation: string}>} The windows, in output units
+ */
+export function resolveWindows(
+  windows,
+  data,
+  { rescaleSlope = 1, rescaleIntercept = 0 } = {},
+) {
+  let histogram;
+
+  return windows.map((entry) => {
+    const window =
+      typeof entry === "string"
+        ? entry === "AUTO"
+          ? AUTO_WINDOW
+          : WINDOW_PRESETS[entry]
+        : entry;
+    if (!window) {
+      throw new Error(
+        `Unknown window preset: ${entry} (expected AUTO, ${Object.keys(WINDOW_PRESETS).join(", ")})`,
+      );
+    }
+    if (window.center !== undefined) {
+      return {
+        center: window.center,
+        width: window.width,
+        explanation: window.explanation ?? "USER",
+      };
+    }
+
+    checkPercentiles(window.percentiles);
+    const [lowerPercentile, upperPercentile] = window.percentiles;
+    histogram ??= computeHistogram(data);
+    const [lower, upper] = window.percentiles.map(
+      (percentile) =>
+        histogramPercentile(histogram, percentile) * rescaleSlope +
+        rescaleIntercept,
+    );
+    return {
+      center: toDecimalStringPrecision((lower + upper) / 2),
+      // A linear window is at least 1 wide
+      width: toDecimalStringPrecision(Math.max(upper - lower, 1)),
+      explanation:
+        window.explanation ?? `P${lowerPercentile}-P${upperPercentile}`,
+    };
+  });
+}
+
+/**
+ * Creates the VOI LUT Module windows, the first one being the default
+ * @param {Array<{center: number, width: number, explanation: string}>} windows - Windows from resolveWindows
+ * @returns {Object} DICOM dataset entries keyed by tag
+ */
+export function createVoiLutModule(windows) {
+  return {
+    "00281050": {
+      // WindowCenter
+      vr: "DS",
+      Value: windows.map(({ center }) => center),
+    },
+    "00281051": {
+      // WindowWidth
+      vr: "DS",
+      Value: windows.map(({ width }) => width),
+    },
+    "00281055": {
+      // WindowCenterWidthExplanation
+      vr: "LO",
+      Value: windows.map(({ explanation }) => explanation),
+    },
+  };
+}
+
+/**
+ * Creates Smallest and Largest Image Pixel Value of one slice, in stored values
+ * @param {TypedArray} data - Stored pixel values of the slice, at most 16 bits
+ * @param {boolean} signed - Whether Pixel Representation is signed (SS) or unsigned (US)
+ * @returns {Object} DICOM dataset entries keyed by tag
+ */
+export function createPixelValueRangeModule(data, signed) {
+  const { min, max } = valueRange(data);
+  const vr = signed ? "SS" : "US";
+  return {
+    "00280106": {
+      // SmallestImagePixelValue
+      vr,
+      Value: [min],
+    },
+    "00280107": {
+      // LargestImagePixelValue
+      vr,
+      Value: [max],
+    },
+  };
+}
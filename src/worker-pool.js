@@ -0,0 +1,171 @@
+import { isNode } from "./environment.js";
+
+/**
+ * Starts a slice worker: a Web Worker in the browser, a worker_threads
+ * Worker in Node, behind the same small interface. A Node worker that
+ * exits on its own is reported as an error too. The slice worker URLs are
+ * written out in full so Vite recognizes and bundles the worker.
+ */
+async function startWorker(url) {
+  if (isNode()) {
+    const { Worker } = await import("worker_threads");
+    const worker = url
+      ? new Worker(url)
+      : new Worker(new URL("./slice-worker.js", import.meta.url));
+    return {
+      post: (message, transfer) => worker.postMessage(message, transfer),
+      onMessage: (listener) => worker.on("message", listener),
+      onError: (listener) => {
+        worker.on("error", listener);
+        worker.on("exit", (code) =>
+          listener(new Error(`Slice worker exited with code ${code}`)),
+        );
+      },
+      terminate: () => worker.terminate(),
+    };
+  }
+
+  const worker = url
+    ? new Worker(url, { type: "module" })
+    : new Worker(new URL("./slice-worker.js", import.meta.url), {
+        type: "module",
+      });
+  return {
+    post: (message, transfer) => worker.postMessage(message, transfer),
+    onMessage: (listener) =>
+      worker.addEventListener("message", (event) => listener(event.data)),
+    onError: (listener) =>
+      worker.addEventListener("error", (event) =>
+        listener(event.error ?? new Error(event.message)),
+      ),
+    terminate: () => worker.terminate(),
+  };
+}
+
+/**
+ * One worker per core: navigator.hardwareConcurrency in the browser,
+ * os.availableParallelism() in Node
+ */
+async function coreCount() {
+  if (globalThis.navigator?.hardwareConcurrency) {
+    return globalThis.navigator.hardwareConcurrency;
+  }
+  const os = (await import("os")).default;
+  return os.availableParallelism?.() ?? os.cpus().length;
+}
+
+/**
+ * Creates a pool of workers that encode slices with writeDicomSlice.
+ * Tasks are queued and handed to the next idle worker; each resolves with
+ * the encoded file, whatever order the workers finish in. A worker that
+ * crashes fails its task and is replaced, unless it crashed before finishing
+ * any task, as its replacement would likely crash the same way.
+ * @param {number|boolean} concurrency - Number of workers, or true for one per core
+ * @param {URL|string} workerUrl - Worker script answering {id, result} or {id, error} (default: slice-worker.js)
+ * @returns {Promise<{size: number, run: function(Object, Array<ArrayBuffer>): Promise<ArrayBuffer>,
+ *   terminate: function(): void}>} The pool. run posts a task with the buffers to transfer, terminate stops
+ *   every worker and must be called when done
+ */
+export async function createWorkerPool(concurrency, workerUrl) {
+  const size = concurrency === true ? await coreCount() : concurrency;
+  if (!Number.isInteger(size) || size < 1) {
+    throw new Error(
+      `Worker concurrency must be a positive integer or true, got ${concurrency}`,
+    );
+  }
+
+  const workers = new Set();
+  const idle = [];
+  const queue = [];
+  const running = new Map();
+  const answered = new WeakSet();
+  let starting = 0;
+  let failure;
+  let terminated = false;
+  let nextId = 0;
+
+  const dispatch = () => {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.pop();
+      const { id, message, transfer, resolve, reject } = queue.shift();
+      running.set(id, { worker, resolve, reject });
+      worker.post({ ...message, id }, transfer);
+    }
+  };
+
+  // Without workers left to run them, queued tasks would wait forever
+  const failQueued = () => {
+    if (workers.size === 0 && starting === 0) {
+      queue.splice(0).forEach((task) => task.reject(failure));
+    }
+  };
+
+  const remove = (worker, error) => {
+    if (terminated || !workers.has(worker)) return;
+    workers.delete(worker);
+    if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1);
+    worker.terminate();
+    for (const [id, task] of running) {
+      if (task.worker === worker) {
+        running.delete(id);
+        task.reject(error);
+      }
+    }
+    if (answered.has(worker)) {
+      addWorker().catch((startError) => {
+        failure = startError;
+        failQueued();
+      });
+    } else {
+      failure = error;
+      failQueued();
+    }
+  };
+
+  const addWorker = async () => {
+    let worker;
+    starting++;
+    try {
+      worker = await startWorker(workerUrl);
+    } finally {
+      starting--;
+    }
+    if (terminated) {
+      worker.terminate();
+      return;
+    }
+    workers.add(worker);
+    idle.push(worker);
+
+    worker.onMessage(({ id, result, error }) => {
+      answered.add(worker);
+      const task = running.get(id);
+      running.delete(id);
+      idle.push(worker);
+      dispatch();
+      if (error) {
+        task.reject(new Error(error));
+      } else {
+        task.resolve(result);
+      }
+    });
+    worker.onError((error) => remove(worker, error));
+    dispatch();
+  };
+
+  await Promise.all(Array.from({ length: size }, addWorker));
+
+  return {
+    size,
+    run: (message, transfer = []) =>
+      new Promise((resolve, reject) => {
+        queue.push({ id: nextId++, message, transfer, resolve, reject });
+        dispatch();
+        failQueued();
+      }),
+    terminate: () => {
+      terminated = true;
+      workers.forEach((worker) => worker.terminate());
+    },
+  };
+}
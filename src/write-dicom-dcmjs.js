@@ -1,44 +1,139 @@
 import dcmjs from "dcmjs";
+import {
+  SOP_CLASS_UIDS,
+  createModalityModules,
+  createRescaleModule,
+  getSopClassUID,
+  requiresSixteenBits,
+} from "./sop-classes.js";
+import {
+  convertToSixteenBits,
+  needsQuantization,
+  quantizeImage,
+} from "./quantize.js";
+import {
+  TRANSFER_SYNTAX_UIDS,
+  createFileMetaInformation,
+} from "./file-meta.js";
+import {
+  createLossyCompressionModule,
+  getCodecWasmUrls,
+  loadFrameEncoder,
+} from "./codecs.js";
+import { createWorkerPool } from "./worker-pool.js";
+import {
+  createPixelValueRangeModule,
+  createVoiLutModule,
+  resolveWindows,
+} from "./voi.js";
+import {
+  createGeneralEquipmentModule,
+  createGeneralStudyModule,
+  createPatientModule,
+  toDicomDate,
+  toDicomTime,
+} from "./patient-study.js";
+import {
+  createSourceImageSequence,
+  findSourceInstance,
+  readReferenceSeries,
+} from "./reference-series.js";
+import { generateUID, validateUID } from "./uid.js";
+import { resliceImage } from "./reslice.js";
+import { validateDicom } from "./validate.js";
+import {
+  createTemporalModule,
+  extractTimePoint,
+  toMilliseconds,
+} from "./time-series.js";
+import {
+  classifyComponents,
+  convertRgbaToRgb,
+  extractComponent,
+} from "./components.js";
 
 const { DicomDict, DicomMessage } = dcmjs.data;
 
 /**
- * Generates a unique DICOM UID
- */
-function generateUID() {
-  const timestamp = Date.now();
-  const random = Math.floor(Math.random() * 1000000);
-  return `1.2.826.0.1.3680043.8.498.${timestamp}.${random}`;
-}
-
-/**
- * Writes a 2D image slice as a DICOM file using dcmjs
+ * Creates the File Meta Information and dataset of a 2D image slice, as
+ * dcmjs writes them
  * @param {Image} slice2D - The 2D slice image
  * @param {Object} metadata - DICOM metadata
- * @returns {ArrayBuffer} The DICOM file as an ArrayBuffer
+ * @returns {{fileMeta: Object, dataset: Object}} DICOM entries keyed by tag
  */
-export function writeDicomSlice(slice2D, metadata) {
+export function createDicomSliceDataset(slice2D, metadata) {
   const {
     seriesInstanceUID,
     sopInstanceUID,
     instanceNumber,
     imagePosition,
+    imageOrientation,
     sliceLocation,
+    sliceThickness,
+    frameOfReferenceUID,
     seriesDescription,
     seriesNumber,
     modality,
     studyInstanceUID,
     studyDate,
     studyTime,
+    seriesDate,
+    seriesTime,
+    bodyPartExamined,
+    protocolName,
+    patient,
+    study,
+    equipment,
+    inheritedAttributes,
+    sourceInstance,
+    derivationDescription,
+    numberOfSlices,
+    imageIndex,
+    rescaleSlope,
+    rescaleIntercept,
+    rescaleType,
+    temporal,
+    windows,
+    transferSyntax,
+    frameEncoder,
+    implementationClassUID,
+    implementationVersionName,
   } = metadata;
 
+  const sopClassUID = getSopClassUID(modality, metadata.sopClassUID);
+
+  // Only grayscale and 8-bit RGB pixels have a photometric interpretation
+  const { components, componentType } = slice2D.imageType;
+  const isColor = components === 3 && componentType === "uint8";
+  if (components !== 1 && !isColor) {
+    throw new Error(
+      `Cannot write ${components}-component ${componentType} pixels: expected grayscale or 8-bit RGB`,
+    );
+  }
+
+  const encodedFrame = frameEncoder?.encode(slice2D.data, {
+    rows: slice2D.size[1],
+    columns: slice2D.size[0],
+    samplesPerPixel: components,
+    bitsAllocated: getBitsAllocated(componentType),
+    signed: isSignedType(componentType),
+  });
+
   // Create DICOM dataset
   const dataset = {
+    // Attributes inherited from a reference series, generated modules below take precedence
+    ...inheritedAttributes,
+
     // SOP Common Module
+    "00080005": {
+      // SpecificCharacterSet - dcmjs encodes text as UTF-8
+      vr: "CS",
+      Value: ["ISO_IR 192"],
+    },
     "00080016": {
-      // SOPClassUID - MR Image Storage
+      // SOPClassUID
       vr: "UI",
-      Value: ["1.2.840.10008.5.1.4.1.1.4"],
+      Value: [sopClassUID],
     },
     "00080018": {
       // SOPInstanceUID
@@ -46,34 +141,19 @@ export function writeDicomSlice(slice2D, metadata) {
       Value: [sopInstanceUID],
     },
 
-    // Patient Module (minimal)
-    "00100010": {
-      // Patient Name
-      vr: "PN",
-      Value: [{ Alphabetic: "Anonymous" }],
-    },
-    "00100020": {
-      // Patient ID
-      vr: "LO",
-      Value: ["ANON123"],
-    },
+    // Patient Module
+    ...createPatientModule(patient),
 
-    // Study Module
-    "0020000D": {
-      // StudyInstanceUID
-      vr: "UI",
-      Value: [studyInstanceUID],
-    },
-    "00080020": {
-      // StudyDate
-      vr: "DA",
-      Value: [studyDate],
-    },
-    "00080030": {
-      // StudyTime
-      vr: "TM",
-      Value: [studyTime],
-    },
+    // General Study Module
+    ...createGeneralStudyModule({
+      ...study,
+      instanceUID: studyInstanceUID,
+      date: studyDate,
+      time: studyTime,
+    }),
+
+    // General Equipment Module
+    ...createGeneralEquipmentModule(equipment),
 
     // Series Module
     "0020000E": {
@@ -96,6 +176,30 @@ export function writeDicomSlice(slice2D, metadata) {
       vr: "IS",
       Value: [seriesNumber],
     },
+    "00080021": {
+      // SeriesDate
+      vr: "DA",
+      Value: [seriesDate],
+    },
+    "00080031": {
+      // SeriesTime
+      vr: "TM",
+      Value: [seriesTime],
+    },
+    ...(bodyPartExamined && {
+      "00180015": {
+        // BodyPartExamined
+        vr: "CS",
+        Value: [bodyPartExamined],
+      },
+    }),
+    ...(protocolName && {
+      "00181030": {
+        // ProtocolName
+        vr: "LO",
+        Value: [protocolName],
+      },
+    }),
 
     // Image Module
     "00200013": {
@@ -103,6 +207,16 @@ export function writeDicomSlice(slice2D, metadata) {
       vr: "IS",
       Value: [instanceNumber],
     },
+    "00080023": {
+      // ContentDate
+      vr: "DA",
+      Value: [seriesDate],
+    },
+    "00080033": {
+      // ContentTime
+      vr: "TM",
+      Value: [seriesTime],
+    },
     "00200032": {
       // ImagePositionPatient
       vr: "DS",
@@ -116,14 +230,33 @@ export function writeDicomSlice(slice2D, metadata) {
     "00200037": {
       // ImageOrientationPatient
       vr: "DS",
-      Value: [
-        slice2D.direction[0],
-        slice2D.direction[1],
-        0,
-        slice2D.direction[2],
-        slice2D.direction[3],
-        0,
-      ],
+      Value: imageOrientation,
+    },
+    "00180050": {
+      // SliceThickness
+      vr: "DS",
+      Value: [sliceThickness],
+    },
+    "00180088": {
+      // SpacingBetweenSlices
+      vr: "DS",
+      Value: [sliceThickness],
+    },
+
+    // Frame of Reference Module
+    "00200052": {
+      // FrameOfReferenceUID
+      vr: "UI",
+      Value: [frameOfReferenceUID],
+    },
+    "00201040": {
+      // PositionReferenceIndicator, kept from a reference series in the same Frame of Reference
+      vr: "LO",
+      Value:
+        (inheritedAttributes?.["00200052"]?.Value?.[0] ===
+          frameOfReferenceUID &&
+          inheritedAttributes["00201040"]?.Value) ||
+        [],
     },
 
     // Image Pixel Module
@@ -135,8 +268,15 @@ export function writeDicomSlice(slice2D, metadata) {
     "00280004": {
       // PhotometricInterpretation
       vr: "CS",
-      Value: [slice2D.imageType.components === 1 ? "MONOCHROME2" : "RGB"],
+      Value: [isColor ? "RGB" : "MONOCHROME2"],
     },
+    ...(isColor && {
+      "00280006": {
+        // PlanarConfiguration - ITK-Wasm pixels are interleaved (R1G1B1R2G2B2...)
+        vr: "US",
+        Value: [0],
+      },
+    }),
     "00280010": {
       // Rows
       vr: "US",
@@ -173,19 +313,87 @@ export function writeDicomSlice(slice2D, metadata) {
       Value: [slice2D.spacing[1], slice2D.spacing[0]], // Row spacing, Column spacing
     },
 
-    // Pixel Data
+    // Pixel Data, a single fragment of encapsulated Pixel Data when compressed
     "7FE00010": {
       // PixelData
-      vr: getPixelDataVR(slice2D.imageType.componentType),
-      Value: [slice2D.data.buffer],
+      vr: frameEncoder ? "OB" : getPixelDataVR(componentType),
+      Value: [(encodedFrame ?? slice2D.data).buffer],
     },
+
+    // Lossy Image Compression, recorded whenever the pixel data is compressed
+    ...(frameEncoder &&
+      createLossyCompressionModule(frameEncoder, {
+        originalLength: slice2D.data.byteLength,
+        encodedLength: encodedFrame.byteLength,
+      })),
+
+    // Modality LUT for quantized pixel values
+    ...(rescaleSlope !== undefined &&
+      createRescaleModule({ rescaleSlope, rescaleIntercept, rescaleType })),
+
+    // Modality specific IOD modules (CT Image, MR Image, PET Image, SC Equipment)
+    ...createModalityModules(sopClassUID, {
+      imageIndex,
+      numberOfSlices,
+      rescaleSlope,
+      rescaleIntercept,
+      rescaleType,
+      temporal,
+    }),
+
+    // Position in time of a 4D image
+    ...(temporal && createTemporalModule(temporal)),
+
+    // Display windows shared by the series and the stored value range of this slice
+    ...(windows?.length > 0 && createVoiLutModule(windows)),
+    ...(components === 1 &&
+      getBitsAllocated(componentType) <= 16 &&
+      createPixelValueRangeModule(slice2D.data, isSignedType(componentType))),
   };
 
-  // Create DICOM dictionary and write
-  const dicomDict = new DicomDict({});
+  // Derived images are marked as such and reference the image they were computed from
+  if (sourceInstance) {
+    const imageType = dataset["00080008"]?.Value || ["ORIGINAL", "PRIMARY"];
+    dataset["00080008"] = {
+      // ImageType
+      vr: "CS",
+      Value: ["DERIVED", ...imageType.slice(1)],
+    };
+    if (derivationDescription) {
+      dataset["00082111"] = {
+        // DerivationDescription
+        vr: "ST",
+        Value: [derivationDescription],
+      };
+    }
+    Object.assign(dataset, createSourceImageSequence(sourceInstance));
+  }
+
+  // File Meta Information header matching the dataset
+  const fileMeta = createFileMetaInformation({
+    sopClassUID,
+    sopInstanceUID,
+    transferSyntax,
+    implementationClassUID,
+    implementationVersionName,
+  });
+
+  return { fileMeta, dataset };
+}
+
+/**
+ * Writes a 2D image slice as a DICOM file using dcmjs
+ * @param {Image} slice2D - The 2D slice image
+ * @param {Object} metadata - DICOM metadata
+ * @returns {ArrayBuffer} The DICOM file as an ArrayBuffer
+ */
+export function writeDicomSlice(slice2D, metadata) {
+  const { fileMeta, dataset } = createDicomSliceDataset(slice2D, metadata);
+  const dicomDict = new DicomDict(fileMeta);
   dicomDict.dict = dataset;
 
-  return dicomDict.write();
+  // Compressed frames are written as exactly one fragment each
+  return dicomDict.write({ fragmentMultiframe: false });
 }
 
 function getBitsAllocated(componentType) {
@@ -197,7 +405,13 @@ function getBitsAllocated(componentType) {
     int32: 32,
     uint32: 32,
   };
-  return bitsMap[componentType] || 16;
+  const bits = bitsMap[componentType];
+  if (bits === undefined) {
+    throw new Error(
+      `Unsupported component type for integer pixel data: ${componentType}`,
+    );
+  }
+  return bits;
 }
 
 function getBitsStored(componentType) {
@@ -217,82 +431,534 @@ function getPixelDataVR(componentType) {
 }
 
 /**
- * Writes a 3D image as a DICOM series using dcmjs
+ * Writes a 3D image as a DICOM series using dcmjs. 4D images are written
+ * time point by time point, with the time between them taken from spacing[3].
+ * Collects streamImageAsDicomSeriesWithDcmjs, which yields the files one by one
+ * @param {Image} image3D - The 3D (or 4D time series) image to write
+ * @param {Object} options - Options for writing
+ * @param {string} options.fileNamePattern - Pattern for output filenames (e.g., 'slice_%04d.dcm')
+ * @param {string} options.seriesDescription - DICOM Series Description
+ * @param {number} options.seriesNumber - DICOM Series Number
+ * @param {number} options.instanceNumberStart - Starting instance number (default: 1)
+ * @param {string} options.modality - DICOM Modality, selects the Storage SOP Class (CT, MR, PT, other: Secondary Capture)
+ * @param {string} options.sopClassUID - SOP Class UID override (default: derived from modality).
+ *   SOP_CLASS_UIDS.PMAP writes a float image as one Parametric Map, see writeImageAsParametricMap,
+ *   which also takes its realWorldValueMapping and fileName options
+ * @param {Object} options.patient - Patient Module: name, id, birthDate, sex
+ * @param {Object} options.study - General Study Module: instanceUID, date, time, id, description,
+ *   accessionNumber, referringPhysicianName. Pass instanceUID, date and time to append to an existing study
+ * @param {Object} options.series - General Series Module: instanceUID, number, description, date, time,
+ *   bodyPartExamined, protocolName (number and description override seriesNumber and seriesDescription)
+ * @param {Object} options.equipment - General Equipment Module: manufacturer, institutionName, stationName,
+ *   modelName, deviceSerialNumber, softwareVersions
+ * @param {Array<File|Blob|ArrayBuffer|Uint8Array|string>} options.referenceSeries - Source DICOM series the
+ *   image was derived from. Patient, study, equipment and Frame of Reference are copied from it (explicit
+ *   options take precedence) and every slice is marked DERIVED with a Source Image Sequence
+ * @param {string} options.derivationDescription - Derivation Description for images derived from referenceSeries
+ * @param {string} options.frameOfReferenceUID - Frame of Reference UID (default: from referenceSeries, or generated)
+ * @param {function(): string} options.uidGenerator - Generates new UIDs, see createUIDGenerator (default: generateUID)
+ * @param {string} options.transferSyntax - Transfer Syntax UID: Explicit VR Little Endian (default),
+ *   Implicit VR Little Endian, RLE Lossless, JPEG-LS (Near-)Lossless or JPEG 2000 (Lossless), see TRANSFER_SYNTAX_UIDS
+ * @param {Array<string|Object>|false} options.windows - Window Center/Width of grayscale images: preset names
+ *   (AUTO, CT_BRAIN, CT_LUNG, CT_BONE), {center, width, explanation} or {percentiles: [lower, upper], explanation},
+ *   the first being the default. AUTO spans the 1st to 99th percentile of the whole image (default: ["AUTO"], false for none)
+ * @param {Object} options.compression - Lossy compression: nearLossless for JPEG-LS Near-Lossless,
+ *   compressionRatio for JPEG 2000, see loadFrameEncoder (default: lossless)
+ * @param {string} options.implementationClassUID - Implementation Class UID written to the File Meta Information
+ * @param {string} options.implementationVersionName - Implementation Version Name, up to 16 characters
+ * @param {Object} options.quantization - How float32/float64/int64/uint64 images are quantized, see quantizeImage
+ * @param {string} options.alpha - How RGBA images are written: reject (default), drop the alpha channel,
+ *   or premultiply the colors by alpha. Either way the result is written as RGB
+ * @param {boolean} options.splitComponents - Write multi-component images (vectors, tensors, color)
+ *   as one grayscale series per component, with component-indexed series descriptions and numbers
+ * @param {string} options.timeSeries - How 4D images are written: single (default) as one series with
+ *   Temporal Position Identifier, Trigger Time and Acquisition Time per slice, or split into one series per time point
+ *   with a new Series Instance UID each, which rejects series.instanceUID
+ * @param {string} options.timeUnit - Unit of spacing[3] for 4D images: s (default) or ms
+ * @param {number|string} options.sliceAxis - Axis the series is sliced along: index axis 0, 1 or 2 (default),
+ *   or patient plane axial, sagittal or coronal, see resliceImage
+ * @param {number|boolean} options.workers - Encode slices in a pool of this many Web Workers (browser) or
+ *   worker_threads (Node), true for one per core. Files still come out in instance order (default: no workers)
+ * @param {string|boolean} options.validate - Check each file against the IOD of its SOP Class with validateDicom:
+ *   error throws on the first file that does not conform, warn logs its errors (default: false, no checks)
+ * @param {function(Image, Object): ArrayBuffer|Promise<ArrayBuffer>} options.writeSlice - Encodes each slice from
+ *   its image and metadata, e.g. writeDicomSliceWithGdcm (default: writeDicomSlice)
+ * @param {{log: function, warn: function, error: function}} options.logger - Receives the progress messages,
+ *   warnings and slice errors (default: console)
+ * @returns {Promise<Array<{filename: string, blob: Blob, sliceIndex: number, data: Uint8Array,
+ *   quantization?: Object, component?: number, timePoint?: number, validation?: Object}>>} Array of written
+ *   files, with the quantization report when the image was quantized, the component index when components
+ *   were split, the time point of 4D images and the validateDicom report when validating
  */
 export async function writeImageAsDicomSeriesWithDcmjs(image3D, options = {}) {
+  const writtenFiles = [];
+  for await (const file of streamImageAsDicomSeriesWithDcmjs(
+    image3D,
+    options,
+  )) {
+    writtenFiles.push({
+      ...file,
+      blob: new Blob([file.data], { type: "application/dicom" }),
+    });
+  }
+  return writtenFiles;
+}
+
+/**
+ * Writes a 3D (or 4D) image as a DICOM series one file at a time, so callers
+ * can stream slices into a ZIP, onto disk or over the network without holding
+ * the whole series in memory. writeImageAsDicomSeriesWithDcmjs collects it.
+ * @param {Image} image3D - The 3D (or 4D time series) image to write
+ * @param {Object} options - Options for writing, see writeImageAsDicomSeriesWithDcmjs
+ * @yields {{filename: string, sliceIndex: number, data: Uint8Array, quantization?: Object,
+ *   component?: number, timePoint?: number, validation?: Object}} Each written file, in instance order
+ */
+export async function* streamImageAsDicomSeriesWithDcmjs(
+  image3D,
+  options = {},
+) {
   const {
     fileNamePattern = "slice_%04d.dcm",
     seriesDescription = "Medical Image Series",
     seriesNumber = 1,
     instanceNumberStart = 1,
     modality = "OT",
+    sopClassUID,
+    quantization: quantizationOptions = {},
+    transferSyntax,
+    compression,
+    windows = ["AUTO"],
+    implementationClassUID,
+    implementationVersionName,
+    patient = {},
+    study = {},
+    series = {},
+    equipment = {},
+    referenceSeries,
+    derivationDescription,
+    uidGenerator = generateUID,
+    alpha,
+    splitComponents = false,
+    timeSeries = "single",
+    timeUnit = "s",
+    sliceAxis,
+    workers,
+    validate = false,
+    writeSlice,
+    logger = console,
   } = options;
 
+  const { dimension } = image3D.imageType;
+  if (dimension !== 3 && dimension !== 4) {
+    throw new Error(`Input image must be 3D or 4D, got ${dimension}D`);
+  }
+  if (workers && writeSlice) {
+    throw new Error("Workers encode slices with writeDicomSlice only");
+  }
+  if (![false, "error", "warn"].includes(validate)) {
+    throw new Error(
+      `Unknown validate mode: ${validate} (expected error, warn or false)`,
+    );
+  }
+
+  // Float values are kept in one multi-frame Parametric Map instead of a quantized series
+  if (sopClassUID === SOP_CLASS_UIDS.PMAP) {
+    yield await writeParametricMap(image3D, options);
+    return;
+  }
+
+  if (!["single", "split"].includes(timeSeries)) {
+    throw new Error(
+      `Unknown time series mode: ${timeSeries} (expected single or split)`,
+    );
+  }
+  if (timeSeries === "split" && series.instanceUID) {
+    throw new Error(
+      "series.instanceUID names one series, timeSeries: split writes one series per time point",
+    );
+  }
+
+  // Color images are written as 8-bit RGB, anything else with several components per series
+  if (image3D.imageType.components > 1) {
+    if (splitComponents) {
+      yield* streamComponentSeries(image3D, options);
+      return;
+    }
+    const kind = classifyComponents(image3D.imageType);
+    if (kind === "vector") {
+      throw new Error(
+        `${image3D.imageType.components}-component ${image3D.imageType.pixelType} images have no DICOM ` +
+          "photometric interpretation: pass splitComponents: true to write one series per component",
+      );
+    }
+    if (kind === "rgba") {
+      image3D = convertRgbaToRgb(image3D, alpha);
+    }
+  }
+
+  // CT and PET Image hold grayscale pixels only, color images fall back to Secondary Capture
+  let imageSopClassUID = getSopClassUID(modality, sopClassUID);
+  if (
+    requiresSixteenBits(imageSopClassUID) &&
+    image3D.imageType.components > 1
+  ) {
+    logger.warn(
+      `${modality} images are grayscale, writing the color image as Secondary Capture`,
+    );
+    imageSopClassUID = SOP_CLASS_UIDS.SC;
+  }
+
+  // Slices are cut along the third index axis, reorder the image for another slicing direction
+  image3D = resliceImage(image3D, sliceAxis);
+
   const numSlices = image3D.size[2];
-  const writtenFiles = [];
+  let written = 0;
+
+  // 4D images are written time point by time point, into one series or one series each
+  const isTimeSeries = dimension === 4;
+  const numTimePoints = isTimeSeries ? image3D.size[3] : 1;
+  const splitTimePoints = isTimeSeries && timeSeries === "split";
+  const temporalResolution =
+    isTimeSeries && toMilliseconds(image3D.spacing[3], timeUnit);
 
-  // Generate UIDs for the series
-  const studyInstanceUID = generateUID();
-  const seriesInstanceUID = generateUID();
-  const studyDate = new Date().toISOString().slice(0, 10).replace(/-/g, "");
-  const studyTime = new Date().toTimeString().slice(0, 8).replace(/:/g, "");
+  // Float and 64-bit pixels are stored as 16-bit integers with a Rescale Slope/Intercept,
+  // other integers are converted to 16 bits for the IODs that require them (CT, PET)
+  const quantizationSettings = {
+    rescaleType: modality === "CT" ? "HU" : "US",
+    ...quantizationOptions,
+  };
+  let quantization;
+  if (needsQuantization(image3D.imageType.componentType)) {
+    const { image, ...report } = quantizeImage(image3D, quantizationSettings);
+    image3D = image;
+    quantization = report;
+  } else if (requiresSixteenBits(imageSopClassUID)) {
+    ({ image: image3D, quantization } = convertToSixteenBits(
+      image3D,
+      quantizationSettings,
+    ));
+  }
+  if (quantization) {
+    logger.log(
+      `Quantized ${quantization.rescaleType} values to ${image3D.imageType.componentType}: ` +
+        `slope ${quantization.rescaleSlope}, intercept ${quantization.rescaleIntercept}, ` +
+        `max error ${quantization.maxError}`,
+    );
+  }
+
+  // Windows come from the histogram of the whole image, not slice by slice
+  const voiWindows =
+    windows && image3D.imageType.components === 1
+      ? resolveWindows(windows, image3D.data, {
+          rescaleSlope: quantization?.rescaleSlope,
+          rescaleIntercept: quantization?.rescaleIntercept,
+        })
+      : [];
+
+  // Compressed transfer syntaxes load their (WebAssembly) codec once for all slices
+  const frameEncoder = await loadFrameEncoder(transferSyntax, compression);
 
-  console.log(`Writing ${numSlices} slices with dcmjs...`);
+  // Derived images inherit patient, study, equipment and Frame of Reference from the reference series
+  const reference =
+    referenceSeries && (await readReferenceSeries(referenceSeries));
+  const patientInfo = { ...reference?.patient, ...patient };
+  const studyInfo = { ...reference?.study, ...study };
+  const equipmentInfo = { ...reference?.equipment, ...equipment };
+  const frameOfReferenceUID = validateUID(
+    options.frameOfReferenceUID ||
+      reference?.frameOfReferenceUID ||
+      uidGenerator(),
+    "Frame of Reference UID",
+  );
+
+  // Generate UIDs for the series, reusing the study when appending to an existing one
+  const now = new Date();
+  const studyInstanceUID = validateUID(
+    studyInfo.instanceUID || uidGenerator(),
+    "Study Instance UID",
+  );
+  const studyDate = toDicomDate(studyInfo.date || now);
+  const studyTime = toDicomTime(studyInfo.time || now);
+  const seriesInstanceUIDs = Array.from(
+    { length: splitTimePoints ? numTimePoints : 1 },
+    () =>
+      validateUID(series.instanceUID || uidGenerator(), "Series Instance UID"),
+  );
+  const baseDescription = series.description ?? seriesDescription;
+  const baseNumber = series.number ?? seriesNumber;
+  const seriesDate = toDicomDate(series.date || now);
+  const seriesTime = toDicomTime(series.time || now);
+
+  const numImages = numSlices * numTimePoints;
+  const encoder = writeSlice ? "" : " with dcmjs";
+  logger.log(
+    isTimeSeries
+      ? `Writing ${numTimePoints} time points of ${numSlices} slices${encoder}...`
+      : `Writing ${numSlices} slices${encoder}...`,
+  );
 
   // Import extractSlice from the other module
   const { extractSlice } = await import("./write-image-series.js");
 
-  for (let sliceIdx = 0; sliceIdx < numSlices; sliceIdx++) {
+  // With workers, several slices are encoded at once and yielded in instance order
+  const pool = workers ? await createWorkerPool(workers) : undefined;
+  const maxPending = pool ? pool.size * 2 : 1;
+  const pending = [];
+  const codecWasmUrls = getCodecWasmUrls();
+  const encodeSlice = pool
+    ? (slice2D, metadata) =>
+        pool.run(
+          {
+            slice2D,
+            metadata: { ...metadata, frameEncoder: undefined },
+            compression,
+            codecWasmUrls,
+          },
+          // Transfer the slice pixels unless they are a view into the volume
+          slice2D.data.byteLength === slice2D.data.buffer.byteLength
+            ? [slice2D.data.buffer]
+            : [],
+        )
+    : async (slice2D, metadata) =>
+        (writeSlice ?? writeDicomSlice)(slice2D, metadata);
+
+  const finishSlice = async ({ encoded, file }) => {
+    let dicomBuffer;
     try {
-      // Extract 2D slice
-      const slice2D = extractSlice(image3D, sliceIdx);
-
-      // Create metadata for this slice
-      const metadata = {
-        seriesInstanceUID,
-        sopInstanceUID: generateUID(),
-        instanceNumber: sliceIdx + instanceNumberStart,
-        imagePosition: [
-          slice2D.origin[0],
-          slice2D.origin[1],
-          slice2D.zPosition,
-        ],
-        sliceLocation: slice2D.zPosition,
-        seriesDescription,
-        seriesNumber,
-        modality,
-        studyInstanceUID,
-        studyDate,
-        studyTime,
-      };
+      dicomBuffer = await encoded;
+    } catch (error) {
+      logger.error(`Error writing slice ${file.sliceIndex}:`, error);
+      throw error;
+    }
 
-      // Write DICOM file
-      const dicomBuffer = writeDicomSlice(slice2D, metadata);
+    const data = new Uint8Array(dicomBuffer);
+    const validation = validate
+      ? checkConformance(file.filename, data, validate, logger)
+      : undefined;
 
-      // Generate filename
-      const filename = fileNamePattern.replace(
-        "%04d",
-        String(sliceIdx).padStart(4, "0"),
-      );
+    written++;
+    if (written % 10 === 0 || written === numImages) {
+      logger.log(`Wrote ${written}/${numImages} slices`);
+    }
+    return { ...file, data, ...(validation && { validation }) };
+  };
+
+  try {
+    for (let timePoint = 0; timePoint < numTimePoints; timePoint++) {
+      const volume = isTimeSeries
+        ? extractTimePoint(image3D, timePoint)
+        : image3D;
+      const seriesIndex = splitTimePoints ? timePoint : 0;
+      // Instances are numbered through the whole series
+      const firstImage = splitTimePoints ? 0 : timePoint * numSlices;
+
+      for (let sliceIdx = 0; sliceIdx < numSlices; sliceIdx++) {
+        const imageIdx = firstImage + sliceIdx;
+        // Extract 2D slice
+        const slice2D = extractSlice(volume, sliceIdx);
+
+        // Create metadata for this slice
+        const metadata = {
+          seriesInstanceUID: seriesInstanceUIDs[seriesIndex],
+          sopInstanceUID: uidGenerator(),
+          instanceNumber: imageIdx + instanceNumberStart,
+          imagePosition: Array.from(slice2D.imagePosition),
+          imageOrientation: Array.from(slice2D.imageOrientation),
+          sliceLocation: slice2D.sliceLocation,
+          sliceThickness: slice2D.sliceThickness,
+          frameOfReferenceUID,
+          seriesDescription: splitTimePoints
+            ? `${baseDescription} [time point ${timePoint}]`
+            : baseDescription,
+          seriesNumber: baseNumber + seriesIndex,
+          seriesDate,
+          seriesTime,
+          bodyPartExamined: series.bodyPartExamined,
+          protocolName: series.protocolName,
+          modality,
+          studyInstanceUID,
+          studyDate,
+          studyTime,
+          patient: patientInfo,
+          study: studyInfo,
+          equipment: equipmentInfo,
+          inheritedAttributes: reference?.attributes,
+          sourceInstance:
+            reference &&
+            findSourceInstance(reference.instances, slice2D, sliceIdx),
+          derivationDescription,
+          sopClassUID: imageSopClassUID,
+          numberOfSlices: numSlices,
+          // PET Image Index counts through all time points of the series
+          imageIndex: splitTimePoints
+            ? sliceIdx + 1
+            : timePoint * numSlices + sliceIdx + 1,
+          rescaleSlope: quantization?.rescaleSlope,
+          rescaleIntercept: quantization?.rescaleIntercept,
+          rescaleType: quantization?.rescaleType,
+          temporal: isTimeSeries && {
+            position: timePoint + 1,
+            numberOfPositions: numTimePoints,
+            resolution: temporalResolution,
+            acquisitionDate: seriesDate,
+            startTime: seriesTime,
+            split: splitTimePoints,
+          },
+          windows: voiWindows,
+          transferSyntax,
+          frameEncoder,
+          implementationClassUID,
+          implementationVersionName,
+        };
 
-      // Convert to Blob
-      const blob = new Blob([dicomBuffer], { type: "application/dicom" });
+        // Encode the DICOM file, in a worker when there is a pool
+        const encoded = encodeSlice(slice2D, metadata);
+        // Failures surface when the slice's turn comes, not as unhandled rejections
+        encoded.catch(() => {});
 
-      writtenFiles.push({
-        filename,
-        blob,
-        sliceIndex: sliceIdx,
-        data: new Uint8Array(dicomBuffer),
-      });
+        // Generate filename
+        const filename =
+          (splitTimePoints ? `time${timePoint}_` : "") +
+          fileNamePattern.replace("%04d", String(imageIdx).padStart(4, "0"));
 
-      if ((sliceIdx + 1) % 10 === 0 || sliceIdx === numSlices - 1) {
-        console.log(`Wrote ${sliceIdx + 1}/${numSlices} slices`);
+        pending.push({
+          encoded,
+          file: {
+            filename,
+            sliceIndex: sliceIdx,
+            ...(quantization && { quantization }),
+            ...(isTimeSeries && { timePoint }),
+          },
+        });
+        if (pending.length >= maxPending) {
+          yield await finishSlice(pending.shift());
+        }
       }
-    } catch (error) {
-      console.error(`Error writing slice ${sliceIdx}:`, error);
-      throw error;
     }
+
+    while (pending.length > 0) {
+      yield await finishSlice(pending.shift());
+    }
+  } finally {
+    pool?.terminate();
   }
+}
 
-  return writtenFiles;
+/**
+ * Checks a written file against the IOD of its SOP Class, throwing or
+ * warning as the validate option asks
+ */
+function checkConformance(filename, data, validate, logger) {
+  const validation = validateDicom(data);
+  if (!validation.valid) {
+    const message =
+      `${filename} does not conform to its IOD: ` +
+      validation.errors.map(({ message }) => message).join("; ");
+    if (validate === "error") throw new Error(message);
+    logger.warn(message);
+  }
+  return validation;
+}
+
+/**
+ * Writes the image as one Parametric Map, the single file of the series when
+ * sopClassUID is SOP_CLASS_UIDS.PMAP
+ */
+async function writeParametricMap(image3D, options) {
+  const {
+    series = {},
+    transferSyntax,
+    writeSlice,
+    validate = false,
+    logger = console,
+  } = options;
+  if (writeSlice) {
+    throw new Error("Parametric Maps are written with dcmjs only");
+  }
+  if (
+    transferSyntax &&
+    transferSyntax !== TRANSFER_SYNTAX_UIDS.EXPLICIT_VR_LITTLE_ENDIAN
+  ) {
+    throw new Error(
+      `Parametric Maps are written in Explicit VR Little Endian, got ${transferSyntax}`,
+    );
+  }
+  if (series.instanceUID) {
+    throw new Error(
+      "A Parametric Map is written with a new Series Instance UID, series.instanceUID is not supported",
+    );
+  }
+
+  const { writeImageAsParametricMap } =
+    await import("./write-parametric-map.js");
+  const { filename, data } = await writeImageAsParametricMap(image3D, {
+    ...options,
+    seriesDescription: series.description ?? options.seriesDescription,
+    seriesNumber: series.number ?? options.seriesNumber,
+  });
+  const validation = validate
+    ? checkConformance(filename, data, validate, logger)
+    : undefined;
+  return { filename, sliceIndex: 0, data, ...(validation && { validation }) };
+}
+
+/**
+ * Writes each component of a multi-component image as its own series in a
+ * shared study and Frame of Reference
+ */
+async function* streamComponentSeries(image3D, options) {
+  const {
+    fileNamePattern = "slice_%04d.dcm",
+    seriesDescription = "Medical Image Series",
+    seriesNumber = 1,
+    study = {},
+    series = {},
+    referenceSeries,
+    uidGenerator = generateUID,
+    logger = console,
+  } = options;
+
+  const { components } = image3D.imageType;
+  const baseDescription = series.description ?? seriesDescription;
+  const baseNumber = series.number ?? seriesNumber;
+
+  // With a reference series, study and Frame of Reference come from it
+  const now = new Date();
+  const sharedStudy = referenceSeries
+    ? study
+    : {
+        ...study,
+        instanceUID: study.instanceUID || uidGenerator(),
+        date: study.date || now,
+        time: study.time || now,
+      };
+  const frameOfReferenceUID =
+    options.frameOfReferenceUID ||
+    (referenceSeries ? undefined : uidGenerator());
+
+  logger.log(`Writing ${components} components as separate series...`);
+
+  for (let component = 0; component < components; component++) {
+    const files = streamImageAsDicomSeriesWithDcmjs(
+      extractComponent(image3D, component),
+      {
+        ...options,
+        splitComponents: false,
+        fileNamePattern: `component${component}_${fileNamePattern}`,
+        study: sharedStudy,
+        series: {
+          ...series,
+          instanceUID: undefined,
+          description: `${baseDescription} [component ${component}]`,
+          number: baseNumber + component,
+          date: series.date || now,
+          time: series.time || now,
+        },
+        frameOfReferenceUID,
+      },
+    );
+    for await (const file of files) {
+      yield { ...file, component };
+    }
+  }
 }
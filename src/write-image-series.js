@@ -1,28 +1,146 @@
-// Use GDCM writer for DICOM output
-async function getWriteImage() {
-  const isNode = typeof window === "undefined";
+import dcmjs from "dcmjs";
+import { isNode } from "./environment.js";
+import { TRANSFER_SYNTAX_UIDS } from "./file-meta.js";
+import {
+  createDicomSliceDataset,
+  streamImageAsDicomSeriesWithDcmjs,
+} from "./write-dicom-dcmjs.js";
 
-  if (isNode) {
-    const module = await import("@itk-wasm/image-io");
-    return module.gdcmWriteImageNode;
-  } else {
-    const module = await import("@itk-wasm/image-io");
-    return module.gdcmWriteImage;
-  }
+const { DicomDict, DicomMessage } = dcmjs.data;
+
+/**
+ * Image Pixel Module attributes and Pixel Data, taken from the GDCM file
+ */
+const PIXEL_TAGS = [
+  "00280002", // SamplesPerPixel
+  "00280004", // PhotometricInterpretation
+  "00280006", // PlanarConfiguration
+  "00280010", // Rows
+  "00280011", // Columns
+  "00280100", // BitsAllocated
+  "00280101", // BitsStored
+  "00280102", // HighBit
+  "00280103", // PixelRepresentation
+  "7FE00010", // PixelData
+];
+
+/**
+ * Transfer Syntaxes the GDCM backend writes: its compression does not run in ITK-Wasm
+ */
+const GDCM_TRANSFER_SYNTAXES = [
+  TRANSFER_SYNTAX_UIDS.IMPLICIT_VR_LITTLE_ENDIAN,
+  TRANSFER_SYNTAX_UIDS.EXPLICIT_VR_LITTLE_ENDIAN,
+];
+
+/**
+ * Web worker of the browser GDCM writer, reused from slice to slice
+ */
+let gdcmWebWorker = null;
+
+/**
+ * Rethrows a failed GDCM pipeline as an Error with the failure as its cause.
+ * The wasm pipeline throws bare exception pointers as well as Errors
+ */
+function gdcmFailure(error) {
+  throw new Error(
+    `GDCM could not write the slice: ${error?.message ?? `exception ${error}`}`,
+    { cause: error },
+  );
 }
 
-// Node.js imports (only loaded when needed)
-let fs = null;
-let os = null;
-let path = null;
+/**
+ * Encodes a 2D slice with ITK-Wasm's GDCM writer into memory: in Node its
+ * pipeline runs in this thread, in the browser in a Web Worker
+ */
+async function encodeWithGdcm(slice2D) {
+  // Only the pixels are kept, so the geometry is left neutral: the 2D part of
+  // an oblique direction can be singular, which GDCM fails on. ITK-Wasm
+  // expects plain arrays for size, spacing and origin.
+  const image = {
+    imageType: slice2D.imageType,
+    name: slice2D.name,
+    origin: [0, 0],
+    spacing: [1, 1],
+    direction: new Float64Array([1, 0, 0, 1]),
+    size: Array.from(slice2D.size),
+    metadata: new Map(),
+    data: slice2D.data,
+  };
+
+  if (isNode()) {
+    // gdcmWriteImageNode only writes to disk, so run its pipeline with the
+    // file as an output of the in-memory filesystem, as the browser does
+    const { InterfaceTypes, runPipelineNode } = await import("itk-wasm");
+    const { fileURLToPath } = await import("url");
+    const pipelinePath = fileURLToPath(
+      new URL(
+        "./pipelines/gdcm-write-image",
+        import.meta.resolve("@itk-wasm/image-io"),
+      ),
+    );
+    const { returnValue, stderr, outputs } = await runPipelineNode(
+      pipelinePath,
+      ["0", "0", "slice.dcm", "--memory-io"],
+      [
+        { type: InterfaceTypes.JsonCompatible },
+        {
+          type: InterfaceTypes.BinaryFile,
+          data: { path: "slice.dcm", data: new Uint8Array() },
+        },
+      ],
+      [{ type: InterfaceTypes.Image, data: image }],
+    ).catch(gdcmFailure);
+    if (returnValue !== 0 || !outputs[0].data) {
+      throw new Error(
+        `GDCM could not write the slice${stderr ? `: ${stderr}` : ""}`,
+      );
+    }
+    return outputs[1].data.data;
+  }
 
-async function getNodeModules() {
-  if (fs === null) {
-    fs = (await import("fs")).default;
-    os = (await import("os")).default;
-    path = (await import("path")).default;
+  const { gdcmWriteImage } = await import("@itk-wasm/image-io");
+  const { webWorker, couldWrite, serializedImage } = await gdcmWriteImage(
+    image,
+    "slice.dcm",
+    { webWorker: gdcmWebWorker },
+  ).catch(gdcmFailure);
+  gdcmWebWorker = webWorker;
+  if (!couldWrite) throw new Error("GDCM could not write the slice");
+  return serializedImage.data;
+}
+
+/**
+ * Writes a 2D image slice as a DICOM file whose pixels are encoded by
+ * ITK-Wasm's GDCM writer.
+ *
+ * GDCM only encodes the pixels: the Image Pixel Module and Pixel Data come
+ * from its file. Every other attribute comes from createDicomSliceDataset, as
+ * with writeDicomSlice, and replaces what GDCM generates, such as its own
+ * Study, Series and Frame of Reference UIDs for each file.
+ * @param {Image} slice2D - The 2D slice image
+ * @param {Object} metadata - DICOM metadata, see writeDicomSlice
+ * @returns {Promise<ArrayBuffer>} The DICOM file as an ArrayBuffer
+ */
+export async function writeDicomSliceWithGdcm(slice2D, metadata) {
+  const { fileMeta, dataset } = createDicomSliceDataset(slice2D, metadata);
+
+  const encoded = await encodeWithGdcm(slice2D);
+  const { dict } = DicomMessage.readFile(
+    encoded.buffer.slice(
+      encoded.byteOffset,
+      encoded.byteOffset + encoded.byteLength,
+    ),
+  );
+  for (const tag of PIXEL_TAGS) {
+    // GDCM writes Implicit VR, keep the VR the dataset chose for Pixel Data
+    const vr = dataset[tag]?.vr;
+    delete dataset[tag];
+    if (dict[tag]) dataset[tag] = { ...dict[tag], vr: vr ?? dict[tag].vr };
   }
-  return { fs, os, path };
+
+  const dicomDict = new DicomDict(fileMeta);
+  dicomDict.dict = dataset;
+  return dicomDict.write();
 }
 
 /**
@@ -106,243 +224,167 @@ export function extractSlice(image3D, sliceIndex) {
     });
   }
 
-  // Update slice position in world coordinates
-  // New origin = original origin + sliceIndex * spacing[2] * direction_column_2
-  const originX = origin[0] + sliceIndex * spacing[2] * direction[6];
-  const originY = origin[1] + sliceIndex * spacing[2] * direction[7];
-  slice2D.origin = new Float64Array([originX, originY]);
+  // The columns of the (row-major) direction matrix are the row, column and
+  // slicing directions of the volume in patient coordinates
+  const rowDirection = [direction[0], direction[3], direction[6]];
+  const columnDirection = [direction[1], direction[4], direction[7]];
+  const sliceDirection = [direction[2], direction[5], direction[8]];
 
-  // Store the Z position for metadata
-  const zPosition = origin[2] + sliceIndex * spacing[2] * direction[8];
-  slice2D.zPosition = zPosition;
+  // Update slice position in world coordinates
+  // Slice position = original origin + sliceIndex * spacing[2] * sliceDirection
+  const imagePosition = new Float64Array(3);
+  for (let i = 0; i < 3; i++) {
+    imagePosition[i] = origin[i] + sliceIndex * spacing[2] * sliceDirection[i];
+  }
+  slice2D.origin = new Float64Array([imagePosition[0], imagePosition[1]]);
+
+  // Full 3D geometry for Image Position/Orientation (Patient)
+  slice2D.imagePosition = imagePosition;
+  slice2D.imageOrientation = new Float64Array([
+    ...rowDirection,
+    ...columnDirection,
+  ]);
+
+  // Slice Location is the position projected onto the slice normal
+  const normal = [
+    rowDirection[1] * columnDirection[2] - rowDirection[2] * columnDirection[1],
+    rowDirection[2] * columnDirection[0] - rowDirection[0] * columnDirection[2],
+    rowDirection[0] * columnDirection[1] - rowDirection[1] * columnDirection[0],
+  ];
+  const normalLength = Math.hypot(...normal) || 1;
+  slice2D.sliceLocation =
+    (imagePosition[0] * normal[0] +
+      imagePosition[1] * normal[1] +
+      imagePosition[2] * normal[2]) /
+    normalLength;
+  slice2D.sliceThickness = spacing[2];
 
   return slice2D;
 }
 
 /**
- * Generates a unique identifier
+ * Writes a 3D (or 4D) image as a DICOM series with pixels encoded by
+ * ITK-Wasm's GDCM writer, one file at a time. Takes the options of
+ * writeImageAsDicomSeriesWithDcmjs except compression and workers, and writes
+ * the same metadata, uncompressed: transferSyntax is Implicit or Explicit VR
+ * Little Endian.
+ * @param {Image} image3D - The 3D (or 4D time series) image to write
+ * @param {Object} options - Options for writing, see writeImageAsDicomSeriesWithDcmjs
+ * @yields {{filename: string, sliceIndex: number, data: Uint8Array}} Each written file, in instance order
  */
-function generateUID() {
-  const timestamp = Date.now();
-  const random = Math.floor(Math.random() * 1000000);
-  return `1.2.826.0.1.3680043.8.498.${timestamp}.${random}`;
-}
-
-/**
- * Creates DICOM metadata for a slice
- */
-function createDicomMetadataForSlice(
-  originalMetadata,
-  sliceIndex,
-  totalSlices,
-  slice2D,
-  options,
-) {
-  const metadata = new Map(originalMetadata || new Map());
-
-  // Generate Series Instance UID if not present
-  if (!metadata.has("0020|000e")) {
-    metadata.set("0020|000e", options.seriesInstanceUID || generateUID());
-  }
-
-  // Generate unique SOP Instance UID for each slice
-  metadata.set("0008|0018", generateUID());
-
-  // Instance Number - unique for each slice (starts at 1)
-  const instanceNumber = sliceIndex + (options.instanceNumberStart || 1);
-  metadata.set("0020|0013", String(instanceNumber));
-
-  // Image Position (Patient) - physical location of slice in mm
-  const imagePosition = [
-    slice2D.origin[0].toFixed(6),
-    slice2D.origin[1].toFixed(6),
-    slice2D.zPosition.toFixed(6),
-  ].join("\\");
-  metadata.set("0020|0032", imagePosition);
-
-  // Slice Location - Z position
-  metadata.set("0020|1041", String(slice2D.zPosition.toFixed(6)));
-
-  // Series Description
-  if (options.seriesDescription) {
-    metadata.set("0008|103e", options.seriesDescription);
-  }
-
-  // Series Number
-  if (options.seriesNumber !== undefined) {
-    metadata.set("0020|0011", String(options.seriesNumber));
+export async function* streamImageAsDicomSeries(image3D, options = {}) {
+  const { transferSyntax, compression, workers } = options;
+  if (transferSyntax && !GDCM_TRANSFER_SYNTAXES.includes(transferSyntax)) {
+    throw new Error(
+      `The GDCM backend writes uncompressed transfer syntaxes only, got ${transferSyntax}`,
+    );
   }
-
-  // Number of Images in Acquisition
-  metadata.set("0020|1002", String(totalSlices));
-
-  // Modality (if not present, default to MR for MRI, CT for CT, etc.)
-  if (!metadata.has("0008|0060") && options.modality) {
-    metadata.set("0008|0060", options.modality);
+  if (compression || workers) {
+    throw new Error(
+      `The GDCM backend does not support the ${compression ? "compression" : "workers"} option`,
+    );
   }
 
-  return metadata;
+  yield* streamImageAsDicomSeriesWithDcmjs(image3D, {
+    ...options,
+    writeSlice: writeDicomSliceWithGdcm,
+  });
 }
 
 /**
- * Writes a 3D image as a DICOM series
- * @param {Image} image3D - The 3D image to write
- * @param {Object} options - Options for writing
- * @param {string} options.fileNamePattern - Pattern for output filenames (e.g., 'slice_%04d.dcm')
- * @param {string} options.seriesDescription - DICOM Series Description
- * @param {number} options.seriesNumber - DICOM Series Number
- * @param {number} options.instanceNumberStart - Starting instance number (default: 1)
- * @param {string} options.modality - DICOM Modality (MR, CT, PT, etc.)
- * @param {string} options.seriesInstanceUID - Series Instance UID (generated if not provided)
- * @param {boolean} options.useCompression - Whether to use compression (default: false)
- * @returns {Promise<Array<{filename: string, blob: Blob}>>} Array of written files
+ * Writes a 3D (or 4D) image as a DICOM series with ITK-Wasm's GDCM writer
+ * @param {Image} image3D - The 3D (or 4D time series) image to write
+ * @param {Object} options - Options for writing, see streamImageAsDicomSeries
+ * @returns {Promise<Array<{filename: string, blob: Blob, sliceIndex: number, data: Uint8Array}>>} Array of
+ *   written files
  */
 export async function writeImageAsDicomSeries(image3D, options = {}) {
-  if (image3D.imageType.dimension !== 3) {
-    throw new Error("Input image must be 3D");
-  }
-
-  const {
-    fileNamePattern = "slice_%04d.dcm",
-    seriesDescription = "Medical Image Series",
-    seriesNumber = 1,
-    instanceNumberStart = 1,
-    modality = "OT",
-    seriesInstanceUID = generateUID(),
-    useCompression = false,
-  } = options;
-
-  const numSlices = image3D.size[2];
   const writtenFiles = [];
-
-  const isNode = typeof window === "undefined";
-  let tempDir = null;
-  let nodeModules = null;
-
-  // In Node.js, we need to write to actual files in a temp directory
-  if (isNode) {
-    nodeModules = await getNodeModules();
-    const { fs, os, path } = nodeModules;
-    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "dicom-write-"));
-    console.log(`Using temp directory: ${tempDir}`);
+  for await (const file of streamImageAsDicomSeries(image3D, options)) {
+    writtenFiles.push({
+      ...file,
+      blob: new Blob([file.data], { type: "application/dicom" }),
+    });
   }
+  return writtenFiles;
+}
 
-  console.log(`Writing ${numSlices} slices...`);
-
-  for (let sliceIdx = 0; sliceIdx < numSlices; sliceIdx++) {
-    // Extract 2D slice
-    const slice2D = extractSlice(image3D, sliceIdx);
-
-    // Create DICOM metadata
-    slice2D.metadata = createDicomMetadataForSlice(
-      image3D.metadata,
-      sliceIdx,
-      numSlices,
-      slice2D,
-      {
-        seriesDescription,
-        seriesNumber,
-        instanceNumberStart,
-        modality,
-        seriesInstanceUID,
-      },
-    );
-
-    // Generate filename with zero-padded index
-    const filename = fileNamePattern.replace(
-      "%04d",
-      String(sliceIdx).padStart(4, "0"),
-    );
+/**
+ * Writers of each backend
+ */
+const BACKENDS = {
+  dcmjs: streamImageAsDicomSeriesWithDcmjs,
+  gdcm: streamImageAsDicomSeries,
+};
 
-    try {
-      // Write slice as DICOM
-      const writeImage = await getWriteImage();
-
-      let imageData;
-
-      if (isNode) {
-        // Node.js: write to temp file, then read back into memory
-        const { fs, path } = nodeModules;
-        const fullPath = path.join(tempDir, filename);
-
-        const { couldWrite } = await writeImage(slice2D, fullPath, {
-          useCompression,
-        });
-        if (!couldWrite) {
-          throw new Error(`Failed to write slice ${sliceIdx}`);
-        }
-
-        // Read the file back into memory
-        imageData = fs.readFileSync(fullPath);
-      } else {
-        // Browser: write directly to memory
-        const result = await writeImage(slice2D, filename, { useCompression });
-        imageData = result.serializedImage.data;
-      }
-
-      // Convert to Blob
-      const blob = new Blob([imageData], { type: "application/dicom" });
-
-      writtenFiles.push({
-        filename,
-        blob,
-        sliceIndex: sliceIdx,
-        data: imageData,
-      });
-
-      if ((sliceIdx + 1) % 10 === 0 || sliceIdx === numSlices - 1) {
-        console.log(`Wrote ${sliceIdx + 1}/${numSlices} slices`);
-      }
-    } catch (error) {
-      console.error(`Error writing slice ${sliceIdx}:`, error);
-      console.error("Slice2D details:", {
-        imageType: slice2D.imageType,
-        size: slice2D.size,
-        origin: slice2D.origin,
-        spacing: slice2D.spacing,
-        direction: slice2D.direction,
-        dataType: slice2D.data?.constructor?.name,
-        dataLength: slice2D.data?.length,
-        dataSample: slice2D.data ? Array.from(slice2D.data.slice(0, 10)) : null,
-      });
-      throw error;
-    }
+/**
+ * Writes a 3D (or 4D) image as a DICOM series one file at a time with
+ * either backend, see writeDicomSeries
+ * @param {Image} image3D - The 3D (or 4D time series) image to write
+ * @param {Object} options - Options for writing, see writeDicomSeries
+ * @yields {{filename: string, sliceIndex: number, data: Uint8Array}} Each written file, in instance order
+ */
+export async function* streamDicomSeries(image3D, options = {}) {
+  const { backend = "dcmjs", ...writeOptions } = options;
+  if (!BACKENDS[backend]) {
+    throw new Error(`Unknown backend: ${backend} (expected dcmjs or gdcm)`);
   }
+  yield* BACKENDS[backend](image3D, writeOptions);
+}
 
-  // Clean up temp directory if in Node.js
-  if (isNode && tempDir) {
-    const { fs, path } = nodeModules;
-    try {
-      const files = fs.readdirSync(tempDir);
-      for (const file of files) {
-        fs.unlinkSync(path.join(tempDir, file));
-      }
-      fs.rmdirSync(tempDir);
-      console.log(`Cleaned up temp directory: ${tempDir}`);
-    } catch (cleanupError) {
-      console.warn(`Failed to cleanup temp directory: ${cleanupError.message}`);
-    }
+/**
+ * Writes a 3D (or 4D) image as a DICOM series. Both backends take the
+ * options of writeImageAsDicomSeriesWithDcmjs and write the same metadata;
+ * they differ in how the pixels are encoded. compression and workers are
+ * dcmjs options, the gdcm backend rejects them.
+ * @param {Image} image3D - The 3D (or 4D time series) image to write
+ * @param {Object} options - Options for writing, see writeImageAsDicomSeriesWithDcmjs
+ * @param {string} options.backend - dcmjs (default), with compression and workers, or gdcm, uncompressed
+ *   through ITK-Wasm's GDCM writer
+ * @returns {Promise<Array<{filename: string, blob: Blob, sliceIndex: number, data: Uint8Array}>>} Array of
+ *   written files, as writeImageAsDicomSeriesWithDcmjs returns them
+ */
+export async function writeDicomSeries(image3D, options = {}) {
+  const writtenFiles = [];
+  for await (const file of streamDicomSeries(image3D, options)) {
+    writtenFiles.push({
+      ...file,
+      blob: new Blob([file.data], { type: "application/dicom" }),
+    });
   }
-
   return writtenFiles;
 }
 
 /**
  * Download files as a ZIP archive
- * @param {Array<{filename: string, blob: Blob}>} files - Files to download
+ * @param {Array<{filename: string, blob?: Blob, data?: Uint8Array}>|AsyncIterable} files - Files to download,
+ *   an array or a stream such as streamImageAsDicomSeriesWithDcmjs
  * @param {string} zipFilename - Name of the ZIP file
+ * @param {Object} options - ZIP options
+ * @param {boolean} options.media - Lay the files out as DICOM media with a DICOMDIR, see createDicomMedia
+ *   (default: false, the files as they are)
+ * @param {{log: function}} options.logger - Receives the download message (default: console)
  */
 export async function downloadFilesAsZip(
   files,
   zipFilename = "dicom-series.zip",
+  options = {},
 ) {
   // Dynamically import JSZip
   const JSZip = (await import("jszip")).default;
 
+  // The DICOMDIR indexes every file, so the media layout collects them first
+  if (options.media) {
+    const { createDicomMedia } = await import("./dicomdir.js");
+    files = await createDicomMedia(files, options);
+  }
+
   const zip = new JSZip();
 
-  for (const file of files) {
-    zip.file(file.filename, file.blob);
+  let fileCount = 0;
+  for await (const file of files) {
+    zip.file(file.filename, file.blob ?? file.data);
+    fileCount++;
   }
 
   const zipBlob = await zip.generateAsync({ type: "blob" });
@@ -357,5 +399,8 @@ export async function downloadFilesAsZip(
   document.body.removeChild(a);
   URL.revokeObjectURL(url);
 
-  console.log(`Downloaded ${files.length} files as ${zipFilename}`);
+  (options.logger ?? console).log(
+    `Downloaded ${fileCount} files as ${zipFilename}`,
+  );
+  return fileCount;
 }
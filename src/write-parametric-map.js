@@ -0,0 +1,573 @@
+import dcmjs from "dcmjs";
+import { SOP_CLASS_UIDS } from "./sop-classes.js";
+import { createFileMetaInformation } from "./file-meta.js";
+import {
+  createMultiFrameHeader,
+  toDicomDate,
+  toDicomTime,
+} from "./patient-study.js";
+import {
+  createReferencedSeriesSequence,
+  createSourceImageSequence,
+  findSourceInstance,
+  readReferenceSeries,
+} from "./reference-series.js";
+import { codeSequence } from "./write-segmentation.js";
+import { generateUID } from "./uid.js";
+
+const { DicomDict } = dcmjs.data;
+
+/**
+ * Pixel Data element and sample size for each floating-point component type
+ */
+const FLOAT_PIXEL_DATA = {
+  float32: {
+    tag: "7FE00008", // FloatPixelData
+    vr: "OF",
+    bitsAllocated: 32,
+    Array: Float32Array,
+  },
+  float64: {
+    tag: "7FE00009", // DoubleFloatPixelData
+    vr: "OD",
+    bitsAllocated: 64,
+    Array: Float64Array,
+  },
+};
+
+/**
+ * Default Measurement Units: UCUM "1", for unitless quantities
+ */
+const NO_UNITS_CODE = {
+  CodeValue: "1",
+  CodingSchemeDesignator: "UCUM",
+  CodeMeaning: "no units",
+};
+
+/**
+ * Concept name of the Quantity Definition content item: SCT 246205007 "Quantity"
+ */
+const QUANTITY_CODE = {
+  CodeValue: "246205007",
+  CodingSchemeDesignator: "SCT",
+  CodeMeaning: "Quantity",
+};
+
+/**
+ * Default Derivation Code: DCM 110001 "Image Processing"
+ */
+const IMAGE_PROCESSING_CODE = {
+  CodeValue: "110001",
+  CodingSchemeDesignator: "DCM",
+  CodeMeaning: "Image Processing",
+};
+
+/**
+ * Finds the smallest and largest finite values, ignoring NaN and infinities.
+ * An image without finite values has the range 0 to 0.
+ */
+function findValueRange(data) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < data.length; i++) {
+    const value = data[i];
+    if (!Number.isFinite(value)) continue;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  if (min > max) {
+    return { min: 0, max: 0 };
+  }
+  return { min, max };
+}
+
+/**
+ * Creates the Real World Value Mapping item of an identity mapping: the
+ * stored floating-point values are the quantitative values
+ */
+function createRealWorldValueMapping(
+  { units, quantity, label, explanation },
+  range,
+) {
+  return {
+    "00283003": {
+      // LUTExplanation
+      vr: "LO",
+      Value: [explanation || quantity?.CodeMeaning || label],
+    },
+    "00409210": {
+      // LUTLabel
+      vr: "SH",
+      Value: [label],
+    },
+    "004008EA": codeSequence(units), // MeasurementUnitsCodeSequence
+    "00409214": {
+      // DoubleFloatRealWorldValueFirstValueMapped
+      vr: "FD",
+      Value: [range.min],
+    },
+    "00409213": {
+      // DoubleFloatRealWorldValueLastValueMapped
+      vr: "FD",
+      Value: [range.max],
+    },
+    "00409224": {
+      // RealWorldValueIntercept
+      vr: "FD",
+      Value: [0],
+    },
+    "00409225": {
+      // RealWorldValueSlope
+      vr: "FD",
+      Value: [1],
+    },
+    ...(quantity && {
+      "00409220": {
+        // QuantityDefinitionSequence
+        vr: "SQ",
+        Value: [
+          {
+            "0040A040": {
+              // ValueType
+              vr: "CS",
+              Value: ["CODE"],
+            },
+            "0040A043": codeSequence(QUANTITY_CODE), // ConceptNameCodeSequence
+            "0040A168": codeSequence(quantity), // ConceptCodeSequence
+          },
+        ],
+      },
+    }),
+  };
+}
+
+/**
+ * Writes a floating-point image as a DICOM Parametric Map using dcmjs.
+ * Values are stored as Float Pixel Data (float32) or Double Float Pixel Data
+ * (float64) with an identity Real World Value Mapping, so they survive exactly
+ * instead of being quantized into integer images.
+ * @param {Image} image3D - 3D float32 or float64 image, e.g. an ADC, T1 or perfusion map
+ * @param {Object} options - Options for writing
+ * @param {string} options.fileName - Output filename (default: parametric-map.dcm)
+ * @param {Object} options.realWorldValueMapping - Meaning of the values
+ * @param {Object} options.realWorldValueMapping.units - Measurement Units, a UCUM code such as
+ *   {CodeValue: "um2/s", CodingSchemeDesignator: "UCUM", CodeMeaning: "um2/s"} (default: UCUM "1", no units)
+ * @param {Object} options.realWorldValueMapping.quantity - Quantity being mapped, a code such as
+ *   {CodeValue: "113041", CodingSchemeDesignator: "DCM", CodeMeaning: "Apparent Diffusion Coefficient"}
+ * @param {string} options.realWorldValueMapping.label - LUT Label, up to 16 characters (default: VALUE)
+ * @param {string} options.realWorldValueMapping.explanation - LUT Explanation (default: the quantity meaning)
+ * @param {string} options.modality - DICOM Modality of the acquisition (default: the reference series modality or OT)
+ * @param {Array<File|Blob|ArrayBuffer|Uint8Array|string>} options.referenceSeries - Source image series.
+ *   Patient, study and Frame of Reference are copied from it and each frame references its source image
+ * @param {Object} options.derivationCode - How the map was derived from the reference series
+ *   (default: DCM 110001 "Image Processing")
+ * @param {string} options.seriesDescription - DICOM Series Description
+ * @param {number} options.seriesNumber - DICOM Series Number
+ * @param {string} options.contentLabel - Content Label (default: PARAMETRIC_MAP)
+ * @param {string} options.contentDescription - Content Description
+ * @param {string} options.contentCreatorName - Content Creator's Name
+ * @param {Object} options.patient - Patient Module, see writeImageAsDicomSeriesWithDcmjs
+ * @param {Object} options.study - General Study Module, see writeImageAsDicomSeriesWithDcmjs
+ * @param {Object} options.equipment - Enhanced General Equipment Module, see writeImageAsDicomSeriesWithDcmjs
+ * @param {string} options.implementationClassUID - Implementation Class UID written to the File Meta Information
+ * @param {string} options.implementationVersionName - Implementation Version Name, up to 16 characters
+ * @param {function(): string} options.uidGenerator - Generates new UIDs, see createUIDGenerator (default: generateUID)
+ * @param {{log: function}} options.logger - Receives the progress message (default: console)
+ * @returns {Promise<{filename: string, blob: Blob, data: Uint8Array, sopInstanceUID: string,
+ *   seriesInstanceUID: string}>} The written Parametric Map
+ */
+export async function writeImageAsParametricMap(image3D, options = {}) {
+  if (image3D.imageType.dimension !== 3) {
+    throw new Error("Parametric Map image must be 3D");
+  }
+  if (image3D.imageType.components !== 1) {
+    throw new Error("Parametric Map image must have a single component");
+  }
+
+  const pixelFormat = FLOAT_PIXEL_DATA[image3D.imageType.componentType];
+  if (!pixelFormat) {
+    throw new Error(
+      `Parametric Maps are written from float32 or float64 images, not ${image3D.imageType.componentType}`,
+    );
+  }
+
+  const {
+    fileName = "parametric-map.dcm",
+    realWorldValueMapping = {},
+    seriesDescription = "Parametric Map",
+    seriesNumber = 500,
+    contentLabel = "PARAMETRIC_MAP",
+    contentDescription,
+    contentCreatorName,
+    patient = {},
+    study = {},
+    equipment = {},
+    referenceSeries,
+    derivationCode = IMAGE_PROCESSING_CODE,
+    implementationClassUID,
+    implementationVersionName,
+    uidGenerator = generateUID,
+    logger = console,
+  } = options;
+
+  const mapping = {
+    units: NO_UNITS_CODE,
+    label: "VALUE",
+    ...realWorldValueMapping,
+  };
+  if (mapping.label.length > 16) {
+    throw new Error(
+      `LUT Label "${mapping.label}" is longer than 16 characters`,
+    );
+  }
+
+  // Parametric Maps share patient, study and Frame of Reference with their source images
+  const reference =
+    referenceSeries && (await readReferenceSeries(referenceSeries));
+  const modality = options.modality || reference?.modality || "OT";
+  const now = new Date();
+  const sopInstanceUID = uidGenerator();
+  const seriesInstanceUID = uidGenerator();
+  const frameOfReferenceUID =
+    options.frameOfReferenceUID ||
+    reference?.frameOfReferenceUID ||
+    uidGenerator();
+  const dimensionOrganizationUID = uidGenerator();
+
+  // Slices are contiguous in the image buffer, one frame per slice
+  const { extractSlice } = await import("./write-image-series.js");
+  const [columns, rows, numSlices] = image3D.size;
+  const pixelData = pixelFormat.Array.from(image3D.data);
+  const range = findValueRange(pixelData);
+  const slices = [];
+  for (let sliceIdx = 0; sliceIdx < numSlices; sliceIdx++) {
+    slices.push(extractSlice(image3D, sliceIdx));
+  }
+  const firstSlice = slices[0];
+
+  logger.log(
+    `Writing Parametric Map with ${numSlices} ${image3D.imageType.componentType} frames (range ${range.min} to ${range.max})...`,
+  );
+
+  const perFrameFunctionalGroups = slices.map((slice2D, sliceIdx) => ({
+    "00209111": {
+      // FrameContentSequence
+      vr: "SQ",
+      Value: [
+        {
+          "00209157": {
+            // DimensionIndexValues
+            vr: "UL",
+            Value: [sliceIdx + 1],
+          },
+        },
+      ],
+    },
+    "00209113": {
+      // PlanePositionSequence
+      vr: "SQ",
+      Value: [
+        {
+          "00200032": {
+            // ImagePositionPatient
+            vr: "DS",
+            Value: Array.from(slice2D.imagePosition),
+          },
+        },
+      ],
+    },
+    ...(reference && {
+      "00089124": {
+        // DerivationImageSequence
+        vr: "SQ",
+        Value: [
+          {
+            ...createSourceImageSequence(
+              findSourceInstance(reference.instances, slice2D, sliceIdx),
+            ),
+            // DerivationCodeSequence
+            "00089215": codeSequence(derivationCode),
+          },
+        ],
+      },
+    }),
+  }));
+
+  const imageType = ["DERIVED", "PRIMARY", "VOLUME", "QUANTITY"];
+
+  const dataset = {
+    // Patient, study, Frame of Reference and equipment inherited from the source images
+    ...reference?.attributes,
+
+    // SOP Common Module
+    "00080005": {
+      // SpecificCharacterSet
+      vr: "CS",
+      Value: ["ISO_IR 192"],
+    },
+    "00080016": {
+      // SOPClassUID
+      vr: "UI",
+      Value: [SOP_CLASS_UIDS.PMAP],
+    },
+    "00080018": {
+      // SOPInstanceUID
+      vr: "UI",
+      Value: [sopInstanceUID],
+    },
+
+    // Patient, General Study, Enhanced General Equipment, General Series and
+    // Frame of Reference Modules
+    ...createMultiFrameHeader({
+      reference,
+      patient,
+      study,
+      equipment,
+      modality,
+      seriesInstanceUID,
+      seriesDescription,
+      seriesNumber,
+      frameOfReferenceUID,
+      now,
+      uidGenerator,
+    }),
+
+    // General Image and Parametric Map Image Modules
+    "00200013": {
+      // InstanceNumber
+      vr: "IS",
+      Value: [1],
+    },
+    "00080023": {
+      // ContentDate
+      vr: "DA",
+      Value: [toDicomDate(now)],
+    },
+    "00080033": {
+      // ContentTime
+      vr: "TM",
+      Value: [toDicomTime(now)],
+    },
+    "00080008": {
+      // ImageType
+      vr: "CS",
+      Value: imageType,
+    },
+    "00700080": {
+      // ContentLabel
+      vr: "CS",
+      Value: [contentLabel],
+    },
+    "00700081": {
+      // ContentDescription
+      vr: "LO",
+      Value: contentDescription ? [contentDescription] : [],
+    },
+    "00700084": {
+      // ContentCreatorName
+      vr: "PN",
+      Value: contentCreatorName ? [{ Alphabetic: contentCreatorName }] : [],
+    },
+    "00282110": {
+      // LossyImageCompression
+      vr: "CS",
+      Value: ["00"],
+    },
+    "20500020": {
+      // PresentationLUTShape
+      vr: "CS",
+      Value: ["IDENTITY"],
+    },
+
+    // Image Pixel Module - Bits Stored, High Bit and Pixel Representation
+    // only apply to integer Pixel Data
+    "00280002": {
+      // SamplesPerPixel
+      vr: "US",
+      Value: [1],
+    },
+    "00280004": {
+      // PhotometricInterpretation
+      vr: "CS",
+      Value: ["MONOCHROME2"],
+    },
+    "00280010": {
+      // Rows
+      vr: "US",
+      Value: [rows],
+    },
+    "00280011": {
+      // Columns
+      vr: "US",
+      Value: [columns],
+    },
+    "00280100": {
+      // BitsAllocated
+      vr: "US",
+      Value: [pixelFormat.bitsAllocated],
+    },
+
+    // Multi-frame Functional Groups Module
+    "00280008": {
+      // NumberOfFrames
+      vr: "IS",
+      Value: [numSlices],
+    },
+    "52009229": {
+      // SharedFunctionalGroupsSequence
+      vr: "SQ",
+      Value: [
+        {
+          "00289110": {
+            // PixelMeasuresSequence
+            vr: "SQ",
+            Value: [
+              {
+                "00180050": {
+                  // SliceThickness
+                  vr: "DS",
+                  Value: [firstSlice.sliceThickness],
+                },
+                "00180088": {
+                  // SpacingBetweenSlices
+                  vr: "DS",
+                  Value: [firstSlice.sliceThickness],
+                },
+                "00280030": {
+                  // PixelSpacing
+                  vr: "DS",
+                  Value: [firstSlice.spacing[1], firstSlice.spacing[0]],
+                },
+              },
+            ],
+          },
+          "00209116": {
+            // PlaneOrientationSequence
+            vr: "SQ",
+            Value: [
+              {
+                "00200037": {
+                  // ImageOrientationPatient
+                  vr: "DS",
+                  Value: Array.from(firstSlice.imageOrientation),
+                },
+              },
+            ],
+          },
+          "00409092": {
+            // ParametricMapFrameTypeSequence
+            vr: "SQ",
+            Value: [
+              {
+                "00089007": {
+                  // FrameType
+                  vr: "CS",
+                  Value: imageType,
+                },
+              },
+            ],
+          },
+          "00409096": {
+            // RealWorldValueMappingSequence
+            vr: "SQ",
+            Value: [createRealWorldValueMapping(mapping, range)],
+          },
+          "00289132": {
+            // FrameVOILUTSequence - window over the full value range
+            vr: "SQ",
+            Value: [
+              {
+                "00281050": {
+                  // WindowCenter
+                  vr: "DS",
+                  Value: [(range.min + range.max) / 2],
+                },
+                "00281051": {
+                  // WindowWidth
+                  vr: "DS",
+                  Value: [Math.max(range.max - range.min, 1e-6)],
+                },
+              },
+            ],
+          },
+        },
+      ],
+    },
+    "52009230": {
+      // PerFrameFunctionalGroupsSequence
+      vr: "SQ",
+      Value: perFrameFunctionalGroups,
+    },
+
+    // Multi-frame Dimension Module
+    "00209221": {
+      // DimensionOrganizationSequence
+      vr: "SQ",
+      Value: [
+        {
+          "00209164": {
+            // DimensionOrganizationUID
+            vr: "UI",
+            Value: [dimensionOrganizationUID],
+          },
+        },
+      ],
+    },
+    "00209222": {
+      // DimensionIndexSequence
+      vr: "SQ",
+      Value: [
+        {
+          "00209164": {
+            // DimensionOrganizationUID
+            vr: "UI",
+            Value: [dimensionOrganizationUID],
+          },
+          "00209165": {
+            // DimensionIndexPointer
+            vr: "AT",
+            Value: [0x00200032],
+          },
+          "00209167": {
+            // FunctionalGroupPointer
+            vr: "AT",
+            Value: [0x00209113],
+          },
+          "00209421": {
+            // DimensionDescriptionLabel
+            vr: "LO",
+            Value: ["ImagePositionPatient"],
+          },
+        },
+      ],
+    },
+
+    // Common Instance Reference Module
+    ...(reference && createReferencedSeriesSequence(reference.instances)),
+
+    // Float Pixel Data or Double Float Pixel Data
+    [pixelFormat.tag]: {
+      vr: pixelFormat.vr,
+      Value: [pixelData.buffer],
+    },
+  };
+
+  const dicomDict = new DicomDict(
+    createFileMetaInformation({
+      sopClassUID: SOP_CLASS_UIDS.PMAP,
+      sopInstanceUID,
+      implementationClassUID,
+      implementationVersionName,
+    }),
+  );
+  dicomDict.dict = dataset;
+  const dicomBuffer = dicomDict.write();
+
+  return {
+    filename: fileName,
+    blob: new Blob([dicomBuffer], { type: "application/dicom" }),
+    data: new Uint8Array(dicomBuffer),
+    sopInstanceUID,
+    seriesInstanceUID,
+  };
+}
@@ -0,0 +1,460 @@
+import dcmjs from "dcmjs";
+import { SOP_CLASS_UIDS } from "./sop-classes.js";
+import { createFileMetaInformation } from "./file-meta.js";
+import {
+  createGeneralEquipmentModule,
+  createGeneralStudyModule,
+  createPatientModule,
+  toDicomDate,
+  toDicomTime,
+} from "./patient-study.js";
+import { findSourceInstance, readReferenceSeries } from "./reference-series.js";
+import { normalizeSegments } from "./write-segmentation.js";
+import { writeImageAsDicomSeriesWithDcmjs } from "./write-dicom-dcmjs.js";
+import { generateUID } from "./uid.js";
+import { traceContours } from "./contours.js";
+import { resliceImage } from "./reslice.js";
+
+const { DicomDict } = dcmjs.data;
+
+/**
+ * Retired Detached Study Management SOP Class, still required by RT Referenced Study Sequence
+ */
+const STUDY_COMPONENT_SOP_CLASS_UID = "1.2.840.10008.3.1.2.3.1";
+
+function referencedImage(instance) {
+  return {
+    "00081150": {
+      // ReferencedSOPClassUID
+      vr: "UI",
+      Value: [instance.sopClassUID],
+    },
+    "00081155": {
+      // ReferencedSOPInstanceUID
+      vr: "UI",
+      Value: [instance.sopInstanceUID],
+    },
+  };
+}
+
+/**
+ * Converts contour points from slice pixel indices to patient coordinates
+ */
+function toPatientCoordinates(points, slice2D) {
+  const { imagePosition, imageOrientation, spacing } = slice2D;
+  const contourData = [];
+  for (const [x, y] of points) {
+    for (let axis = 0; axis < 3; axis++) {
+      contourData.push(
+        imagePosition[axis] +
+          x * spacing[0] * imageOrientation[axis] +
+          y * spacing[1] * imageOrientation[axis + 3],
+      );
+    }
+  }
+  return contourData;
+}
+
+/**
+ * Writes a label map as a DICOM RT Structure Set using dcmjs.
+ * Each segment becomes an ROI whose closed planar contours are traced per slice;
+ * islands and holes are separate contours, combined with the even-odd rule.
+ * @param {Image} labelImage - 3D label map on the same grid as the reference series
+ * @param {Object} options - Options for writing
+ * @param {Array<File|Blob|ArrayBuffer|Uint8Array|string>} options.referenceSeries - Image series the
+ *   contours are drawn on (required). Patient, study and Frame of Reference are copied from it
+ * @param {Array<Object>} options.segments - Segment table. Each segment has a labelValue and optionally
+ *   label (ROI Name), color ([r, g, b] in 0-255), algorithmType (MANUAL, SEMIAUTOMATIC or AUTOMATIC)
+ *   and interpretedType (RT ROI Interpreted Type, e.g. ORGAN, PTV). Default: one ROI per label value
+ * @param {string} options.fileName - Output filename (default: rtstruct.dcm)
+ * @param {string} options.structureSetLabel - Structure Set Label (default: LABELMAP)
+ * @param {string} options.structureSetName - Structure Set Name
+ * @param {string} options.seriesDescription - DICOM Series Description
+ * @param {number} options.seriesNumber - DICOM Series Number
+ * @param {Object} options.equipment - General Equipment Module, see writeImageAsDicomSeriesWithDcmjs
+ * @param {string} options.implementationClassUID - Implementation Class UID written to the File Meta Information
+ * @param {string} options.implementationVersionName - Implementation Version Name, up to 16 characters
+ * @param {function(): string} options.uidGenerator - Generates new UIDs, see createUIDGenerator (default: generateUID)
+ * @param {{log: function}} options.logger - Receives the progress message (default: console)
+ * @returns {Promise<{filename: string, blob: Blob, data: Uint8Array, sopInstanceUID: string,
+ *   seriesInstanceUID: string, segments: Array<Object>}>} The written RT Structure Set
+ */
+export async function writeLabelMapAsRtStructureSet(labelImage, options = {}) {
+  if (labelImage.imageType.dimension !== 3) {
+    throw new Error("Label map must be 3D");
+  }
+  if (labelImage.imageType.components !== 1) {
+    throw new Error("Label map must have a single component");
+  }
+
+  const {
+    referenceSeries,
+    fileName = "rtstruct.dcm",
+    structureSetLabel = "LABELMAP",
+    structureSetName,
+    seriesDescription = "RT Structure Set",
+    seriesNumber = 400,
+    equipment = {},
+    implementationClassUID,
+    implementationVersionName,
+    uidGenerator = generateUID,
+    logger = console,
+  } = options;
+
+  if (!referenceSeries) {
+    throw new Error(
+      "An RT Structure Set needs the referenceSeries it contours",
+    );
+  }
+
+  const reference = await readReferenceSeries(referenceSeries);
+  if (reference.instances.length !== labelImage.size[2]) {
+    throw new Error(
+      `Label map has ${labelImage.size[2]} slices but the reference series has ${reference.instances.length} images`,
+    );
+  }
+
+  const segments = normalizeSegments(options.segments, labelImage).map(
+    (segment) => ({ interpretedType: "ORGAN", ...segment }),
+  );
+
+  const now = new Date();
+  const sopInstanceUID = uidGenerator();
+  const seriesInstanceUID = uidGenerator();
+  const frameOfReferenceUID = reference.frameOfReferenceUID || uidGenerator();
+  const studyInstanceUID = reference.study.instanceUID || uidGenerator();
+
+  // Trace the contours of every segment, slice by slice
+  const { extractSlice } = await import("./write-image-series.js");
+  const [columns, rows, numSlices] = labelImage.size;
+  const contoursBySegment = segments.map(() => []);
+  const contourImages = [];
+
+  for (let sliceIdx = 0; sliceIdx < numSlices; sliceIdx++) {
+    const slice2D = extractSlice(labelImage, sliceIdx);
+    const sourceInstance = findSourceInstance(
+      reference.instances,
+      slice2D,
+      sliceIdx,
+    );
+    contourImages.push(sourceInstance);
+
+    segments.forEach((segment, segmentIdx) => {
+      const mask = new Uint8Array(rows * columns);
+      for (let i = 0; i < mask.length; i++) {
+        mask[i] = Number(slice2D.data[i]) === segment.labelValue ? 1 : 0;
+      }
+      for (const points of traceContours(mask, columns, rows)) {
+        contoursBySegment[segmentIdx].push({
+          sourceInstance,
+          contourData: toPatientCoordinates(points, slice2D),
+        });
+      }
+    });
+  }
+
+  const contourCount = contoursBySegment.reduce((n, c) => n + c.length, 0);
+  logger.log(
+    `Writing RT Structure Set with ${segments.length} ROIs and ${contourCount} contours...`,
+  );
+
+  const dataset = {
+    // Patient, study, Frame of Reference and equipment inherited from the images
+    ...reference.attributes,
+
+    // SOP Common Module
+    "00080005": {
+      // SpecificCharacterSet
+      vr: "CS",
+      Value: ["ISO_IR 192"],
+    },
+    "00080016": {
+      // SOPClassUID
+      vr: "UI",
+      Value: [SOP_CLASS_UIDS.RTSTRUCT],
+    },
+    "00080018": {
+      // SOPInstanceUID
+      vr: "UI",
+      Value: [sopInstanceUID],
+    },
+
+    // Patient and General Study Modules
+    ...createPatientModule(reference.patient),
+    ...createGeneralStudyModule({
+      ...reference.study,
+      instanceUID: studyInstanceUID,
+      date: toDicomDate(reference.study.date || now),
+      time: toDicomTime(reference.study.time || now),
+    }),
+
+    // General Equipment Module
+    ...createGeneralEquipmentModule({ ...reference.equipment, ...equipment }),
+
+    // RT Series Module
+    "00080060": {
+      // Modality
+      vr: "CS",
+      Value: ["RTSTRUCT"],
+    },
+    "0020000E": {
+      // SeriesInstanceUID
+      vr: "UI",
+      Value: [seriesInstanceUID],
+    },
+    "00200011": {
+      // SeriesNumber
+      vr: "IS",
+      Value: [seriesNumber],
+    },
+    "0008103E": {
+      // SeriesDescription
+      vr: "LO",
+      Value: [seriesDescription],
+    },
+    "00081070": {
+      // OperatorsName
+      vr: "PN",
+      Value: [],
+    },
+
+    // Structure Set Module
+    "30060002": {
+      // StructureSetLabel
+      vr: "SH",
+      Value: [structureSetLabel],
+    },
+    ...(structureSetName && {
+      "30060004": {
+        // StructureSetName
+        vr: "LO",
+        Value: [structureSetName],
+      },
+    }),
+    "30060008": {
+      // StructureSetDate
+      vr: "DA",
+      Value: [toDicomDate(now)],
+    },
+    "30060009": {
+      // StructureSetTime
+      vr: "TM",
+      Value: [toDicomTime(now)],
+    },
+    "30060010": {
+      // ReferencedFrameOfReferenceSequence
+      vr: "SQ",
+      Value: [
+        {
+          "00200052": {
+            // FrameOfReferenceUID
+            vr: "UI",
+            Value: [frameOfReferenceUID],
+          },
+          "30060012": {
+            // RTReferencedStudySequence
+            vr: "SQ",
+            Value: [
+              {
+                ...referencedImage({
+                  sopClassUID: STUDY_COMPONENT_SOP_CLASS_UID,
+                  sopInstanceUID: studyInstanceUID,
+                }),
+                "30060014": {
+                  // RTReferencedSeriesSequence
+                  vr: "SQ",
+                  Value: [
+                    {
+                      "0020000E": {
+                        // SeriesInstanceUID
+                        vr: "UI",
+                        Value: [reference.instances[0].seriesInstanceUID],
+                      },
+                      "30060016": {
+                        // ContourImageSequence
+                        vr: "SQ",
+                        Value: contourImages.map(referencedImage),
+                      },
+                    },
+                  ],
+                },
+              },
+            ],
+          },
+        },
+      ],
+    },
+    "30060020": {
+      // StructureSetROISequence
+      vr: "SQ",
+      Value: segments.map((segment) => ({
+        "30060022": {
+          // ROINumber
+          vr: "IS",
+          Value: [segment.segmentNumber],
+        },
+        "30060024": {
+          // ReferencedFrameOfReferenceUID
+          vr: "UI",
+          Value: [frameOfReferenceUID],
+        },
+        "30060026": {
+          // ROIName
+          vr: "LO",
+          Value: [segment.label],
+        },
+        "30060036": {
+          // ROIGenerationAlgorithm
+          vr: "CS",
+          Value: [segment.algorithmType],
+        },
+      })),
+    },
+
+    // ROI Contour Module
+    "30060039": {
+      // ROIContourSequence
+      vr: "SQ",
+      Value: segments.map((segment, segmentIdx) => ({
+        "30060084": {
+          // ReferencedROINumber
+          vr: "IS",
+          Value: [segment.segmentNumber],
+        },
+        "3006002A": {
+          // ROIDisplayColor
+          vr: "IS",
+          Value: segment.color,
+        },
+        "30060040": {
+          // ContourSequence
+          vr: "SQ",
+          Value: contoursBySegment[segmentIdx].map((contour, contourIdx) => ({
+            "30060016": {
+              // ContourImageSequence
+              vr: "SQ",
+              Value: [referencedImage(contour.sourceInstance)],
+            },
+            "30060042": {
+              // ContourGeometricType
+              vr: "CS",
+              Value: ["CLOSED_PLANAR"],
+            },
+            "30060046": {
+              // NumberOfContourPoints
+              vr: "IS",
+              Value: [contour.contourData.length / 3],
+            },
+            "30060048": {
+              // ContourNumber
+              vr: "IS",
+              Value: [contourIdx + 1],
+            },
+            "30060050": {
+              // ContourData
+              vr: "DS",
+              Value: contour.contourData,
+            },
+          })),
+        },
+      })),
+    },
+
+    // RT ROI Observations Module
+    "30060080": {
+      // RTROIObservationsSequence
+      vr: "SQ",
+      Value: segments.map((segment) => ({
+        "30060082": {
+          // ObservationNumber
+          vr: "IS",
+          Value: [segment.segmentNumber],
+        },
+        "30060084": {
+          // ReferencedROINumber
+          vr: "IS",
+          Value: [segment.segmentNumber],
+        },
+        "300600A4": {
+          // RTROIInterpretedType
+          vr: "CS",
+          Value: [segment.interpretedType],
+        },
+        "300600A6": {
+          // ROIInterpreter
+          vr: "PN",
+          Value: [],
+        },
+      })),
+    },
+  };
+
+  const dicomDict = new DicomDict(
+    createFileMetaInformation({
+      sopClassUID: SOP_CLASS_UIDS.RTSTRUCT,
+      sopInstanceUID,
+      implementationClassUID,
+      implementationVersionName,
+    }),
+  );
+  dicomDict.dict = dataset;
+  const dicomBuffer = dicomDict.write();
+
+  return {
+    filename: fileName,
+    blob: new Blob([dicomBuffer], { type: "application/dicom" }),
+    data: new Uint8Array(dicomBuffer),
+    sopInstanceUID,
+    seriesInstanceUID,
+    segments,
+  };
+}
+
+/**
+ * Writes an image as a DICOM series together with an RT Structure Set
+ * contouring its label map, referencing the SOP Instance UIDs just written
+ * @param {Image} image3D - The 3D image to write
+ * @param {Image} labelImage - 3D label map on the same grid as image3D
+ * @param {Object} options - Options of writeImageAsDicomSeriesWithDcmjs. The label map is resliced
+ *   along the same sliceAxis; splitComponents and 4D images, which write several series, are not supported
+ * @param {Object} options.structureSet - Options of writeLabelMapAsRtStructureSet
+ * @returns {Promise<{files: Array<Object>, rtStruct: Object}>} The image series and the RT Structure Set
+ */
+export async function writeImageSeriesWithRtStructureSet(
+  image3D,
+  labelImage,
+  options = {},
+) {
+  if (image3D.imageType.dimension !== 3) {
+    throw new Error(
+      `An RT Structure Set contours a 3D image series, got a ${image3D.imageType.dimension}D image`,
+    );
+  }
+  const sameGrid = [0, 1, 2].every(
+    (i) => image3D.size[i] === labelImage.size[i],
+  );
+  if (!sameGrid) {
+    throw new Error(
+      `Label map size ${labelImage.size.join("×")} does not match image size ${image3D.size.join("×")}`,
+    );
+  }
+
+  const { structureSet = {}, ...imageOptions } = options;
+  if (imageOptions.splitComponents && image3D.imageType.components > 1) {
+    throw new Error(
+      "An RT Structure Set references one image series, splitComponents writes one per component",
+    );
+  }
+
+  const files = await writeImageAsDicomSeriesWithDcmjs(image3D, imageOptions);
+  // The series is sliced along sliceAxis, so the contours must be too
+  const resliced = resliceImage(labelImage, imageOptions.sliceAxis);
+  const rtStruct = await writeLabelMapAsRtStructureSet(resliced, {
+    uidGenerator: imageOptions.uidGenerator,
+    logger: imageOptions.logger,
+    ...structureSet,
+    referenceSeries: files.map((file) => file.data),
+  });
+
+  return { files, rtStruct };
+}
@@ -0,0 +1,699 @@
+import dcmjs from "dcmjs";
+import { SOP_CLASS_UIDS } from "./sop-classes.js";
+import { createFileMetaInformation } from "./file-meta.js";
+import {
+  createMultiFrameHeader,
+  toDicomDate,
+  toDicomTime,
+} from "./patient-study.js";
+import {
+  createReferencedSeriesSequence,
+  createSourceImageSequence,
+  findSourceInstance,
+  readReferenceSeries,
+} from "./reference-series.js";
+import { generateUID } from "./uid.js";
+
+const { DicomDict } = dcmjs.data;
+
+/**
+ * Default Segmented Property Category and Type: SCT 85756007 "Tissue"
+ */
+const TISSUE_CODE = {
+  CodeValue: "85756007",
+  CodingSchemeDesignator: "SCT",
+  CodeMeaning: "Tissue",
+};
+
+/**
+ * Default segment colors, cycled when a segment has no color
+ */
+const DEFAULT_COLORS = [
+  [241, 214, 145],
+  [177, 122, 101],
+  [111, 184, 210],
+  [216, 101, 79],
+  [221, 130, 101],
+  [144, 238, 144],
+  [192, 104, 88],
+  [220, 245, 20],
+];
+
+/**
+ * Converts an sRGB color to the scaled CIELab values of
+ * Recommended Display CIELab Value (0062,000D)
+ * @param {number[]} rgb - Red, green and blue in 0-255
+ * @returns {number[]} L*, a* and b* scaled to 0-65535
+ */
+export function rgbToDicomLab(rgb) {
+  // sRGB to linear RGB
+  const [r, g, b] = rgb.map((channel) => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+
+  // Linear RGB to XYZ, normalized by the D65 white point
+  const x = (0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / 0.95047;
+  const y = 0.2126729 * r + 0.7151522 * g + 0.072175 * b;
+  const z = (0.0193339 * r + 0.119192 * g + 0.9503041 * b) / 1.08883;
+
+  const f = (t) =>
+    t > 216 / 24389 ? Math.cbrt(t) : ((24389 / 27) * t + 16) / 116;
+  const L = 116 * f(y) - 16;
+  const a = 500 * (f(x) - f(y));
+  const bStar = 200 * (f(y) - f(z));
+
+  const clamp = (value) => Math.min(65535, Math.max(0, Math.round(value)));
+  return [
+    clamp((L * 65535) / 100),
+    clamp(((a + 128) * 65535) / 255),
+    clamp(((bStar + 128) * 65535) / 255),
+  ];
+}
+
+/**
+ * Creates a single item code sequence
+ * @param {{CodeValue: string, CodingSchemeDesignator: string, CodeMeaning: string}} code - The coded concept
+ * @returns {Object} DICOM sequence element
+ */
+export function codeSequence(code) {
+  return {
+    vr: "SQ",
+    Value: [
+      {
+        "00080100": { vr: "SH", Value: [code.CodeValue] }, // CodeValue
+        "00080102": { vr: "SH", Value: [code.CodingSchemeDesignator] }, // CodingSchemeDesignator
+        "00080104": { vr: "LO", Value: [code.CodeMeaning] }, // CodeMeaning
+      },
+    ],
+  };
+}
+
+/**
+ * Lists the non-zero label values present in a label map
+ */
+function findLabelValues(data) {
+  const labels = new Set();
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] !== 0) labels.add(Number(data[i]));
+  }
+  return [...labels].sort((a, b) => a - b);
+}
+
+/**
+ * Fills in defaults for the segment table and numbers the segments
+ * @param {Array<Object>} [segments] - Segment table, default: one segment per label value
+ * @param {Image} labelImage - The label map
+ * @returns {Array<Object>} Segments with label, color, category, type, algorithmType and segmentNumber
+ */
+export function normalizeSegments(segments, labelImage) {
+  const table =
+    segments ||
+    findLabelValues(labelImage.data).map((labelValue) => ({ labelValue }));
+
+  if (table.length === 0) {
+    throw new Error("Label map has no segments");
+  }
+
+  return table.map((segment, index) => {
+    if (segment.labelValue === undefined) {
+      throw new Error(`Segment ${index + 1} has no labelValue`);
+    }
+    // Label values from JSON or form fields may be strings, voxels are numbers
+    const labelValue = Number(segment.labelValue);
+    if (Number.isNaN(labelValue)) {
+      throw new Error(
+        `Segment ${index + 1} has labelValue ${segment.labelValue}, not a number`,
+      );
+    }
+    return {
+      label: `Segment ${labelValue}`,
+      color: DEFAULT_COLORS[index % DEFAULT_COLORS.length],
+      category: TISSUE_CODE,
+      type: TISSUE_CODE,
+      algorithmType: "MANUAL",
+      ...segment,
+      labelValue,
+      segmentNumber: index + 1,
+    };
+  });
+}
+
+function createSegmentSequence(segments) {
+  return {
+    vr: "SQ",
+    Value: segments.map((segment) => ({
+      "00620004": {
+        // SegmentNumber
+        vr: "US",
+        Value: [segment.segmentNumber],
+      },
+      "00620005": {
+        // SegmentLabel
+        vr: "LO",
+        Value: [segment.label],
+      },
+      ...(segment.description && {
+        "00620006": {
+          // SegmentDescription
+          vr: "ST",
+          Value: [segment.description],
+        },
+      }),
+      "00620008": {
+        // SegmentAlgorithmType
+        vr: "CS",
+        Value: [segment.algorithmType],
+      },
+      ...(segment.algorithmType !== "MANUAL" && {
+        "00620009": {
+          // SegmentAlgorithmName
+          vr: "LO",
+          Value: [segment.algorithmName || "Unknown"],
+        },
+      }),
+      "00620003": codeSequence(segment.category), // SegmentedPropertyCategoryCodeSequence
+      "0062000F": codeSequence(segment.type), // SegmentedPropertyTypeCodeSequence
+      "0062000D": {
+        // RecommendedDisplayCIELabValue
+        vr: "US",
+        Value: rgbToDicomLab(segment.color),
+      },
+    })),
+  };
+}
+
+/**
+ * Checks that a FRACTIONAL Segmentation image holds fractions in 0-1
+ */
+function checkFractions(image) {
+  const { componentType } = image.imageType;
+  if (componentType !== "float32" && componentType !== "float64") {
+    throw new Error(
+      `FRACTIONAL Segmentations are written from a float32 or float64 probability image, not ${componentType}`,
+    );
+  }
+  const outside = image.data.findIndex((value) => !(value >= 0 && value <= 1));
+  if (outside !== -1) {
+    throw new Error(
+      `Fractions must lie in 0-1, voxel ${outside} is ${image.data[outside]}`,
+    );
+  }
+}
+
+/**
+ * Packs frames of 0/1 masks into 1-bit pixel data, frames are not byte aligned
+ */
+function packBinaryFrames(frames, frameLength) {
+  const bytes = new Uint8Array(Math.ceil((frames.length * frameLength) / 8));
+  let bit = 0;
+  for (const frame of frames) {
+    for (let i = 0; i < frameLength; i++, bit++) {
+      if (frame.mask[i]) bytes[bit >> 3] |= 1 << (bit & 7);
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Writes a label map as a DICOM Segmentation object using dcmjs
+ * @param {Image} labelImage - 3D label map (uint8, uint16, ...) where each value is a segment, or for a
+ *   FRACTIONAL Segmentation a float32/float64 image of the probability (0-1) of a single segment
+ * @param {Object} options - Options for writing
+ * @param {string} options.fileName - Output filename (default: segmentation.dcm)
+ * @param {Array<Object>} options.segments - Segment table. Each segment has a labelValue and optionally label,
+ *   description, color ([r, g, b] in 0-255), category and type ({CodeValue, CodingSchemeDesignator, CodeMeaning}),
+ *   algorithmType (MANUAL, SEMIAUTOMATIC or AUTOMATIC) and algorithmName. Default: one segment per label value
+ * @param {string} options.segmentationType - BINARY or FRACTIONAL (default: BINARY). FRACTIONAL stores the
+ *   probabilities of labelImage scaled to 0-255, as one segment described by the first entry of segments
+ * @param {Array<File|Blob|ArrayBuffer|Uint8Array|string>} options.referenceSeries - Source image series.
+ *   Patient, study and Frame of Reference are copied from it and each frame references its source image
+ * @param {string} options.seriesDescription - DICOM Series Description
+ * @param {number} options.seriesNumber - DICOM Series Number
+ * @param {string} options.contentLabel - Content Label (default: SEGMENTATION)
+ * @param {string} options.contentDescription - Content Description
+ * @param {string} options.contentCreatorName - Content Creator's Name
+ * @param {Object} options.patient - Patient Module, see writeImageAsDicomSeriesWithDcmjs
+ * @param {Object} options.study - General Study Module, see writeImageAsDicomSeriesWithDcmjs
+ * @param {Object} options.equipment - Enhanced General Equipment Module, see writeImageAsDicomSeriesWithDcmjs
+ * @param {string} options.implementationClassUID - Implementation Class UID written to the File Meta Information
+ * @param {string} options.implementationVersionName - Implementation Version Name, up to 16 characters
+ * @param {function(): string} options.uidGenerator - Generates new UIDs, see createUIDGenerator (default: generateUID)
+ * @param {{log: function}} options.logger - Receives the progress message (default: console)
+ * @returns {Promise<{filename: string, blob: Blob, data: Uint8Array, sopInstanceUID: string,
+ *   seriesInstanceUID: string, segments: Array<Object>}>} The written Segmentation
+ */
+export async function writeLabelMapAsDicomSegmentation(
+  labelImage,
+  options = {},
+) {
+  if (labelImage.imageType.dimension !== 3) {
+    throw new Error("Label map must be 3D");
+  }
+  if (labelImage.imageType.components !== 1) {
+    throw new Error("Label map must have a single component");
+  }
+
+  const {
+    fileName = "segmentation.dcm",
+    segmentationType = "BINARY",
+    seriesDescription = "Segmentation",
+    seriesNumber = 300,
+    contentLabel = "SEGMENTATION",
+    contentDescription,
+    contentCreatorName,
+    patient = {},
+    study = {},
+    equipment = {},
+    referenceSeries,
+    implementationClassUID,
+    implementationVersionName,
+    uidGenerator = generateUID,
+    logger = console,
+  } = options;
+
+  if (!["BINARY", "FRACTIONAL"].includes(segmentationType)) {
+    throw new Error(
+      `Unknown segmentation type: ${segmentationType} (expected BINARY or FRACTIONAL)`,
+    );
+  }
+
+  // A probability image describes a single segment
+  const isBinary = segmentationType === "BINARY";
+  if (!isBinary) {
+    checkFractions(labelImage);
+    if (options.segments?.length > 1) {
+      throw new Error(
+        "A FRACTIONAL Segmentation holds the one segment of its probability image",
+      );
+    }
+  }
+  const segments = normalizeSegments(
+    isBinary ? options.segments : [{ labelValue: 1, ...options.segments?.[0] }],
+    labelImage,
+  );
+
+  // Segmentations share patient, study and Frame of Reference with their source images
+  const reference =
+    referenceSeries && (await readReferenceSeries(referenceSeries));
+  const now = new Date();
+  const sopInstanceUID = uidGenerator();
+  const seriesInstanceUID = uidGenerator();
+  const frameOfReferenceUID =
+    options.frameOfReferenceUID ||
+    reference?.frameOfReferenceUID ||
+    uidGenerator();
+  const dimensionOrganizationUID = uidGenerator();
+
+  // Collect one frame per segment and slice containing that segment
+  const { extractSlice } = await import("./write-image-series.js");
+  const [columns, rows, numSlices] = labelImage.size;
+  const frameLength = rows * columns;
+  const frames = [];
+  let firstSlice = null;
+
+  for (let sliceIdx = 0; sliceIdx < numSlices; sliceIdx++) {
+    const slice2D = extractSlice(labelImage, sliceIdx);
+    if (!firstSlice) firstSlice = slice2D;
+
+    for (const segment of segments) {
+      // 0/1 for BINARY, the probability scaled to the Maximum Fractional Value for FRACTIONAL
+      const mask = new Uint8Array(frameLength);
+      let found = false;
+      for (let i = 0; i < frameLength; i++) {
+        mask[i] = isBinary
+          ? Number(slice2D.data[i]) === segment.labelValue
+          : Math.round(slice2D.data[i] * 255);
+        if (mask[i]) found = true;
+      }
+      if (found) {
+        frames.push({ segment, sliceIdx, slice2D, mask });
+      }
+    }
+  }
+
+  if (frames.length === 0) {
+    throw new Error("None of the segments is present in the label map");
+  }
+
+  // Frames are ordered by segment, then by slice
+  frames.sort(
+    (a, b) =>
+      a.segment.segmentNumber - b.segment.segmentNumber ||
+      a.sliceIdx - b.sliceIdx,
+  );
+
+  logger.log(
+    `Writing Segmentation with ${segments.length} segments in ${frames.length} frames...`,
+  );
+
+  let pixelData;
+  if (isBinary) {
+    pixelData = packBinaryFrames(frames, frameLength);
+  } else {
+    pixelData = new Uint8Array(frames.length * frameLength);
+    frames.forEach((frame, index) => {
+      pixelData.set(frame.mask, index * frameLength);
+    });
+  }
+
+  const perFrameFunctionalGroups = frames.map((frame) => ({
+    "00209111": {
+      // FrameContentSequence
+      vr: "SQ",
+      Value: [
+        {
+          "00209157": {
+            // DimensionIndexValues
+            vr: "UL",
+            Value: [frame.segment.segmentNumber, frame.sliceIdx + 1],
+          },
+        },
+      ],
+    },
+    "00209113": {
+      // PlanePositionSequence
+      vr: "SQ",
+      Value: [
+        {
+          "00200032": {
+            // ImagePositionPatient
+            vr: "DS",
+            Value: Array.from(frame.slice2D.imagePosition),
+          },
+        },
+      ],
+    },
+    "0062000A": {
+      // SegmentIdentificationSequence
+      vr: "SQ",
+      Value: [
+        {
+          "0062000B": {
+            // ReferencedSegmentNumber
+            vr: "US",
+            Value: [frame.segment.segmentNumber],
+          },
+        },
+      ],
+    },
+    ...(reference && {
+      "00089124": {
+        // DerivationImageSequence
+        vr: "SQ",
+        Value: [
+          {
+            ...createSourceImageSequence(
+              findSourceInstance(
+                reference.instances,
+                frame.slice2D,
+                frame.sliceIdx,
+              ),
+            ),
+            // DerivationCodeSequence
+            "00089215": codeSequence({
+              CodeValue: "113076",
+              CodingSchemeDesignator: "DCM",
+              CodeMeaning: "Segmentation",
+            }),
+          },
+        ],
+      },
+    }),
+  }));
+
+  const dataset = {
+    // Patient, study, Frame of Reference and equipment inherited from the source images
+    ...reference?.attributes,
+
+    // SOP Common Module
+    "00080005": {
+      // SpecificCharacterSet
+      vr: "CS",
+      Value: ["ISO_IR 192"],
+    },
+    "00080016": {
+      // SOPClassUID
+      vr: "UI",
+      Value: [SOP_CLASS_UIDS.SEG],
+    },
+    "00080018": {
+      // SOPInstanceUID
+      vr: "UI",
+      Value: [sopInstanceUID],
+    },
+
+    // Patient, General Study, Enhanced General Equipment, General Series and
+    // Frame of Reference Modules
+    ...createMultiFrameHeader({
+      reference,
+      patient,
+      study,
+      equipment,
+      modality: "SEG",
+      seriesInstanceUID,
+      seriesDescription,
+      seriesNumber,
+      frameOfReferenceUID,
+      now,
+      uidGenerator,
+    }),
+
+    // General Image and Segmentation Image Modules
+    "00200013": {
+      // InstanceNumber
+      vr: "IS",
+      Value: [1],
+    },
+    "00080023": {
+      // ContentDate
+      vr: "DA",
+      Value: [toDicomDate(now)],
+    },
+    "00080033": {
+      // ContentTime
+      vr: "TM",
+      Value: [toDicomTime(now)],
+    },
+    "00080008": {
+      // ImageType
+      vr: "CS",
+      Value: ["DERIVED", "PRIMARY"],
+    },
+    "00700080": {
+      // ContentLabel
+      vr: "CS",
+      Value: [contentLabel],
+    },
+    "00700081": {
+      // ContentDescription
+      vr: "LO",
+      Value: contentDescription ? [contentDescription] : [],
+    },
+    "00700084": {
+      // ContentCreatorName
+      vr: "PN",
+      Value: contentCreatorName ? [{ Alphabetic: contentCreatorName }] : [],
+    },
+    "00282110": {
+      // LossyImageCompression
+      vr: "CS",
+      Value: ["00"],
+    },
+    "00620001": {
+      // SegmentationType
+      vr: "CS",
+      Value: [segmentationType],
+    },
+    ...(!isBinary && {
+      "00620010": {
+        // SegmentationFractionalType
+        vr: "CS",
+        Value: ["PROBABILITY"],
+      },
+      "0062000E": {
+        // MaximumFractionalValue
+        vr: "US",
+        Value: [255],
+      },
+    }),
+    "00620013": {
+      // SegmentsOverlap - a label map cannot overlap
+      vr: "CS",
+      Value: ["NO"],
+    },
+    "00620002": createSegmentSequence(segments), // SegmentSequence
+
+    // Image Pixel Module
+    "00280002": {
+      // SamplesPerPixel
+      vr: "US",
+      Value: [1],
+    },
+    "00280004": {
+      // PhotometricInterpretation
+      vr: "CS",
+      Value: ["MONOCHROME2"],
+    },
+    "00280010": {
+      // Rows
+      vr: "US",
+      Value: [rows],
+    },
+    "00280011": {
+      // Columns
+      vr: "US",
+      Value: [columns],
+    },
+    "00280100": {
+      // BitsAllocated
+      vr: "US",
+      Value: [isBinary ? 1 : 8],
+    },
+    "00280101": {
+      // BitsStored
+      vr: "US",
+      Value: [isBinary ? 1 : 8],
+    },
+    "00280102": {
+      // HighBit
+      vr: "US",
+      Value: [isBinary ? 0 : 7],
+    },
+    "00280103": {
+      // PixelRepresentation
+      vr: "US",
+      Value: [0],
+    },
+
+    // Multi-frame Functional Groups Module
+    "00280008": {
+      // NumberOfFrames
+      vr: "IS",
+      Value: [frames.length],
+    },
+    "52009229": {
+      // SharedFunctionalGroupsSequence
+      vr: "SQ",
+      Value: [
+        {
+          "00289110": {
+            // PixelMeasuresSequence
+            vr: "SQ",
+            Value: [
+              {
+                "00180050": {
+                  // SliceThickness
+                  vr: "DS",
+                  Value: [firstSlice.sliceThickness],
+                },
+                "00180088": {
+                  // SpacingBetweenSlices
+                  vr: "DS",
+                  Value: [firstSlice.sliceThickness],
+                },
+                "00280030": {
+                  // PixelSpacing
+                  vr: "DS",
+                  Value: [firstSlice.spacing[1], firstSlice.spacing[0]],
+                },
+              },
+            ],
+          },
+          "00209116": {
+            // PlaneOrientationSequence
+            vr: "SQ",
+            Value: [
+              {
+                "00200037": {
+                  // ImageOrientationPatient
+                  vr: "DS",
+                  Value: Array.from(firstSlice.imageOrientation),
+                },
+              },
+            ],
+          },
+        },
+      ],
+    },
+    "52009230": {
+      // PerFrameFunctionalGroupsSequence
+      vr: "SQ",
+      Value: perFrameFunctionalGroups,
+    },
+
+    // Multi-frame Dimension Module
+    "00209221": {
+      // DimensionOrganizationSequence
+      vr: "SQ",
+      Value: [
+        {
+          "00209164": {
+            // DimensionOrganizationUID
+            vr: "UI",
+            Value: [dimensionOrganizationUID],
+          },
+        },
+      ],
+    },
+    "00209222": {
+      // DimensionIndexSequence
+      vr: "SQ",
+      Value: [
+        ["0062000B", "0062000A", "ReferencedSegmentNumber"],
+        ["00200032", "00209113", "ImagePositionPatient"],
+      ].map(([indexPointer, functionalGroupPointer, label]) => ({
+        "00209164": {
+          // DimensionOrganizationUID
+          vr: "UI",
+          Value: [dimensionOrganizationUID],
+        },
+        "00209165": {
+          // DimensionIndexPointer
+          vr: "AT",
+          Value: [parseInt(indexPointer, 16)],
+        },
+        "00209167": {
+          // FunctionalGroupPointer
+          vr: "AT",
+          Value: [parseInt(functionalGroupPointer, 16)],
+        },
+        "00209421": {
+          // DimensionDescriptionLabel
+          vr: "LO",
+          Value: [label],
+        },
+      })),
+    },
+
+    // Common Instance Reference Module
+    ...(reference && createReferencedSeriesSequence(reference.instances)),
+
+    // Pixel Data
+    "7FE00010": {
+      // PixelData
+      vr: "OB",
+      Value: [pixelData.buffer],
+    },
+  };
+
+  const dicomDict = new DicomDict(
+    createFileMetaInformation({
+      sopClassUID: SOP_CLASS_UIDS.SEG,
+      sopInstanceUID,
+      implementationClassUID,
+      implementationVersionName,
+    }),
+  );
+  dicomDict.dict = dataset;
+  const dicomBuffer = dicomDict.write();
+
+  return {
+    filename: fileName,
+    blob: new Blob([dicomBuffer], { type: "application/dicom" }),
+    data: new Uint8Array(dicomBuffer),
+    sopInstanceUID,
+    seriesInstanceUID,
+    segments,
+  };
+}
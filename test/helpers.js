@@ -0,0 +1,117 @@
+import dcmjs from 'dcmjs'
+import fs from 'fs'
+import path from 'path'
+import { createUIDGenerator } from '../src/uid.js'
+import { validateDicom } from '../src/validate.js'
+
+const { DicomDict, DicomMessage, DicomMetaDictionary } = dcmjs.data
+
+const ArrayTypes = {
+  int8: Int8Array,
+  uint8: Uint8Array,
+  int16: Int16Array,
+  uint16: Uint16Array,
+  int32: Int32Array,
+  uint32: Uint32Array,
+  int64: BigInt64Array,
+  uint64: BigUint64Array,
+  float32: Float32Array,
+  float64: Float64Array
+}
+
+function identity(dimension) {
+  const direction = new Float64Array(dimension * dimension)
+  for (let i = 0; i < dimension; i++) direction[i * dimension + i] = 1
+  return direction
+}
+
+// Synthetic ITK-Wasm image, 3D or 4D after the length of size, filled with values(i) per component value
+export function createImage({
+  size = [4, 4, 3],
+  componentType = 'int16',
+  components = 1,
+  pixelType = components === 1 ? 'Scalar' : components === 3 ? 'RGB' : 'Vector',
+  spacing = size.map(() => 1),
+  origin = size.map(() => 0),
+  direction = identity(size.length),
+  values = (i) => i
+} = {}) {
+  const length = size.reduce((product, n) => product * n, 1) * components
+  const data = new ArrayTypes[componentType](length)
+  for (let i = 0; i < length; i++) data[i] = values(i)
+  return {
+    imageType: { dimension: size.length, componentType, pixelType, components },
+    size,
+    spacing,
+    origin,
+    direction: new Float64Array(direction),
+    metadata: new Map(),
+    data
+  }
+}
+
+// Reads a written file, data being a Uint8Array that may be a view into a larger buffer
+export function readDataset(data, options) {
+  return DicomMessage.readFile(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength), options)
+}
+
+// The dataset of a written file with keyword names, e.g. dataset.SeriesInstanceUID
+export function readNaturalized(data) {
+  return DicomMetaDictionary.naturalizeDataset(readDataset(data).dict)
+}
+
+// First value of a tag, the alphabetic form of person names
+export function value(dict, tag) {
+  const first = dict[tag]?.Value?.[0]
+  return first?.Alphabetic ?? first
+}
+
+// Rewrites a file after change(dict, meta), e.g. to break it for a validator
+export function modifyFile(data, change, writeOptions) {
+  const { meta, dict } = readDataset(data)
+  change(dict, meta)
+  const dicomDict = new DicomDict(meta)
+  dicomDict.dict = dict
+  return new Uint8Array(dicomDict.write(writeOptions))
+}
+
+// Writes the files into a fresh directory and returns their paths
+export function writeFiles(files, dir) {
+  fs.rmSync(dir, { recursive: true, force: true })
+  fs.mkdirSync(dir, { recursive: true })
+  return files.map((file) => {
+    const filePath = path.join(dir, file.filename)
+    fs.writeFileSync(filePath, Buffer.from(file.data))
+    return filePath
+  })
+}
+
+// Seeded UIDs and fixed dates, so the same options write the same files
+export function reproducibleOptions(seed) {
+  const date = new Date('2024-05-01T12:00:00')
+  return {
+    uidGenerator: createUIDGenerator({ seed }),
+    study: { date, time: date },
+    series: { date, time: date }
+  }
+}
+
+// Throws the validator errors of a written file
+export function expectValid(file, description) {
+  const report = validateDicom(file.data)
+  if (!report.valid) {
+    throw new Error(`${description} does not validate:\n${report.errors.map(({ message }) => message).join('\n')}`)
+  }
+}
+
+// Runs a function or awaits a promise that must fail with a message matching pattern, a RegExp or a substring
+export async function expectFailure(run, pattern) {
+  try {
+    await (typeof run === 'function' ? run() : run)
+  } catch (error) {
+    const matches = typeof pattern === 'string' ? error.message.includes(pattern) : pattern.test(error.message)
+    if (!matches) throw new Error(`Expected ${pattern}, got: ${error.message}`)
+    return error
+  }
+  throw new Error(`Expected a failure matching ${pattern}`)
+}
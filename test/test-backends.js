@@ -0,0 +1,118 @@
+import { writeDicomSeries } from '../src/write-image-series.js'
+import { TRANSFER_SYNTAX_UIDS } from '../src/file-meta.js'
+import { validateDicom } from '../src/validate.js'
+import { verifySeriesRoundTrip } from '../src/round-trip.js'
+import { createImage, expectFailure, readDataset, reproducibleOptions } from './helpers.js'
+
+function createVolume(componentType, components = 1) {
+  const c = Math.cos(0.3)
+  const s = Math.sin(0.3)
+  return createImage({
+    size: [6, 5, 4],
+    spacing: [0.7, 0.9, 1.3],
+    origin: [-12.5, 4.25, 30],
+    direction: [c, -s, 0, s, c, 0, 0, 0, 1],
+    componentType,
+    components,
+    values: (i) => {
+      if (componentType === 'float32') return Math.sin(i) * 100.125
+      if (componentType === 'int16') return ((i * 37) % 250) - 100
+      return (i * 37) % 250
+    }
+  })
+}
+
+// Writes with fixed UIDs and dates, so both backends can be compared byte for byte
+function writeReproducibly(image, options) {
+  return writeDicomSeries(image, { ...options, ...reproducibleOptions('backends') })
+}
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('Writer Backends Test')
+  console.log('='.repeat(60))
+
+  try {
+    console.log('\n1. Writing the same series with dcmjs and GDCM...')
+    const cases = [
+      ['CT, signed 16-bit', createVolume('int16'), { modality: 'CT' }],
+      ['MR, unsigned 16-bit', createVolume('uint16'), { modality: 'MR' }],
+      ['RGB', createVolume('uint8', 3), {}],
+      ['PET, quantized float', createVolume('float32'), { modality: 'PT' }]
+    ]
+    for (const [name, image, options] of cases) {
+      const dcmjsFiles = await writeReproducibly(image, { ...options, backend: 'dcmjs' })
+      const gdcmFiles = await writeReproducibly(image, { ...options, backend: 'gdcm' })
+      if (gdcmFiles.length !== dcmjsFiles.length) {
+        throw new Error(`${name}: GDCM wrote ${gdcmFiles.length} files, dcmjs ${dcmjsFiles.length}`)
+      }
+      gdcmFiles.forEach((file, i) => {
+        if (file.filename !== dcmjsFiles[i].filename || !(file.blob instanceof Blob)) {
+          throw new Error(`${name}: file ${i} is ${file.filename}, expected ${dcmjsFiles[i].filename}`)
+        }
+        if (Buffer.compare(Buffer.from(file.data), Buffer.from(dcmjsFiles[i].data)) !== 0) {
+          throw new Error(`${name}: ${file.filename} differs between the backends`)
+        }
+      })
+      console.log(`✓ ${name}: ${gdcmFiles.length} identical files`)
+    }
+
+    console.log('\n2. Checking the GDCM series...')
+    const image = createVolume('int16')
+    const files = await writeDicomSeries(image, {
+      backend: 'gdcm',
+      modality: 'CT',
+      seriesDescription: 'GDCM Backend',
+      transferSyntax: TRANSFER_SYNTAX_UIDS.IMPLICIT_VR_LITTLE_ENDIAN
+    })
+    const datasets = files.map(({ data }) => readDataset(data))
+    const seriesUIDs = new Set(datasets.map(({ dict }) => dict['0020000E'].Value[0]))
+    const frameUIDs = new Set(datasets.map(({ dict }) => dict['00200052'].Value[0]))
+    if (seriesUIDs.size !== 1 || frameUIDs.size !== 1) {
+      throw new Error(`Expected one series and frame of reference, got ${seriesUIDs.size} and ${frameUIDs.size}`)
+    }
+    const syntax = datasets[0].meta['00020010'].Value[0]
+    if (syntax !== TRANSFER_SYNTAX_UIDS.IMPLICIT_VR_LITTLE_ENDIAN) throw new Error(`Written as ${syntax}`)
+    if (datasets[0].dict['0008103E'].Value[0] !== 'GDCM Backend') throw new Error('Series Description was not kept')
+    for (const file of files) {
+      const report = validateDicom(file.data)
+      if (!report.valid) {
+        throw new Error(`${file.filename} does not validate:\n${report.errors.map(({ message }) => message).join('\n')}`)
+      }
+    }
+    const report = await verifySeriesRoundTrip(image, files)
+    if (!report.match) throw new Error(`GDCM series differs from its source:\n${report.differences.join('\n')}`)
+    console.log(`✓ ${files.length} files in one series, Implicit VR Little Endian, valid and read back as the source`)
+
+    const sagittal = await writeDicomSeries(image, { backend: 'gdcm', sliceAxis: 0 })
+    const resliced = await verifySeriesRoundTrip(image, sagittal, { sliceAxis: 0 })
+    if (!resliced.match) throw new Error(`Resliced GDCM series differs:\n${resliced.differences.join('\n')}`)
+    console.log(`✓ Resliced along index axis 0 into ${sagittal.length} files`)
+
+    console.log('\n3. Rejecting what the GDCM backend cannot write...')
+    const errors = [
+      await expectFailure(writeDicomSeries(image, {
+        backend: 'gdcm',
+        transferSyntax: TRANSFER_SYNTAX_UIDS.RLE_LOSSLESS
+      }), /uncompressed transfer syntaxes only/),
+      await expectFailure(writeDicomSeries(image, { backend: 'gdcm', workers: 2 }), /workers option/),
+      await expectFailure(writeDicomSeries(image, { backend: 'gdcm', compression: { nearLossless: 2 } }),
+        /compression option/),
+      await expectFailure(writeDicomSeries(image, { backend: 'other' }), /Unknown backend: other/)
+    ]
+    for (const error of errors) console.log(`✓ ${error.message}`)
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - Both backends write the same series!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
@@ -0,0 +1,193 @@
+import { readImageDicomFileSeriesNode } from '@itk-wasm/dicom'
+import { writeImageNode } from '@itk-wasm/image-io'
+import { TRANSFER_SYNTAX_UIDS } from '../src/file-meta.js'
+import { SOP_CLASS_UIDS } from '../src/sop-classes.js'
+import { parseCliArguments } from '../src/cli.js'
+import { createImage, readDataset, readNaturalized } from './helpers.js'
+import JSZip from 'jszip'
+import { spawnSync } from 'child_process'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const TEST_DIR = path.join(__dirname, 'test-data')
+const OUTPUT_DIR = path.join(TEST_DIR, 'output-cli')
+const CLI = path.join(__dirname, '..', 'bin', 'write-dicom.js')
+
+const SLICES = 6
+
+function createVolume() {
+  return {
+    ...createImage({ size: [12, 10, SLICES], spacing: [0.7, 0.7, 1.5], origin: [5, -8, 12], values: (i) => ((i * 13) % 900) - 300 }),
+    name: 'cli'
+  }
+}
+
+function runCli(...args) {
+  return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 120000 })
+}
+
+function expectExit(result, code, description) {
+  if (result.status !== code) {
+    throw new Error(`${description} exited with ${result.status}, expected ${code}\n${result.stdout}${result.stderr}`)
+  }
+}
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('Command Line Test')
+  console.log('='.repeat(60))
+
+  try {
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true })
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true })
+    const image = createVolume()
+    const input = path.join(OUTPUT_DIR, 'volume.nrrd')
+    await writeImageNode(image, input)
+
+    console.log('\n1. Showing help...')
+    const help = runCli('--help')
+    expectExit(help, 0, '--help')
+    if (!help.stdout.includes('Usage: write-dicom')) throw new Error('Help is missing the usage line')
+    console.log('✓ Help printed')
+
+    console.log('\n2. Writing a directory with flags...')
+    const directory = path.join(OUTPUT_DIR, 'series')
+    const written = runCli(input, '-o', directory, '--modality', 'CT', '--patient-name', 'Doe^Jane',
+      '--patient-id', 'CLI-1', '--series-description', 'From the CLI', '--series-number', '7', '--quiet')
+    expectExit(written, 0, 'Writing a directory')
+    if (written.stdout !== '') throw new Error(`--quiet printed: ${written.stdout}`)
+    const paths = fs.readdirSync(directory).sort().map((file) => path.join(directory, file))
+    if (paths.length !== SLICES) throw new Error(`Wrote ${paths.length} files, expected ${SLICES}`)
+    const { dict } = readDataset(fs.readFileSync(paths[0]))
+    const tags = {
+      '00080060': 'CT',
+      '00100010': 'Doe^Jane',
+      '00100020': 'CLI-1',
+      '0008103E': 'From the CLI',
+      '00200011': 7
+    }
+    for (const [tag, value] of Object.entries(tags)) {
+      const actual = dict[tag].Value[0]
+      if (String(actual.Alphabetic ?? actual) !== String(value)) {
+        throw new Error(`${tag} is ${JSON.stringify(actual)}, expected ${value}`)
+      }
+    }
+    const { outputImage } = await readImageDicomFileSeriesNode({ inputImages: paths, singleSortedSeries: true })
+    if (outputImage.data.some((value, i) => value !== image.data[i])) {
+      throw new Error('Series does not read back as the input volume')
+    }
+    console.log(`✓ ${paths.length} files with the flagged metadata read back exactly`)
+
+    console.log('\n3. Writing a ZIP from a metadata file...')
+    const metadataFile = path.join(OUTPUT_DIR, 'metadata.json')
+    fs.writeFileSync(metadataFile, JSON.stringify({
+      modality: 'MR',
+      patient: { name: 'Roe^Richard', id: 'JSON-1' },
+      study: { description: 'From JSON' },
+      windows: ['CT_BRAIN']
+    }))
+    const zipFile = path.join(OUTPUT_DIR, 'series.zip')
+    expectExit(runCli(input, '-o', zipFile, '-m', metadataFile, '--patient-id', 'FLAG-1',
+      '--transfer-syntax', 'jpeg-ls-lossless'), 0, 'Writing a ZIP')
+    const zip = await JSZip.loadAsync(fs.readFileSync(zipFile))
+    const entries = Object.keys(zip.files)
+    if (entries.length !== SLICES) throw new Error(`ZIP has ${entries.length} entries, expected ${SLICES}`)
+    const zipped = readDataset(await zip.file(entries[0]).async('uint8array'))
+    if (zipped.meta['00020010'].Value[0] !== TRANSFER_SYNTAX_UIDS.JPEG_LS_LOSSLESS) {
+      throw new Error(`Transfer syntax is ${zipped.meta['00020010'].Value[0]}`)
+    }
+    if (zipped.dict['00080060'].Value[0] !== 'MR' || zipped.dict['00100020'].Value[0] !== 'FLAG-1' ||
+        zipped.dict['00081030'].Value[0] !== 'From JSON' || Number(zipped.dict['00281050'].Value[0]) !== 40) {
+      throw new Error('ZIP files do not carry the metadata file with the flag override')
+    }
+    console.log(`✓ ${entries.length} JPEG-LS files, metadata from JSON, patient ID from the flag`)
+
+    console.log('\n4. Writing DICOM media...')
+    const mediaDir = path.join(OUTPUT_DIR, 'media')
+    expectExit(runCli(input, '-o', mediaDir, '--media', '--quiet'), 0, 'Writing media')
+    const seriesDir = path.join(mediaDir, 'DICOM', 'PAT0001', 'STU0001', 'SER0001')
+    if (!fs.existsSync(path.join(mediaDir, 'DICOMDIR')) || fs.readdirSync(seriesDir).length !== SLICES) {
+      throw new Error('Media directory is missing its DICOMDIR or images')
+    }
+    console.log(`✓ DICOMDIR and ${SLICES} images under DICOM/PAT0001/STU0001/SER0001`)
+
+    console.log('\n5. Writing with the GDCM backend...')
+    const gdcmDir = path.join(OUTPUT_DIR, 'gdcm')
+    expectExit(runCli(input, '-o', gdcmDir, '--backend', 'gdcm', '--modality', 'CT', '--series-description',
+      'GDCM', '--quiet'), 0, 'Writing with GDCM')
+    const gdcmPaths = fs.readdirSync(gdcmDir).map((name) => path.join(gdcmDir, name))
+    const gdcmSeries = new Set(gdcmPaths.map((file) => readDataset(fs.readFileSync(file)).dict['0020000E'].Value[0]))
+    const gdcmFirst = readDataset(fs.readFileSync(gdcmPaths[0])).dict
+    if (gdcmPaths.length !== SLICES || gdcmSeries.size !== 1 || gdcmFirst['0008103E'].Value[0] !== 'GDCM') {
+      throw new Error(`GDCM wrote ${gdcmPaths.length} files in ${gdcmSeries.size} series`)
+    }
+    console.log(`✓ ${gdcmPaths.length} files in one series with the flagged metadata`)
+
+    const backendFile = path.join(OUTPUT_DIR, 'backend.json')
+    fs.writeFileSync(backendFile, JSON.stringify({ backend: 'gdcm', modality: 'CT' }))
+    const fromFile = parseCliArguments([input, '-o', gdcmDir, '-m', backendFile])
+    const fromFlag = parseCliArguments([input, '-o', gdcmDir, '-m', backendFile, '-b', 'dcmjs'])
+    const byDefault = parseCliArguments([input, '-o', gdcmDir])
+    if (fromFile.backend !== 'gdcm' || 'backend' in fromFile.options || fromFlag.backend !== 'dcmjs' ||
+        byDefault.backend !== 'dcmjs') {
+      throw new Error(`Backends parsed as ${fromFile.backend}, ${fromFlag.backend} and ${byDefault.backend}`)
+    }
+    console.log('✓ Backend from the metadata file, overridden by --backend, dcmjs by default')
+
+    console.log('\n6. Writing a float volume as a Parametric Map...')
+    const floatInput = path.join(OUTPUT_DIR, 'adc.nrrd')
+    const floatValues = Float32Array.from(image.data, (v) => v / 7)
+    await writeImageNode({
+      ...image,
+      imageType: { ...image.imageType, componentType: 'float32' },
+      data: floatValues
+    }, floatInput)
+    const mappingFile = path.join(OUTPUT_DIR, 'adc.json')
+    fs.writeFileSync(mappingFile, JSON.stringify({ modality: 'MR', realWorldValueMapping: { label: 'ADC' } }))
+    const pmapDir = path.join(OUTPUT_DIR, 'pmap')
+    expectExit(runCli(floatInput, '-o', pmapDir, '-m', mappingFile, '--parametric-map', '--quiet'), 0,
+      'Writing a Parametric Map')
+    const pmapNames = fs.readdirSync(pmapDir)
+    const pmap = readNaturalized(fs.readFileSync(path.join(pmapDir, pmapNames[0])))
+    const label = pmap.SharedFunctionalGroupsSequence[0].RealWorldValueMappingSequence[0].LUTLabel
+    if (pmapNames.length !== 1 || pmap.SOPClassUID !== SOP_CLASS_UIDS.PMAP || label !== 'ADC' ||
+        new Float32Array(pmap.FloatPixelData[0]).some((v, i) => v !== floatValues[i])) {
+      throw new Error(`Expected one Parametric Map labelled ADC, got ${pmapNames.join(', ')} labelled ${label}`)
+    }
+    console.log(`✓ ${pmapNames[0]} keeps the float values, LUT Label from the metadata file`)
+
+    console.log('\n7. Checking exit codes...')
+    const failures = [
+      [runCli(input, '-o', directory, '--no-such-flag'), 2, 'An unknown flag'],
+      [runCli(input), 2, 'A missing --output'],
+      [runCli(input, '-o', directory, '--backend', 'other'), 2, 'An unknown backend'],
+      [runCli(input, '-o', directory, '--transfer-syntax', 'jpeg-xl'), 2, 'An unknown transfer syntax'],
+      [runCli(path.join(OUTPUT_DIR, 'missing.nrrd'), '-o', directory), 1, 'A missing input'],
+      [runCli(input, '-o', directory, '--patient-sex', 'X'), 1, 'Invalid metadata'],
+      [runCli(input, '-o', directory, '--backend', 'gdcm', '--transfer-syntax', 'rle-lossless'), 1,
+        'A compressed GDCM series']
+    ]
+    for (const [result, code, description] of failures) {
+      expectExit(result, code, description)
+      if (!result.stderr.includes('write-dicom:')) throw new Error(`${description} printed no error`)
+      console.log(`✓ ${description} exits with ${code}`)
+    }
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - The CLI writes series from volumes!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
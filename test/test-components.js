@@ -0,0 +1,100 @@
+import { readImageDicomFileSeriesNode } from '@itk-wasm/dicom'
+import { writeImageAsDicomSeriesWithDcmjs } from '../src/write-dicom-dcmjs.js'
+import { createImage, expectFailure, writeFiles } from './helpers.js'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const TEST_DIR = path.join(__dirname, 'test-data')
+const OUTPUT_DIR = path.join(TEST_DIR, 'output-components')
+
+// Multi-component volume, value(pixel, component) filling each component value
+function createVolume(componentType, pixelType, components, value) {
+  return createImage({
+    size: [10, 8, 4],
+    spacing: [0.5, 0.5, 2],
+    componentType,
+    pixelType,
+    components,
+    values: (i) => value(Math.floor(i / components), i % components)
+  })
+}
+
+async function writeAndRead(files, name) {
+  const paths = writeFiles(files, path.join(OUTPUT_DIR, name))
+  const { outputImage } = await readImageDicomFileSeriesNode({ inputImages: paths, singleSortedSeries: true })
+  return outputImage
+}
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('Multi-Component Image Test')
+  console.log('='.repeat(60))
+
+  try {
+    console.log('\n1. Writing and reading back an RGB image...')
+    const rgb = createVolume('uint8', 'RGB', 3, (pixel, c) => (pixel * 7 + c * 80) % 256)
+    const rgbFiles = await writeImageAsDicomSeriesWithDcmjs(rgb)
+    const rgbRead = await writeAndRead(rgbFiles, 'rgb')
+    if (rgbRead.imageType.components !== 3 || rgbRead.data.some((v, i) => v !== rgb.data[i])) {
+      throw new Error('RGB pixels differ after round-trip')
+    }
+    console.log('✓ RGB pixels match')
+
+    console.log('\n2. Rejecting unsupported color images...')
+    const rgba = createVolume('uint8', 'RGBA', 4, (pixel, c) => (c === 3 ? 128 : 200))
+    await expectFailure(writeImageAsDicomSeriesWithDcmjs(rgba), /RGBA/)
+    const floatRgb = createVolume('float32', 'RGB', 3, () => 0.5)
+    await expectFailure(writeImageAsDicomSeriesWithDcmjs(floatRgb), /uint8/)
+    const tensor = createVolume('float32', 'SymmetricSecondRankTensor', 6, (pixel, c) => pixel + c / 10)
+    await expectFailure(writeImageAsDicomSeriesWithDcmjs(tensor), /splitComponents/)
+    console.log('✓ RGBA, float RGB and tensors rejected with clear errors')
+
+    console.log('\n3. Converting RGBA to RGB...')
+    const premultiplied = await writeAndRead(
+      await writeImageAsDicomSeriesWithDcmjs(rgba, { alpha: 'premultiply' }),
+      'rgba'
+    )
+    if (premultiplied.imageType.components !== 3 || premultiplied.data.some(v => v !== 100)) {
+      throw new Error('Premultiplied RGBA pixels differ')
+    }
+    console.log('✓ RGBA premultiplied onto black')
+
+    console.log('\n4. Splitting a tensor image into one series per component...')
+    const tensorFiles = await writeImageAsDicomSeriesWithDcmjs(tensor, {
+      splitComponents: true,
+      seriesDescription: 'DTI',
+      seriesNumber: 10
+    })
+    if (tensorFiles.length !== 6 * tensor.size[2]) {
+      throw new Error(`Expected ${6 * tensor.size[2]} files, got ${tensorFiles.length}`)
+    }
+    const component = 4
+    const componentFiles = tensorFiles.filter(file => file.component === component)
+    const componentRead = await writeAndRead(componentFiles, 'tensor')
+    const maxError = componentRead.data.reduce((max, v, i) => Math.max(max, Math.abs(v - tensor.data[i * 6 + component])), 0)
+    if (maxError > componentFiles[0].quantization.maxError + 1e-6) {
+      throw new Error(`Component ${component} differs by ${maxError}`)
+    }
+    const description = Buffer.from(componentFiles[0].data).toString('latin1')
+    if (!description.includes('DTI [component 4]')) {
+      throw new Error('Component series description missing')
+    }
+    console.log('✓ Component series match')
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - Multi-component images are handled!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
@@ -0,0 +1,157 @@
+import dcmjs from 'dcmjs'
+import { readImageDicomFileSeriesNode } from '@itk-wasm/dicom'
+import { writeImageAsDicomSeriesWithDcmjs } from '../src/write-dicom-dcmjs.js'
+import { TRANSFER_SYNTAX_UIDS } from '../src/file-meta.js'
+import { createImage, readDataset, writeFiles } from './helpers.js'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const TEST_DIR = path.join(__dirname, 'test-data')
+const OUTPUT_DIR = path.join(TEST_DIR, 'output-compression')
+
+// Smooth anatomy-like pattern with a little noise
+function createVolume(componentType, components, scale, offset) {
+  const size = [64, 48, 3]
+  return createImage({
+    size,
+    spacing: [0.7, 0.7, 1.5],
+    componentType,
+    components,
+    values: (i) => {
+      const pixel = Math.floor(i / components)
+      const x = pixel % size[0]
+      const y = Math.floor(pixel / size[0]) % size[1]
+      const wave = Math.sin(x / 7 + (i % components)) * Math.cos(y / 5)
+      return Math.round(offset + scale * wave) + ((i * 7919) % 5)
+    }
+  })
+}
+
+const IMAGES = {
+  int16: createVolume('int16', 1, 1200, -200),
+  uint16: createVolume('uint16', 1, 2000, 2500),
+  rgb: createVolume('uint8', 3, 100, 120)
+}
+
+async function writeSeries(name, image, options) {
+  const files = await writeImageAsDicomSeriesWithDcmjs(image, options)
+  return writeFiles(files, path.join(OUTPUT_DIR, name))
+}
+
+function readFile(filePath) {
+  const dicomData = readDataset(fs.readFileSync(filePath))
+  return {
+    transferSyntax: dicomData.meta['00020010'].Value[0],
+    dataset: dcmjs.data.DicomMetaDictionary.naturalizeDataset(dicomData.dict)
+  }
+}
+
+async function maxError(paths, image) {
+  const { outputImage } = await readImageDicomFileSeriesNode({ inputImages: paths, singleSortedSeries: true })
+  if (outputImage.imageType.componentType !== image.imageType.componentType ||
+      outputImage.imageType.components !== image.imageType.components) {
+    throw new Error(`Read back as ${JSON.stringify(outputImage.imageType)}`)
+  }
+  return image.data.reduce((max, value, i) => Math.max(max, Math.abs(outputImage.data[i] - value)), 0)
+}
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('JPEG-LS and JPEG 2000 Compression Test')
+  console.log('='.repeat(60))
+
+  try {
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true })
+
+    const lossless = {
+      'JPEG-LS Lossless': TRANSFER_SYNTAX_UIDS.JPEG_LS_LOSSLESS,
+      'JPEG 2000 Lossless': TRANSFER_SYNTAX_UIDS.JPEG_2000_LOSSLESS
+    }
+    let step = 1
+    for (const [label, transferSyntax] of Object.entries(lossless)) {
+      console.log(`\n${step++}. Writing ${label}...`)
+      for (const [name, image] of Object.entries(IMAGES)) {
+        const paths = await writeSeries(`${transferSyntax}-${name}`, image, { transferSyntax })
+        const { transferSyntax: written, dataset } = readFile(paths[0])
+        if (written !== transferSyntax) throw new Error(`${name}: Transfer Syntax UID is ${written}`)
+        if (dataset.LossyImageCompression !== '00') {
+          throw new Error(`${name}: Lossy Image Compression is ${dataset.LossyImageCompression}`)
+        }
+        if (dataset.PixelData.length !== 1) {
+          throw new Error(`${name}: expected one fragment, got ${dataset.PixelData.length}`)
+        }
+        const error = await maxError(paths, image)
+        if (error !== 0) throw new Error(`${name}: pixels differ by up to ${error}`)
+        const ratio = image.data.byteLength / 3 / dataset.PixelData[0].byteLength
+        console.log(`✓ ${name}: exact, ${ratio.toFixed(2)}:1`)
+      }
+    }
+
+    console.log(`\n${step++}. Writing JPEG-LS Near-Lossless...`)
+    for (const [name, image] of Object.entries(IMAGES)) {
+      const paths = await writeSeries(`near-lossless-${name}`, image, {
+        transferSyntax: TRANSFER_SYNTAX_UIDS.JPEG_LS_NEAR_LOSSLESS,
+        compression: { nearLossless: 2 }
+      })
+      const { dataset } = readFile(paths[0])
+      if (dataset.LossyImageCompression !== '01' ||
+          dataset.LossyImageCompressionMethod !== 'ISO_14495_1' ||
+          !(dataset.LossyImageCompressionRatio > 1)) {
+        throw new Error(`${name}: lossy flags ${dataset.LossyImageCompression} ` +
+          `${dataset.LossyImageCompressionMethod} ${dataset.LossyImageCompressionRatio}`)
+      }
+      const error = await maxError(paths, image)
+      if (error > 2) throw new Error(`${name}: error ${error} exceeds the bound of 2`)
+      console.log(`✓ ${name}: max error ${error}, ratio ${dataset.LossyImageCompressionRatio}:1`)
+    }
+
+    console.log(`\n${step++}. Writing lossy JPEG 2000...`)
+    for (const [name, image] of Object.entries(IMAGES)) {
+      const paths = await writeSeries(`j2k-lossy-${name}`, image, {
+        transferSyntax: TRANSFER_SYNTAX_UIDS.JPEG_2000,
+        compression: { compressionRatio: 10 }
+      })
+      const { dataset } = readFile(paths[0])
+      if (dataset.LossyImageCompression !== '01' || dataset.LossyImageCompressionMethod !== 'ISO_15444_1') {
+        throw new Error(`${name}: lossy flags ${dataset.LossyImageCompression} ${dataset.LossyImageCompressionMethod}`)
+      }
+      if (dataset.LossyImageCompressionRatio < 8) {
+        throw new Error(`${name}: ratio ${dataset.LossyImageCompressionRatio}, expected about 10`)
+      }
+      const error = await maxError(paths, image)
+      console.log(`✓ ${name}: ratio ${dataset.LossyImageCompressionRatio}:1, max error ${error}`)
+    }
+
+    console.log(`\n${step++}. Rejecting lossy settings on lossless transfer syntaxes...`)
+    for (const [transferSyntax, compression] of [
+      [TRANSFER_SYNTAX_UIDS.JPEG_LS_LOSSLESS, { nearLossless: 2 }],
+      [TRANSFER_SYNTAX_UIDS.JPEG_2000_LOSSLESS, { compressionRatio: 10 }]
+    ]) {
+      let rejected = false
+      try {
+        await writeImageAsDicomSeriesWithDcmjs(IMAGES.int16, { transferSyntax, compression })
+      } catch (error) {
+        rejected = true
+      }
+      if (!rejected) throw new Error(`${transferSyntax} accepted ${JSON.stringify(compression)}`)
+    }
+    console.log('✓ Lossy settings need a lossy transfer syntax')
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - JPEG-LS and JPEG 2000 series decode as expected!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
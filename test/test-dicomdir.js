@@ -0,0 +1,197 @@
+import { readImageDicomFileSeriesNode } from '@itk-wasm/dicom'
+import { writeImageAsDicomSeriesWithDcmjs, streamImageAsDicomSeriesWithDcmjs } from '../src/write-dicom-dcmjs.js'
+import { createDicomMedia, MEDIA_STORAGE_DIRECTORY_SOP_CLASS_UID } from '../src/dicomdir.js'
+import { writeLabelMapAsDicomSegmentation } from '../src/write-segmentation.js'
+import { writeImageAsParametricMap } from '../src/write-parametric-map.js'
+import { writeLabelMapAsRtStructureSet } from '../src/write-rt-struct.js'
+import { SOP_CLASS_UIDS } from '../src/sop-classes.js'
+import { createImage, readDataset } from './helpers.js'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const TEST_DIR = path.join(__dirname, 'test-data')
+const OUTPUT_DIR = path.join(TEST_DIR, 'output-dicomdir')
+
+function createVolume(slices, offset = 0) {
+  return createImage({ size: [10, 8, slices], spacing: [1, 1, 2], values: (i) => (i * 17 + offset) % 700 })
+}
+
+/**
+ * Reads the directory record at a byte offset of the DICOMDIR, walking its
+ * Explicit VR Little Endian elements, to check the offsets independently
+ */
+function readRecordAt(bytes, offset) {
+  if (bytes.readUInt32LE(offset) !== 0xe000fffe) throw new Error(`No item at offset ${offset}`)
+  const itemLength = bytes.readUInt32LE(offset + 4)
+  const end = itemLength === 0xffffffff ? bytes.length : offset + 8 + itemLength
+  const record = {}
+  let position = offset + 8
+  while (position < end) {
+    const group = bytes.readUInt16LE(position)
+    const element = bytes.readUInt16LE(position + 2)
+    if (group === 0xfffe) break
+    const vr = bytes.toString('ascii', position + 4, position + 6)
+    const longLength = ['OB', 'OW', 'SQ', 'UN', 'UT', 'UR', 'UC'].includes(vr)
+    const length = longLength ? bytes.readUInt32LE(position + 8) : bytes.readUInt16LE(position + 6)
+    const valueOffset = position + (longLength ? 12 : 8)
+    const value = bytes.subarray(valueOffset, valueOffset + length)
+    const tag = ((group << 16) | element) >>> 0
+    record[tag.toString(16).toUpperCase().padStart(8, '0')] = vr === 'UL' ? value.readUInt32LE(0) : value.toString('ascii').replace(/[\0 ]+$/, '')
+    position = valueOffset + length
+  }
+  return record
+}
+
+/**
+ * Follows the record links from the root and lists every record with its depth
+ */
+function walkDirectory(bytes, dict) {
+  const visited = []
+  const walk = (offset, depth) => {
+    while (offset) {
+      const record = readRecordAt(bytes, offset)
+      visited.push({ depth, record })
+      walk(record['00041420'], depth + 1)
+      offset = record['00041400']
+    }
+  }
+  walk(dict['00041200'].Value[0], 0)
+  return visited
+}
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('DICOMDIR Media Test')
+  console.log('='.repeat(60))
+
+  try {
+    const study = { instanceUID: '1.2.826.0.1.3680043.10.1', date: '20240501', time: '101500' }
+    const patient = { name: 'Doe^Jane', id: 'PDI-1' }
+    const ct = await writeImageAsDicomSeriesWithDcmjs(createVolume(4), { modality: 'CT', patient, study, seriesNumber: 1 })
+    const mr = await writeImageAsDicomSeriesWithDcmjs(createVolume(3, 5), { modality: 'MR', patient, study, seriesNumber: 2 })
+    const other = await writeImageAsDicomSeriesWithDcmjs(createVolume(2, 9), { patient: { name: 'Roe^Sam', id: 'PDI-2' } })
+
+    console.log('\n1. Laying out the media...')
+    const media = await createDicomMedia([...ct, ...[...mr].reverse(), ...other])
+    const names = media.map((file) => file.filename)
+    const expected = [
+      'DICOMDIR',
+      'README.TXT',
+      ...[1, 2, 3, 4].map((i) => `DICOM/PAT0001/STU0001/SER0001/IMG000${i}`),
+      ...[1, 2, 3].map((i) => `DICOM/PAT0001/STU0001/SER0002/IMG000${i}`),
+      ...[1, 2].map((i) => `DICOM/PAT0002/STU0001/SER0001/IMG000${i}`)
+    ]
+    if (names.join() !== expected.join()) throw new Error(`Media holds ${names.join(', ')}`)
+    if (names.some((name) => name.split('/').some((part) => !/^[A-Z0-9_]{1,8}$/.test(part) && part !== 'README.TXT'))) {
+      throw new Error('Media paths must be up to 8 uppercase characters per component')
+    }
+    console.log(`✓ ${media.length} files in the PDI layout`)
+
+    console.log('\n2. Following the DICOMDIR records...')
+    const dicomdir = Buffer.from(media[0].data)
+    const { meta, dict } = readDataset(dicomdir)
+    if (meta['00020002'].Value[0] !== MEDIA_STORAGE_DIRECTORY_SOP_CLASS_UID) {
+      throw new Error(`DICOMDIR SOP Class is ${meta['00020002'].Value[0]}`)
+    }
+    const records = walkDirectory(dicomdir, dict)
+    const outline = records.map(({ depth, record }) => `${depth}${record['00041430'][0]}`).join(' ')
+    const expectedOutline = '0P 1S 2S 3I 3I 3I 3I 2S 3I 3I 3I 0P 1S 2S 3I 3I'
+    if (outline !== expectedOutline) throw new Error(`Records link up as ${outline}`)
+    if (records.length !== dict['00041220'].Value.length) throw new Error('Some records are not linked')
+    if (records[0].record['00100020'] !== 'PDI-1' || records[1].record['0020000D'] !== study.instanceUID ||
+        records[2].record['00080060'] !== 'CT' || records[7].record['00080060'] !== 'MR') {
+      throw new Error('Records are missing their keys')
+    }
+    for (const { record } of records.filter(({ record }) => record['00041430'] === 'IMAGE')) {
+      const file = media.find((candidate) => candidate.filename === record['00041500'].replace(/\\/g, '/'))
+      const referenced = readDataset(file.data)
+      if (referenced.meta['00020003'].Value[0] !== record['00041511'] ||
+          referenced.meta['00020010'].Value[0] !== record['00041512'] ||
+          Number(referenced.dict['00200013'].Value[0]) !== Number(record['00200013'])) {
+        throw new Error(`Record of ${record['00041500']} does not match the file`)
+      }
+    }
+    console.log(`✓ ${records.length} records linked Patient > Study > Series > Image, each image record matches its file`)
+
+    console.log('\n3. Reading a series back from the media...')
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true })
+    for (const file of media) {
+      const filePath = path.join(OUTPUT_DIR, ...file.filename.split('/'))
+      fs.mkdirSync(path.dirname(filePath), { recursive: true })
+      fs.writeFileSync(filePath, file.data)
+    }
+    const seriesDir = path.join(OUTPUT_DIR, 'DICOM', 'PAT0001', 'STU0001', 'SER0002')
+    const { outputImage } = await readImageDicomFileSeriesNode({
+      inputImages: fs.readdirSync(seriesDir).map((file) => path.join(seriesDir, file)),
+      singleSortedSeries: true
+    })
+    const mrImage = createVolume(3, 5)
+    if (outputImage.data.some((value, i) => value !== mrImage.data[i])) {
+      throw new Error('MR series does not read back from the media')
+    }
+    console.log('✓ MR series reads back from its media folder')
+
+    console.log('\n4. Taking a stream and checking the File-set ID...')
+    const streamed = await createDicomMedia(streamImageAsDicomSeriesWithDcmjs(createVolume(2)), { fileSetID: 'STUDY_42' })
+    const streamedDict = readDataset(streamed[0].data).dict
+    if (streamed.length !== 4 || streamedDict['00041130'].Value[0] !== 'STUDY_42') {
+      throw new Error('Streamed media is incomplete')
+    }
+    let error
+    try {
+      await createDicomMedia(ct, { fileSetID: 'not a valid id' })
+    } catch (e) {
+      error = e
+    }
+    if (!error) throw new Error('A lowercase File-set ID should be rejected')
+    console.log(`✓ Stream laid out, invalid File-set ID rejected: ${error.message}`)
+
+    console.log('\n5. Indexing Segmentations, Parametric Maps and RT Structure Sets...')
+    const grid = createVolume(4)
+    const labels = { ...grid, imageType: { ...grid.imageType, componentType: 'uint8' }, data: new Uint8Array(grid.data.length) }
+    labels.data.fill(1, 22, 26)
+    labels.data.fill(1, 102, 106)
+    const values = { ...grid, imageType: { ...grid.imageType, componentType: 'float32' }, data: Float32Array.from(grid.data, (v) => v / 3) }
+    const referenceSeries = ct.map((file) => file.data)
+    const derived = [
+      await writeLabelMapAsDicomSegmentation(labels, { referenceSeries }),
+      await writeImageAsParametricMap(values, { referenceSeries }),
+      await writeLabelMapAsRtStructureSet(labels, { referenceSeries })
+    ]
+    const derivedMedia = await createDicomMedia([...ct, ...derived])
+    const derivedDicomdir = Buffer.from(derivedMedia[0].data)
+    const derivedRecords = walkDirectory(derivedDicomdir, readDataset(derivedDicomdir).dict)
+    const recordTypes = {
+      [SOP_CLASS_UIDS.SEG]: 'IMAGE',
+      [SOP_CLASS_UIDS.PMAP]: 'IMAGE',
+      [SOP_CLASS_UIDS.RTSTRUCT]: 'RT STRUCTURE SET'
+    }
+    for (const [sopClassUID, recordType] of Object.entries(recordTypes)) {
+      const matching = derivedRecords.filter(({ record }) => record['00041510'] === sopClassUID)
+      if (matching.length !== 1 || matching[0].record['00041430'] !== recordType || matching[0].depth !== 3) {
+        throw new Error(`${sopClassUID} is indexed as ${matching.map(({ record }) => record['00041430']).join()}`)
+      }
+    }
+    if (derivedRecords.filter(({ depth }) => depth === 2).length !== 4) {
+      throw new Error('CT, SEG, PMAP and RTSTRUCT should each have their own series record in the study')
+    }
+    console.log('✓ SEG and PMAP under IMAGE records, RTSTRUCT under an RT STRUCTURE SET record, in the CT study')
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - Media carry a DICOMDIR!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
@@ -0,0 +1,275 @@
+import { writeImageAsDicomSeriesWithDcmjs } from '../src/write-dicom-dcmjs.js'
+import { cEcho, cStore } from '../src/dimse.js'
+import { TRANSFER_SYNTAX_UIDS } from '../src/file-meta.js'
+import { createImage, readDataset } from './helpers.js'
+import net from 'net'
+
+const SLICES = 8
+const AE_TITLE = 'STANDIN'
+
+function createVolume() {
+  return createImage({ size: [64, 64, SLICES], spacing: [1, 1, 2], values: (i) => ((i * 11) % 1500) - 500 })
+}
+
+function pdu(type, body) {
+  const header = Buffer.alloc(6)
+  header[0] = type
+  header.writeUInt32BE(body.length, 2)
+  return Buffer.concat([header, body])
+}
+
+function item(type, value) {
+  const header = Buffer.alloc(4)
+  header[0] = type
+  header.writeUInt16BE(value.length, 2)
+  return Buffer.concat([header, value])
+}
+
+function items(buffer, offset = 0) {
+  const result = []
+  while (offset + 4 <= buffer.length) {
+    const length = buffer.readUInt16BE(offset + 2)
+    result.push({ type: buffer[offset], value: buffer.subarray(offset + 4, offset + 4 + length) })
+    offset += 4 + length
+  }
+  return result
+}
+
+function command(elements) {
+  const body = Buffer.concat(elements.map(([element, value]) => {
+    const bytes = typeof value === 'number' ? Buffer.from([value & 0xff, value >> 8]) : Buffer.from(value.length % 2 ? `${value}\0` : value)
+    const header = Buffer.alloc(8)
+    header.writeUInt16LE(element, 2)
+    header.writeUInt32LE(bytes.length, 4)
+    return Buffer.concat([header, bytes])
+  }))
+  const groupLength = Buffer.alloc(12)
+  groupLength.writeUInt32LE(4, 4)
+  groupLength.writeUInt32LE(body.length, 8)
+  return Buffer.concat([groupLength, body])
+}
+
+function readCommand(bytes) {
+  const elements = {}
+  for (let offset = 0; offset < bytes.length;) {
+    const element = bytes.readUInt16LE(offset + 2)
+    const length = bytes.readUInt32LE(offset + 4)
+    const value = bytes.subarray(offset + 8, offset + 8 + length)
+    elements[element] = length === 2 ? value.readUInt16LE(0) : value.toString().replace(/\0$/, '')
+    offset += 8 + length
+  }
+  return elements
+}
+
+/**
+ * A Storage SCP stand-in: negotiates the transfer syntaxes it is configured
+ * with, answers C-ECHO and C-STORE and records what it receives
+ */
+function startStandIn(config) {
+  const log = { associations: [], stored: [], largestPdu: 0 }
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0)
+    let fragments = { command: [], dataSet: [] }
+    let contexts = new Map()
+
+    const reply = (contextId, elements) => {
+      const body = command(elements)
+      const header = Buffer.alloc(6)
+      header.writeUInt32BE(body.length + 2, 0)
+      header[4] = contextId
+      header[5] = 0x03
+      socket.write(pdu(0x04, Buffer.concat([header, body])))
+    }
+
+    const onPdu = (type, body) => {
+      if (type === 0x01) {
+        const calledAETitle = body.toString('ascii', 4, 20).trim()
+        if (calledAETitle !== AE_TITLE) {
+          socket.end(pdu(0x03, Buffer.from([0, 1, 1, 7])))
+          return
+        }
+        const accepted = []
+        for (const { type, value } of items(body, 68)) {
+          if (type !== 0x20) continue
+          const sub = items(value, 4)
+          const abstractSyntax = sub.find((s) => s.type === 0x30).value.toString()
+          const offered = sub.filter((s) => s.type === 0x40).map((s) => s.value.toString())
+          const transferSyntax = offered.find((uid) => config.transferSyntaxes.includes(uid))
+          contexts.set(value[0], abstractSyntax)
+          accepted.push(item(0x21, Buffer.concat([
+            Buffer.from([value[0], 0, transferSyntax ? 0 : 4, 0]),
+            item(0x40, Buffer.from(transferSyntax ?? offered[0]))
+          ])))
+        }
+        log.associations.push({ calledAETitle, contexts: [...contexts.values()] })
+        const maxLength = Buffer.alloc(4)
+        maxLength.writeUInt32BE(config.maxPduLength ?? 0)
+        const fixed = Buffer.from(body.subarray(0, 68))
+        socket.write(pdu(0x02, Buffer.concat([fixed, item(0x10, Buffer.from('1.2.840.10008.3.1.1.1')), ...accepted, item(0x50, item(0x51, maxLength))])))
+      } else if (type === 0x04) {
+        for (let offset = 0; offset < body.length;) {
+          const length = body.readUInt32BE(offset)
+          const contextId = body[offset + 4]
+          const control = body[offset + 5]
+          const data = body.subarray(offset + 6, offset + 4 + length)
+          offset += 4 + length
+          if (control & 1) fragments.command.push(data)
+          else fragments.dataSet.push(data)
+          if (!(control & 2)) continue
+
+          const request = readCommand(Buffer.concat(fragments.command))
+          if (request[0x0100] === 0x0030) {
+            reply(contextId, [[0x0002, request[0x0002]], [0x0100, 0x8030], [0x0120, request[0x0110]], [0x0800, 0x0101], [0x0900, 0]])
+            fragments = { command: [], dataSet: [] }
+          } else if (request[0x0100] === 0x0001 && !(control & 1)) {
+            const sopInstanceUID = request[0x1000]
+            log.stored.push({ sopClassUID: request[0x0002], sopInstanceUID, dataSet: Buffer.concat(fragments.dataSet) })
+            const status = config.statuses?.[sopInstanceUID] ?? 0
+            reply(contextId, [[0x0002, request[0x0002]], [0x0100, 0x8001], [0x0120, request[0x0110]], [0x0800, 0x0101],
+              [0x0900, status], [0x1000, sopInstanceUID]])
+            fragments = { command: [], dataSet: [] }
+          }
+        }
+      } else if (type === 0x05) {
+        socket.end(pdu(0x06, Buffer.alloc(4)))
+      }
+    }
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk])
+      while (buffer.length >= 6 && buffer.length >= 6 + buffer.readUInt32BE(2)) {
+        const length = buffer.readUInt32BE(2)
+        log.largestPdu = Math.max(log.largestPdu, length)
+        onPdu(buffer[0], buffer.subarray(6, 6 + length))
+        buffer = buffer.subarray(6 + length)
+      }
+    })
+    socket.on('error', () => {})
+  })
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, log, port: server.address().port }))
+  })
+}
+
+async function withStandIn(config, run) {
+  const { server, log, port } = await startStandIn(config)
+  try {
+    return await run(port, log)
+  } finally {
+    server.close()
+  }
+}
+
+function dataSetOf(file) {
+  // The stand-in receives the file without its preamble and File Meta Information
+  const bytes = Buffer.from(file.data)
+  const metaLength = bytes.readUInt32LE(140)
+  return bytes.subarray(144 + metaLength)
+}
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('DIMSE C-STORE SCU Test')
+  console.log('='.repeat(60))
+
+  try {
+    const uncompressed = [TRANSFER_SYNTAX_UIDS.EXPLICIT_VR_LITTLE_ENDIAN, TRANSFER_SYNTAX_UIDS.IMPLICIT_VR_LITTLE_ENDIAN]
+    const files = await writeImageAsDicomSeriesWithDcmjs(createVolume(), { modality: 'CT' })
+
+    console.log('\n1. Verifying the connection with C-ECHO...')
+    await withStandIn({ transferSyntaxes: uncompressed }, async (port, log) => {
+      await cEcho({ port, calledAETitle: AE_TITLE })
+      if (log.associations[0].contexts[0] !== '1.2.840.10008.1.1') throw new Error('C-ECHO did not propose Verification')
+      let error
+      try {
+        await cEcho({ port, calledAETitle: 'SOMEONE_ELSE' })
+      } catch (e) {
+        error = e
+      }
+      if (!error?.message.includes('rejected')) throw new Error('A wrong called AE title should reject the association')
+      console.log(`✓ C-ECHO answered, wrong AE title rejected: ${error.message}`)
+    })
+
+    console.log('\n2. Sending a series with C-STORE...')
+    await withStandIn({ transferSyntaxes: uncompressed, maxPduLength: 4096 }, async (port, log) => {
+      const messages = []
+      const logger = { log: (message) => messages.push(message) }
+      const report = await cStore(files, { port, calledAETitle: AE_TITLE, logger })
+      if (report.stored.length !== SLICES || report.failed.length !== 0) {
+        throw new Error(`Stored ${report.stored.length}, failed ${report.failed.length}`)
+      }
+      if (messages.join() !== `Stored ${SLICES}, failed 0 instances`) {
+        throw new Error(`The logger received ${JSON.stringify(messages)}`)
+      }
+      if (log.associations.length !== 1 || log.associations[0].contexts[0] !== '1.2.840.10008.5.1.4.1.1.2') {
+        throw new Error(`Negotiated ${JSON.stringify(log.associations)}`)
+      }
+      if (log.largestPdu > 4096) throw new Error(`Sent a PDU of ${log.largestPdu} bytes to a 4096 byte peer`)
+      for (let i = 0; i < SLICES; i++) {
+        if (log.stored[i].sopInstanceUID !== report.stored[i].sopInstanceUID ||
+            Buffer.compare(log.stored[i].dataSet, dataSetOf(files[i])) !== 0) {
+          throw new Error(`Instance ${i} arrived different from its file`)
+        }
+      }
+      console.log(`✓ ${SLICES} CT instances stored over one association, in PDUs of at most ${log.largestPdu} bytes, summary sent to the logger`)
+    })
+
+    console.log('\n3. Reporting the status of each instance...')
+    const uids = files.map((file) => readDataset(file.data).dict['00080018'].Value[0])
+    await withStandIn({
+      transferSyntaxes: uncompressed,
+      statuses: { [uids[2]]: 0xa700, [uids[5]]: 0xb000 }
+    }, async (port) => {
+      const report = await cStore(files, { port, calledAETitle: AE_TITLE })
+      if (report.failed.length !== 1 || report.failed[0].filename !== files[2].filename || report.failed[0].status !== 0xa700) {
+        throw new Error(`Failures reported as ${JSON.stringify(report.failed)}`)
+      }
+      const warned = report.stored.find((instance) => instance.sopInstanceUID === uids[5])
+      if (report.stored.length !== SLICES - 1 || warned.status !== 0xb000) {
+        throw new Error(`Warning reported as ${JSON.stringify(warned)}`)
+      }
+      console.log(`✓ ${report.failed[0].error}, warning 0xB000 kept on a stored instance`)
+    })
+
+    console.log('\n4. Handling a refused transfer syntax...')
+    const rle = await writeImageAsDicomSeriesWithDcmjs(createVolume(), {
+      transferSyntax: TRANSFER_SYNTAX_UIDS.RLE_LOSSLESS
+    })
+    await withStandIn({ transferSyntaxes: uncompressed }, async (port, log) => {
+      const report = await cStore([...rle.slice(0, 2), ...files.slice(0, 2)], { port, calledAETitle: AE_TITLE })
+      if (report.failed.length !== 2 || !report.failed[0].error.includes('transfer-syntaxes-not-supported')) {
+        throw new Error(`Refused instances reported as ${JSON.stringify(report.failed)}`)
+      }
+      if (report.stored.length !== 2 || log.stored.length !== 2 || log.associations.length !== 2) {
+        throw new Error(`Sent ${log.stored.length} instances over ${log.associations.length} associations`)
+      }
+      console.log('✓ RLE instances failed unsent, a new association carried the uncompressed ones')
+    })
+
+    console.log('\n5. Failing to connect...')
+    const { server, port } = await startStandIn({ transferSyntaxes: uncompressed })
+    server.close()
+    let error
+    try {
+      await cStore(files, { port, calledAETitle: AE_TITLE, timeout: 2000 })
+    } catch (e) {
+      error = e
+    }
+    if (!error) throw new Error('Sending to a closed port should fail')
+    console.log(`✓ Rejected with: ${error.message}`)
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - Series sent with C-STORE!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
@@ -0,0 +1,93 @@
+import { writeImageAsDicomSeriesWithDcmjs } from '../src/write-dicom-dcmjs.js'
+import {
+  IMPLEMENTATION_CLASS_UID,
+  IMPLEMENTATION_VERSION_NAME,
+  TRANSFER_SYNTAX_UIDS,
+  createFileMetaInformation
+} from '../src/file-meta.js'
+import { createImage, expectFailure, readDataset } from './helpers.js'
+
+// Byte offset of the first dataset element after the File Meta Information group
+function datasetOffset(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength)
+  // Preamble, DICM, then (0002,0000) UL with a 2-byte length and the 4-byte group length
+  return 132 + 12 + view.getUint32(140, true)
+}
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('File Meta Information Test')
+  console.log('='.repeat(60))
+
+  try {
+    console.log('\n1. Writing the default header...')
+    const image = createImage({ size: [4, 4, 2], values: (i) => i * 3 - 20 })
+    const files = await writeImageAsDicomSeriesWithDcmjs(image, { modality: 'CT' })
+    for (const file of files) {
+      const { data } = file
+      const magic = String.fromCharCode(...data.subarray(128, 132))
+      if (magic !== 'DICM' || data.subarray(0, 128).some((byte) => byte !== 0)) {
+        throw new Error(`${file.filename} does not start with a zero preamble and DICM`)
+      }
+      const tag = new DataView(data.buffer, data.byteOffset).getUint32(132, true)
+      if (tag !== 0x00000002) throw new Error(`${file.filename} does not start with the group length`)
+      const { meta, dict } = readDataset(data)
+      const version = new Uint8Array(meta['00020001'].Value[0])
+      if (version.join() !== '0,1') throw new Error(`File Meta Information Version is ${version.join()}`)
+      if (meta['00020002'].Value[0] !== dict['00080016'].Value[0] ||
+          meta['00020003'].Value[0] !== dict['00080018'].Value[0]) {
+        throw new Error(`${file.filename} Media Storage UIDs do not match the dataset`)
+      }
+      if (meta['00020010'].Value[0] !== TRANSFER_SYNTAX_UIDS.EXPLICIT_VR_LITTLE_ENDIAN ||
+          meta['00020012'].Value[0] !== IMPLEMENTATION_CLASS_UID ||
+          meta['00020013'].Value[0] !== IMPLEMENTATION_VERSION_NAME) {
+        throw new Error(`${file.filename} has an unexpected transfer syntax or implementation`)
+      }
+    }
+    console.log(`✓ ${files.length} files with preamble, group length and UIDs matching the dataset`)
+
+    console.log('\n2. Writing Implicit VR Little Endian and a custom implementation...')
+    const custom = await writeImageAsDicomSeriesWithDcmjs(image, {
+      transferSyntax: TRANSFER_SYNTAX_UIDS.IMPLICIT_VR_LITTLE_ENDIAN,
+      implementationClassUID: '1.2.3.4.5',
+      implementationVersionName: 'MYAPP_2_1'
+    })
+    const { data } = custom[0]
+    const { meta, dict } = readDataset(data)
+    if (meta['00020010'].Value[0] !== TRANSFER_SYNTAX_UIDS.IMPLICIT_VR_LITTLE_ENDIAN ||
+        meta['00020012'].Value[0] !== '1.2.3.4.5' || meta['00020013'].Value[0] !== 'MYAPP_2_1') {
+      throw new Error('The custom transfer syntax and implementation were not written')
+    }
+    // Implicit VR elements have a 4-byte length where explicit VR has the VR letters
+    const offset = datasetOffset(data)
+    const vrLetters = String.fromCharCode(data[offset + 4], data[offset + 5])
+    if (/^[A-Z]{2}$/.test(vrLetters)) throw new Error(`Dataset starts with an explicit VR ${vrLetters}`)
+    if (dict['00080016'].Value[0] !== meta['00020002'].Value[0]) throw new Error('Implicit dataset did not read back')
+    console.log('✓ Implicit VR dataset with Implementation 1.2.3.4.5 / MYAPP_2_1')
+
+    console.log('\n3. Rejecting invalid headers...')
+    const base = { sopClassUID: '1.2.840.10008.5.1.4.1.1.7', sopInstanceUID: '1.2.3' }
+    const errors = await Promise.all([
+      expectFailure(() => createFileMetaInformation({ ...base, transferSyntax: '1.2.840.10008.1.2.2' }),
+        /Unsupported transfer syntax/),
+      expectFailure(() => createFileMetaInformation({ ...base, implementationVersionName: 'A_VERY_LONG_NAME_1' }),
+        /at most 16 characters/),
+      expectFailure(() => createFileMetaInformation({ ...base, implementationClassUID: '1.02.3' }),
+        /Implementation Class UID/)
+    ])
+    for (const error of errors) console.log(`✓ ${error.message}`)
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - Every file has a complete File Meta Information header!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
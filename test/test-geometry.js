@@ -0,0 +1,109 @@
+import { writeImageAsDicomSeriesWithDcmjs } from '../src/write-dicom-dcmjs.js'
+import { extractSlice } from '../src/write-image-series.js'
+import { createImage, readDataset } from './helpers.js'
+
+const SIZE = [6, 4, 5]
+const SPACING = [0.8, 1.2, 2.5]
+const ORIGIN = [-30.5, 12.25, 80]
+
+// Rotated 30 degrees about x, then 25 about z; flipSlices reverses the slicing direction
+function obliqueDirection(flipSlices = false) {
+  const a = (30 * Math.PI) / 180
+  const b = (25 * Math.PI) / 180
+  const rx = [1, 0, 0, 0, Math.cos(a), -Math.sin(a), 0, Math.sin(a), Math.cos(a)]
+  const rz = [Math.cos(b), -Math.sin(b), 0, Math.sin(b), Math.cos(b), 0, 0, 0, 1]
+  const matrix = Array.from({ length: 9 }, (_, i) =>
+    [0, 1, 2].reduce((sum, k) => sum + rz[Math.floor(i / 3) * 3 + k] * rx[k * 3 + (i % 3)], 0))
+  if (flipSlices) [2, 5, 8].forEach((i) => { matrix[i] = -matrix[i] })
+  return new Float64Array(matrix)
+}
+
+// Columns of the row-major direction matrix
+function column(direction, index) {
+  return [direction[index], direction[3 + index], direction[6 + index]]
+}
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]]
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]
+}
+
+function expectClose(actual, expected, tolerance, description) {
+  const actualValues = [].concat(actual).map(Number)
+  const expectedValues = [].concat(expected)
+  const off = actualValues.findIndex((value, i) => !(Math.abs(value - expectedValues[i]) <= tolerance))
+  if (actualValues.length !== expectedValues.length || off !== -1) {
+    throw new Error(`${description} is [${actualValues.join(', ')}], expected [${expectedValues.join(', ')}]`)
+  }
+}
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('Oblique Slice Geometry Test')
+  console.log('='.repeat(60))
+
+  try {
+    console.log('\n1. Extracting slices of an oblique volume...')
+    const direction = obliqueDirection()
+    const image = createImage({ size: SIZE, spacing: SPACING, origin: ORIGIN, direction })
+    const row = column(direction, 0)
+    const col = column(direction, 1)
+    const normal = cross(row, col)
+    for (let k = 0; k < SIZE[2]; k++) {
+      const slice = extractSlice(image, k)
+      const position = ORIGIN.map((value, i) => value + k * SPACING[2] * direction[i * 3 + 2])
+      expectClose(Array.from(slice.imageOrientation), [...row, ...col], 1e-12, `Slice ${k} orientation`)
+      expectClose(Array.from(slice.imagePosition), position, 1e-9, `Slice ${k} position`)
+      expectClose(slice.sliceLocation, dot(position, normal), 1e-9, `Slice ${k} location`)
+      expectClose(slice.sliceThickness, SPACING[2], 0, `Slice ${k} thickness`)
+      if (slice.data[0] !== k * SIZE[0] * SIZE[1]) throw new Error(`Slice ${k} has the pixels of another slice`)
+    }
+    const first = extractSlice(image, 0)
+    const last = extractSlice(image, SIZE[2] - 1)
+    expectClose(last.sliceLocation - first.sliceLocation, (SIZE[2] - 1) * SPACING[2], 1e-9, 'Slice Location span')
+    console.log(`✓ ${SIZE[2]} slices positioned along the third direction column, ` +
+      `Slice Location from ${first.sliceLocation.toFixed(3)} to ${last.sliceLocation.toFixed(3)}`)
+
+    console.log('\n2. Writing Image Orientation/Position (Patient) and Slice Location...')
+    for (const [name, flip, step] of [['Right-handed', false, SPACING[2]], ['Reversed slicing', true, -SPACING[2]]]) {
+      const volumeDirection = obliqueDirection(flip)
+      const files = await writeImageAsDicomSeriesWithDcmjs(
+        createImage({ size: SIZE, spacing: SPACING, origin: ORIGIN, direction: volumeDirection }),
+        { modality: 'MR' }
+      )
+      const volumeRow = column(volumeDirection, 0)
+      const volumeColumn = column(volumeDirection, 1)
+      const volumeNormal = cross(volumeRow, volumeColumn)
+      const locations = files.map((file, k) => {
+        const { dict } = readDataset(file.data)
+        const position = ORIGIN.map((value, i) => value + k * SPACING[2] * volumeDirection[i * 3 + 2])
+        // DS values keep 16 characters
+        expectClose(dict['00200037'].Value, [...volumeRow, ...volumeColumn], 1e-12, `${name} ${file.filename} orientation`)
+        expectClose(dict['00200032'].Value, position, 1e-9, `${name} ${file.filename} position`)
+        expectClose(dict['00201041'].Value[0], dot(position, volumeNormal), 1e-9, `${name} ${file.filename} location`)
+        expectClose(dict['00180050'].Value[0], SPACING[2], 0, `${name} ${file.filename} thickness`)
+        return Number(dict['00201041'].Value[0])
+      })
+      locations.slice(1).forEach((location, k) => {
+        expectClose(location - locations[k], step, 1e-9, `${name} step from slice ${k}`)
+      })
+      console.log(`✓ ${name}: Slice Location steps by ${step} mm along the normal of the orientation`)
+    }
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - Oblique slices are positioned on the volume normal!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
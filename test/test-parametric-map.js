@@ -0,0 +1,186 @@
+import { writeImageAsDicomSeriesWithDcmjs } from '../src/write-dicom-dcmjs.js'
+import { writeImageAsParametricMap } from '../src/write-parametric-map.js'
+import { writeDicomSeries } from '../src/write-image-series.js'
+import { SOP_CLASS_UIDS } from '../src/sop-classes.js'
+import { readNaturalized, expectFailure } from './helpers.js'
+import { SOFTWARE_VERSION } from '../src/file-meta.js'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const TEST_DIR = path.join(__dirname, 'test-data')
+const OUTPUT_DIR = path.join(TEST_DIR, 'output-pmap')
+
+// Synthetic oblique volume: 20 degree rotation about the Z axis
+const angle = Math.PI / 9
+const geometry = {
+  size: [16, 12, 6],
+  spacing: [0.8, 0.9, 2.5],
+  origin: [-10, 15, 42],
+  direction: new Float64Array([
+    Math.cos(angle), -Math.sin(angle), 0,
+    Math.sin(angle), Math.cos(angle), 0,
+    0, 0, 1
+  ]),
+  metadata: new Map()
+}
+
+const ADC_CODE = { CodeValue: '113041', CodingSchemeDesignator: 'DCM', CodeMeaning: 'Apparent Diffusion Coefficient' }
+const UNITS_CODE = { CodeValue: 'um2/s', CodingSchemeDesignator: 'UCUM', CodeMeaning: 'um2/s' }
+
+function createPhantoms() {
+  const [nx, ny, nz] = geometry.size
+  const intensities = new Int16Array(nx * ny * nz)
+  const adc = new Float32Array(nx * ny * nz)
+  const t1 = new Float64Array(nx * ny * nz)
+
+  for (let i = 0; i < adc.length; i++) {
+    intensities[i] = i % 1000
+    adc[i] = Math.sin(i) * 1234.5678 + 800.125
+    t1[i] = Math.PI * i / 7 - 1e-9
+  }
+
+  const image = (componentType, data) => ({
+    ...geometry,
+    imageType: { dimension: 3, componentType, pixelType: 'Scalar', components: 1 },
+    data
+  })
+
+  return { image: image('int16', intensities), adcMap: image('float32', adc), t1Map: image('float64', t1) }
+}
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('DICOM Parametric Map Writer Test')
+  console.log('='.repeat(60))
+
+  try {
+    if (!fs.existsSync(OUTPUT_DIR)) {
+      fs.mkdirSync(OUTPUT_DIR, { recursive: true })
+    }
+
+    console.log('\n1. Creating synthetic image and parametric maps...')
+    const { image, adcMap, t1Map } = createPhantoms()
+
+    console.log('\n2. Writing source image series with dcmjs...')
+    const sourceFiles = await writeImageAsDicomSeriesWithDcmjs(image, {
+      modality: 'MR',
+      patient: { name: 'Phantom^Map', id: 'PMAP001' }
+    })
+
+    console.log('\n3. Writing float32 and float64 Parametric Maps...')
+    const adc = await writeImageAsParametricMap(adcMap, {
+      fileName: 'adc.dcm',
+      referenceSeries: sourceFiles.map(file => file.data),
+      realWorldValueMapping: { units: UNITS_CODE, quantity: ADC_CODE, label: 'ADC' }
+    })
+    const t1 = await writeImageAsParametricMap(t1Map, { fileName: 't1.dcm' })
+    for (const map of [adc, t1]) {
+      fs.writeFileSync(path.join(OUTPUT_DIR, map.filename), Buffer.from(map.data))
+    }
+
+    console.log('\n4. Reading back Parametric Maps with dcmjs...')
+    const adcDataset = readNaturalized(adc.data)
+    const t1Dataset = readNaturalized(t1.data)
+
+    console.log('\n5. Comparing values...')
+    const adcValues = new Float32Array(adcDataset.FloatPixelData[0])
+    const t1Values = new Float64Array(t1Dataset.DoubleFloatPixelData[0])
+    if (adcValues.length !== adcMap.data.length || adcValues.some((v, i) => v !== adcMap.data[i])) {
+      throw new Error('float32 values differ')
+    }
+    if (t1Values.length !== t1Map.data.length || t1Values.some((v, i) => v !== t1Map.data[i])) {
+      throw new Error('float64 values differ')
+    }
+
+    const frames = adcDataset.PerFrameFunctionalGroupsSequence
+    if (adcDataset.NumberOfFrames !== geometry.size[2] || frames.length !== geometry.size[2]) {
+      throw new Error(`Expected ${geometry.size[2]} frames, got ${adcDataset.NumberOfFrames}`)
+    }
+    const lastPosition = frames[frames.length - 1].PlanePositionSequence[0].ImagePositionPatient
+    const expectedZ = geometry.origin[2] + (geometry.size[2] - 1) * geometry.spacing[2]
+    if (Math.abs(lastPosition[2] - expectedZ) > 1e-4) {
+      throw new Error(`Last frame position ${lastPosition[2]} instead of ${expectedZ}`)
+    }
+
+    const mapping = adcDataset.SharedFunctionalGroupsSequence[0].RealWorldValueMappingSequence[0]
+    const quantity = mapping.QuantityDefinitionSequence[0].ConceptCodeSequence[0]
+    if (mapping.MeasurementUnitsCodeSequence[0].CodeValue !== 'um2/s' || quantity.CodeValue !== '113041') {
+      throw new Error('Real World Value Mapping units or quantity mismatch')
+    }
+    if (adcDataset.PatientID !== 'PMAP001' || adcDataset.Modality !== 'MR') {
+      throw new Error('Patient or modality not inherited from the reference series')
+    }
+
+    console.log('✓ float32 values match exactly')
+    console.log('✓ float64 values match exactly')
+    console.log('✓ Frame geometry matches')
+    console.log('✓ Real World Value Mapping matches')
+
+    console.log('\n6. Leaving NaN and infinite values out of the value range...')
+    const values = Float32Array.from(adcMap.data)
+    values[3] = Infinity
+    values[4] = -Infinity
+    values[5] = NaN
+    const finite = values.filter(Number.isFinite)
+    const min = Math.min(...finite)
+    const max = Math.max(...finite)
+    const nonFinite = readNaturalized((await writeImageAsParametricMap({ ...adcMap, data: values })).data)
+    const shared = nonFinite.SharedFunctionalGroupsSequence[0]
+    const range = shared.RealWorldValueMappingSequence[0]
+    const window = shared.FrameVOILUTSequence[0]
+    if (range.DoubleFloatRealWorldValueFirstValueMapped !== min ||
+        range.DoubleFloatRealWorldValueLastValueMapped !== max) {
+      throw new Error(`Real World Value range is ${range.DoubleFloatRealWorldValueFirstValueMapped} to ` +
+        `${range.DoubleFloatRealWorldValueLastValueMapped}, expected ${min} to ${max}`)
+    }
+    if (Math.abs(window.WindowCenter - (min + max) / 2) > 1e-3 || Math.abs(window.WindowWidth - (max - min)) > 1e-3) {
+      throw new Error(`Window ${window.WindowCenter}/${window.WindowWidth} does not cover ${min} to ${max}`)
+    }
+    console.log(`✓ Range and window cover the finite values ${min} to ${max}`)
+
+    if (t1Dataset.Manufacturer !== 'write-dicom' || t1Dataset.SoftwareVersions !== SOFTWARE_VERSION) {
+      throw new Error(`Equipment is ${t1Dataset.Manufacturer} ${t1Dataset.SoftwareVersions}, expected this writer`)
+    }
+    console.log(`✓ Enhanced General Equipment defaults to write-dicom ${SOFTWARE_VERSION}`)
+
+    console.log('\n7. Writing a Parametric Map through the series writer...')
+    const files = await writeDicomSeries(adcMap, {
+      sopClassUID: SOP_CLASS_UIDS.PMAP,
+      series: { description: 'ADC', number: 12 },
+      realWorldValueMapping: { units: UNITS_CODE, quantity: ADC_CODE, label: 'ADC' },
+      validate: 'error'
+    })
+    const written = readNaturalized(files[0].data)
+    if (files.length !== 1 || files[0].filename !== 'parametric-map.dcm' || written.SOPClassUID !== SOP_CLASS_UIDS.PMAP) {
+      throw new Error(`Expected one Parametric Map, got ${files.map(file => file.filename).join(', ')}`)
+    }
+    if (written.SeriesDescription !== 'ADC' || written.SeriesNumber !== 12 ||
+        new Float32Array(written.FloatPixelData[0]).some((v, i) => v !== adcMap.data[i])) {
+      throw new Error('The series options or the float values were not kept')
+    }
+    console.log('✓ sopClassUID PMAP writes one valid Parametric Map with the series options')
+
+    const error = await expectFailure(
+      writeDicomSeries(adcMap, { sopClassUID: SOP_CLASS_UIDS.PMAP, backend: 'gdcm' }),
+      'dcmjs only'
+    )
+    console.log(`✓ Rejected with the GDCM backend: ${error.message}`)
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - Parametric Maps keep their values!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
@@ -0,0 +1,130 @@
+import { writeImageAsDicomSeriesWithDcmjs } from '../src/write-dicom-dcmjs.js'
+import { toDicomDate, toDicomTime } from '../src/patient-study.js'
+import { createImage, expectFailure, readDataset, value } from './helpers.js'
+
+const image = createImage({ spacing: [1, 1, 2] })
+
+function expectValues(dict, expected, description) {
+  for (const [tag, want] of Object.entries(expected)) {
+    // dcmjs reads empty values back as ['']
+    const empty = (dict[tag]?.Value ?? []).every((item) => item === '')
+    if (!(tag in dict) || (want === undefined ? !empty : String(value(dict, tag)) !== String(want))) {
+      throw new Error(`${description}: ${tag} is ${JSON.stringify(dict[tag]?.Value)}, expected ${want ?? 'empty'}`)
+    }
+  }
+}
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('Patient, Study, Series and Equipment Test')
+  console.log('='.repeat(60))
+
+  try {
+    console.log('\n1. Writing the option blocks...')
+    const files = await writeImageAsDicomSeriesWithDcmjs(image, {
+      modality: 'MR',
+      patient: { name: 'Doe^Jane', id: '12345', birthDate: '1970-01-31', sex: 'F' },
+      study: {
+        id: '7',
+        description: 'Brain MRI',
+        accessionNumber: 'A123',
+        referringPhysicianName: 'Smith^John',
+        date: new Date(2024, 4, 1, 9, 5, 3),
+        time: '09:05:03'
+      },
+      series: { number: 5, description: 'Registered T1', bodyPartExamined: 'HEAD', protocolName: 'T1 MPRAGE' },
+      equipment: { manufacturer: 'ACME', institutionName: 'General Hospital', stationName: 'MR1', softwareVersions: '2.1' }
+    })
+    const datasets = files.map(({ data }) => readDataset(data).dict)
+    for (const [index, dict] of datasets.entries()) {
+      expectValues(dict, {
+        '00100010': 'Doe^Jane',
+        '00100020': '12345',
+        '00100030': '19700131',
+        '00100040': 'F',
+        '00200010': '7',
+        '00081030': 'Brain MRI',
+        '00080050': 'A123',
+        '00080090': 'Smith^John',
+        '00080020': '20240501',
+        '00080030': '090503',
+        '00200011': 5,
+        '0008103E': 'Registered T1',
+        '00180015': 'HEAD',
+        '00181030': 'T1 MPRAGE',
+        '00080070': 'ACME',
+        '00080080': 'General Hospital',
+        '00081010': 'MR1',
+        '00181020': '2.1',
+        '00200013': index + 1
+      }, files[index].filename)
+    }
+    const studyUIDs = new Set(datasets.map((dict) => value(dict, '0020000D')))
+    const seriesUIDs = new Set(datasets.map((dict) => value(dict, '0020000E')))
+    if (studyUIDs.size !== 1 || seriesUIDs.size !== 1) throw new Error('Slices should share one study and series')
+    console.log(`✓ ${files.length} slices carry the patient, study, series and equipment blocks`)
+
+    console.log('\n2. Writing defaults...')
+    const defaults = readDataset((await writeImageAsDicomSeriesWithDcmjs(image))[0].data).dict
+    expectValues(defaults, {
+      '00100010': 'Anonymous',
+      '00100020': 'ANON123',
+      '00100030': undefined,
+      '00100040': undefined,
+      '00200010': undefined,
+      '00080050': undefined,
+      '00080090': undefined,
+      '00080070': undefined
+    }, 'Defaults')
+    for (const tag of ['00081030', '00080080', '00081010', '00181020']) {
+      if (tag in defaults) throw new Error(`Unset Type 3 attribute ${tag} should be left out`)
+    }
+    if (!/^\d{8}$/.test(value(defaults, '00080020')) || !/^\d{6}$/.test(value(defaults, '00080030'))) {
+      throw new Error('Study Date and Time should default to now')
+    }
+    console.log('✓ Anonymous patient, empty Type 2 and no Type 3 attributes')
+
+    console.log('\n3. Appending a series to an existing study...')
+    const study = { instanceUID: value(datasets[0], '0020000D'), date: '20240501', time: '090503' }
+    const [appendedFile] = await writeImageAsDicomSeriesWithDcmjs(image, { study, seriesNumber: 6 })
+    const appended = readDataset(appendedFile.data).dict
+    if (value(appended, '0020000D') !== study.instanceUID || value(appended, '0020000E') === value(datasets[0], '0020000E')) {
+      throw new Error('The new series should share the study and have its own Series Instance UID')
+    }
+    expectValues(appended, { '00080020': '20240501', '00080030': '090503', '00200011': 6 }, 'Appended series')
+    console.log(`✓ New series in study ${study.instanceUID}`)
+
+    console.log('\n4. Formatting and rejecting dates, times and values...')
+    const formats = [
+      [toDicomDate('2024-02-29'), '20240229'],
+      [toDicomDate(new Date(1999, 11, 31)), '19991231'],
+      [toDicomTime('14:30'), '1430'],
+      [toDicomTime('143005.123'), '143005.123'],
+      [toDicomTime(new Date(2024, 0, 1, 7, 8, 9)), '070809']
+    ]
+    for (const [got, want] of formats) {
+      if (got !== want) throw new Error(`Formatted ${got}, expected ${want}`)
+    }
+    const errors = [
+      await expectFailure(writeImageAsDicomSeriesWithDcmjs(image, { patient: { sex: 'X' } }), /Patient's Sex/),
+      await expectFailure(writeImageAsDicomSeriesWithDcmjs(image, { study: { date: '01/05/2024' } }),
+        /Invalid DICOM date/),
+      await expectFailure(writeImageAsDicomSeriesWithDcmjs(image, { series: { time: '9am' } }),
+        /Invalid DICOM time/)
+    ]
+    for (const error of errors) console.log(`✓ ${error.message}`)
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - Patient and study information is written as given!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
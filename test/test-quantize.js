@@ -0,0 +1,133 @@
+import { writeImageAsDicomSeriesWithDcmjs } from '../src/write-dicom-dcmjs.js'
+import { needsQuantization, quantizeImage, toDecimalStringPrecision } from '../src/quantize.js'
+import { createImage, expectFailure, readDataset } from './helpers.js'
+
+function createVolume(componentType, values) {
+  return createImage({ size: [5, 4, 3], spacing: [1, 1, 2], componentType, values })
+}
+
+// Largest difference between the source and the rescaled stored values, over the finite source values
+function measureError(source, stored, slope, intercept) {
+  let maxError = 0
+  for (let i = 0; i < stored.length; i++) {
+    const value = Number(source[i])
+    if (!Number.isFinite(value)) continue
+    maxError = Math.max(maxError, Math.abs(stored[i] * slope + intercept - value))
+  }
+  return maxError
+}
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('Quantization Test')
+  console.log('='.repeat(60))
+
+  try {
+    console.log('\n1. Quantizing over the full range...')
+    const types = ['float32', 'float64', 'int64', 'uint64', 'int32', 'uint16']
+    const quantized = types.filter(needsQuantization)
+    if (quantized.join() !== 'float32,float64,int64,uint64') throw new Error(`Quantized types: ${quantized.join()}`)
+    const image = createVolume('float32', (i) => i === 7 ? NaN : i === 8 ? Infinity : Math.sin(i) * 1234.5678 + 100)
+    const report = quantizeImage(image)
+    const { data } = report.image
+    if (!(data instanceof Int16Array) || report.image.imageType.componentType !== 'int16') {
+      throw new Error('fullRange should store int16 values')
+    }
+    for (const value of [report.rescaleSlope, report.rescaleIntercept]) {
+      if (String(value).length > 16) throw new Error(`${value} does not fit a Decimal String`)
+    }
+    if (Math.min(...data) !== -32768 || Math.max(...data) !== 32767) {
+      throw new Error(`Stored range is ${Math.min(...data)} to ${Math.max(...data)}, expected the int16 range`)
+    }
+    const measured = measureError(image.data, data, report.rescaleSlope, report.rescaleIntercept)
+    if (Math.abs(measured - report.maxError) > 1e-9 || report.maxError > report.rescaleSlope / 2 + 1e-9) {
+      throw new Error(`maxError ${report.maxError} does not match the measured ${measured}`)
+    }
+    if (!(report.rmsError > 0 && report.rmsError <= report.maxError) || report.clippedCount !== 0) {
+      throw new Error(`Unexpected rmsError ${report.rmsError} or clippedCount ${report.clippedCount}`)
+    }
+    if (data[7] !== Math.round(-report.rescaleIntercept / report.rescaleSlope) || data[8] !== 32767) {
+      throw new Error('NaN should be stored as zero and Infinity clipped to the maximum')
+    }
+    console.log(`✓ Slope ${report.rescaleSlope}, intercept ${report.rescaleIntercept}, ` +
+      `max error ${report.maxError.toExponential(2)} (half a step), NaN and Infinity left out of the range`)
+
+    const unsigned = quantizeImage(createVolume('float64', (i) => i / 7 - 3), { componentType: 'uint16' })
+    if (!(unsigned.image.data instanceof Uint16Array) || Math.min(...unsigned.image.data) !== 0 ||
+        Math.max(...unsigned.image.data) !== 65535) {
+      throw new Error('uint16 should use the whole unsigned range')
+    }
+    const bigints = createVolume('int64', (i) => BigInt(i) * 10000000000n)
+    const big = quantizeImage(bigints)
+    if (measureError(bigints.data, big.image.data, big.rescaleSlope, big.rescaleIntercept) > big.maxError + 1) {
+      throw new Error('int64 values should quantize within maxError')
+    }
+    const flat = quantizeImage(createVolume('float32', () => 2.5))
+    if (flat.rescaleSlope !== 1 || flat.rescaleIntercept !== 2.5 || flat.maxError !== 0) {
+      throw new Error('A constant image should be stored as zeros with the value as intercept')
+    }
+    console.log('✓ uint16 targets, int64 values and constant images')
+
+    console.log('\n2. Quantizing with a fixed slope...')
+    const fixed = quantizeImage(createVolume('float32', (i) => i * 1000.25), { strategy: 'fixedSlope', slope: 0.5, intercept: 10 })
+    const expectedClipped = Array.from({ length: 60 }, (_, i) => Math.round((i * 1000.25 - 10) / 0.5))
+      .filter((stored) => stored > 32767).length
+    if (fixed.rescaleSlope !== 0.5 || fixed.rescaleIntercept !== 10 || fixed.clippedCount !== expectedClipped ||
+        Math.max(...fixed.image.data) !== 32767) {
+      throw new Error(`fixedSlope clipped ${fixed.clippedCount}, expected ${expectedClipped}`)
+    }
+    console.log(`✓ Slope 0.5, intercept 10: ${fixed.clippedCount} values clipped to 32767`)
+
+    await expectFailure(() => quantizeImage(image, { componentType: 'int8' }), /int16 or uint16/)
+    await expectFailure(() => quantizeImage(image, { strategy: 'percentile' }), /fullRange or fixedSlope/)
+    await expectFailure(() => quantizeImage(image, { strategy: 'fixedSlope', slope: 0 }), /must be positive/)
+    for (const value of [1 / 3, -2e-20 / 3, 123456789.123456789]) {
+      const rounded = toDecimalStringPrecision(value)
+      if (String(rounded).length > 16 || Math.abs(rounded - value) > Math.abs(value) * 1e-9) {
+        throw new Error(`${value} rounded to ${rounded} for a Decimal String`)
+      }
+    }
+    console.log('✓ Unknown target types and strategies and non-positive slopes are rejected')
+
+    console.log('\n3. Writing and reading back the Rescale Slope and Intercept...')
+    for (const [modality, rescaleType] of [['MR', 'US'], ['CT', 'HU']]) {
+      const files = await writeImageAsDicomSeriesWithDcmjs(image, { modality })
+      const { quantization } = files[0]
+      if (!files.every((file) => file.quantization === quantization)) {
+        throw new Error('Every file should carry the quantization report of the volume')
+      }
+      const sliceLength = image.size[0] * image.size[1]
+      let maxError = 0
+      for (const [index, file] of files.entries()) {
+        const { dict } = readDataset(file.data)
+        const slope = Number(dict['00281053'].Value[0])
+        const intercept = Number(dict['00281052'].Value[0])
+        if (slope !== quantization.rescaleSlope || intercept !== quantization.rescaleIntercept ||
+            dict['00281054'].Value[0] !== rescaleType || dict['00280100'].Value[0] !== 16 ||
+            dict['00280103'].Value[0] !== 1) {
+          throw new Error(`${modality} ${file.filename} does not carry the quantization rescale`)
+        }
+        const stored = new Int16Array(dict['7FE00010'].Value[0])
+        const source = image.data.subarray(index * sliceLength, (index + 1) * sliceLength)
+        maxError = Math.max(maxError, measureError(source, stored, slope, intercept))
+      }
+      if (maxError > quantization.maxError + 1e-9) {
+        throw new Error(`${modality} read back off by ${maxError}, report says ${quantization.maxError}`)
+      }
+      console.log(`✓ ${modality}: Rescale Type ${rescaleType}, read back within ${maxError.toExponential(2)}`)
+    }
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - Quantized values read back within the reported error!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
@@ -0,0 +1,128 @@
+import { writeImageAsDicomSeriesWithDcmjs } from '../src/write-dicom-dcmjs.js'
+import { createReferencedSeriesSequence, readReferenceSeries } from '../src/reference-series.js'
+import { createImage, expectFailure, modifyFile, readDataset, value } from './helpers.js'
+
+function createVolume(slices, sliceSpacing) {
+  return createImage({ size: [4, 4, slices], spacing: [1, 1, sliceSpacing], origin: [-2, -2, 10] })
+}
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('Reference Series Test')
+  console.log('='.repeat(60))
+
+  try {
+    console.log('\n1. Writing a reference CT series...')
+    const referenceFiles = await writeImageAsDicomSeriesWithDcmjs(createVolume(6, 1), {
+      modality: 'CT',
+      patient: { name: 'Doe^Jane', id: 'P-42', birthDate: '19800214', sex: 'F' },
+      study: { id: 'S1', description: 'Chest CT', accessionNumber: 'ACC-9', referringPhysicianName: 'Who^Doctor' },
+      equipment: { manufacturer: 'ACME', institutionName: 'General Hospital', modelName: 'Scanner 9000' }
+    })
+    // Attributes the writer has no option for are copied as well
+    const reference = referenceFiles.map(({ data }) => modifyFile(data, (dict) => {
+      dict['00101030'] = { vr: 'DS', Value: [72.5] } // PatientWeight
+      dict['00201040'] = { vr: 'LO', Value: ['XY'] } // PositionReferenceIndicator
+    }))
+    const referenceDatasets = reference.map((data) => readDataset(data).dict)
+    console.log(`✓ ${reference.length} reference slices 1 mm apart`)
+
+    console.log('\n2. Inheriting the patient, study, equipment and Frame of Reference...')
+    const derived = await writeImageAsDicomSeriesWithDcmjs(createVolume(3, 2), {
+      modality: 'MR',
+      referenceSeries: reference,
+      derivationDescription: 'Resampled to 2 mm',
+      series: { description: 'Resampled' }
+    })
+    const first = referenceDatasets[0]
+    const inherited = [
+      '00100010', '00100020', '00100030', '00100040', '00101030', '0020000D', '00080020', '00080030', '00200010',
+      '00081030', '00080050', '00080090', '00200052', '00201040', '00080070', '00080080', '00081090'
+    ]
+    const derivedDatasets = derived.map(({ data }) => readDataset(data).dict)
+    for (const [index, dict] of derivedDatasets.entries()) {
+      for (const tag of inherited) {
+        if (String(value(dict, tag)) !== String(value(first, tag))) {
+          throw new Error(`${derived[index].filename} ${tag} is ${value(dict, tag)}, expected ${value(first, tag)}`)
+        }
+      }
+      if (value(dict, '0020000E') === value(first, '0020000E') ||
+          referenceDatasets.some((referenceDict) => value(referenceDict, '00080018') === value(dict, '00080018'))) {
+        throw new Error('Derived images need their own Series and SOP Instance UIDs')
+      }
+      if (dict['00080008'].Value.join('\\') !== 'DERIVED\\PRIMARY\\OTHER' ||
+          value(dict, '00082111') !== 'Resampled to 2 mm') {
+        throw new Error(`${derived[index].filename} is not marked as derived: ${dict['00080008'].Value.join('\\')}`)
+      }
+    }
+    console.log(`✓ ${inherited.length} attributes copied, new Series UID, Image Type DERIVED`)
+
+    console.log('\n3. Referencing the closest source slice...')
+    derivedDatasets.forEach((dict, index) => {
+      const [item] = dict['00082112'].Value
+      // Derived slice k lies at 10 + 2k mm, on reference slice 2k
+      const source = referenceDatasets[index * 2]
+      if (dict['00082112'].Value.length !== 1 || value(item, '00081150') !== value(source, '00080016') ||
+          value(item, '00081155') !== value(source, '00080018')) {
+        throw new Error(`Slice ${index} references ${value(item, '00081155')}, expected ${value(source, '00080018')}`)
+      }
+      const purpose = item['0040A170'].Value[0]
+      if (value(purpose, '00080100') !== '121322' || value(purpose, '00080102') !== 'DCM') {
+        throw new Error('Source Image Sequence should have the purpose code (DCM, 121322)')
+      }
+    })
+    console.log('✓ Each slice references the reference slice at its position, with purpose (DCM, 121322)')
+
+    console.log('\n4. Letting explicit options take precedence...')
+    const overridden = await writeImageAsDicomSeriesWithDcmjs(createVolume(3, 2), {
+      referenceSeries: reference,
+      patient: { name: 'Roe^Richard' },
+      frameOfReferenceUID: '1.2.3.4'
+    })
+    const overriddenDict = readDataset(overridden[0].data).dict
+    if (value(overriddenDict, '00100010') !== 'Roe^Richard' || value(overriddenDict, '00100020') !== 'P-42' ||
+        value(overriddenDict, '00200052') !== '1.2.3.4' || value(overriddenDict, '00201040')) {
+      throw new Error('Explicit patient name and Frame of Reference UID should override the reference and its ' +
+        'Position Reference Indicator')
+    }
+    console.log('✓ Patient name and Frame of Reference UID overridden, Patient ID still inherited')
+
+    console.log('\n5. Reading the reference series and its Referenced Series Sequence...')
+    const context = await readReferenceSeries([reference[0].buffer, ...reference.slice(1)])
+    if (context.modality !== 'CT' || context.patient.name !== 'Doe^Jane' || context.study.description !== 'Chest CT' ||
+        context.equipment.modelName !== 'Scanner 9000' || context.instances.length !== reference.length) {
+      throw new Error(`Unexpected reference context: ${JSON.stringify({ ...context, attributes: undefined })}`)
+    }
+    const sequence = createReferencedSeriesSequence(context.instances)['00081115']
+    const [seriesItem] = sequence.Value
+    const referenced = seriesItem['0008114A'].Value
+    if (sequence.vr !== 'SQ' || sequence.Value.length !== 1 ||
+        value(seriesItem, '0020000E') !== value(first, '0020000E') || referenced.length !== reference.length ||
+        referenced.some((item, i) => value(item, '00081155') !== value(referenceDatasets[i], '00080018') ||
+          value(item, '00081150') !== value(referenceDatasets[i], '00080016'))) {
+      throw new Error('Referenced Series Sequence should list every reference instance under its series')
+    }
+    console.log(`✓ One series item referencing ${referenced.length} instances`)
+
+    const otherStudy = await writeImageAsDicomSeriesWithDcmjs(createVolume(1, 1))
+    const errors = [
+      await expectFailure(readReferenceSeries([]), /empty/),
+      await expectFailure(readReferenceSeries([reference[0], otherStudy[0].data]), /different studies/),
+      await expectFailure(readReferenceSeries([42]), /files, buffers or paths/)
+    ]
+    for (const error of errors) console.log(`✓ ${error.message}`)
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - Derived images land in the reference study!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
@@ -0,0 +1,122 @@
+import { writeImageAsDicomSeriesWithDcmjs } from '../src/write-dicom-dcmjs.js'
+import { resliceImage } from '../src/reslice.js'
+import { createImage, readNaturalized } from './helpers.js'
+
+const SIZE = [5, 6, 7]
+const SPACING = [0.5, 0.8, 2]
+const ORIGIN = [-10, 20, 30]
+
+// Every voxel holds its own index, so any misplaced pixel is caught
+function createVolume(direction) {
+  return createImage({ size: SIZE, spacing: SPACING, origin: ORIGIN, direction, componentType: 'uint16' })
+}
+
+const AXIAL = [1, 0, 0, 0, 1, 0, 0, 0, 1]
+// Rotated 30 degrees about the patient z axis
+const c = Math.cos(Math.PI / 6)
+const s = Math.sin(Math.PI / 6)
+const OBLIQUE = [c, -s, 0, s, c, 0, 0, 0, 1]
+
+// Maps every pixel of every file to patient coordinates and back to an index of the original image
+function checkGeometry(files, image) {
+  const { direction } = image
+  let checked = 0
+  for (const file of files) {
+    const dataset = readNaturalized(file.data)
+    const position = dataset.ImagePositionPatient.map(Number)
+    const orientation = dataset.ImageOrientationPatient.map(Number)
+    const [rowSpacing, columnSpacing] = dataset.PixelSpacing.map(Number)
+    const pixels = new Uint16Array(dataset.PixelData[0])
+    for (let r = 0; r < dataset.Rows; r++) {
+      for (let col = 0; col < dataset.Columns; col++) {
+        const world = [0, 1, 2].map(axis =>
+          position[axis] + col * columnSpacing * orientation[axis] + r * rowSpacing * orientation[3 + axis])
+        const offset = world.map((value, axis) => value - ORIGIN[axis])
+        const index = [0, 1, 2].map(axis => Math.round(
+          (offset[0] * direction[axis] + offset[1] * direction[3 + axis] + offset[2] * direction[6 + axis]) / SPACING[axis]))
+        const expected = index[0] + SIZE[0] * (index[1] + SIZE[1] * index[2])
+        const actual = pixels[r * dataset.Columns + col]
+        if (actual !== expected) {
+          throw new Error(`${file.filename} pixel (${r}, ${col}) is ${actual}, expected voxel ${expected}`)
+        }
+        checked++
+      }
+    }
+  }
+  if (checked !== image.data.length) throw new Error(`Checked ${checked} of ${image.data.length} voxels`)
+  return readNaturalized(files[0].data)
+}
+
+const round = values => values.map(value => Math.round(Number(value) * 1000) / 1000 + 0)
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('Reslice Test')
+  console.log('='.repeat(60))
+
+  try {
+    const axial = createVolume(AXIAL)
+
+    console.log('\n1. Writing an axial volume as sagittal slices...')
+    const sagittal = await writeImageAsDicomSeriesWithDcmjs(axial, { sliceAxis: 'sagittal' })
+    const first = checkGeometry(sagittal, axial)
+    if (sagittal.length !== SIZE[0] || first.Rows !== SIZE[2] || first.Columns !== SIZE[1]) {
+      throw new Error(`Expected ${SIZE[0]} slices of ${SIZE[2]}x${SIZE[1]}`)
+    }
+    if (round(first.ImageOrientationPatient).join() !== '0,1,0,0,0,-1') {
+      throw new Error(`Sagittal orientation is ${first.ImageOrientationPatient}`)
+    }
+    if (Number(first.SliceThickness) !== SPACING[0]) throw new Error(`Slice thickness ${first.SliceThickness}`)
+    console.log('✓ Rows run posterior, columns inferior, every voxel in place')
+
+    console.log('\n2. Writing coronal slices and index axis 0...')
+    const coronal = checkGeometry(await writeImageAsDicomSeriesWithDcmjs(axial, { sliceAxis: 'coronal' }), axial)
+    if (round(coronal.ImageOrientationPatient).join() !== '1,0,0,0,0,-1') {
+      throw new Error(`Coronal orientation is ${coronal.ImageOrientationPatient}`)
+    }
+    const indexAxis = checkGeometry(await writeImageAsDicomSeriesWithDcmjs(axial, { sliceAxis: 0 }), axial)
+    if (round(indexAxis.ImageOrientationPatient).join() !== '0,1,0,0,0,1') {
+      throw new Error(`Index axis 0 orientation is ${indexAxis.ImageOrientationPatient}`)
+    }
+    console.log('✓ Coronal and index axis slicing keep every voxel in place')
+
+    console.log('\n3. Reslicing a sagittal series back to axial...')
+    const resliced = resliceImage(axial, 'sagittal')
+    const back = resliceImage(resliced, 'axial')
+    if (back.data.some((value, i) => value !== axial.data[i]) ||
+        round(back.origin).join() !== round(axial.origin).join() ||
+        round(Array.from(back.direction)).join() !== AXIAL.join()) {
+      throw new Error('Sagittal to axial does not restore the original image')
+    }
+    if (resliceImage(axial, 'axial') !== axial) throw new Error('Axial image was copied')
+    console.log('✓ Round trip restores data, origin and direction')
+
+    console.log('\n4. Reslicing an oblique volume...')
+    const oblique = createVolume(OBLIQUE)
+    checkGeometry(await writeImageAsDicomSeriesWithDcmjs(oblique, { sliceAxis: 'sagittal' }), oblique)
+    console.log('✓ Oblique sagittal slices keep every voxel in place')
+
+    console.log('\n5. Rejecting unknown axes...')
+    let rejected = false
+    try {
+      resliceImage(axial, 'transverse')
+    } catch (error) {
+      rejected = true
+    }
+    if (!rejected) throw new Error('Unknown axis accepted')
+    console.log('✓ Unknown axis rejected')
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - Resliced series keep their geometry!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
@@ -0,0 +1,123 @@
+import dcmjs from 'dcmjs'
+import { readImageDicomFileSeriesNode } from '@itk-wasm/dicom'
+import { writeImageAsDicomSeriesWithDcmjs } from '../src/write-dicom-dcmjs.js'
+import { TRANSFER_SYNTAX_UIDS } from '../src/file-meta.js'
+import { decodeRleFrame, encodeRleFrame } from '../src/rle.js'
+import { createImage, readDataset, writeFiles } from './helpers.js'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const TEST_DIR = path.join(__dirname, 'test-data')
+const OUTPUT_DIR = path.join(TEST_DIR, 'output-rle')
+
+// Uniform background with a textured square, so both run types are exercised
+function createVolume(componentType, components, texture) {
+  const size = [40, 30, 4]
+  return createImage({
+    size,
+    spacing: [0.8, 0.8, 2],
+    origin: [-10, 4, 30],
+    componentType,
+    components,
+    values: (i) => {
+      const pixel = Math.floor(i / components)
+      const x = pixel % size[0]
+      const y = Math.floor(pixel / size[0]) % size[1]
+      const inside = x >= 10 && x < 30 && y >= 5 && y < 25
+      return inside ? texture(i) : 0
+    }
+  })
+}
+
+const IMAGES = {
+  uint8: createVolume('uint8', 1, i => (i * 37) % 256),
+  int16: createVolume('int16', 1, i => ((i * 977) % 4000) - 2000),
+  rgb: createVolume('uint8', 3, i => (i * 53) % 256)
+}
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('RLE Lossless Test')
+  console.log('='.repeat(60))
+
+  try {
+    console.log('\n1. Encoding and decoding frames...')
+    for (const [name, image] of Object.entries(IMAGES)) {
+      const layout = {
+        rows: image.size[1],
+        columns: image.size[0],
+        samplesPerPixel: image.imageType.components,
+        bitsAllocated: image.data.BYTES_PER_ELEMENT * 8
+      }
+      const frame = image.data.subarray(0, layout.rows * layout.columns * layout.samplesPerPixel)
+      const encoded = encodeRleFrame(frame, layout)
+      if (encoded.length % 2 !== 0) throw new Error(`${name}: odd encoded length`)
+      const decoded = decodeRleFrame(encoded, layout)
+      const original = new Uint8Array(frame.buffer, frame.byteOffset, frame.byteLength)
+      if (!decoded.every((byte, i) => byte === original[i])) {
+        throw new Error(`${name}: decoded frame differs from the original`)
+      }
+      console.log(`✓ ${name}: ${original.length} bytes -> ${encoded.length} bytes`)
+    }
+
+    console.log('\n2. Writing RLE Lossless series...')
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true })
+    const written = {}
+    for (const [name, image] of Object.entries(IMAGES)) {
+      const files = await writeImageAsDicomSeriesWithDcmjs(image, {
+        transferSyntax: TRANSFER_SYNTAX_UIDS.RLE_LOSSLESS,
+        fileNamePattern: `${name}_%04d.dcm`
+      })
+      written[name] = writeFiles(files, path.join(OUTPUT_DIR, name))
+    }
+    console.log('✓ Series written')
+
+    console.log('\n3. Checking the encapsulated Pixel Data...')
+    const dicomData = readDataset(fs.readFileSync(written.rgb[0]))
+    const transferSyntax = dicomData.meta['00020010'].Value[0]
+    if (transferSyntax !== TRANSFER_SYNTAX_UIDS.RLE_LOSSLESS) {
+      throw new Error(`Transfer Syntax UID is ${transferSyntax}`)
+    }
+    const dataset = dcmjs.data.DicomMetaDictionary.naturalizeDataset(dicomData.dict)
+    if (dataset.PlanarConfiguration !== 0) {
+      throw new Error(`Planar Configuration is ${dataset.PlanarConfiguration}`)
+    }
+    // One fragment per frame: 8-bit RGB is three segments in a single fragment
+    const fragment = new Uint8Array(dataset.PixelData[0])
+    const segments = new DataView(fragment.buffer, fragment.byteOffset).getUint32(0, true)
+    if (segments !== 3) throw new Error(`Expected 3 RLE segments, got ${segments}`)
+    console.log('✓ RLE Lossless transfer syntax with one fragment of 3 segments per frame')
+
+    console.log('\n4. Reading back with ITK-Wasm...')
+    for (const [name, image] of Object.entries(IMAGES)) {
+      const { outputImage } = await readImageDicomFileSeriesNode({
+        inputImages: written[name],
+        singleSortedSeries: true
+      })
+      if (outputImage.imageType.componentType !== image.imageType.componentType ||
+          outputImage.imageType.components !== image.imageType.components) {
+        throw new Error(`${name}: read back as ${JSON.stringify(outputImage.imageType)}`)
+      }
+      const mismatches = image.data.reduce((count, value, i) => count + (outputImage.data[i] !== value), 0)
+      if (mismatches > 0) throw new Error(`${name}: ${mismatches} pixels differ`)
+      console.log(`✓ ${name}: all ${image.data.length} values match`)
+    }
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - RLE Lossless pixel data decodes exactly!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
@@ -0,0 +1,126 @@
+import { writeImageAsDicomSeriesWithDcmjs } from '../src/write-dicom-dcmjs.js'
+import { compareImages, verifySeriesRoundTrip } from '../src/round-trip.js'
+import { createDicomMedia } from '../src/dicomdir.js'
+import { writeLabelMapAsRtStructureSet } from '../src/write-rt-struct.js'
+import { createImage, modifyFile } from './helpers.js'
+
+const SIZE = [7, 5, 4]
+
+// An axial volume rotated 20 degrees about each patient axis
+function obliqueDirection() {
+  const angle = (20 * Math.PI) / 180
+  const c = Math.cos(angle)
+  const s = Math.sin(angle)
+  const rx = [1, 0, 0, 0, c, -s, 0, s, c]
+  const ry = [c, 0, s, 0, 1, 0, -s, 0, c]
+  const rz = [c, -s, 0, s, c, 0, 0, 0, 1]
+  const multiply = (a, b) => Array.from({ length: 9 }, (_, i) =>
+    [0, 1, 2].reduce((sum, k) => sum + a[Math.floor(i / 3) * 3 + k] * b[k * 3 + (i % 3)], 0))
+  return new Float64Array(multiply(rz, multiply(ry, rx)))
+}
+
+function createPhantom(componentType, components = 1) {
+  return createImage({
+    size: SIZE,
+    spacing: [0.75, 1.1, 2.5],
+    origin: [-40.125, 12.5, 105.75],
+    direction: obliqueDirection(),
+    componentType,
+    components,
+    values: (i) => {
+      if (componentType === 'float32') return Math.sin(i / 3) * 250.5
+      if (componentType === 'int8') return ((i * 13) % 256) - 128
+      if (componentType === 'int16') return ((i * 397) % 4000) - 2000
+      return (i * 29) % 256
+    }
+  })
+}
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('Round-Trip Verification Test')
+  console.log('='.repeat(60))
+
+  try {
+    console.log('\n1. Round-tripping oblique phantoms...')
+    const phantoms = [
+      ['signed 16-bit', createPhantom('int16'), { modality: 'CT' }],
+      ['signed 8-bit', createPhantom('int8'), { modality: 'MR' }],
+      ['RGB', createPhantom('uint8', 3), {}],
+      ['float, quantized', createPhantom('float32'), { modality: 'PT' }]
+    ]
+    for (const [name, image, options] of phantoms) {
+      const files = await writeImageAsDicomSeriesWithDcmjs(image, options)
+      const report = await verifySeriesRoundTrip(image, files)
+      if (!report.match) throw new Error(`${name} phantom differs:\n${report.differences.join('\n')}`)
+      console.log(`✓ ${name}: direction off by ${report.direction.maxDifference.toExponential(1)}, ` +
+        `pixels by at most ${report.pixels.maxDifference} (tolerance ${report.pixels.tolerance})`)
+    }
+
+    console.log('\n2. Round-tripping a resliced series...')
+    const image = createPhantom('int16')
+    const sagittal = await writeImageAsDicomSeriesWithDcmjs(image, { sliceAxis: 0 })
+    const resliced = await verifySeriesRoundTrip(image, sagittal, { sliceAxis: 0 })
+    if (!resliced.match) throw new Error(`Resliced series differs:\n${resliced.differences.join('\n')}`)
+    if (resliced.image.size.join() !== [SIZE[1], SIZE[2], SIZE[0]].join()) {
+      throw new Error(`Resliced series read back as ${resliced.image.size.join('x')}`)
+    }
+    const unsliced = await verifySeriesRoundTrip(image, sagittal)
+    if (unsliced.match || unsliced.size.match) {
+      throw new Error('Comparing with the unresliced source should report the size')
+    }
+    console.log(`✓ Sliced along index axis 0, read back as ${resliced.image.size.join('x')}`)
+
+    console.log('\n3. Reporting geometry differences...')
+    const files = await writeImageAsDicomSeriesWithDcmjs(image, { modality: 'CT' })
+    const stretched = files.map((file) => ({
+      ...file,
+      data: modifyFile(file.data, (dict) => {
+        dict['00280030'].Value = [1.2, 0.75] // PixelSpacing, rows 1.1 -> 1.2
+      })
+    }))
+    const report = await verifySeriesRoundTrip(image, stretched)
+    if (report.match || report.spacing.match || !report.origin.match || !report.pixels.match) {
+      throw new Error(`Expected a spacing difference only, got:\n${report.differences.join('\n')}`)
+    }
+    if (Math.abs(report.spacing.maxDifference - 0.1) > 1e-9 || !/^Spacing is/.test(report.differences[0])) {
+      throw new Error(`Spacing reported as ${report.differences[0]}`)
+    }
+    console.log(`✓ ${report.differences[0]}`)
+
+    console.log('\n4. Reporting pixel differences...')
+    const changed = { ...image, data: image.data.slice() }
+    changed.data[SIZE[0] * SIZE[1] * 2 + SIZE[0] + 3] += 5
+    const pixels = compareImages(image, changed).pixels
+    const { index, expected, actual } = pixels.firstMismatch
+    if (pixels.match || pixels.mismatched !== 1 || pixels.maxDifference !== 5 || index.join() !== '3,1,2' ||
+      actual - expected !== 5) {
+      throw new Error(`Unexpected pixel report: ${JSON.stringify(pixels)}`)
+    }
+    const loose = compareImages(image, changed, { pixels: 5 })
+    if (!loose.match) throw new Error(`A difference within tolerance was reported: ${loose.differences.join('\n')}`)
+    console.log(`✓ Pixel [${index.join(', ')}] reported ${actual}, expected ${expected}; accepted with tolerance 5`)
+
+    console.log('\n5. Round-tripping media with a DICOMDIR...')
+    const labels = { ...image, imageType: { ...image.imageType, componentType: 'uint8' }, data: new Uint8Array(image.data.length) }
+    labels.data.fill(1, SIZE[0] * SIZE[1] + SIZE[0] + 1, SIZE[0] * SIZE[1] + SIZE[0] + 4)
+    const rtStruct = await writeLabelMapAsRtStructureSet(labels, { referenceSeries: files.map((file) => file.data) })
+    const media = await createDicomMedia([...files, rtStruct])
+    const fromMedia = await verifySeriesRoundTrip(image, media)
+    if (!fromMedia.match) throw new Error(`Media differs:\n${fromMedia.differences.join('\n')}`)
+    console.log(`✓ ${media.length} media files, ${SIZE[2]} slices read back; DICOMDIR, README.TXT and RTSTRUCT skipped`)
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - Written series read back as their source!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
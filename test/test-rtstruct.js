@@ -0,0 +1,219 @@
+import { writeImageSeriesWithRtStructureSet } from '../src/write-rt-struct.js'
+import { expectFailure, readDataset, readNaturalized } from './helpers.js'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const TEST_DIR = path.join(__dirname, 'test-data')
+const OUTPUT_DIR = path.join(TEST_DIR, 'output-rtstruct')
+
+// Synthetic oblique volume: 20 degree rotation about the Z axis
+const angle = Math.PI / 9
+const geometry = {
+  size: [16, 12, 6],
+  spacing: [0.8, 0.9, 2.5],
+  origin: [-10, 15, 42],
+  direction: new Float64Array([
+    Math.cos(angle), -Math.sin(angle), 0,
+    Math.sin(angle), Math.cos(angle), 0,
+    0, 0, 1
+  ]),
+  metadata: new Map()
+}
+
+function createPhantoms() {
+  const [nx, ny, nz] = geometry.size
+  const intensities = new Int16Array(nx * ny * nz)
+  const labels = new Uint8Array(nx * ny * nz)
+
+  for (let z = 0; z < nz; z++) {
+    for (let y = 0; y < ny; y++) {
+      for (let x = 0; x < nx; x++) {
+        const i = x + nx * (y + ny * z)
+        intensities[i] = x * 10 + y - z
+        // Ring with a hole
+        if (x >= 1 && x <= 6 && y >= 1 && y <= 6 && !(x >= 3 && x <= 4 && y >= 3 && y <= 4)) labels[i] = 1
+        // Two islands
+        else if (y >= 8 && (x === 9 || x >= 12) && z < 4) labels[i] = 2
+      }
+    }
+  }
+
+  return {
+    image: {
+      ...geometry,
+      imageType: { dimension: 3, componentType: 'int16', pixelType: 'Scalar', components: 1 },
+      data: intensities
+    },
+    labelMap: {
+      ...geometry,
+      imageType: { dimension: 3, componentType: 'uint8', pixelType: 'Scalar', components: 1 },
+      data: labels
+    }
+  }
+}
+
+// Maps a patient coordinate point back to continuous pixel indices
+function toIndex(point, z) {
+  const [sx, sy, sz] = geometry.spacing
+  const d = geometry.direction
+  const offset = point.map((v, i) => v - geometry.origin[i])
+  const x = (offset[0] * d[0] + offset[1] * d[3] + offset[2] * d[6]) / sx
+  const y = (offset[0] * d[1] + offset[1] * d[4] + offset[2] * d[7]) / sy
+  const k = (offset[0] * d[2] + offset[1] * d[5] + offset[2] * d[8]) / sz
+  if (Math.abs(k - z) > 1e-3) throw new Error(`Contour point off its slice: ${k} instead of ${z}`)
+  return [x, y]
+}
+
+// Even-odd rule rasterization of the contours of one slice
+function rasterize(polygons, nx, ny) {
+  const mask = new Uint8Array(nx * ny)
+  for (let y = 0; y < ny; y++) {
+    for (let x = 0; x < nx; x++) {
+      let inside = false
+      for (const polygon of polygons) {
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+          const [xi, yi] = polygon[i]
+          const [xj, yj] = polygon[j]
+          if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside
+        }
+      }
+      mask[x + nx * y] = inside ? 1 : 0
+    }
+  }
+  return mask
+}
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('DICOM RT Structure Set Writer Test')
+  console.log('='.repeat(60))
+
+  try {
+    if (!fs.existsSync(OUTPUT_DIR)) {
+      fs.mkdirSync(OUTPUT_DIR, { recursive: true })
+    }
+
+    console.log('\n1. Creating synthetic image and label map...')
+    const { image, labelMap } = createPhantoms()
+
+    console.log('\n2. Writing image series and RT Structure Set...')
+    const messages = []
+    const { files, rtStruct } = await writeImageSeriesWithRtStructureSet(image, labelMap, {
+      logger: { ...console, log: message => messages.push(message) },
+      modality: 'CT',
+      patient: { name: 'Phantom^RT', id: 'RT001' },
+      structureSet: {
+        segments: [
+          { labelValue: 1, label: 'Ring', color: [255, 0, 0] },
+          { labelValue: 2, label: 'Islands', color: [0, 0, 255], interpretedType: 'PTV' }
+        ]
+      }
+    })
+
+    const rtPath = path.join(OUTPUT_DIR, rtStruct.filename)
+    fs.writeFileSync(rtPath, Buffer.from(rtStruct.data))
+    console.log(`Wrote ${rtPath}`)
+    if (!messages.some(message => message.startsWith('Writing RT Structure Set with 2 ROIs'))) {
+      throw new Error(`The logger did not receive the RT Structure Set message: ${messages.join(', ')}`)
+    }
+    console.log('✓ Progress of the series and the RT Structure Set sent to the logger')
+
+    console.log('\n3. Reading back RT Structure Set with dcmjs...')
+    const rt = readNaturalized(rtStruct.data)
+
+    console.log('\n4. Comparing contours with the label map...')
+    const names = rt.StructureSetROISequence.map(roi => roi.ROIName)
+    if (names.join() !== 'Ring,Islands') {
+      throw new Error(`Unexpected ROI names: ${names.join(', ')}`)
+    }
+    const types = rt.RTROIObservationsSequence.map(observation => observation.RTROIInterpretedType)
+    if (types.join() !== 'ORGAN,PTV') {
+      throw new Error(`Unexpected interpreted types: ${types.join(', ')}`)
+    }
+
+    const sopInstanceUIDs = files.map(file =>
+      readDataset(file.data, { untilTag: '7FE00010' }).dict['00080018'].Value[0]
+    )
+    const [nx, ny, nz] = geometry.size
+    let mismatches = 0
+    rt.ROIContourSequence.forEach((roiContour, roiIdx) => {
+      const labelValue = roiIdx + 1
+      const polygonsBySlice = Array.from({ length: nz }, () => [])
+      for (const contour of roiContour.ContourSequence) {
+        const z = sopInstanceUIDs.indexOf(contour.ContourImageSequence[0].ReferencedSOPInstanceUID)
+        if (z < 0) throw new Error('Contour references an unknown image')
+        const points = []
+        for (let i = 0; i < contour.ContourData.length; i += 3) {
+          points.push(toIndex(contour.ContourData.slice(i, i + 3), z))
+        }
+        polygonsBySlice[z].push(points)
+      }
+      polygonsBySlice.forEach((polygons, z) => {
+        const mask = rasterize(polygons, nx, ny)
+        for (let i = 0; i < mask.length; i++) {
+          if (mask[i] !== (labelMap.data[i + nx * ny * z] === labelValue ? 1 : 0)) mismatches++
+        }
+      })
+    })
+    if (mismatches > 0) {
+      throw new Error(`${mismatches} pixels differ between the label map and the contours`)
+    }
+
+    console.log('✓ ROI names and types match')
+    console.log('✓ Contours reference the written images')
+    console.log('✓ Contours match the label map')
+
+    console.log('\n5. Writing a resliced series and RT Structure Set...')
+    for (const sliceAxis of [0, 'coronal']) {
+      const resliced = await writeImageSeriesWithRtStructureSet(image, labelMap, { sliceAxis })
+      const planes = new Map(resliced.files.map((file) => {
+        const slice = readDataset(file.data, { untilTag: '7FE00010' }).dict
+        const [rx, ry, rz, cx, cy, cz] = slice['00200037'].Value.map(Number)
+        const normal = [ry * cz - rz * cy, rz * cx - rx * cz, rx * cy - ry * cx]
+        return [slice['00080018'].Value[0], { position: slice['00200032'].Value.map(Number), normal }]
+      }))
+      const structureSet = readNaturalized(resliced.rtStruct.data)
+      let contours = 0
+      for (const roiContour of structureSet.ROIContourSequence) {
+        for (const contour of roiContour.ContourSequence) {
+          const plane = planes.get(contour.ContourImageSequence[0].ReferencedSOPInstanceUID)
+          if (!plane) throw new Error(`Contour along ${sliceAxis} references an unknown image`)
+          for (let i = 0; i < contour.ContourData.length; i += 3) {
+            const distance = [0, 1, 2].reduce((sum, axis) =>
+              sum + (contour.ContourData[i + axis] - plane.position[axis]) * plane.normal[axis], 0)
+            if (Math.abs(distance) > 1e-3) throw new Error(`Contour point ${distance} mm off its image along ${sliceAxis}`)
+          }
+          contours++
+        }
+      }
+      if (contours === 0) throw new Error(`No contours along ${sliceAxis}`)
+      console.log(`✓ sliceAxis ${sliceAxis}: ${contours} contours on the planes of ${resliced.files.length} written images`)
+    }
+
+    const errors = [
+      await expectFailure(writeImageSeriesWithRtStructureSet(
+        { ...image, imageType: { ...image.imageType, dimension: 4 }, size: [...geometry.size, 1] }, labelMap), /4D/),
+      await expectFailure(writeImageSeriesWithRtStructureSet(
+        { ...image, imageType: { ...image.imageType, components: 2, pixelType: 'Vector' } }, labelMap,
+        { splitComponents: true }), /splitComponents/)
+    ]
+    errors.forEach((error) => console.log(`✓ ${error.message}`))
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - RT Structure Set matches the label map!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
@@ -0,0 +1,196 @@
+import { readSegmentationNode } from '@itk-wasm/dicom'
+import { writeImageAsDicomSeriesWithDcmjs } from '../src/write-dicom-dcmjs.js'
+import { writeLabelMapAsDicomSegmentation } from '../src/write-segmentation.js'
+import { expectFailure, readNaturalized } from './helpers.js'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const TEST_DIR = path.join(__dirname, 'test-data')
+const OUTPUT_DIR = path.join(TEST_DIR, 'output-seg')
+
+// Synthetic oblique volume: 20 degree rotation about the Z axis
+const angle = Math.PI / 9
+const geometry = {
+  size: [16, 12, 6],
+  spacing: [0.8, 0.9, 2.5],
+  origin: [-10, 15, 42],
+  direction: new Float64Array([
+    Math.cos(angle), -Math.sin(angle), 0,
+    Math.sin(angle), Math.cos(angle), 0,
+    0, 0, 1
+  ]),
+  metadata: new Map()
+}
+
+function createPhantoms() {
+  const [nx, ny, nz] = geometry.size
+  const intensities = new Int16Array(nx * ny * nz)
+  const labels = new Uint8Array(nx * ny * nz)
+
+  for (let z = 0; z < nz; z++) {
+    for (let y = 0; y < ny; y++) {
+      for (let x = 0; x < nx; x++) {
+        const i = x + nx * (y + ny * z)
+        intensities[i] = x * 10 + y - z
+        if (x < 5 && z > 0) labels[i] = 1
+        else if (y > 7 && z < 4) labels[i] = 4
+      }
+    }
+  }
+
+  return {
+    image: {
+      ...geometry,
+      imageType: { dimension: 3, componentType: 'int16', pixelType: 'Scalar', components: 1 },
+      data: intensities
+    },
+    labelMap: {
+      ...geometry,
+      imageType: { dimension: 3, componentType: 'uint8', pixelType: 'Scalar', components: 1 },
+      data: labels
+    }
+  }
+}
+
+// Probability of the left segment, rising from 0.2 to 1 along x
+function createProbabilities(labelMap) {
+  const [nx] = geometry.size
+  return {
+    ...geometry,
+    imageType: { dimension: 3, componentType: 'float32', pixelType: 'Scalar', components: 1 },
+    data: Float32Array.from(labelMap.data, (label, i) => (label === 1 ? ((i % nx) + 1) / 5 : 0))
+  }
+}
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('DICOM Segmentation Writer Test')
+  console.log('='.repeat(60))
+
+  try {
+    if (!fs.existsSync(OUTPUT_DIR)) {
+      fs.mkdirSync(OUTPUT_DIR, { recursive: true })
+    }
+
+    console.log('\n1. Creating synthetic image and label map...')
+    const { image, labelMap } = createPhantoms()
+
+    console.log('\n2. Writing source image series with dcmjs...')
+    const sourceFiles = await writeImageAsDicomSeriesWithDcmjs(image, {
+      modality: 'CT',
+      patient: { name: 'Phantom^Seg', id: 'SEG001' }
+    })
+
+    console.log('\n3. Writing Segmentation...')
+    const messages = []
+    const segmentation = await writeLabelMapAsDicomSegmentation(labelMap, {
+      logger: { log: message => messages.push(message) },
+      referenceSeries: sourceFiles.map(file => file.data),
+      segments: [
+        { labelValue: 1, label: 'Left', color: [255, 0, 0] },
+        { labelValue: 4, label: 'Right', color: [0, 0, 255] }
+      ]
+    })
+
+    const segPath = path.join(OUTPUT_DIR, segmentation.filename)
+    fs.writeFileSync(segPath, Buffer.from(segmentation.data))
+    console.log(`Wrote ${segPath}`)
+    if (!messages[0]?.startsWith('Writing Segmentation with 2 segments')) {
+      throw new Error(`The logger did not receive the progress message: ${messages.join(', ')}`)
+    }
+    console.log('✓ Progress sent to the logger')
+
+    console.log('\n4. Reading back Segmentation with ITK-Wasm...')
+    const { segImage, metaInfo } = await readSegmentationNode(segPath, { mergeSegments: true })
+
+    console.log('\n5. Comparing label maps...')
+    const dimMatch = segImage.size.every((s, i) => s === labelMap.size[i])
+    if (!dimMatch) {
+      throw new Error(`Dimension mismatch! Original: ${labelMap.size.join('×')}, Reloaded: ${segImage.size.join('×')}`)
+    }
+
+    const tolerance = 1e-4
+    const geometryMatch = ['origin', 'spacing', 'direction'].every(key =>
+      Array.from(labelMap[key]).every((v, i) => Math.abs(v - segImage[key][i]) < tolerance)
+    )
+    if (!geometryMatch) {
+      throw new Error('Origin, spacing or direction mismatch')
+    }
+
+    // Segment numbers follow the order of the segment table
+    const segmentNumbers = { 0: 0, 1: 1, 4: 2 }
+    let mismatches = 0
+    for (let i = 0; i < labelMap.data.length; i++) {
+      if (segImage.data[i] !== segmentNumbers[labelMap.data[i]]) mismatches++
+    }
+    if (mismatches > 0) {
+      throw new Error(`${mismatches} voxels differ between the label map and the Segmentation`)
+    }
+
+    const labels = metaInfo.segmentAttributes.flat().map(segment => segment.SegmentLabel)
+    if (labels.join() !== 'Left,Right') {
+      throw new Error(`Unexpected segment labels: ${labels.join(', ')}`)
+    }
+
+    console.log('✓ Dimensions match')
+    console.log('✓ Geometry matches')
+    console.log('✓ Voxels match')
+    console.log('✓ Segment labels match')
+
+    console.log('\n6. Writing a FRACTIONAL Segmentation from a probability image...')
+    const probabilities = createProbabilities(labelMap)
+    const fractional = await writeLabelMapAsDicomSegmentation(probabilities, {
+      segmentationType: 'FRACTIONAL',
+      segments: [{ label: 'Left', color: [255, 0, 0] }]
+    })
+    const fractionalDataset = readNaturalized(fractional.data)
+    const frameLength = geometry.size[0] * geometry.size[1]
+    // The left segment starts on the second slice
+    const expected = Uint8Array.from(probabilities.data.subarray(frameLength), p => Math.round(p * 255))
+    const stored = new Uint8Array(fractionalDataset.PixelData[0])
+    if (fractionalDataset.SegmentationType !== 'FRACTIONAL' || fractionalDataset.MaximumFractionalValue !== 255 ||
+        fractionalDataset.NumberOfFrames !== geometry.size[2] - 1) {
+      throw new Error(`Unexpected ${fractionalDataset.SegmentationType} Segmentation of ${fractionalDataset.NumberOfFrames} frames`)
+    }
+    if (stored.length !== expected.length || stored.some((v, i) => v !== expected[i])) {
+      throw new Error('Stored fractions differ from the probabilities')
+    }
+    console.log(`✓ ${fractionalDataset.NumberOfFrames} frames of probabilities scaled to 0-255`)
+
+    const notFloat = await expectFailure(
+      writeLabelMapAsDicomSegmentation(labelMap, { segmentationType: 'FRACTIONAL' }), 'float32 or float64')
+    const outOfRange = await expectFailure(writeLabelMapAsDicomSegmentation(
+      { ...probabilities, data: probabilities.data.map(p => p * 2) }, { segmentationType: 'FRACTIONAL' }), '0-1')
+    console.log(`✓ Rejected: ${notFloat.message}`)
+    console.log(`✓ Rejected: ${outOfRange.message}`)
+
+    console.log('\n7. Reading label values given as strings...')
+    const fromStrings = await writeLabelMapAsDicomSegmentation(labelMap, {
+      segments: [{ labelValue: '4', label: 'Right' }]
+    })
+    if (fromStrings.segments[0].labelValue !== 4 || readNaturalized(fromStrings.data).NumberOfFrames !== 4) {
+      throw new Error('labelValue "4" should select the 4 slices of label 4')
+    }
+    console.log('✓ labelValue "4" selects label 4')
+    const notNumber = await expectFailure(
+      writeLabelMapAsDicomSegmentation(labelMap, { segments: [{ labelValue: 'left' }] }), 'not a number')
+    console.log(`✓ Rejected: ${notNumber.message}`)
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - Segmentation round-trips!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
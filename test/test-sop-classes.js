@@ -0,0 +1,108 @@
+import { writeImageAsDicomSeriesWithDcmjs } from '../src/write-dicom-dcmjs.js'
+import { SOP_CLASS_UIDS } from '../src/sop-classes.js'
+import { createImage, expectValid, readDataset, value } from './helpers.js'
+
+function createVolume(componentType = 'int16', options) {
+  return createImage({ spacing: [1, 1, 2], componentType, values: (i) => (i * 7) % 100, ...options })
+}
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('SOP Class Selection Test')
+  console.log('='.repeat(60))
+
+  try {
+    console.log('\n1. Selecting the SOP Class and modules from the modality...')
+    const cases = [
+      ['CT', SOP_CLASS_UIDS.CT, (dict) => value(dict, '00281054') === 'HU' && '00180060' in dict],
+      ['MR', SOP_CLASS_UIDS.MR, (dict) => value(dict, '00180020') === 'RM' && '00180081' in dict],
+      ['PT', SOP_CLASS_UIDS.PT, (dict) => dict['00541000'].Value.join() === 'STATIC,IMAGE' &&
+        value(dict, '00541330') === 1 && !('00540101' in dict)],
+      ['US', SOP_CLASS_UIDS.SC, (dict) => value(dict, '00080064') === 'WSD']
+    ]
+    for (const [modality, expectedClass, hasModules] of cases) {
+      const files = await writeImageAsDicomSeriesWithDcmjs(createVolume(), { modality })
+      const { meta, dict } = readDataset(files[0].data)
+      if (value(dict, '00080016') !== expectedClass || value(meta, '00020002') !== expectedClass) {
+        throw new Error(`${modality} written as ${value(dict, '00080016')}, expected ${expectedClass}`)
+      }
+      if (!hasModules(dict)) throw new Error(`${modality} is missing its modality specific attributes`)
+      expectValid(files[0], modality)
+      console.log(`✓ ${modality}: ${expectedClass} with its IOD modules`)
+    }
+
+    console.log('\n2. Overriding the SOP Class UID...')
+    const overridden = await writeImageAsDicomSeriesWithDcmjs(createVolume(), {
+      modality: 'OT',
+      sopClassUID: SOP_CLASS_UIDS.MR
+    })
+    const { meta, dict } = readDataset(overridden[0].data)
+    if (value(dict, '00080016') !== SOP_CLASS_UIDS.MR || value(meta, '00020002') !== SOP_CLASS_UIDS.MR ||
+        value(dict, '00180020') !== 'RM' || '00080064' in dict) {
+      throw new Error('sopClassUID should select the MR Image modules in the dataset and File Meta')
+    }
+    console.log('✓ sopClassUID writes MR Image Storage with the MR Image modules')
+
+    console.log('\n3. Writing 16-bit pixels for CT and PET...')
+    const conversions = [
+      ['uint8', 'CT', {}, 16, 0],
+      ['int8', 'PT', { values: (i) => (i % 50) - 25 }, 16, 1],
+      ['int32', 'CT', { values: (i) => i * 100 - 1000 }, 16, 1],
+      ['uint32', 'PT', { values: (i) => i * 100000 }, 16, 1]
+    ]
+    for (const [componentType, modality, imageOptions, bits, representation] of conversions) {
+      const image = createVolume(componentType, imageOptions)
+      const files = await writeImageAsDicomSeriesWithDcmjs(image, { modality })
+      const slice = readDataset(files[0].data).dict
+      if (value(slice, '00280100') !== bits || value(slice, '00280101') !== bits ||
+          value(slice, '00280103') !== representation) {
+        throw new Error(`${componentType} ${modality} written with BitsAllocated ${value(slice, '00280100')}, ` +
+          `PixelRepresentation ${value(slice, '00280103')}`)
+      }
+      files.forEach((file) => expectValid(file, `${componentType} ${modality}`))
+
+      // Stored values map back to the source through the rescale
+      const slope = Number(value(slice, '00281053'))
+      const intercept = Number(value(slice, '00281052'))
+      const stored = representation ? new Int16Array(slice['7FE00010'].Value[0]) : new Uint16Array(slice['7FE00010'].Value[0])
+      const tolerance = files[0].quantization ? files[0].quantization.maxError : 0
+      stored.forEach((storedValue, i) => {
+        if (Math.abs(storedValue * slope + intercept - image.data[i]) > tolerance + 1e-6) {
+          throw new Error(`${componentType} pixel ${i} is ${storedValue * slope + intercept}, expected ${image.data[i]}`)
+        }
+      })
+      const how = files[0].quantization ? `quantized, slope ${slope}` : 'cast'
+      console.log(`✓ ${componentType} ${modality}: 16-bit ${representation ? 'signed' : 'unsigned'}, ${how}`)
+    }
+
+    const warnings = []
+    const originalWarn = console.warn
+    console.warn = (message) => warnings.push(message)
+    let color
+    try {
+      color = await writeImageAsDicomSeriesWithDcmjs(createVolume('uint8', { components: 3 }), { modality: 'CT' })
+    } finally {
+      console.warn = originalWarn
+    }
+    const colorSlice = readDataset(color[0].data).dict
+    if (value(colorSlice, '00080016') !== SOP_CLASS_UIDS.SC || value(colorSlice, '00280004') !== 'RGB' ||
+        !warnings.some((message) => /Secondary Capture/.test(message))) {
+      throw new Error('A color CT image should be written as Secondary Capture with a warning')
+    }
+    expectValid(color[0], 'Color CT')
+    console.log(`✓ Color CT falls back to Secondary Capture: ${warnings[0]}`)
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - Each modality is written with its SOP Class!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
@@ -0,0 +1,196 @@
+import { writeImageAsDicomSeriesWithDcmjs, streamImageAsDicomSeriesWithDcmjs } from '../src/write-dicom-dcmjs.js'
+import { storeInstances } from '../src/stow-rs.js'
+import { createUIDGenerator } from '../src/uid.js'
+import { createImage, readDataset } from './helpers.js'
+import http from 'http'
+
+const SLICES = 12
+const TOKEN = 'Bearer test-token'
+
+const image = createImage({ size: [8, 8, SLICES], values: (i) => (i * 7) % 500 })
+
+/**
+ * Splits a multipart/related body into its parts
+ */
+function parseMultipart(body, contentType) {
+  const boundary = /boundary=([^;]+)/.exec(contentType)[1]
+  const delimiter = Buffer.from(`--${boundary}`)
+  const parts = []
+  let start = body.indexOf(delimiter)
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length)
+    if (next === -1) break
+    const part = body.subarray(start + delimiter.length + 2, next - 2)
+    const headerEnd = part.indexOf('\r\n\r\n')
+    parts.push({ headers: part.subarray(0, headerEnd).toString(), data: part.subarray(headerEnd + 4) })
+    start = next
+  }
+  return parts
+}
+
+function sopUIDs(data) {
+  const { dict } = readDataset(data)
+  return { sopClassUID: dict['00080016'].Value[0], sopInstanceUID: dict['00080018'].Value[0] }
+}
+
+/**
+ * A mock DICOMweb server: stores what it is sent, answers with a Store
+ * Instances Response and can fail requests or reject instances on demand
+ */
+function startMockServer() {
+  const server = http.createServer((request, response) => {
+    const chunks = []
+    request.on('data', (chunk) => chunks.push(chunk))
+    request.on('end', () => {
+      const { behaviour } = server
+      server.requests.push({ url: request.url, headers: request.headers })
+
+      if (request.headers.authorization !== TOKEN) {
+        response.writeHead(401).end()
+        return
+      }
+      if (behaviour.failNext > 0) {
+        behaviour.failNext--
+        response.writeHead(503).end()
+        return
+      }
+
+      const parts = parseMultipart(Buffer.concat(chunks), request.headers['content-type'])
+      const referenced = []
+      const failed = []
+      for (const part of parts) {
+        if (!part.headers.includes('application/dicom')) throw new Error(`Unexpected part ${part.headers}`)
+        const { sopClassUID, sopInstanceUID } = sopUIDs(part.data)
+        const item = {
+          '00081150': { vr: 'UI', Value: [sopClassUID] },
+          '00081155': { vr: 'UI', Value: [sopInstanceUID] }
+        }
+        if (behaviour.reject.has(sopInstanceUID)) {
+          failed.push({ ...item, '00081197': { vr: 'US', Value: [0xc000] } })
+        } else {
+          server.stored.push(sopInstanceUID)
+          referenced.push({ ...item, '00081190': { vr: 'UR', Value: [`http://archive/instances/${sopInstanceUID}`] } })
+        }
+      }
+
+      const dataset = {}
+      if (referenced.length) dataset['00081199'] = { vr: 'SQ', Value: referenced }
+      if (failed.length) dataset['00081198'] = { vr: 'SQ', Value: failed }
+      const status = failed.length === 0 ? 200 : referenced.length === 0 ? 409 : 202
+      response.writeHead(status, { 'Content-Type': 'application/dicom+json' })
+      response.end(JSON.stringify([dataset]))
+    })
+  })
+  server.requests = []
+  server.stored = []
+  server.behaviour = { failNext: 0, reject: new Set() }
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server))
+  })
+}
+
+function reset(server, behaviour = {}) {
+  server.requests = []
+  server.stored = []
+  server.behaviour = { failNext: 0, reject: new Set(), ...behaviour }
+}
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('STOW-RS Upload Test')
+  console.log('='.repeat(60))
+
+  const server = await startMockServer()
+  const url = `http://127.0.0.1:${server.address().port}/dicom-web/`
+  const headers = { Authorization: TOKEN }
+
+  try {
+    const files = await writeImageAsDicomSeriesWithDcmjs(image, {
+      uidGenerator: createUIDGenerator({ seed: 'stow' })
+    })
+    const uids = files.map((file) => sopUIDs(file.data).sopInstanceUID)
+
+    console.log('\n1. Uploading in batches...')
+    const report = await storeInstances(files, { url, headers, batchSize: 5 })
+    if (server.requests.length !== 3) throw new Error(`Sent ${server.requests.length} requests, expected 3`)
+    if (server.requests.some((request) => request.url !== '/dicom-web/studies')) {
+      throw new Error(`Posted to ${server.requests[0].url}`)
+    }
+    const contentType = server.requests[0].headers['content-type']
+    if (!contentType.startsWith('multipart/related; type="application/dicom"; boundary=')) {
+      throw new Error(`Content-Type is ${contentType}`)
+    }
+    if (report.stored.length !== SLICES || report.failed.length !== 0) {
+      throw new Error(`Stored ${report.stored.length}, failed ${report.failed.length}`)
+    }
+    if (server.stored.join() !== uids.join() || report.stored.some((instance, i) =>
+      instance.sopInstanceUID !== uids[i] || instance.retrieveURL !== `http://archive/instances/${uids[i]}`)) {
+      throw new Error('Stored instances do not match the written files')
+    }
+    console.log(`✓ ${report.stored.length} instances stored in ${server.requests.length} requests`)
+
+    console.log('\n2. Retrying an unavailable server...')
+    reset(server, { failNext: 2 })
+    const warnings = []
+    const retried = await storeInstances(files.slice(0, 3), {
+      url,
+      headers,
+      retryDelay: 10,
+      logger: { log() {}, warn: message => warnings.push(message) }
+    })
+    if (server.requests.length !== 3 || retried.stored.length !== 3) {
+      throw new Error(`${server.requests.length} requests stored ${retried.stored.length} instances`)
+    }
+    if (warnings.length !== 2 || !warnings.every(warning => warning === 'STOW-RS returned 503, retrying...')) {
+      throw new Error(`Unexpected retry warnings: ${warnings.join(', ')}`)
+    }
+    console.log('✓ Stored after two 503 responses, each retry sent to the logger')
+
+    reset(server, { failNext: 5 })
+    const unavailable = await storeInstances(files.slice(0, 3), { url, headers, retries: 2, retryDelay: 10 })
+    if (server.requests.length !== 3 || unavailable.failed.length !== 3 || unavailable.failed[0].status !== 503) {
+      throw new Error(`Gave up after ${server.requests.length} requests with ${JSON.stringify(unavailable.failed[0])}`)
+    }
+    console.log('✓ Gave up after the last retry, every instance reported failed with 503')
+
+    console.log('\n3. Reporting instances the server rejects...')
+    reset(server, { reject: new Set([uids[1], uids[7]]) })
+    const partial = await storeInstances(streamImageAsDicomSeriesWithDcmjs(image, {
+      uidGenerator: createUIDGenerator({ seed: 'stow' })
+    }), { url, headers, batchSize: 6, studyInstanceUID: '1.2.3' })
+    if (server.requests[0].url !== '/dicom-web/studies/1.2.3') throw new Error(`Posted to ${server.requests[0].url}`)
+    const failedUIDs = partial.failed.map((instance) => instance.sopInstanceUID)
+    if (partial.stored.length !== SLICES - 2 || failedUIDs.join() !== [uids[1], uids[7]].join()) {
+      throw new Error(`Failed ${failedUIDs.join()}`)
+    }
+    if (partial.failed.some((instance) => instance.status !== 202 || instance.failureReason !== 0xc000)) {
+      throw new Error(`Failures reported as ${JSON.stringify(partial.failed)}`)
+    }
+    console.log(`✓ ${partial.failed.length} rejected instances reported with their Failure Reason`)
+
+    console.log('\n4. Failing without credentials...')
+    reset(server)
+    const unauthorized = await storeInstances(files.slice(0, 2), { url, retryDelay: 10 })
+    if (server.requests.length !== 1 || unauthorized.failed.length !== 2 ||
+        unauthorized.failed[0].error !== 'HTTP 401') {
+      throw new Error(`Unauthorized upload reported as ${JSON.stringify(unauthorized)}`)
+    }
+    console.log('✓ 401 is not retried, both instances reported failed')
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - Series upload with STOW-RS!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exitCode = 1
+  } finally {
+    server.close()
+  }
+}
+
+runTest()
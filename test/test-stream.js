@@ -0,0 +1,140 @@
+import { readImageDicomFileSeriesNode } from '@itk-wasm/dicom'
+import {
+  streamImageAsDicomSeriesWithDcmjs,
+  writeImageAsDicomSeriesWithDcmjs
+} from '../src/write-dicom-dcmjs.js'
+import { createUIDGenerator } from '../src/uid.js'
+import { createImage, reproducibleOptions } from './helpers.js'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const TEST_DIR = path.join(__dirname, 'test-data')
+const OUTPUT_DIR = path.join(TEST_DIR, 'output-stream')
+
+const SLICES = 12
+
+function createVolume(components = 1) {
+  return createImage({
+    size: [16, 16, SLICES],
+    spacing: [0.5, 0.5, 1.25],
+    origin: [10, -20, 30],
+    components,
+    values: (i) => ((i * 31) % 2000) - 1000
+  })
+}
+
+// Fixed UIDs, dates and times make two writes byte-identical
+const streamOptions = () => ({ ...reproducibleOptions('stream'), modality: 'CT' })
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('Streaming Writer Test')
+  console.log('='.repeat(60))
+
+  try {
+    const image = createVolume()
+
+    console.log('\n1. Writing lazily, one file per step...')
+    let uidCount = 0
+    const generator = createUIDGenerator()
+    const stream = streamImageAsDicomSeriesWithDcmjs(image, {
+      uidGenerator: () => {
+        uidCount++
+        return generator()
+      }
+    })
+    const { value: first } = await stream.next()
+    const afterFirst = uidCount
+    await stream.next()
+    if (uidCount !== afterFirst + 1) {
+      throw new Error(`The second file generated ${uidCount - afterFirst} UIDs, expected its SOP Instance UID only`)
+    }
+    await stream.return()
+    if (first.blob !== undefined || !(first.data instanceof Uint8Array) || first.sliceIndex !== 0) {
+      throw new Error('Streamed files should carry their bytes only')
+    }
+    console.log(`✓ First file ${first.filename} written before the other ${SLICES - 1}`)
+
+    console.log('\n2. Comparing the stream with the array function...')
+    const files = await writeImageAsDicomSeriesWithDcmjs(image, streamOptions())
+    const streamed = []
+    for await (const file of streamImageAsDicomSeriesWithDcmjs(image, streamOptions())) {
+      streamed.push(file)
+    }
+    if (streamed.length !== files.length) throw new Error(`Streamed ${streamed.length} of ${files.length} files`)
+    for (let i = 0; i < files.length; i++) {
+      if (streamed[i].filename !== files[i].filename ||
+          Buffer.compare(Buffer.from(streamed[i].data), Buffer.from(files[i].data)) !== 0) {
+        throw new Error(`File ${i} differs between stream and array`)
+      }
+      const blobBytes = new Uint8Array(await files[i].blob.arrayBuffer())
+      if (Buffer.compare(Buffer.from(blobBytes), Buffer.from(files[i].data)) !== 0) {
+        throw new Error(`Blob of file ${i} differs from its data`)
+      }
+    }
+    console.log(`✓ ${files.length} identical files, the array adds a Blob to each`)
+
+    console.log('\n3. Streaming to disk...')
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true })
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true })
+    const paths = []
+    for await (const file of streamImageAsDicomSeriesWithDcmjs(image)) {
+      const filePath = path.join(OUTPUT_DIR, file.filename)
+      fs.writeFileSync(filePath, file.data)
+      paths.push(filePath)
+    }
+    const { outputImage } = await readImageDicomFileSeriesNode({ inputImages: paths, singleSortedSeries: true })
+    if (outputImage.size[2] !== SLICES || outputImage.data.some((value, i) => value !== image.data[i])) {
+      throw new Error('Series streamed to disk does not read back as the original volume')
+    }
+    console.log(`✓ ${paths.length} files streamed to disk read back exactly`)
+
+    console.log('\n4. Streaming split components...')
+    const components = []
+    for await (const file of streamImageAsDicomSeriesWithDcmjs(createVolume(2), { splitComponents: true })) {
+      components.push(file.component)
+    }
+    const expected = [...Array(SLICES).fill(0), ...Array(SLICES).fill(1)]
+    if (components.join() !== expected.join()) {
+      throw new Error(`Components streamed as ${components.join()}`)
+    }
+    console.log('✓ Component series streamed one after the other')
+
+    console.log('\n5. Reporting progress to a logger...')
+    const messages = []
+    const logger = { log: (message) => messages.push(message), warn: console.warn, error: console.error }
+    const consoleLog = console.log
+    let consoleCalls = 0
+    let written = 0
+    console.log = () => { consoleCalls++ }
+    try {
+      for await (const file of streamImageAsDicomSeriesWithDcmjs(createVolume(2), { splitComponents: true, logger })) {
+        if (file.data.length > 0) written++
+      }
+    } finally {
+      console.log = consoleLog
+    }
+    const progress = ['Writing 2 components as separate series...', `Wrote ${SLICES}/${SLICES} slices`]
+    if (written !== 2 * SLICES || consoleCalls !== 0 || progress.some((message) => !messages.includes(message))) {
+      throw new Error(`Logger got ${JSON.stringify(messages)}, console.log ${consoleCalls} calls`)
+    }
+    console.log(`✓ ${messages.length} progress messages went to the logger, none to the console`)
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - Series stream one file at a time!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
@@ -0,0 +1,135 @@
+import { readImageDicomFileSeriesNode } from '@itk-wasm/dicom'
+import { writeImageAsDicomSeriesWithDcmjs } from '../src/write-dicom-dcmjs.js'
+import { createImage, expectFailure, expectValid, readNaturalized, writeFiles } from './helpers.js'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const TEST_DIR = path.join(__dirname, 'test-data')
+const OUTPUT_DIR = path.join(TEST_DIR, 'output-time-series')
+
+// 4 time points, 1.5 s apart
+const image4D = createImage({
+  size: [8, 6, 3, 4],
+  spacing: [0.9, 0.9, 2, 1.5],
+  origin: [5, -3, 20, 0],
+  values: (i) => ((i * 37) % 2000) - 1000
+})
+
+const volumeLength = 8 * 6 * 3
+
+const readHeader = (file) => readNaturalized(file.data)
+
+async function readVolume(files, name) {
+  const paths = writeFiles(files, path.join(OUTPUT_DIR, name))
+  const { outputImage } = await readImageDicomFileSeriesNode({ inputImages: paths, singleSortedSeries: true })
+  return outputImage
+}
+
+function compareTimePoint(volume, timePoint) {
+  const expected = image4D.data.subarray(timePoint * volumeLength, (timePoint + 1) * volumeLength)
+  if (volume.data.length !== expected.length || volume.data.some((v, i) => v !== expected[i])) {
+    throw new Error(`Time point ${timePoint} pixels differ`)
+  }
+}
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('4D Time Series Test')
+  console.log('='.repeat(60))
+
+  try {
+    console.log('\n1. Writing a 4D image as one series...')
+    const files = await writeImageAsDicomSeriesWithDcmjs(image4D, { modality: 'MR', seriesDescription: 'Dynamic' })
+    if (files.length !== 12) throw new Error(`Expected 12 files, got ${files.length}`)
+
+    const headers = files.map(readHeader)
+    if (new Set(headers.map(h => h.SeriesInstanceUID)).size !== 1) {
+      throw new Error('Time points are not in one series')
+    }
+    headers.forEach((header, i) => {
+      const timePoint = Math.floor(i / 3)
+      if (header.InstanceNumber !== i + 1 ||
+          header.TemporalPositionIdentifier !== timePoint + 1 ||
+          header.NumberOfTemporalPositions !== 4 ||
+          header.TriggerTime !== timePoint * 1500 ||
+          header.TemporalResolution !== 1500) {
+        throw new Error(`Unexpected temporal attributes in file ${i}`)
+      }
+    })
+    const acquisitionTimes = [...new Set(headers.map(h => h.AcquisitionTime))]
+    if (acquisitionTimes.length !== 4) {
+      throw new Error(`Expected 4 acquisition times, got ${acquisitionTimes.join(', ')}`)
+    }
+    console.log('✓ Temporal attributes match')
+
+    const volume = await readVolume(files.filter(file => file.timePoint === 2), 'single')
+    compareTimePoint(volume, 2)
+    console.log('✓ Time point pixels match')
+
+    console.log('\n2. Writing a 4D image as one series per time point...')
+    const splitFiles = await writeImageAsDicomSeriesWithDcmjs(image4D, { timeSeries: 'split', seriesNumber: 7 })
+    const splitHeaders = splitFiles.map(readHeader)
+    if (new Set(splitHeaders.map(h => h.SeriesInstanceUID)).size !== 4 ||
+        new Set(splitHeaders.map(h => h.StudyInstanceUID)).size !== 1 ||
+        new Set(splitHeaders.map(h => h.FrameOfReferenceUID)).size !== 1) {
+      throw new Error('Expected 4 series in one study and Frame of Reference')
+    }
+    if (splitHeaders[splitHeaders.length - 1].SeriesNumber !== 10) {
+      throw new Error('Series numbers do not follow the time points')
+    }
+    const lastVolume = await readVolume(splitFiles.filter(file => file.timePoint === 3), 'split')
+    compareTimePoint(lastVolume, 3)
+    console.log('✓ One series per time point')
+
+    console.log('\n3. Writing a 4D PET image as a DYNAMIC series or STATIC series per time point...')
+    const dynamic = await writeImageAsDicomSeriesWithDcmjs(image4D, { modality: 'PT' })
+    const last = readHeader(dynamic[dynamic.length - 1])
+    if (last.SeriesType.join() !== 'DYNAMIC,IMAGE' || last.NumberOfTimeSlices !== 4 || last.ImageIndex !== 12 ||
+        last.FrameReferenceTime !== 4500 || last.ActualFrameDuration !== 1500) {
+      throw new Error('The last PET slice should be DYNAMIC, time slice 4 of 4, image 12, 4500 ms in')
+    }
+    dynamic.forEach(file => expectValid(file, 'Dynamic PET'))
+    console.log(`✓ ${dynamic.length} DYNAMIC slices over 4 time slices, Image Index counted through time`)
+
+    const split = await writeImageAsDicomSeriesWithDcmjs(image4D, { modality: 'PT', timeSeries: 'split' })
+    const splitPet = split.map(readHeader)
+    if (splitPet.some(h => h.SeriesType.join() !== 'STATIC,IMAGE' || h.NumberOfTimeSlices !== undefined)) {
+      throw new Error('Each time point should be a STATIC series without Number of Time Slices')
+    }
+    const imageIndexes = splitPet.map(h => h.ImageIndex)
+    if (imageIndexes.join() !== '1,2,3,1,2,3,1,2,3,1,2,3') throw new Error(`Split Image Index is ${imageIndexes.join()}`)
+    split.forEach(file => expectValid(file, 'Split PET'))
+    console.log('✓ 4 STATIC series, Image Index counted within each')
+
+    console.log('\n4. Checking the Series Instance UIDs of split time points...')
+    const named = await expectFailure(
+      writeImageAsDicomSeriesWithDcmjs(image4D, { timeSeries: 'split', series: { instanceUID: '1.2.3.4' } }),
+      'one series per time point'
+    )
+    console.log(`✓ Rejected: ${named.message}`)
+    // Frame of Reference, study and first series UIDs are valid, the second series UID is not
+    let calls = 0
+    const uidGenerator = () => (++calls === 4 ? '1.02.4' : `1.2.${calls}`)
+    const invalid = await expectFailure(
+      writeImageAsDicomSeriesWithDcmjs(image4D, { timeSeries: 'split', uidGenerator }),
+      'Invalid Series Instance UID'
+    )
+    console.log(`✓ Rejected: ${invalid.message}`)
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - 4D images are written per time point!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
@@ -0,0 +1,72 @@
+import { createUIDGenerator, generateUID, uuidToUID, validateUID } from '../src/uid.js'
+import { writeImageAsDicomSeriesWithDcmjs } from '../src/write-dicom-dcmjs.js'
+import { createImage, expectFailure } from './helpers.js'
+
+const ORG_ROOT = '1.2.826.0.1.3680043.10.1234'
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('UID Generation Test')
+  console.log('='.repeat(60))
+
+  try {
+    console.log('\n1. Generating UUID-derived UIDs...')
+    const uids = new Set()
+    for (let i = 0; i < 10000; i++) {
+      const uid = validateUID(generateUID())
+      if (!uid.startsWith('2.25.')) throw new Error(`Unexpected UID root: ${uid}`)
+      uids.add(uid)
+    }
+    if (uids.size !== 10000) throw new Error(`${10000 - uids.size} duplicate UIDs`)
+    if (uuidToUID('f81d4fae-7dec-11d0-a765-00a0c91e6bf6') !== '2.25.329800735698586629295641978511506172918') {
+      throw new Error('UUID conversion mismatch')
+    }
+    console.log('✓ 10000 unique valid 2.25 UIDs')
+
+    console.log('\n2. Generating UIDs under an organisation root...')
+    const orgGenerator = createUIDGenerator({ root: ORG_ROOT })
+    for (let i = 0; i < 1000; i++) {
+      const uid = validateUID(orgGenerator())
+      if (!uid.startsWith(`${ORG_ROOT}.`)) throw new Error(`UID outside the root: ${uid}`)
+    }
+    await expectFailure(() => createUIDGenerator({ root: '1.2.03' }), /leading zeros/)
+    await expectFailure(() => createUIDGenerator({ root: `1.2.${'9'.repeat(50)}` }), /needed for unique UIDs/)
+    console.log('✓ Organisation root UIDs are valid')
+
+    console.log('\n3. Validating UIDs...')
+    await expectFailure(() => validateUID(`1.${'2'.repeat(63)}`), /longer than 64 characters/)
+    await expectFailure(() => validateUID('1.2..3'), /component ""/)
+    await expectFailure(() => validateUID('1.2.a'), /component "a"/)
+    validateUID('1.2.0.3')
+    console.log('✓ UID rules enforced')
+
+    console.log('\n4. Writing a series twice with the same seed...')
+    const image = createImage({ componentType: 'uint8', values: () => 0 })
+    const write = () => writeImageAsDicomSeriesWithDcmjs(image, {
+      uidGenerator: createUIDGenerator({ seed: 'reproducible' })
+    })
+    const [first, second] = [await write(), await write()]
+    const uidsOf = files => Buffer.from(files[0].data).toString('latin1').match(/2\.25\.\d+/g).join()
+    if (uidsOf(first) !== uidsOf(second)) {
+      throw new Error('Seeded UIDs differ between runs')
+    }
+    const unseeded = await writeImageAsDicomSeriesWithDcmjs(image)
+    if (uidsOf(unseeded) === uidsOf(first)) {
+      throw new Error('Unseeded UIDs match the seeded ones')
+    }
+    console.log('✓ Seeded UIDs are reproducible')
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - UIDs are unique, valid and reproducible!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
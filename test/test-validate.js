@@ -0,0 +1,131 @@
+import { writeImageAsDicomSeriesWithDcmjs } from '../src/write-dicom-dcmjs.js'
+import { validateDicom } from '../src/validate.js'
+import { createImage, expectFailure, modifyFile } from './helpers.js'
+
+function createVolume(componentType = 'int16', components = 1) {
+  return createImage({ size: [8, 8, 3], spacing: [0.5, 0.5, 2], componentType, components, values: (i) => (i * 7) % 200 })
+}
+
+// Rewrites a file after changing its parsed meta and dataset, keeping over-long values the validator is meant to catch
+const modify = (data, change) => modifyFile(data, change, { allowInvalidVRLength: true })
+
+function expectIssue(issues, tag, pattern) {
+  const issue = issues.find((candidate) => candidate.tag === tag && pattern.test(candidate.message))
+  if (!issue) {
+    throw new Error(`Expected an issue on ${tag} matching ${pattern}, got:\n${issues.map(({ message }) => message).join('\n')}`)
+  }
+  return issue
+}
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('IOD Validation Test')
+  console.log('='.repeat(60))
+
+  try {
+    console.log('\n1. Validating written CT, MR, PET and Secondary Capture files...')
+    const cases = [
+      ['CT', createVolume()],
+      ['MR', createVolume()],
+      ['PT', createVolume()],
+      ['OT', createVolume()],
+      ['OT', createVolume('uint8', 3)]
+    ]
+    let ctFile
+    for (const [modality, image] of cases) {
+      const files = await writeImageAsDicomSeriesWithDcmjs(image, { modality, patient: { name: 'Doe^Jane', id: 'P001' } })
+      for (const file of files) {
+        const report = validateDicom(file.data)
+        if (!report.valid || report.warnings.length > 0) {
+          throw new Error(`${modality} ${file.filename} does not validate:\n` +
+            [...report.errors, ...report.warnings].map(({ message }) => message).join('\n'))
+        }
+      }
+      ctFile ??= files[0].data
+      console.log(`✓ ${files.length} ${modality} files with ${image.imageType.components} component(s) conform`)
+    }
+
+    console.log('\n2. Detecting missing attributes and malformed values...')
+    const broken = modify(ctFile, (dict, meta) => {
+      delete dict['0020000D'] // StudyInstanceUID, Type 1
+      delete dict['00080020'] // StudyDate, Type 2
+      dict['00080060'].Value = [''] // Modality, Type 1 but empty
+      dict['00100030'].Value = ['20241301'] // PatientBirthDate, month 13
+      dict['00200052'].Value = ['1.2.03'] // FrameOfReferenceUID, leading zero
+      dict['00180050'].Value = ['0.12345678901234567'] // SliceThickness, 17 characters
+      dict['00280030'].Value = [0.5] // PixelSpacing, VM 2
+      dict['00100040'].Value = ['X'] // PatientSex, not M, F or O
+      meta['00020003'].Value = ['1.2.3'] // MediaStorageSOPInstanceUID
+    })
+    const report = validateDicom(broken)
+    if (report.valid) throw new Error('A broken file validated')
+    const missing = expectIssue(report.errors, '0020000D', /missing: Type 1/)
+    if (missing.module !== 'General Study') throw new Error(`StudyInstanceUID reported in ${missing.module}`)
+    expectIssue(report.errors, '00080020', /missing: Type 2/)
+    expectIssue(report.errors, '00080060', /empty: Type 1/)
+    expectIssue(report.errors, '00100030', /not a valid date/)
+    expectIssue(report.errors, '00200052', /leading zeros/)
+    expectIssue(report.errors, '00180050', /longer than 16/)
+    expectIssue(report.errors, '00280030', /VM 2/)
+    expectIssue(report.errors, '00100040', /expected one of M, F, O/)
+    expectIssue(report.errors, '00020003', /as in the dataset/)
+    console.log(`✓ ${report.errors.length} errors reported:`)
+    for (const { message } of report.errors) console.log(`  - ${message}`)
+
+    console.log('\n3. Checking warnings...')
+    const anonymous = validateDicom(modify(ctFile, (dict) => {
+      dict['00100020'].Value = [''] // PatientID, Type 2 so allowed empty
+    }))
+    if (!anonymous.valid) throw new Error('An empty Type 2 attribute is not an error')
+    expectIssue(anonymous.warnings, '00100020', /empty/)
+    const unknown = validateDicom(modify(ctFile, (dict, meta) => {
+      dict['00080016'].Value = ['1.2.840.10008.5.1.4.1.1.481.1'] // RT Image Storage
+      meta['00020002'].Value = ['1.2.840.10008.5.1.4.1.1.481.1']
+    }))
+    if (!unknown.valid) throw new Error('A file of an unknown SOP Class failed the element checks')
+    expectIssue(unknown.warnings, '00080016', /No IOD is known/)
+    console.log('✓ Empty Patient ID and unknown SOP Class reported as warnings')
+
+    console.log('\n4. Validating while writing...')
+    const checked = await writeImageAsDicomSeriesWithDcmjs(createVolume(), { modality: 'CT', validate: 'error' })
+    if (!checked.every((file) => file.validation?.valid)) {
+      throw new Error('Written files should carry a passing validation report')
+    }
+    console.log(`✓ ${checked.length} files written with validate: error`)
+
+    // Patient ID is LO, at most 64 characters; dcmjs writes longer values anyway
+    const options = { modality: 'CT', patient: { id: 'P'.repeat(70) } }
+    const failure = await expectFailure(
+      writeImageAsDicomSeriesWithDcmjs(createVolume(), { ...options, validate: 'error' }),
+      /slice_0000\.dcm does not conform.*PatientID.*longer than 64/
+    )
+    console.log(`✓ validate: error throws: ${failure.message}`)
+
+    const warnings = []
+    const originalWarn = console.warn
+    console.warn = (message) => warnings.push(message)
+    let warned
+    try {
+      warned = await writeImageAsDicomSeriesWithDcmjs(createVolume(), { ...options, validate: 'warn' })
+    } finally {
+      console.warn = originalWarn
+    }
+    if (warned.length !== 3 || warnings.length !== 3 || warned.some((file) => file.validation.valid)) {
+      throw new Error(`Expected 3 files and 3 warnings, got ${warned.length} files and ${warnings.length} warnings`)
+    }
+    console.log('✓ validate: warn writes every file and logs its errors')
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - Written files conform to their IODs!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
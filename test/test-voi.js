@@ -0,0 +1,119 @@
+import dcmjs from 'dcmjs'
+import { writeImageAsDicomSeriesWithDcmjs } from '../src/write-dicom-dcmjs.js'
+import { WINDOW_PRESETS } from '../src/voi.js'
+import { createImage, readDataset } from './helpers.js'
+
+const size = [10, 10, 4]
+
+function readFile(file) {
+  const dicomData = readDataset(file.data)
+  return {
+    dict: dicomData.dict,
+    dataset: dcmjs.data.DicomMetaDictionary.naturalizeDataset(dicomData.dict)
+  }
+}
+
+const asArray = value => [].concat(value ?? [])
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('VOI Window Test')
+  console.log('='.repeat(60))
+
+  try {
+    // Each slice holds a different quarter of -1000..2990, so per-slice windows would differ
+    const ct = createImage({ size, values: pixel => pixel * 10 - 1000 })
+
+    console.log('\n1. Writing the default percentile window...')
+    const files = await writeImageAsDicomSeriesWithDcmjs(ct, { modality: 'CT' })
+    const windows = files.map(file => readFile(file).dataset)
+    for (const dataset of windows) {
+      if (dataset.WindowCenter !== windows[0].WindowCenter || dataset.WindowWidth !== windows[0].WindowWidth) {
+        throw new Error('Slices have different windows')
+      }
+    }
+    // 1st and 99th percentile of 400 evenly spread values: pixels 3 and 395, -970 and 2950
+    const { WindowCenter, WindowWidth, WindowCenterWidthExplanation } = windows[0]
+    if (WindowCenter !== 990 || WindowWidth !== 3920 || WindowCenterWidthExplanation !== 'AUTO') {
+      throw new Error(`Unexpected window ${WindowCenter}/${WindowWidth} ${WindowCenterWidthExplanation}`)
+    }
+    console.log(`✓ One window for the volume: center ${WindowCenter}, width ${WindowWidth}`)
+
+    console.log('\n2. Checking Smallest/Largest Image Pixel Value...')
+    files.forEach((file, slice) => {
+      const { dict, dataset } = readFile(file)
+      const smallest = -1000 + slice * 1000
+      if (dataset.SmallestImagePixelValue !== smallest || dataset.LargestImagePixelValue !== smallest + 990) {
+        throw new Error(`Slice ${slice}: range ${dataset.SmallestImagePixelValue}..${dataset.LargestImagePixelValue}`)
+      }
+      if (dict['00280106'].vr !== 'SS' || dict['00280107'].vr !== 'SS') {
+        throw new Error(`Signed pixels have VR ${dict['00280106'].vr}`)
+      }
+    })
+    console.log('✓ Per-slice range, SS for signed pixels')
+
+    console.log('\n3. Writing CT presets and custom windows...')
+    const presetFiles = await writeImageAsDicomSeriesWithDcmjs(ct, {
+      modality: 'CT',
+      windows: ['CT_BRAIN', 'CT_LUNG', 'CT_BONE', { percentiles: [5, 95] }, { center: 100, width: 50 }]
+    })
+    const presets = readFile(presetFiles[0]).dataset
+    const expected = [
+      ...Object.values(WINDOW_PRESETS),
+      { center: 990, width: 3600, explanation: 'P5-P95' },
+      { center: 100, width: 50, explanation: 'USER' }
+    ]
+    const centers = asArray(presets.WindowCenter)
+    const widths = asArray(presets.WindowWidth)
+    const explanations = asArray(presets.WindowCenterWidthExplanation)
+    expected.forEach(({ center, width, explanation }, i) => {
+      if (centers[i] !== center || widths[i] !== width || explanations[i] !== explanation) {
+        throw new Error(`Window ${i}: ${centers[i]}/${widths[i]} ${explanations[i]}, expected ${center}/${width} ${explanation}`)
+      }
+    })
+    console.log(`✓ ${explanations.join(', ')}`)
+
+    console.log('\n4. Windowing quantized float values...')
+    const float = createImage({ size, componentType: 'float32', values: pixel => pixel / 400 })
+    const floatFiles = await writeImageAsDicomSeriesWithDcmjs(float, { windows: [{ percentiles: [0, 100] }] })
+    const floatWindow = readFile(floatFiles[0]).dataset
+    // Values 0..0.9975: the center is in rescaled units, the width at least 1
+    if (Math.abs(floatWindow.WindowCenter - 0.49875) > 1e-4 || floatWindow.WindowWidth !== 1) {
+      throw new Error(`Float window ${floatWindow.WindowCenter}/${floatWindow.WindowWidth}, expected 0.49875/1`)
+    }
+    console.log(`✓ Window in rescaled units: center ${floatWindow.WindowCenter}, width ${floatWindow.WindowWidth}`)
+
+    console.log('\n5. Leaving out windows...')
+    const unsigned = createImage({ size, componentType: 'uint8', values: pixel => pixel % 200 })
+    const [plain] = await writeImageAsDicomSeriesWithDcmjs(unsigned, { windows: false })
+    const { dict, dataset } = readFile(plain)
+    if (dataset.WindowCenter !== undefined) throw new Error('windows: false still wrote a window')
+    if (dict['00280106'].vr !== 'US') throw new Error(`Unsigned pixels have VR ${dict['00280106'].vr}`)
+    const [color] = await writeImageAsDicomSeriesWithDcmjs(createImage({ size, componentType: 'uint8', components: 3, values: i => Math.floor(i / 3) }))
+    const colorDataset = readFile(color).dataset
+    if (colorDataset.WindowCenter !== undefined || colorDataset.SmallestImagePixelValue !== undefined) {
+      throw new Error('RGB images must not have a window or pixel value range')
+    }
+    let rejected = false
+    try {
+      await writeImageAsDicomSeriesWithDcmjs(ct, { windows: ['CT_LIVER'] })
+    } catch (error) {
+      rejected = true
+    }
+    if (!rejected) throw new Error('Unknown preset accepted')
+    console.log('✓ No windows when disabled or for RGB, unknown presets rejected')
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - Windows are written for the whole volume!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
@@ -0,0 +1,151 @@
+import { readImageDicomFileSeriesNode } from '@itk-wasm/dicom'
+import {
+  streamImageAsDicomSeriesWithDcmjs,
+  writeImageAsDicomSeriesWithDcmjs
+} from '../src/write-dicom-dcmjs.js'
+import { TRANSFER_SYNTAX_UIDS } from '../src/file-meta.js'
+import { createWorkerPool } from '../src/worker-pool.js'
+import { createImage, readDataset, reproducibleOptions } from './helpers.js'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const TEST_DIR = path.join(__dirname, 'test-data')
+const OUTPUT_DIR = path.join(TEST_DIR, 'output-workers')
+
+const SLICES = 20
+
+// Echoes each task's value, or crashes with an uncaught error when asked to
+const CRASHING_WORKER = new URL('data:text/javascript,' + encodeURIComponent(`
+  import { parentPort } from 'worker_threads'
+  parentPort.on('message', ({ id, value, crash }) => {
+    if (crash) setTimeout(() => { throw new Error('Worker crashed') })
+    else parentPort.postMessage({ id, result: value })
+  })
+`))
+
+function createVolume(componentType = 'int16') {
+  return createImage({
+    size: [32, 24, SLICES],
+    spacing: [0.8, 0.8, 2],
+    origin: [-12, 40, 7],
+    componentType,
+    values: (i) => ((i * 37) % 3000) - 1000
+  })
+}
+
+// Fixed UIDs, dates and times make two writes byte-identical
+const workerOptions = () => ({ ...reproducibleOptions('workers'), modality: 'CT' })
+
+async function runTest() {
+  console.log('='.repeat(60))
+  console.log('Worker Pool Test')
+  console.log('='.repeat(60))
+
+  try {
+    const image = createVolume()
+
+    console.log('\n1. Comparing three workers with the main thread...')
+    const inThread = await writeImageAsDicomSeriesWithDcmjs(image, workerOptions())
+    const pooled = await writeImageAsDicomSeriesWithDcmjs(image, { ...workerOptions(), workers: 3 })
+    if (pooled.length !== inThread.length) throw new Error(`Workers wrote ${pooled.length} of ${inThread.length} files`)
+    for (let i = 0; i < inThread.length; i++) {
+      if (pooled[i].filename !== inThread[i].filename ||
+          Buffer.compare(Buffer.from(pooled[i].data), Buffer.from(inThread[i].data)) !== 0) {
+        throw new Error(`File ${i} differs between workers and main thread`)
+      }
+    }
+    if (image.data.length !== 32 * 24 * SLICES) throw new Error('Transferring slices detached the volume')
+    console.log(`✓ ${pooled.length} byte-identical files`)
+
+    console.log('\n2. Checking instance order...')
+    const instanceNumbers = pooled.map((file) => readDataset(file.data).dict['00200013'].Value[0])
+    const expected = Array.from({ length: SLICES }, (_, i) => i + 1)
+    if (instanceNumbers.join() !== expected.join()) {
+      throw new Error(`Instances came out as ${instanceNumbers.join()}`)
+    }
+    console.log('✓ Files come out in instance order')
+
+    console.log('\n3. Encoding JPEG-LS in workers...')
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true })
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true })
+    const paths = []
+    for await (const file of streamImageAsDicomSeriesWithDcmjs(image, {
+      transferSyntax: TRANSFER_SYNTAX_UIDS.JPEG_LS_LOSSLESS,
+      workers: 2
+    })) {
+      const filePath = path.join(OUTPUT_DIR, file.filename)
+      fs.writeFileSync(filePath, file.data)
+      paths.push(filePath)
+    }
+    const { meta } = readDataset(fs.readFileSync(paths[0]))
+    if (meta['00020010'].Value[0] !== TRANSFER_SYNTAX_UIDS.JPEG_LS_LOSSLESS) {
+      throw new Error(`Transfer syntax is ${meta['00020010'].Value[0]}`)
+    }
+    const { outputImage } = await readImageDicomFileSeriesNode({ inputImages: paths, singleSortedSeries: true })
+    if (outputImage.size[2] !== SLICES || outputImage.data.some((value, i) => value !== image.data[i])) {
+      throw new Error('JPEG-LS series from workers does not read back as the original volume')
+    }
+    console.log(`✓ ${paths.length} JPEG-LS files read back exactly`)
+
+    console.log('\n4. Passing worker errors on...')
+    let error
+    try {
+      await writeImageAsDicomSeriesWithDcmjs(createVolume('int32'), {
+        transferSyntax: TRANSFER_SYNTAX_UIDS.JPEG_LS_LOSSLESS,
+        workers: 2,
+        windows: false
+      })
+    } catch (e) {
+      error = e
+    }
+    if (!error) throw new Error('A failing slice should reject the write')
+    console.log(`✓ Rejected with: ${error.message}`)
+
+    console.log('\n5. Stopping early...')
+    const stream = streamImageAsDicomSeriesWithDcmjs(image, { workers: 2 })
+    const { value: first } = await stream.next()
+    await stream.return()
+    if (first.sliceIndex !== 0) throw new Error(`First file is slice ${first.sliceIndex}`)
+    console.log('✓ Returning from the stream stops the workers')
+
+    console.log('\n6. Replacing crashed workers...')
+    const pool = await createWorkerPool(2, CRASHING_WORKER)
+    try {
+      await Promise.all([pool.run({ value: 1 }), pool.run({ value: 2 })])
+      const crashes = await Promise.allSettled([pool.run({ crash: true }), pool.run({ crash: true })])
+      if (crashes.some(({ status, reason }) => status !== 'rejected' || !/crashed/.test(reason.message))) {
+        throw new Error('A crashed worker should reject its task')
+      }
+      const results = await Promise.all([3, 4, 5, 6].map((value) => pool.run({ value })))
+      if (results.join() !== '3,4,5,6') throw new Error(`Replacement workers answered ${results.join()}`)
+    } finally {
+      pool.terminate()
+    }
+    console.log('✓ Both crashed workers were replaced and ran the queued tasks')
+
+    const broken = await createWorkerPool(1, CRASHING_WORKER)
+    const [crashed, queued] = await Promise.allSettled([broken.run({ crash: true }), broken.run({ value: 7 })])
+    broken.terminate()
+    if (crashed.status !== 'rejected' || queued.status !== 'rejected') {
+      throw new Error('A worker crashing before its first answer should fail the queued tasks')
+    }
+    console.log(`✓ A worker crashing before its first answer fails the queue: ${queued.reason.message}`)
+
+    console.log('\n' + '='.repeat(60))
+    console.log('✓ TEST PASSED - Workers encode slices in instance order!')
+    console.log('='.repeat(60))
+  } catch (error) {
+    console.error('\n' + '='.repeat(60))
+    console.error('✗ TEST FAILED')
+    console.error('='.repeat(60))
+    console.error(`Error: ${error.message}`)
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+runTest()
@@ -7,6 +7,10 @@ export default defineConfig({
       'Cross-Origin-Embedder-Policy': 'require-corp'
     }
   },
+  // The slice worker is an ES module that imports the codecs
+  worker: {
+    format: 'es'
+  },
   optimizeDeps: {
     exclude: ['@itk-wasm/image-io', '@itk-wasm/dicom', 'itk-wasm']
   }